@@ -0,0 +1,383 @@
+const { getBaseUrlVariable, getSecurityVariables, getAccessTokenVariable } = require('./environment-generation');
+
+/**
+ * Auth modes of requests that take their auth from the folder or collection above them.
+ */
+const INHERITED_AUTH_MODES = ['inherit'];
+
+/**
+ * Sets the auth of every request of a converted collection from the `security` requirements of its operation.
+ *
+ * The requirement of the operation, or the document-level one when the operation has none, is mapped onto
+ * Bruno's auth modes; `security: []` (or an empty requirement `{}`) marks a public operation, whose auth is `none`:
+ * - `apiKey` schemes: `apikey` auth in the header or query string, or a `Cookie` header for cookies
+ * - `http` basic, digest and bearer schemes: `basic`, `digest` and `bearer` auth
+ * - `oauth2` and `openIdConnect` schemes: `bearer` auth with the access token variable of the scheme
+ *   (`getAccessTokenVariable`); `oauth2` schemes with a `clientCredentials` or `password` flow also get a login
+ *   request, which `createLoginSteps` adds to the flows using them
+ *
+ * Credentials are `{{variables}}` named by `getSecurityVariables`. Of several alternative requirements, the first one
+ * whose schemes can all be mapped is used; when a requirement combines schemes, API keys are added as headers or
+ * query params next to the auth mode of the other scheme. The `api_key: {{apiKey}}` style headers added by
+ * `openApiToBruno` are replaced.
+ *
+ * The requests get `openapi.security` (the scheme names used) and, when a login is needed, `openapi.login`
+ * (`{ scheme, tokenVariable, scopes }`); the login requests are stored in `brunoCollection.logins`, by token variable.
+ *
+ * @param {Object} openApiSpec - The normalized OpenAPI 3 specification.
+ * @param {Object} brunoCollection - The Bruno collection annotated by `annotateOperations` (modified in place).
+ * @returns {Object} The collection.
+ */
+function applySecurityRequirements(openApiSpec, brunoCollection) {
+  const serviceName = brunoCollection.name;
+  const schemes = openApiSpec.components?.securitySchemes || {};
+  const logins = {};
+
+  const visit = (items) => {
+    for (const item of items || []) {
+      if (item.type === 'folder') {
+        visit(item.items);
+        continue;
+      }
+
+      if (!item.openapi || !item.request)
+        continue;
+
+      const operation = openApiSpec.paths?.[item.openapi.path]?.[item.openapi.method];
+      const requirement = selectSecurityRequirement(operation?.security ?? openApiSpec.security ?? [], schemes, item.name);
+      const { auth, headers, params, login } = createRequestAuth(serviceName, requirement, schemes);
+
+      item.request.headers = (item.request.headers || []).filter(header => !isConverterAuthHeader(header)).concat(headers);
+      item.request.params = (item.request.params || []).concat(params);
+      item.request.auth = auth;
+      item.openapi.security = Object.keys(requirement);
+
+      if (login) {
+        item.openapi.login = login;
+        logins[login.tokenVariable] = logins[login.tokenVariable]
+          || createLoginRequest(serviceName, login.scheme, schemes[login.scheme]);
+      }
+    }
+  };
+
+  visit(brunoCollection.items);
+
+  if (Object.keys(logins).length)
+    brunoCollection.logins = logins;
+
+  return brunoCollection;
+}
+
+/**
+ * Picks the security requirement a request is generated with: the first of the alternatives whose schemes
+ * are all defined and supported.
+ *
+ * @param {Array<Object>} requirements - The security requirements, e.g. `[{ "api_key": [] }, { "petstore_auth": ["read:pets"] }]`.
+ * @param {Object} schemes - The `components.securitySchemes` of the specification.
+ * @param {string} requestName - The request, named in warnings.
+ * @returns {Object} The requirement, `{}` for public operations or when no alternative can be mapped.
+ */
+function selectSecurityRequirement(requirements, schemes, requestName) {
+  if (!requirements.length)
+    return {};
+
+  const requirement = requirements.find(candidate =>
+    Object.keys(candidate || {}).every(name => isSupportedScheme(schemes[name])));
+
+  if (!requirement)
+    console.warn(`"${requestName}" requires unsupported security schemes (${requirements.map(candidate => Object.keys(candidate).join(' + ')).join(', ')}); it is generated without auth.`);
+
+  return requirement || {};
+}
+
+/**
+ * Tells whether a security scheme can be mapped onto a Bruno auth mode.
+ *
+ * @param {Object} [scheme] - The security scheme.
+ * @returns {boolean} True for API keys, basic, digest and bearer HTTP schemes, OAuth2 and OpenID Connect.
+ */
+function isSupportedScheme(scheme) {
+  switch (scheme?.type) {
+    case 'apiKey':
+      return ['header', 'query', 'cookie'].includes(scheme.in);
+    case 'http':
+      return ['basic', 'digest', 'bearer'].includes(String(scheme.scheme).toLowerCase());
+    case 'oauth2':
+    case 'openIdConnect':
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Builds the auth of a request from a security requirement.
+ *
+ * @param {string} serviceName - The service (collection) name.
+ * @param {Object} requirement - The requirement, scheme names mapped to their scopes.
+ * @param {Object} schemes - The `components.securitySchemes` of the specification.
+ * @returns {{auth: Object, headers: Array<Object>, params: Array<Object>, login: Object|null}} The Bruno auth, the
+ *          headers and query params carrying additional API keys, and the login the request needs, if any.
+ */
+function createRequestAuth(serviceName, requirement, schemes) {
+  const result = { auth: { mode: 'none' }, headers: [], params: [], login: null };
+
+  // API keys go last, so that they can be sent next to the auth mode of the other schemes.
+  const entries = Object.entries(requirement)
+    .sort(([first], [second]) => (schemes[first].type === 'apiKey') - (schemes[second].type === 'apiKey'));
+
+  for (const [schemeName, scopes] of entries) {
+    const scheme = schemes[schemeName];
+    const variables = getSecurityVariables(serviceName, schemeName, scheme);
+
+    if (scheme.type === 'apiKey') {
+      addApiKey(result, scheme, `{{${variables.apiKey}}}`);
+      continue;
+    }
+
+    if (result.auth.mode !== 'none') {
+      console.warn(`Security schemes "${entries.map(([name]) => name).join('", "')}" cannot be combined in one request; "${schemeName}" is ignored.`);
+      continue;
+    }
+
+    if (scheme.type === 'http') {
+      const mode = String(scheme.scheme).toLowerCase();
+
+      result.auth = mode === 'bearer'
+        ? { mode, bearer: { token: `{{${variables.token}}}` } }
+        : { mode, [mode]: { username: `{{${variables.username}}}`, password: `{{${variables.password}}}` } };
+      continue;
+    }
+
+    const tokenVariable = getAccessTokenVariable(serviceName, schemeName);
+    result.auth = { mode: 'bearer', bearer: { token: `{{${tokenVariable}}}` } };
+
+    if (scheme.type === 'oauth2' && (scheme.flows?.clientCredentials || scheme.flows?.password))
+      result.login = { scheme: schemeName, tokenVariable, scopes: scopes || [] };
+  }
+
+  return result;
+}
+
+/**
+ * Adds an API key to a request: as its `apikey` auth if it has no auth yet, else as a header or query param.
+ * Cookies have no Bruno placement and always become a `Cookie` header.
+ *
+ * @param {{auth: Object, headers: Array<Object>, params: Array<Object>}} result - The request auth being built.
+ * @param {Object} scheme - The `apiKey` security scheme.
+ * @param {string} value - The value, e.g. `{{swagger_petstore_api_key}}`.
+ */
+function addApiKey(result, scheme, value) {
+  if (scheme.in === 'cookie')
+    result.headers.push({ name: 'Cookie', value: `${scheme.name}=${value}`, description: 'Authentication cookie', enabled: true });
+  else if (result.auth.mode === 'none')
+    result.auth = { mode: 'apikey', apikey: { key: scheme.name, value, placement: scheme.in === 'query' ? 'queryparams' : 'header' } };
+  else if (scheme.in === 'query')
+    result.params.push({ name: scheme.name, value, description: 'Authentication parameter', enabled: true, type: 'query' });
+  else
+    result.headers.push({ name: scheme.name, value, description: 'Authentication header', enabled: true });
+}
+
+/**
+ * Tells whether a header is one of the placeholder auth headers added by `openApiToBruno` for API key schemes.
+ *
+ * @param {Object} header - The header.
+ * @returns {boolean} True for `{{apiKey}}` authentication headers.
+ */
+function isConverterAuthHeader(header) {
+  return header?.value === '{{apiKey}}' && header?.description === 'Authentication header';
+}
+
+/**
+ * Creates the request obtaining an access token for an OAuth2 scheme with its `clientCredentials` (preferred) or
+ * `password` flow. The token is stored with `bru.setVar` in the access token variable of the scheme.
+ * A relative `tokenUrl` is resolved against the base URL of the service.
+ *
+ * @param {string} serviceName - The service (collection) name.
+ * @param {string} schemeName - The name of the scheme.
+ * @param {Object} scheme - The `oauth2` security scheme.
+ * @returns {Object} The Bruno request item, whose `scope` is filled in by `createLoginSteps`.
+ */
+function createLoginRequest(serviceName, schemeName, scheme) {
+  const grantType = scheme.flows.clientCredentials ? 'client_credentials' : 'password';
+  const flow = scheme.flows.clientCredentials || scheme.flows.password;
+  const variables = getSecurityVariables(serviceName, schemeName, scheme);
+  const tokenVariable = getAccessTokenVariable(serviceName, schemeName);
+  const tokenUrl = /^[a-z][a-z0-9+.-]*:/i.test(flow.tokenUrl || '')
+    ? flow.tokenUrl
+    : `{{${getBaseUrlVariable(serviceName)}}}/${String(flow.tokenUrl || '').replace(/^\/+/, '')}`;
+
+  const field = (name, value) => ({ name, value, enabled: true });
+
+  return {
+    type: 'http',
+    name: `Log in - ${schemeName}`,
+    settings: {},
+    tags: [],
+    request: {
+      method: 'POST',
+      url: tokenUrl,
+      headers: [],
+      params: [],
+      auth: { mode: 'none' },
+      body: {
+        mode: 'formUrlEncoded',
+        formUrlEncoded: [
+          field('grant_type', grantType),
+          ...(grantType === 'password'
+            ? [field('username', `{{${variables.username}}}`), field('password', `{{${variables.password}}}`)]
+            : []),
+          field('client_id', `{{${variables.clientId}}}`),
+          field('client_secret', `{{${variables.clientSecret}}}`),
+          field('scope', '')
+        ]
+      },
+      script: { res: `bru.setVar("${tokenVariable}", res.body.access_token);` },
+      vars: {},
+      assertions: [{ name: 'res.status', value: 'eq 200', enabled: true }],
+      tests: '',
+      docs: `Obtains an access token for the "${schemeName}" OAuth2 scheme and stores it in "${tokenVariable}".`
+    }
+  };
+}
+
+/**
+ * Creates the login steps of a flow: one per OAuth2 scheme its requests log in with (`openapi.login`), asking for
+ * the union of the scopes they require. The steps are numbered from 1; the steps of the flow are renumbered after them.
+ *
+ * @param {Array<Object>} requests - The master collection requests used by the flow.
+ * @param {Object} logins - The login requests of every service, by token variable.
+ * @returns {Array<Object>} The login request items.
+ */
+function createLoginSteps(requests, logins) {
+  const scopes = new Map();
+
+  for (const request of requests) {
+    const login = request.openapi?.login;
+
+    if (!login || !logins[login.tokenVariable])
+      continue;
+
+    if (!scopes.has(login.tokenVariable))
+      scopes.set(login.tokenVariable, new Set());
+
+    login.scopes.forEach(scope => scopes.get(login.tokenVariable).add(scope));
+  }
+
+  return [...scopes].map(([tokenVariable, requiredScopes], index) => {
+    const loginRequest = structuredClone(logins[tokenVariable]);
+
+    loginRequest.seq = index + 1;
+    loginRequest.filename = `${loginRequest.name}.bru`;
+    loginRequest.request.body.formUrlEncoded.find(field => field.name === 'scope').value = [...requiredScopes].join(' ');
+
+    return loginRequest;
+  });
+}
+
+/**
+ * Moves the auth shared by the requests of a test collection up to the collection and its flow folders, the
+ * requests then inheriting it.
+ *
+ * The collection gets the auth most requests use, unless `root.request.auth` is set in `test-flows.json`; each flow
+ * folder, and each folder of an included flow, gets the auth most of the requests below it use when it differs from
+ * the auth it inherits, unless its `root` sets one. Requests whose auth is the one they would inherit get the
+ * `inherit` mode; public requests keep `none`.
+ *
+ * @param {Object} testCollection - The test collection from `createBrunoJson` (modified in place).
+ * @returns {Object} The collection.
+ */
+function applyAuthInheritance(testCollection) {
+  const collectionAuth = testCollection.root?.request?.auth
+    ?? selectSharedAuth(listRequestItems(testCollection.items));
+
+  if (collectionAuth && !testCollection.root?.request?.auth)
+    testCollection.root = { ...testCollection.root, request: { ...testCollection.root?.request, auth: collectionAuth } };
+
+  applyFolderAuthInheritance(testCollection.items, collectionAuth);
+
+  return testCollection;
+}
+
+/**
+ * Applies auth inheritance to the items of a folder (see `applyAuthInheritance`).
+ *
+ * @param {Array<Object>} items - The folder items (modified in place).
+ * @param {Object} [inheritedAuth] - The auth the items inherit.
+ */
+function applyFolderAuthInheritance(items, inheritedAuth) {
+  for (const item of items || []) {
+    if (item.type !== 'folder') {
+      if (item.request?.auth && inheritedAuth && isSameAuth(item.request.auth, inheritedAuth))
+        item.request.auth = { mode: 'inherit' };
+
+      continue;
+    }
+
+    let folderAuth = item.root?.request?.auth;
+
+    if (!folderAuth) {
+      const sharedAuth = selectSharedAuth(listRequestItems(item.items));
+
+      if (sharedAuth && !isSameAuth(sharedAuth, inheritedAuth)) {
+        folderAuth = sharedAuth;
+        item.root = { ...item.root, request: { ...item.root?.request, auth: folderAuth } };
+      }
+    }
+
+    applyFolderAuthInheritance(item.items, folderAuth && !INHERITED_AUTH_MODES.includes(folderAuth.mode) ? folderAuth : inheritedAuth);
+  }
+}
+
+/**
+ * Lists the requests of a list of items, descending into folders.
+ *
+ * @param {Array<Object>} [items] - The items.
+ * @returns {Array<Object>} The request items.
+ */
+function listRequestItems(items) {
+  return (items || []).flatMap(item => item.type === 'folder' ? listRequestItems(item.items) : [item]);
+}
+
+/**
+ * Finds the auth most requests use, ignoring public and inheriting requests.
+ *
+ * @param {Array<Object>} items - The request items.
+ * @returns {Object|undefined} The auth, undefined if no request has one.
+ */
+function selectSharedAuth(items) {
+  const counts = new Map();
+
+  for (const item of items) {
+    const auth = item.request?.auth;
+
+    if (!auth || auth.mode === 'none' || INHERITED_AUTH_MODES.includes(auth.mode))
+      continue;
+
+    const key = JSON.stringify(auth);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const [shared] = [...counts].sort((first, second) => second[1] - first[1]);
+  return shared && JSON.parse(shared[0]);
+}
+
+/**
+ * Compares two Bruno auth objects.
+ *
+ * @param {Object} [first] - The first auth.
+ * @param {Object} [second] - The second auth.
+ * @returns {boolean} True if both use the same mode with the same settings.
+ */
+function isSameAuth(first, second) {
+  return Boolean(first && second) && JSON.stringify(first) === JSON.stringify(second);
+}
+
+module.exports = {
+  applySecurityRequirements,
+  selectSecurityRequirement,
+  createRequestAuth,
+  createLoginRequest,
+  createLoginSteps,
+  applyAuthInheritance
+};
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const {
+  DEFAULT_PIPELINE_OPTIONS,
+  convertOpenApiToBruno,
+  mergeOpenApiCollections,
+  createBrunoCollection,
+  testGenerationPipeline
+} = require('./testflow-generation');
+const { readSpecFile } = require('./oas-loader');
+const { validateTestFlows, reportDiagnostics } = require('./testflow-validation');
+const { reportSpecDrift } = require('./spec-drift');
+const { reportCoverage } = require('./coverage-report');
+const { scaffoldTestFlows } = require('./flow-scaffolding');
+const { startMockServer } = require('./mock-server');
+const { exportTestCollection } = require('./collection-exporters');
+
+const DEFAULT_CONFIG_FILE = 'bruno-testgen.config.json';
+
+/**
+ * Command line flags, mapped to the option keys of `testGenerationPipeline`.
+ * `path: true` marks options that are resolved relative to the config file they are read from.
+ */
+const CLI_OPTIONS = {
+  'oas-dir': { key: 'oasDir', type: 'string', path: true, description: 'Directory containing the OpenAPI specifications' },
+  'collections-dir': { key: 'collectionsDir', type: 'string', path: true, description: 'Directory the converted Bruno collections are written to' },
+  'name': { key: 'collectionName', type: 'string', short: 'n', description: 'Name of the merged master collection' },
+  'master': { key: 'masterCollection', type: 'string', path: true, description: 'Path of the merged master collection file' },
+  'test-flows': { key: 'testFlows', type: 'string', path: true, description: 'Path of the test-flows.json file' },
+  'test-collection': { key: 'testCollection', type: 'string', path: true, description: 'Path of the generated test collection JSON file' },
+  'output-dir': { key: 'outputDir', type: 'string', short: 'o', path: true, description: 'Directory the Bruno test collection is written to (default: the collection name)' },
+  'on-conflict': { key: 'onConflict', type: 'string', description: 'Files edited by hand whose generated content changed: merge (default), keep or overwrite' },
+  'baseline': { key: 'baseline', type: 'string', path: true, description: 'Converted collections directory or master collection diff compares against (default: --collections-dir, else --master)' },
+  'drift-report': { key: 'driftReport', type: 'string', path: true, description: 'Path of the JSON report written by diff' },
+  'coverage-dir': { key: 'coverageDir', type: 'string', path: true, description: 'Directory the coverage reports are written to' },
+  'min-coverage': { key: 'minCoverage', type: 'string', description: 'Minimum percentage of operations the test flows must cover' },
+  'generated-test-flows': { key: 'generatedTestFlows', type: 'string', path: true, description: 'Path of the test flows file written by scaffold' },
+  'env-file': { key: 'envFile', type: 'string', path: true, description: 'Local .env file the secrets of the environments are read from' },
+  'mock-host': { key: 'mockHost', type: 'string', description: 'Host the mock server listens on (default: 127.0.0.1)' },
+  'mock-port': { key: 'mockPort', type: 'string', description: 'Port the mock server listens on (default: 4010)' },
+  'mock-stateful': { key: 'mockStateful', type: 'boolean', description: 'Keep the resources created through the mock server in memory' },
+  'export-format': { key: 'exportFormats', type: 'string', description: 'Comma-separated formats (postman, opencollection, test-plan) or exporter modules export writes' },
+  'export-dir': { key: 'exportDir', type: 'string', path: true, description: 'Directory export writes the exported collections to' }
+};
+
+/**
+ * Validates the test flows against the merged collection without writing anything (`--check`).
+ *
+ * @param {Object} config - The pipeline options.
+ * @returns {Promise<void>}
+ * @throws {Error} If the test flows contain errors.
+ */
+async function checkTestFlows(config) {
+  const diagnostics = await validateTestFlows(config.testFlows, config.masterCollection);
+
+  if (!reportDiagnostics(diagnostics))
+    throw new Error(`Test flows in ${config.testFlows} are invalid.`);
+}
+
+/**
+ * Sub-commands of the command line interface.
+ * `check` runs instead of `run` when `--check` is passed.
+ */
+const COMMANDS = {
+  convert: {
+    description: 'Convert OpenAPI specifications into Bruno collections',
+    run: (config) => convertOpenApiToBruno(config.oasDir, config.collectionsDir)
+  },
+  merge: {
+    description: 'Merge the converted Bruno collections into the master collection',
+    run: (config) => mergeOpenApiCollections(config.collectionName, config.collectionsDir, config.masterCollection)
+  },
+  build: {
+    description: 'Build the Bruno test collection from test-flows.json and the master collection',
+    run: (config) => createBrunoCollection(config.testFlows, config.masterCollection, config.testCollection, config.outputDir, {
+      onConflict: config.onConflict,
+      envFile: config.envFile
+    }),
+    check: checkTestFlows
+  },
+  diff: {
+    description: 'Report drift between the OpenAPI specifications and the converted collections, and the test-flow steps it affects',
+    run: (config) => reportSpecDrift(config)
+  },
+  coverage: {
+    description: 'Report which operations of the master collection the test flows exercise',
+    run: (config) => reportCoverage(config)
+  },
+  scaffold: {
+    description: 'Generate smoke and negative test flows for every operation of the master collection',
+    run: (config) => scaffoldTestFlows(config)
+  },
+  export: {
+    description: 'Export the test collection to Postman, OpenCollection and neutral JSON test plans',
+    run: (config) => exportTestCollection(config)
+  },
+  mock: {
+    description: 'Serve the operations of the master collection from a local mock server until interrupted',
+    run: (config) => startMockServer(config)
+  },
+  all: {
+    description: 'Run convert, merge and build',
+    run: (config) => testGenerationPipeline(config),
+    check: checkTestFlows
+  }
+};
+
+/**
+ * Builds the usage text printed by `--help` and on invalid invocations.
+ *
+ * @returns {string} The usage text.
+ */
+function getUsage() {
+  const flags = Object.entries(CLI_OPTIONS)
+    .map(([name, option]) => [`${option.short ? `-${option.short}, ` : '    '}--${name}${option.type === 'string' ? ' <value>' : ''}`, option.description]);
+  const fixedFlags = [
+    ['-c, --config <file>', `Config file (default: ${DEFAULT_CONFIG_FILE} if present)`],
+    ['    --check', 'Validate test-flows.json against the master collection without writing anything (build, all)'],
+    ['-h, --help', 'Show this help']
+  ];
+
+  // Descriptions start two columns after the longest command or flag.
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length), ...[...flags, ...fixedFlags].map(([flag]) => flag.length)) + 2;
+  const formatRow = ([label, description]) => `  ${label.padEnd(width)}${description}`;
+
+  return [
+    'Usage: bruno-testgen <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => formatRow([name, command.description])),
+    '',
+    'Options:',
+    ...[...flags, ...fixedFlags].map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Reads a JSON or YAML config file and resolves its path options relative to the file location;
+ * absolute paths are kept as they are.
+ *
+ * @param {string} configPath - Path of the config file.
+ * @param {boolean} required - Whether a missing file is an error (explicit `--config`) or not (default file).
+ * @returns {Promise<Object>} The pipeline options declared in the config file.
+ * @throws {Error} If the file is required but missing, or cannot be parsed.
+ */
+async function loadConfigFile(configPath, required) {
+  try {
+    await fs.access(configPath);
+  } catch (error) {
+    if (required)
+      throw new Error(`Config file "${configPath}" not found.`);
+
+    return {};
+  }
+
+  const config = await readSpecFile(configPath);
+  const configDir = path.dirname(configPath);
+  const knownKeys = Object.keys(DEFAULT_PIPELINE_OPTIONS);
+
+  for (const key of Object.keys(config || {})) {
+    if (!knownKeys.includes(key))
+      console.warn(`Unknown option "${key}" in ${configPath}`);
+  }
+
+  for (const option of Object.values(CLI_OPTIONS)) {
+    if (option.path && typeof config?.[option.key] === 'string')
+      config[option.key] = path.resolve(configDir, config[option.key]);
+  }
+
+  return config || {};
+}
+
+/**
+ * Parses the command line arguments into a command name and pipeline options.
+ * Options are layered as: defaults < config file < command line flags.
+ *
+ * @param {Array<string>} argv - The arguments, without the node binary and script path.
+ * @returns {Promise<{command: string, extraArguments: Array<string>, config: Object, check: boolean, help: boolean}>}
+ *          The parsed invocation.
+ * @throws {TypeError} If an unknown flag is passed.
+ */
+async function parseCommandLine(argv) {
+  const parseOptions = {
+    config: { type: 'string', short: 'c' },
+    check: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  };
+
+  for (const [name, option] of Object.entries(CLI_OPTIONS))
+    parseOptions[name] = { type: option.type, ...(option.short ? { short: option.short } : {}) };
+
+  const { values, positionals } = parseArgs({ args: argv, options: parseOptions, allowPositionals: true });
+
+  const fileConfig = await loadConfigFile(values.config || DEFAULT_CONFIG_FILE, Boolean(values.config));
+  const flagConfig = {};
+
+  for (const [name, option] of Object.entries(CLI_OPTIONS)) {
+    if (values[name] !== undefined)
+      flagConfig[option.key] = values[name];
+  }
+
+  return {
+    command: positionals[0] || 'all',
+    extraArguments: positionals.slice(1),
+    config: { ...DEFAULT_PIPELINE_OPTIONS, ...fileConfig, ...flagConfig },
+    check: Boolean(values.check),
+    help: Boolean(values.help)
+  };
+}
+
+/**
+ * Entry point of the command line interface.
+ *
+ * Exit codes: `0` on success, `1` if the command failed, `2` on invalid usage.
+ *
+ * @param {Array<string>} argv - The arguments, without the node binary and script path.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv) {
+  let invocation;
+
+  try {
+    invocation = await parseCommandLine(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${getUsage()}`);
+    return 2;
+  }
+
+  if (invocation.help) {
+    console.log(getUsage());
+    return 0;
+  }
+
+  const command = COMMANDS[invocation.command];
+
+  if (!command || invocation.extraArguments.length) {
+    console.error(`❌ Unknown command "${[invocation.command, ...invocation.extraArguments].join(' ')}"\n\n${getUsage()}`);
+    return 2;
+  }
+
+  if (invocation.check && !command.check) {
+    console.error(`❌ --check is not supported by "${invocation.command}"\n\n${getUsage()}`);
+    return 2;
+  }
+
+  try {
+    if (invocation.check)
+      await command.check(invocation.config);
+    else
+      await command.run(invocation.config);
+
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${invocation.command} failed:`, error.message);
+    return 1;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommandLine,
+  main
+};
+
+if (require.main === module)
+  main(process.argv.slice(2)).then(exitCode => { process.exitCode = exitCode; });
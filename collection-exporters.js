@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const { toPostmanCollection, toPostmanEnvironment } = require('./postman-export');
+const { toOpenCollectionYaml } = require('./opencollection-export');
+const { toTestPlan } = require('./test-plan-export');
+const { toFileSafeName } = require('./file-names');
+
+/**
+ * Exporters of test collections, by format name. An exporter turns the test collection built by
+ * `createBrunoJson` into the files of its format: `exportCollection(testCollection)` returns
+ * `[{ file, content }]`, with file names relative to the export directory; contents are written as JSON, strings as is.
+ */
+const EXPORTERS = {
+  'postman': {
+    description: 'Postman v2.1 collection, with one Postman environment per environment',
+    exportCollection: (testCollection) => [
+      { file: `${toFileSafeName(testCollection.name)}.postman_collection.json`, content: toPostmanCollection(testCollection) },
+      ...(testCollection.environments || []).map(environment => ({
+        file: `${toFileSafeName(environment.name)}.postman_environment.json`,
+        content: toPostmanEnvironment(environment)
+      }))
+    ]
+  },
+  'opencollection': {
+    description: 'Bundled OpenCollection YAML collection, with its environments',
+    exportCollection: (testCollection) => [
+      { file: `${toFileSafeName(testCollection.name)}.opencollection.yml`, content: toOpenCollectionYaml(testCollection) }
+    ]
+  },
+  'test-plan': {
+    description: 'Neutral JSON test plan',
+    exportCollection: (testCollection) => [
+      { file: `${toFileSafeName(testCollection.name)}.test-plan.json`, content: toTestPlan(testCollection) }
+    ]
+  }
+};
+
+/**
+ * Registers an exporter, making its format available to `exportTestCollection`.
+ *
+ * @param {string} format - The format name, e.g. `insomnia`.
+ * @param {{description?: string, exportCollection: Function}} exporter - The exporter (see `EXPORTERS`).
+ * @throws {Error} If the exporter has no `exportCollection` function.
+ */
+function registerExporter(format, exporter) {
+  if (typeof exporter?.exportCollection !== 'function')
+    throw new Error(`Exporter "${format}" has no exportCollection(testCollection) function.`);
+
+  EXPORTERS[format] = exporter;
+}
+
+/**
+ * Finds the exporter of a format: a registered format name, or the path of a module exporting an exporter
+ * (resolved against the working directory).
+ *
+ * @param {string} format - The format name or module path, e.g. `postman` or `./exporters/insomnia.js`.
+ * @returns {Object} The exporter.
+ * @throws {Error} If the format is unknown or the module is not an exporter.
+ */
+function getExporter(format) {
+  if (Object.prototype.hasOwnProperty.call(EXPORTERS, format))
+    return EXPORTERS[format];
+
+  if (!/[\\/]|\.[cm]?js$/.test(format))
+    throw new Error(`Unknown export format "${format}". Available formats: ${Object.keys(EXPORTERS).join(', ')}, or the path of an exporter module.`);
+
+  const exporter = require(path.resolve(format));
+
+  if (typeof exporter?.exportCollection !== 'function')
+    throw new Error(`Exporter module ${format} does not export an exportCollection(testCollection) function.`);
+
+  return exporter;
+}
+
+/**
+ * Exports the test collection written by `createBrunoCollection` (`testCollection`) to every format of
+ * `exportFormats` (a comma-separated list or an array), writing the files to `exportDir`.
+ *
+ * @param {Object} config - The pipeline options (`testCollection`, `exportFormats`, `exportDir`).
+ * @returns {Promise<Array<string>>} The paths of the written files.
+ * @throws {Error} If the test collection cannot be read, a format is unknown or a file cannot be written.
+ */
+async function exportTestCollection(config) {
+  try {
+    const formats = (Array.isArray(config.exportFormats) ? config.exportFormats : String(config.exportFormats || '').split(','))
+      .map(format => format.trim())
+      .filter(Boolean);
+
+    if (!formats.length)
+      throw new Error('No export format given.');
+
+    const exporters = formats.map(format => ({ format, exporter: getExporter(format) }));
+    const testCollection = JSON.parse(await fs.readFile(config.testCollection, 'utf8'));
+    const writtenFiles = [];
+
+    await fs.mkdir(config.exportDir, { recursive: true });
+
+    for (const { format, exporter } of exporters) {
+      const files = exporter.exportCollection(testCollection);
+
+      for (const { file, content } of files) {
+        const filePath = path.join(config.exportDir, file);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2) + '\n');
+        writtenFiles.push(filePath);
+      }
+
+      console.log(`✅ Exported ${format}: ${files.map(({ file }) => path.join(config.exportDir, file)).join(', ')}`);
+    }
+
+    return writtenFiles;
+  } catch (error) {
+    console.error('❌ Error exporting the test collection:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORTERS,
+  registerExporter,
+  getExporter,
+  exportTestCollection
+};
@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const { indexOperations, describeOperation, getOperationKey } = require('./spec-drift');
+const { indexBrunoCollection, describeStep, lookupOperation } = require('./operation-lookup');
+const { selectExpectedResponse, getAssertedStatus, generateResponseAssertions } = require('./response-assertions');
+const { expandDataDrivenFlows } = require('./flow-datasets');
+const { expandFlowHooks } = require('./flow-hooks');
+const { expandFlowIncludes, flattenFlowSteps } = require('./flow-includes');
+
+/**
+ * Computes which operations of a merged collection are exercised by test flows.
+ *
+ * Every step is resolved to its request the way `createBrunoJson` does (`lookupOperation`); steps
+ * that do not resolve to exactly one request are reported as unresolved. Flows with a `dataset`
+ * count once per generated folder, hook steps once per flow using the hook and the steps of included flows once
+ * per include. The asserted response of a step is its `expected_response`, or the default
+ * response picked by `selectExpectedResponse`; it only counts if `generateResponseAssertions` emits an
+ * assertion or a test for it.
+ *
+ * @param {Object} masterCollection - The merged collection from `mergeOpenApiCollections`.
+ * @param {Object} testFlowSpec - The parsed test flows, with includes, hooks and data-driven flows expanded.
+ * @returns {{summary: Object, operations: Array<Object>, unresolvedSteps: Array<Object>}} The coverage report.
+ */
+function computeCoverage(masterCollection, testFlowSpec) {
+  const operations = new Map();
+  const index = indexBrunoCollection(masterCollection);
+  const unresolvedSteps = [];
+
+  for (const operation of indexOperations(masterCollection).values()) {
+    operations.set(getOperationKey(operation), {
+      service: operation.service,
+      method: operation.method,
+      path: operation.path,
+      operationId: operation.operationId,
+      name: operation.name,
+      source: operation.source,
+      covered: false,
+      flows: [],
+      steps: 0,
+      documentedResponses: Object.keys(operation.responses || {}),
+      assertedResponses: []
+    });
+  }
+
+  for (const testFlow of testFlowSpec.test_flows || []) {
+    for (const { requestSpec } of flattenFlowSteps(testFlow.requests)) {
+      const { match, error } = lookupOperation(requestSpec, index);
+
+      if (!match) {
+        unresolvedSteps.push({ flow: testFlow.flow_name, step: describeStep(requestSpec), reason: error.message });
+        continue;
+      }
+
+      const operation = describeOperation(match.request, match.folder.split('/')[0], match.folder);
+      const entry = operations.get(getOperationKey(operation));
+      const assertedResponse = selectExpectedResponse(operation.responses, requestSpec.expected_response);
+
+      entry.covered = true;
+      entry.steps++;
+
+      if (!entry.flows.includes(testFlow.flow_name))
+        entry.flows.push(testFlow.flow_name);
+
+      if (assertedResponse && !entry.assertedResponses.includes(assertedResponse)
+        && isAsserted(assertedResponse, operation.responses[assertedResponse], getAssertedStatus(assertedResponse, requestSpec.expected_response)))
+        entry.assertedResponses.push(assertedResponse);
+    }
+  }
+
+  const operationList = [...operations.values()];
+  const coveredOperations = operationList.filter(operation => operation.covered).length;
+  const documentedResponses = operationList.reduce((total, operation) => total + operation.documentedResponses.length, 0);
+  const assertedResponses = operationList.reduce((total, operation) => total + operation.assertedResponses.length, 0);
+
+  return {
+    summary: {
+      operations: operationList.length,
+      coveredOperations,
+      operationCoverage: toPercentage(coveredOperations, operationList.length),
+      responses: documentedResponses,
+      assertedResponses,
+      responseCoverage: toPercentage(assertedResponses, documentedResponses)
+    },
+    operations: operationList,
+    unresolvedSteps
+  };
+}
+
+/**
+ * Tells whether the generated request checks a response at all.
+ *
+ * @param {string} status - The key of the response.
+ * @param {Object} response - The response described by `describeResponses`.
+ * @param {string} assertedStatus - The status the step asserts (see `getAssertedStatus`).
+ * @returns {boolean} True if `generateResponseAssertions` emits an assertion or a test for it.
+ */
+function isAsserted(status, response, assertedStatus) {
+  const { assertions, tests } = generateResponseAssertions(status, response, assertedStatus);
+
+  return assertions.length > 0 || tests.length > 0;
+}
+
+/**
+ * Writes the coverage of the test flows as `coverage.json`, `coverage.md` and `coverage.html`.
+ *
+ * @param {Object} config - The pipeline options (`testFlows`, `masterCollection`, `coverageDir`, `minCoverage`).
+ * @returns {Promise<Object>} The coverage report.
+ * @throws {Error} If the inputs cannot be read, or the operation coverage is below `minCoverage` (after the reports are written).
+ */
+async function reportCoverage(config) {
+  const masterCollection = JSON.parse(await fs.readFile(config.masterCollection, 'utf8'));
+  const testFlowSpec = await expandDataDrivenFlows(
+    expandFlowIncludes(expandFlowHooks(JSON.parse(await fs.readFile(config.testFlows, 'utf8')))),
+    path.dirname(config.testFlows)
+  );
+
+  const minCoverage = config.minCoverage === undefined ? undefined : Number(config.minCoverage);
+
+  if (minCoverage !== undefined && !(minCoverage >= 0 && minCoverage <= 100))
+    throw new Error(`Invalid minimum coverage "${config.minCoverage}"; use a percentage between 0 and 100.`);
+
+  const report = computeCoverage(masterCollection, testFlowSpec);
+  const { summary } = report;
+
+  await fs.mkdir(config.coverageDir, { recursive: true });
+  await fs.writeFile(path.join(config.coverageDir, 'coverage.json'), JSON.stringify(report, null, 2));
+  await fs.writeFile(path.join(config.coverageDir, 'coverage.md'), formatCoverageMarkdown(report));
+  await fs.writeFile(path.join(config.coverageDir, 'coverage.html'), formatCoverageHtml(report));
+
+  for (const step of report.unresolvedSteps)
+    console.warn(`Step "${step.step}" of flow "${step.flow}" is not counted: ${step.reason}`);
+
+  console.log(`✅ Coverage: ${summary.coveredOperations}/${summary.operations} operations (${summary.operationCoverage}%), `
+    + `${summary.assertedResponses}/${summary.responses} documented responses asserted (${summary.responseCoverage}%). `
+    + `Reports written to ${config.coverageDir}`);
+
+  if (minCoverage !== undefined && summary.operationCoverage < minCoverage)
+    throw new Error(`Operation coverage ${summary.operationCoverage}% is below the minimum of ${minCoverage}%.`);
+
+  return report;
+}
+
+/**
+ * Formats a coverage report as Markdown.
+ *
+ * @param {Object} report - The result of `computeCoverage`.
+ * @returns {string} The Markdown document.
+ */
+function formatCoverageMarkdown(report) {
+  const { summary } = report;
+  const escape = (value) => String(value).replace(/\|/g, '\\|');
+
+  const lines = [
+    '# OpenAPI coverage',
+    '',
+    `* Operations covered: **${summary.coveredOperations}/${summary.operations} (${summary.operationCoverage}%)**`,
+    `* Documented responses asserted: **${summary.assertedResponses}/${summary.responses} (${summary.responseCoverage}%)**`,
+    '',
+    '| | Method | Path | operationId | Flows | Asserted responses | Documented responses |',
+    '| --- | --- | --- | --- | --- | --- | --- |'
+  ];
+
+  for (const operation of report.operations) {
+    lines.push(`| ${operation.covered ? '✅' : '❌'} | ${operation.method} | \`${escape(operation.path)}\` | ${escape(operation.operationId || '')} `
+      + `| ${escape(operation.flows.join(', '))} | ${operation.assertedResponses.join(', ')} | ${operation.documentedResponses.join(', ')} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a coverage report as a standalone HTML page.
+ *
+ * @param {Object} report - The result of `computeCoverage`.
+ * @returns {string} The HTML document.
+ */
+function formatCoverageHtml(report) {
+  const { summary } = report;
+  const escape = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const rows = report.operations.map(operation => [
+    `    <tr class="${operation.covered ? 'covered' : 'uncovered'}">`,
+    `      <td>${operation.covered ? '✔' : '✘'}</td>`,
+    `      <td>${escape(operation.method)}</td>`,
+    `      <td><code>${escape(operation.path)}</code></td>`,
+    `      <td>${escape(operation.operationId || '')}</td>`,
+    `      <td>${escape(operation.flows.join(', '))}</td>`,
+    `      <td>${escape(operation.assertedResponses.join(', '))}</td>`,
+    `      <td>${escape(operation.documentedResponses.join(', '))}</td>`,
+    '    </tr>'
+  ].join('\n'));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>OpenAPI coverage</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; }
+    .bar { width: 20rem; height: 1rem; background: #f3d1d1; border-radius: 0.5rem; overflow: hidden; }
+    .bar div { height: 100%; background: #4caf50; }
+    table { border-collapse: collapse; margin-top: 1.5rem; }
+    th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; }
+    tr.covered td:first-child { color: #2e7d32; }
+    tr.uncovered { background: #fff4f4; }
+    tr.uncovered td:first-child { color: #c62828; }
+  </style>
+</head>
+<body>
+  <h1>OpenAPI coverage</h1>
+  <p>Operations covered: <strong>${summary.coveredOperations}/${summary.operations} (${summary.operationCoverage}%)</strong></p>
+  <div class="bar"><div style="width: ${summary.operationCoverage}%"></div></div>
+  <p>Documented responses asserted: <strong>${summary.assertedResponses}/${summary.responses} (${summary.responseCoverage}%)</strong></p>
+  <table>
+    <tr><th></th><th>Method</th><th>Path</th><th>operationId</th><th>Flows</th><th>Asserted responses</th><th>Documented responses</th></tr>
+${rows.join('\n')}
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Computes a percentage rounded to one decimal.
+ *
+ * @param {number} count - The part.
+ * @param {number} total - The whole.
+ * @returns {number} The percentage, 100 when the whole is empty.
+ */
+function toPercentage(count, total) {
+  return total ? Math.round((count / total) * 1000) / 10 : 100;
+}
+
+module.exports = {
+  computeCoverage,
+  reportCoverage,
+  formatCoverageMarkdown,
+  formatCoverageHtml
+};
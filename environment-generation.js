@@ -0,0 +1,371 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseDotEnv } = require('@usebruno/filestore');
+
+const PROCESS_ENV_PATTERN = /{{\s*process\.env\.([\w.-]+)\s*}}/g;
+
+/**
+ * Turns a service or security scheme name into a Bruno variable name, e.g. `Swagger Petstore` → `swagger_petstore`.
+ *
+ * @param {string} name - The name.
+ * @returns {string} The snake_case variable name.
+ */
+function toVariableName(name) {
+  return String(name || 'service')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'service';
+}
+
+/**
+ * Names the variable holding the base URL of a service, e.g. `swagger_petstore_base_url`.
+ *
+ * @param {string} serviceName - The service (collection) name, i.e. the `info.title` of its spec.
+ * @returns {string} The variable name.
+ */
+function getBaseUrlVariable(serviceName) {
+  return `${toVariableName(serviceName)}_base_url`;
+}
+
+/**
+ * Names the variables holding the credentials of a security scheme, keyed by their role:
+ * - `apiKey` schemes: `apiKey`
+ * - `http` bearer schemes: `token`
+ * - other `http` schemes (basic, digest): `username`, `password`
+ * - `oauth2` schemes with a `clientCredentials` or `password` flow: `clientId`, `clientSecret`, plus `username`
+ *   and `password` when only the `password` flow is offered; the token they obtain is stored in `getAccessTokenVariable`
+ * - other `oauth2` schemes and `openIdConnect` schemes: `accessToken`, a token obtained outside of the flows
+ *
+ * @param {string} serviceName - The service (collection) name.
+ * @param {string} schemeName - The name of the scheme under `components.securitySchemes`.
+ * @param {Object} scheme - The security scheme.
+ * @returns {Object<string, string>} The variable names by role, e.g. `{ token: "billing_bearer_auth_token" }`.
+ */
+function getSecurityVariables(serviceName, schemeName, scheme) {
+  const prefix = `${toVariableName(serviceName)}_${toVariableName(schemeName)}`;
+
+  switch (scheme?.type) {
+    case 'apiKey':
+      return { apiKey: prefix };
+    case 'http':
+      return String(scheme.scheme).toLowerCase() === 'bearer'
+        ? { token: `${prefix}_token` }
+        : { username: `${prefix}_username`, password: `${prefix}_password` };
+    case 'oauth2':
+      if (scheme.flows?.clientCredentials)
+        return { clientId: `${prefix}_client_id`, clientSecret: `${prefix}_client_secret` };
+
+      if (scheme.flows?.password)
+        return {
+          clientId: `${prefix}_client_id`,
+          clientSecret: `${prefix}_client_secret`,
+          username: `${prefix}_username`,
+          password: `${prefix}_password`
+        };
+
+      return { accessToken: getAccessTokenVariable(serviceName, schemeName) };
+    case 'openIdConnect':
+      return { accessToken: getAccessTokenVariable(serviceName, schemeName) };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Names the variable holding the access token of an OAuth2 or OpenID Connect scheme, e.g.
+ * `swagger_petstore_petstore_auth_access_token`.
+ *
+ * @param {string} serviceName - The service (collection) name.
+ * @param {string} schemeName - The name of the scheme.
+ * @returns {string} The variable name.
+ */
+function getAccessTokenVariable(serviceName, schemeName) {
+  return `${toVariableName(serviceName)}_${toVariableName(schemeName)}_access_token`;
+}
+
+/**
+ * Names the process environment variable a secret is read from, e.g. `SWAGGER_PETSTORE_API_KEY`.
+ *
+ * @param {string} variable - The Bruno variable name.
+ * @returns {string} The process environment variable name.
+ */
+function toProcessEnvName(variable) {
+  return variable.toUpperCase();
+}
+
+/**
+ * Generates the Bruno environments of a service from its OpenAPI 3 `servers` (Swagger 2.0 `host`,
+ * `basePath` and `schemes` are turned into servers by `normalizeOpenApiSpec`).
+ *
+ * Every server becomes an environment, named by its `description` (`Environment <n>` without one), with:
+ * - the base URL of the service (`<service>_base_url`), in which server variables such as `{region}`
+ *   are replaced by `{{<service>_region}}`
+ * - one variable per server variable, set to its default
+ * - one variable per credential of the `securitySchemes` (see `getSecurityVariables`), whose value
+ *   `{{process.env.<NAME>}}` makes Bruno read the secret from the `.env` file of the collection, so that
+ *   no secret is ever written to the generated files
+ *
+ * @param {Object} openApiSpec - The normalized OpenAPI 3 specification.
+ * @param {string} serviceName - The service (collection) name.
+ * @returns {Array<{name: string, variables: Array<Object>}>} The environments.
+ */
+function generateEnvironments(openApiSpec, serviceName) {
+  const servicePrefix = toVariableName(serviceName);
+  const baseUrlVariable = getBaseUrlVariable(serviceName);
+  const servers = openApiSpec.servers?.length ? openApiSpec.servers : [{ url: '' }];
+  const names = new Set();
+
+  if (!openApiSpec.servers?.length)
+    console.warn(`${serviceName} declares no servers; set "${baseUrlVariable}" in the environments.`);
+
+  const secretVariables = Object.entries(openApiSpec.components?.securitySchemes || {})
+    .flatMap(([schemeName, scheme]) => Object.values(getSecurityVariables(serviceName, schemeName, scheme)))
+    .map(variable => createVariable(variable, `{{process.env.${toProcessEnvName(variable)}}}`));
+
+  return servers.map((server, index) => {
+    let name = server.description || `Environment ${index + 1}`;
+
+    if (names.has(name))
+      name = `${name} ${index + 1}`;
+
+    names.add(name);
+
+    const serverVariables = Object.entries(server.variables || {});
+    const url = String(server.url || '')
+      .replace(/{([^}]+)}/g, (placeholder, variable) => `{{${servicePrefix}_${toVariableName(variable)}}}`)
+      .replace(/\/+$/, '');
+
+    return {
+      name,
+      variables: [
+        createVariable(baseUrlVariable, url),
+        ...serverVariables.map(([variable, definition]) =>
+          createVariable(`${servicePrefix}_${toVariableName(variable)}`, String(definition?.default ?? definition?.enum?.[0] ?? ''))),
+        ...secretVariables
+      ]
+    };
+  });
+}
+
+/**
+ * Points the requests of a converted collection at the base URL variable of their service,
+ * replacing the `{{baseUrl}}` prefix generated by `openApiToBruno`.
+ *
+ * @param {Object} brunoCollection - The Bruno collection (modified in place).
+ * @param {string} serviceName - The service (collection) name.
+ * @returns {Object} The collection.
+ */
+function applyServiceBaseUrl(brunoCollection, serviceName) {
+  const baseUrlVariable = getBaseUrlVariable(serviceName);
+
+  const visit = (items) => {
+    for (const item of items || []) {
+      if (item.type === 'folder')
+        visit(item.items);
+      else if (typeof item.request?.url === 'string')
+        item.request.url = item.request.url.replace(/^{{\s*baseUrl\s*}}/, `{{${baseUrlVariable}}}`);
+    }
+  };
+
+  visit(brunoCollection.items);
+
+  return brunoCollection;
+}
+
+/**
+ * Merges the environments of several services into one list, by environment name. A service that has no
+ * environment of a given name contributes the variables of its first environment, so that every merged
+ * environment defines the base URL of every service.
+ *
+ * @param {Array<Array<Object>>} environmentLists - The environments of each service.
+ * @returns {Array<Object>} The merged environments.
+ */
+function mergeEnvironments(environmentLists) {
+  const lists = environmentLists.filter(list => list?.length);
+  const names = [...new Set(lists.flatMap(list => list.map(environment => environment.name)))];
+
+  return names.map(name => ({
+    name,
+    variables: mergeVariables(lists.map(list =>
+      (list.find(environment => environment.name === name) || list[0]).variables || []))
+  }));
+}
+
+/**
+ * Applies the environments written in `test-flows.json` over the generated ones. A hand-written
+ * environment named like a generated one overrides its variables; any other is added, completed with
+ * the variables of the first generated environment it does not define.
+ *
+ * @param {Array<Object>} [generated] - The environments of the master collection.
+ * @param {Array<Object>} [handWritten] - The environments of the test flows.
+ * @returns {Array<Object>|undefined} The environments of the test collection, undefined if there are none.
+ */
+function applyEnvironmentOverrides(generated, handWritten) {
+  const generatedEnvironments = generated || [];
+  const handWrittenEnvironments = handWritten || [];
+
+  if (!generatedEnvironments.length && !handWrittenEnvironments.length)
+    return handWritten;
+
+  const environments = generatedEnvironments.map(environment => {
+    const override = handWrittenEnvironments.find(candidate => candidate.name === environment.name);
+
+    return override
+      ? { ...environment, ...override, variables: mergeVariables([override.variables || [], environment.variables || []]) }
+      : environment;
+  });
+
+  for (const environment of handWrittenEnvironments) {
+    if (generatedEnvironments.some(candidate => candidate.name === environment.name))
+      continue;
+
+    environments.push({
+      ...environment,
+      variables: mergeVariables([environment.variables || [], generatedEnvironments[0]?.variables || []])
+    });
+  }
+
+  return environments;
+}
+
+/**
+ * Writes the secrets the environments read with `{{process.env.<NAME>}}` from a local `.env` file to
+ * the `.env` file of the generated collection, where Bruno picks them up. The file is written as is,
+ * outside of the generated files manifest, and listed in the `.gitignore` of the collection. Secrets found in
+ * neither the `.env` file nor the process environment are reported.
+ *
+ * @param {Array<Object>} [environments] - The environments of the test collection.
+ * @param {string} envFile - The local `.env` file.
+ * @param {string} collectionDir - The directory of the generated collection.
+ * @returns {Promise<Array<string>>} The names of the missing secrets.
+ */
+async function writeCollectionSecrets(environments, envFile, collectionDir) {
+  const names = collectProcessEnvNames(environments);
+
+  if (!names.length)
+    return [];
+
+  let values = {};
+
+  try {
+    values = parseDotEnv(await fs.readFile(envFile, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT')
+      throw error;
+  }
+
+  const found = names.filter(name => values[name] !== undefined);
+  const missing = names.filter(name => values[name] === undefined && process.env[name] === undefined);
+
+  if (found.length) {
+    await fs.mkdir(collectionDir, { recursive: true });
+    await fs.writeFile(path.join(collectionDir, '.env'),
+      found.map(name => `${name}=${formatDotEnvValue(String(values[name]))}`).join('\n') + '\n');
+    await ignoreDotEnv(collectionDir);
+  }
+
+  if (missing.length)
+    console.warn(`Secrets missing from ${envFile}: ${missing.join(', ')}. Requests using them will be sent without credentials.`);
+
+  return missing;
+}
+
+/**
+ * Adds `.env` to the `.gitignore` of a collection, creating it if needed.
+ *
+ * @param {string} collectionDir - The directory of the collection.
+ * @returns {Promise<void>}
+ */
+async function ignoreDotEnv(collectionDir) {
+  const gitignorePath = path.join(collectionDir, '.gitignore');
+  let content = '';
+
+  try {
+    content = await fs.readFile(gitignorePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT')
+      throw error;
+  }
+
+  if (content.split(/\r?\n/).some(line => ['.env', '/.env'].includes(line.trim())))
+    return;
+
+  await fs.writeFile(gitignorePath, `${content}${content && !content.endsWith('\n') ? '\n' : ''}.env\n`);
+}
+
+/**
+ * Quotes a `.env` value when needed: single quotes keep it literal, double quotes are only used for
+ * values containing single quotes or line breaks.
+ *
+ * @param {string} value - The value.
+ * @returns {string} The value as written to the `.env` file.
+ */
+function formatDotEnvValue(value) {
+  if (!/[\s#'"`]/.test(value))
+    return value;
+
+  if (!/['\n\r]/.test(value))
+    return `'${value}'`;
+
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Lists the process environment variables referenced by the environments.
+ *
+ * @param {Array<Object>} [environments] - The environments.
+ * @returns {Array<string>} The variable names, e.g. `["SWAGGER_PETSTORE_API_KEY"]`.
+ */
+function collectProcessEnvNames(environments) {
+  const names = new Set();
+
+  for (const environment of environments || [])
+    for (const variable of environment.variables || [])
+      for (const match of String(variable.value ?? '').matchAll(PROCESS_ENV_PATTERN))
+        names.add(match[1]);
+
+  return [...names];
+}
+
+/**
+ * Concatenates lists of environment variables, keeping the first definition of every name.
+ *
+ * @param {Array<Array<Object>>} variableLists - The variables, by precedence.
+ * @returns {Array<Object>} The merged variables.
+ */
+function mergeVariables(variableLists) {
+  const variables = new Map();
+
+  for (const list of variableLists)
+    for (const variable of list)
+      if (variable?.name && !variables.has(variable.name))
+        variables.set(variable.name, variable);
+
+  return [...variables.values()];
+}
+
+/**
+ * Creates a Bruno environment variable.
+ *
+ * @param {string} name - The variable name.
+ * @param {string} value - The value.
+ * @returns {{name: string, value: string, type: string, enabled: boolean, secret: boolean}} The variable.
+ */
+function createVariable(name, value) {
+  return { name, value, type: 'text', enabled: true, secret: false };
+}
+
+module.exports = {
+  toVariableName,
+  getBaseUrlVariable,
+  getSecurityVariables,
+  getAccessTokenVariable,
+  toProcessEnvName,
+  generateEnvironments,
+  applyServiceBaseUrl,
+  mergeEnvironments,
+  applyEnvironmentOverrides,
+  writeCollectionSecrets,
+  collectProcessEnvNames
+};
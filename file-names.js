@@ -0,0 +1,13 @@
+/**
+ * Replaces the characters file systems do not allow in file and folder names.
+ *
+ * @param {string} name - The name.
+ * @returns {string} The safe name.
+ */
+function toFileSafeName(name) {
+  return name.replace(/[\\/:*?"<>|]/g, '-');
+}
+
+module.exports = {
+  toFileSafeName
+};
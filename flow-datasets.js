@@ -0,0 +1,287 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const { toFileSafeName } = require('./file-names');
+
+const ROW_PLACEHOLDER_PATTERN = /{{\s*row\.([^{}\s]+)\s*}}/g;
+
+/**
+ * Step keys holding JSON values, where a lone placeholder keeps the type of the row value.
+ */
+const TYPED_TEMPLATE_KEYS = ['merge_patch', 'json_patch'];
+
+/**
+ * Expands the data-driven flows of a test flow specification: every flow with a `dataset` is
+ * replaced by one flow per dataset row, with `{{row.<field>}}` placeholders in its name, root
+ * and steps substituted by the row values.
+ *
+ * Folder names come from the templated `flow_name` (e.g. `"Login as {{row.role}}"`), with the
+ * characters file systems do not allow replaced by `-`; a name without placeholders gets the row
+ * number appended. When a dataset is expanded, the flows are renumbered so every generated folder
+ * keeps a unique `seq`. The rendered names must be unique among all the flows, static ones included.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @param {string} baseDir - The directory dataset paths are relative to (the test-flows.json directory).
+ * @returns {Promise<Object>} The test flows with data-driven flows expanded.
+ * @throws {Error} If a dataset cannot be read, a placeholder references a missing field or two folders get the same name.
+ */
+async function expandDataDrivenFlows(testFlowSpec, baseDir) {
+  if (!testFlowSpec.test_flows.some(testFlow => testFlow.dataset !== undefined))
+    return testFlowSpec;
+
+  const orderedFlows = testFlowSpec.test_flows
+    .map((testFlow, index) => ({ testFlow, index }))
+    .sort((a, b) => (a.testFlow.seq ?? a.index + 1) - (b.testFlow.seq ?? b.index + 1) || a.index - b.index);
+
+  const expandedFlows = [];
+  const names = new Map(testFlowSpec.test_flows
+    .filter(testFlow => testFlow.dataset === undefined)
+    .map(testFlow => [testFlow.flow_name, `flow "${testFlow.flow_name}"`]));
+
+  for (const { testFlow } of orderedFlows) {
+    if (testFlow.dataset === undefined) {
+      expandedFlows.push(testFlow);
+      continue;
+    }
+
+    const { dataset, ...flowTemplate } = testFlow;
+    const rows = await loadDataset(dataset, baseDir);
+
+    rows.forEach((row, rowIndex) => {
+      const location = `row ${rowIndex + 1} of the dataset of flow "${testFlow.flow_name}"`;
+      const flow = renderRowTemplate(flowTemplate, row, location);
+
+      flow.flow_name = renderFlowName(testFlow.flow_name, row, rowIndex);
+
+      if (names.has(flow.flow_name))
+        throw new Error(`Flow name "${flow.flow_name}" of ${location} is not unique: ${names.get(flow.flow_name)} has it too. `
+          + 'Use row fields in "flow_name" to tell the flows apart.');
+
+      names.set(flow.flow_name, location);
+      expandedFlows.push(flow);
+    });
+  }
+
+  expandedFlows.forEach((testFlow, index) => { testFlow.seq = index + 1; });
+
+  return { ...testFlowSpec, test_flows: expandedFlows };
+}
+
+/**
+ * Renders the folder name a dataset row gives its flow: the templated `flow_name` with the row values, or
+ * the name with the row number appended when it has no placeholders, made file-safe.
+ *
+ * @param {string} flowName - The `flow_name` of the data-driven flow.
+ * @param {Object} row - The dataset row.
+ * @param {number} rowIndex - The zero-based index of the row.
+ * @returns {string} The flow name.
+ * @throws {Error} If a placeholder references a field the row does not have.
+ */
+function renderFlowName(flowName, row, rowIndex) {
+  const rendered = renderRowTemplate(flowName, row, `row ${rowIndex + 1} of the dataset of flow "${flowName}"`);
+
+  return toFileSafeName(rendered === flowName ? `${flowName} (row ${rowIndex + 1})` : rendered);
+}
+
+/**
+ * Loads the rows of a dataset.
+ *
+ * @param {string|Array<Object>} dataset - Path of a `.csv` or `.json` file, or the rows themselves.
+ * @param {string} baseDir - The directory relative paths are resolved against.
+ * @returns {Promise<Array<Object>>} The rows.
+ * @throws {Error} If the file cannot be read or does not contain a list of objects.
+ */
+async function loadDataset(dataset, baseDir) {
+  if (Array.isArray(dataset))
+    return validateRows(dataset, 'inline dataset');
+
+  const datasetPath = path.resolve(baseDir, dataset);
+  let content;
+
+  try {
+    content = await fs.readFile(datasetPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read dataset ${datasetPath}: ${error.message}`);
+  }
+
+  if (path.extname(datasetPath).toLowerCase() === '.csv')
+    return parseCsv(content, datasetPath);
+
+  try {
+    return validateRows(JSON.parse(content), datasetPath);
+  } catch (error) {
+    throw new Error(`Invalid dataset ${datasetPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Checks that a dataset is a list of objects.
+ *
+ * @param {*} rows - The parsed dataset.
+ * @param {string} source - The dataset location, used in error messages.
+ * @returns {Array<Object>} The rows.
+ * @throws {Error} If the dataset is not a list of objects.
+ */
+function validateRows(rows, source) {
+  if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row)))
+    throw new Error(`${source} must be a list of objects, one per row.`);
+
+  return rows;
+}
+
+/**
+ * Parses a CSV file (RFC 4180: quoted fields, `""` escapes, line breaks inside quotes) into
+ * objects keyed by the header row. Values that are numbers or booleans in their canonical
+ * form (`42`, `-1.5`, `true`) are converted; everything else stays a string.
+ *
+ * @param {string} content - The CSV content.
+ * @param {string} source - The file path, used in error messages.
+ * @returns {Array<Object>} The rows.
+ * @throws {Error} If a row does not have as many fields as the header.
+ */
+function parseCsv(content, source) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+
+    if (quoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n')
+          line++;
+
+        field += character;
+      }
+    } else if (character === '"' && field === '') {
+      quoted = true;
+    } else if (character === ',') {
+      record.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[index + 1] === '\n')
+        index++;
+
+      record.push(field);
+      records.push({ fields: record, line: recordLine });
+      record = [];
+      field = '';
+      recordLine = ++line;
+    } else {
+      field += character;
+    }
+  }
+
+  if (quoted)
+    throw new Error(`${source}:${recordLine}: unterminated quoted field.`);
+
+  if (field !== '' || record.length)
+    records.push({ fields: [...record, field], line: recordLine });
+
+  const [header, ...rows] = records.filter(({ fields }) => fields.length > 1 || fields[0] !== '');
+
+  if (!header)
+    return [];
+
+  return rows.map(({ fields, line: rowLine }) => {
+    if (fields.length !== header.fields.length)
+      throw new Error(`${source}:${rowLine}: expected ${header.fields.length} fields, found ${fields.length}.`);
+
+    return Object.fromEntries(header.fields.map((name, index) => [name.trim(), convertCsvValue(fields[index])]));
+  });
+}
+
+/**
+ * Converts a CSV value into a number or boolean when that is its canonical form.
+ *
+ * @param {string} value - The CSV value.
+ * @returns {string|number|boolean} The converted value.
+ */
+function convertCsvValue(value) {
+  if (value === 'true' || value === 'false')
+    return value === 'true';
+
+  if (value !== '' && String(Number(value)) === value)
+    return Number(value);
+
+  return value;
+}
+
+/**
+ * Substitutes `{{row.<field>}}` placeholders in every string of a value.
+ *
+ * Inside `merge_patch` and `json_patch`, a string consisting of a single placeholder takes the
+ * row value with its type, so `"quantity": "{{row.quantity}}"` becomes a number for numeric values.
+ *
+ * @param {*} value - The value to render (flow, step, string, ...).
+ * @param {Object} row - The dataset row.
+ * @param {string} location - Description of the row, used in error messages.
+ * @returns {*} A rendered copy of the value.
+ * @throws {Error} If a placeholder references a field the row does not have.
+ */
+function renderRowTemplate(value, row, location) {
+  return renderPlaceholders(value, 'row', row,
+    (field) => `Placeholder {{row.${field}}} references a field missing from ${location}. Available fields: ${Object.keys(row).join(', ') || 'none'}.`);
+}
+
+/**
+ * Substitutes the `{{<namespace>.<key>}}` placeholders (e.g. `{{row.role}}`) in every string of a value.
+ * Inside `merge_patch` and `json_patch`, a string consisting of a single placeholder takes the value with its type.
+ *
+ * @param {*} value - The value to render.
+ * @param {string} namespace - The placeholder namespace, e.g. `row`.
+ * @param {Object} values - The values by key.
+ * @param {Function} describeMissing - Builds the error message for a key `values` lacks.
+ * @param {boolean} [typed] - Whether lone placeholders keep the type of their value.
+ * @returns {*} A rendered copy of the value.
+ * @throws {Error} If a placeholder references a missing key.
+ */
+function renderPlaceholders(value, namespace, values, describeMissing, typed = false) {
+  if (Array.isArray(value))
+    return value.map(item => renderPlaceholders(item, namespace, values, describeMissing, typed));
+
+  if (value && typeof value === 'object')
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, renderPlaceholders(item, namespace, values, describeMissing, typed || TYPED_TEMPLATE_KEYS.includes(key))]));
+
+  if (typeof value !== 'string')
+    return value;
+
+  const getValue = (key) => {
+    if (!Object.prototype.hasOwnProperty.call(values, key))
+      throw new Error(describeMissing(key));
+
+    return values[key];
+  };
+
+  const singlePlaceholder = new RegExp(`^{{\\s*${namespace}\\.([^{}\\s]+)\\s*}}$`).exec(value);
+
+  if (typed && singlePlaceholder)
+    return getValue(singlePlaceholder[1]);
+
+  return value.replace(new RegExp(`{{\\s*${namespace}\\.([^{}\\s]+)\\s*}}`, 'g'), (placeholder, key) => {
+    const keyValue = getValue(key);
+    return typeof keyValue === 'string' ? keyValue : JSON.stringify(keyValue);
+  });
+}
+
+module.exports = {
+  ROW_PLACEHOLDER_PATTERN,
+  expandDataDrivenFlows,
+  renderFlowName,
+  loadDataset,
+  parseCsv,
+  renderRowTemplate,
+  renderPlaceholders
+};
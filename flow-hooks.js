@@ -0,0 +1,111 @@
+const { escapePointerSegment } = require('./oas-refs');
+
+/**
+ * Flow keys attaching hooks: the steps of `setup` hooks run before the steps of the flow, those of `teardown` hooks after them.
+ */
+const HOOK_KEYS = ['setup', 'teardown'];
+
+/**
+ * Expands the hooks of a test flow specification: the steps of the hooks listed in the `setup` of a flow
+ * run before its own steps, those listed in its `teardown` after them, in the order they are listed.
+ *
+ * The steps of each hook and of the flow keep their relative order (by `seq`, then position) and the
+ * steps of flows using hooks are renumbered, so hooks can be shared by flows whatever their `seq`
+ * values. Every flow gets its own copy of the hook steps, so `{{row.<field>}}` placeholders in them
+ * are filled in by the dataset of the flow.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @returns {Object} The test flows without `hooks`, and with their `setup` and `teardown` steps inlined.
+ * @throws {Error} If a flow references an unknown hook.
+ */
+function expandFlowHooks(testFlowSpec) {
+  const hooks = testFlowSpec.hooks || {};
+  const { hooks: omitted, ...expandedSpec } = testFlowSpec;
+
+  expandedSpec.test_flows = (testFlowSpec.test_flows || []).map((testFlow) => {
+    if (!HOOK_KEYS.some(key => testFlow[key]?.length))
+      return omitHookKeys(testFlow);
+
+    const getHookSteps = (hookName) => {
+      if (!Object.prototype.hasOwnProperty.call(hooks, hookName))
+        throw new Error(`Flow "${testFlow.flow_name}" uses unknown hook "${hookName}".`);
+
+      return orderSteps(hooks[hookName].requests);
+    };
+
+    const steps = [
+      ...(testFlow.setup || []).flatMap(getHookSteps),
+      ...orderSteps(testFlow.requests),
+      ...(testFlow.teardown || []).flatMap(getHookSteps)
+    ];
+
+    return {
+      ...omitHookKeys(testFlow),
+      requests: steps.map((requestSpec, index) => ({ ...JSON.parse(JSON.stringify(requestSpec)), seq: index + 1 }))
+    };
+  });
+
+  return expandedSpec;
+}
+
+/**
+ * Orders steps by `seq`, steps without one taking their position in the list.
+ *
+ * @param {Array<Object>} [steps] - The steps.
+ * @returns {Array<Object>} The ordered steps.
+ */
+function orderSteps(steps) {
+  return (steps || [])
+    .map((requestSpec, index) => ({ requestSpec, index }))
+    .sort((a, b) => (a.requestSpec.seq ?? a.index + 1) - (b.requestSpec.seq ?? b.index + 1) || a.index - b.index)
+    .map(({ requestSpec }) => requestSpec);
+}
+
+/**
+ * Removes the hook references of a flow.
+ *
+ * @param {Object} testFlow - The flow.
+ * @returns {Object} The flow without `setup` and `teardown`.
+ */
+function omitHookKeys(testFlow) {
+  const { setup, teardown, ...flow } = testFlow;
+  return flow;
+}
+
+/**
+ * Lists the steps a flow runs with its hooks, with the JSON pointer each step is defined at.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @param {Object} testFlow - The flow.
+ * @param {number} flowIndex - The index of the flow in `test_flows`.
+ * @returns {Array<{requestSpec: Object, pointer: string, hook: string|null}>} The steps of the setup hooks, of the
+ *          flow and of the teardown hooks, in the order they are listed; unknown hooks are skipped.
+ */
+function listFlowSteps(testFlowSpec, testFlow, flowIndex) {
+  const hooks = testFlowSpec.hooks && typeof testFlowSpec.hooks === 'object' ? testFlowSpec.hooks : {};
+
+  const listHookSteps = (hookNames) => (Array.isArray(hookNames) ? hookNames : [])
+    .filter(hookName => Object.prototype.hasOwnProperty.call(hooks, hookName) && Array.isArray(hooks[hookName]?.requests))
+    .flatMap(hookName => hooks[hookName].requests.map((requestSpec, stepIndex) => ({
+      requestSpec,
+      pointer: `/hooks/${escapePointerSegment(hookName)}/requests/${stepIndex}`,
+      hook: hookName
+    })));
+
+  return [
+    ...listHookSteps(testFlow.setup),
+    ...(Array.isArray(testFlow.requests) ? testFlow.requests : []).map((requestSpec, stepIndex) => ({
+      requestSpec,
+      pointer: `/test_flows/${flowIndex}/requests/${stepIndex}`,
+      hook: null
+    })),
+    ...listHookSteps(testFlow.teardown)
+  ];
+}
+
+module.exports = {
+  HOOK_KEYS,
+  expandFlowHooks,
+  orderSteps,
+  listFlowSteps
+};
@@ -0,0 +1,118 @@
+const { renderPlaceholders } = require('./flow-datasets');
+const { orderSteps } = require('./flow-hooks');
+
+const PARAM_PLACEHOLDER_PATTERN = /{{\s*param\.([^{}\s]+)\s*}}/g;
+
+/**
+ * Tells whether a step includes another flow (`{ "include": "<flow_name>" }`) rather than calling an operation.
+ *
+ * @param {Object} requestSpec - The step.
+ * @returns {boolean} True for include steps.
+ */
+function isIncludeStep(requestSpec) {
+  return typeof requestSpec?.include === 'string';
+}
+
+/**
+ * Expands the flows included by other flows. An include step is replaced by the steps of the flow it names,
+ * in a subfolder of the including flow named after the step `name` (by default the included `flow_name`),
+ * with the included flow's `root` as its folder settings.
+ *
+ * The `{{param.<name>}}` placeholders of a flow are substituted by the `params` of the include step, falling
+ * back to the flow's own `params` defaults; flows generated on their own use their defaults. Includes nest:
+ * an included flow may include other flows, as long as no flow ends up including itself. Flows with
+ * `standalone: false` are only generated where they are included. Hooks are expanded first (see `expandFlowHooks`),
+ * so the setup and teardown steps of an included flow run in its subfolder.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @returns {Object} The test flows, whose include steps hold the expanded `requests` of the included flow.
+ * @throws {Error} If an included flow does not exist, has a dataset or includes itself, or a placeholder has no value.
+ */
+function expandFlowIncludes(testFlowSpec) {
+  const testFlows = testFlowSpec.test_flows || [];
+  const flowsByName = new Map(testFlows.map(testFlow => [testFlow.flow_name, testFlow]));
+
+  const expandFlow = (testFlow, params, includeChain) => {
+    const location = includeChain.length > 1
+      ? `flow "${testFlow.flow_name}" as included by ${includeChain.slice(0, -1).map(name => `"${name}"`).join(' → ')}`
+      : `flow "${testFlow.flow_name}"`;
+    const values = { ...testFlow.params, ...params };
+    const { requests, root } = renderPlaceholders({ requests: testFlow.requests, root: testFlow.root }, 'param', values,
+      (param) => `Placeholder {{param.${param}}} of ${location} has no value; give it a default in the flow "params" or pass it in the include "params".`);
+
+    const expandedRequests = (requests || []).map((requestSpec) => {
+      if (!isIncludeStep(requestSpec))
+        return requestSpec;
+
+      const includedFlow = flowsByName.get(requestSpec.include);
+
+      if (!includedFlow)
+        throw new Error(`Flow "${testFlow.flow_name}" includes unknown flow "${requestSpec.include}".`);
+
+      if (includedFlow.dataset !== undefined)
+        throw new Error(`Flow "${testFlow.flow_name}" includes flow "${requestSpec.include}", which has a dataset; only flows without one can be included.`);
+
+      if (includeChain.includes(includedFlow.flow_name))
+        throw new Error(`Flow "${includedFlow.flow_name}" includes itself: ${[...includeChain, includedFlow.flow_name].map(name => `"${name}"`).join(' → ')}.`);
+
+      const included = expandFlow(includedFlow, requestSpec.params, [...includeChain, includedFlow.flow_name]);
+
+      return {
+        include: requestSpec.include,
+        name: requestSpec.name ?? includedFlow.flow_name,
+        seq: requestSpec.seq,
+        root: included.root,
+        requests: included.requests
+      };
+    });
+
+    // Included steps and folders are numbered in order, as Bruno runs the items of a folder by seq.
+    if (includeChain.length > 1 || expandedRequests.some(isIncludeStep))
+      return { root, requests: orderSteps(expandedRequests).map((requestSpec, index) => ({ ...requestSpec, seq: index + 1 })) };
+
+    return { root, requests: expandedRequests };
+  };
+
+  return {
+    ...testFlowSpec,
+    test_flows: testFlows
+      .filter(testFlow => testFlow.standalone !== false)
+      .map((testFlow) => {
+        const { params, standalone, ...flow } = testFlow;
+        return { ...flow, ...expandFlow(testFlow, {}, [testFlow.flow_name]) };
+      })
+  };
+}
+
+/**
+ * Lists the steps of expanded flow requests in execution order, descending into included flows.
+ *
+ * @param {Array<Object>} requests - The requests of a flow, with includes expanded by `expandFlowIncludes`.
+ * @param {Array<Object>} [folders] - The include steps enclosing the requests.
+ * @returns {Array<{requestSpec: Object, folders: Array<Object>}>} Every step calling an operation, with the
+ *          include steps it is nested in, outermost first.
+ */
+function flattenFlowSteps(requests, folders = []) {
+  return orderSteps(requests).flatMap(requestSpec => isIncludeStep(requestSpec)
+    ? flattenFlowSteps(requestSpec.requests, [...folders, requestSpec])
+    : [{ requestSpec, folders }]);
+}
+
+/**
+ * Finds the `{{param.<name>}}` placeholders a flow uses, in its steps and root.
+ *
+ * @param {Object} testFlow - The flow.
+ * @returns {Set<string>} The parameter names.
+ */
+function collectFlowParams(testFlow) {
+  const content = JSON.stringify({ requests: testFlow?.requests, root: testFlow?.root });
+  return new Set([...content.matchAll(PARAM_PLACEHOLDER_PATTERN)].map(match => match[1]));
+}
+
+module.exports = {
+  PARAM_PLACEHOLDER_PATTERN,
+  isIncludeStep,
+  expandFlowIncludes,
+  flattenFlowSteps,
+  collectFlowParams
+};
@@ -0,0 +1,451 @@
+const fs = require('fs').promises;
+
+const { createRefContext } = require('./oas-refs');
+const { sampleSchema, getSchemaType } = require('./schema-sampler');
+const { inferVariableLinks } = require('./flow-variables');
+const { toFileSafeName } = require('./file-names');
+
+/**
+ * Order in which the operations of a smoke flow are called, by method: reads, then `post`s on a
+ * resource (e.g. `POST /pet/{petId}` updates or actions), updates and deletions last. `getSmokeRank`
+ * runs the `post`s on collection paths (e.g. `POST /pet`) before all of them, so that later steps can
+ * use the created resources (see `inferVariableLinks`).
+ */
+const SMOKE_METHOD_ORDER = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Values of the wrong type for every JSON schema type.
+ */
+const WRONG_TYPE_VALUES = {
+  string: 12345,
+  integer: 'not-a-number',
+  number: 'not-a-number',
+  boolean: 'not-a-boolean',
+  array: 'not-an-array',
+  object: 'not-an-object'
+};
+
+const INVALID_ENUM_VALUE = '__invalid_enum_value__';
+
+/**
+ * Generates test flows from the operations of a merged collection:
+ * - one smoke flow per folder (tag), calling every operation with its sample payload and sample
+ *   values for required parameters, and expecting a 2xx response
+ * - one negative flow per folder, with one step per schema violation derived from the JSON request
+ *   body and the parameters (missing required fields, wrong types, values out of range, invalid enum
+ *   values, strings shorter or longer than allowed), each expecting a 4xx response
+ *
+ * Violations are expressed as `merge_patch` overrides of the valid request, so the generated file
+ * reads like a hand-written `test-flows.json` and can be reviewed and edited before it is built.
+ * Steps reference their operation by `operation_id` (or `operation` when it has none); requests sharing
+ * their name with another request of the same folder get a `name` so their files do not collide.
+ *
+ * @param {Object} masterCollection - The merged collection from `mergeOpenApiCollections`.
+ * @returns {{name: string, test_flows: Array<Object>}} The generated test flows.
+ */
+function generateTestFlows(masterCollection) {
+  const smokeFlows = [];
+  const negativeFlows = [];
+
+  for (const { folder, items } of collectFolders(masterCollection)) {
+    const names = new Map();
+    items.forEach(item => names.set(item.name, (names.get(item.name) || 0) + 1));
+
+    const operations = items
+      .filter(item => item.openapi)
+      .map(item => ({ ...item, stepName: names.get(item.name) > 1 ? item.openapi.operationId || `${item.name} (${item.openapi.method.toUpperCase()})` : undefined }));
+
+    if (!operations.length)
+      continue;
+
+    const flowName = toFileSafeName(folder.split('/').join(' - '));
+
+    smokeFlows.push({
+      flow_name: `Smoke - ${flowName}`,
+      requests: generateSmokeSteps(operations, folder)
+    });
+
+    const negativeSteps = generateNegativeSteps(operations, folder);
+
+    if (negativeSteps.length) {
+      negativeFlows.push({
+        flow_name: `Negative - ${flowName}`,
+        infer_links: false,
+        requests: negativeSteps
+      });
+    }
+  }
+
+  return {
+    name: `${masterCollection.name} Generated Tests`,
+    test_flows: [...smokeFlows, ...negativeFlows].map((testFlow, index) => ({
+      flow_name: testFlow.flow_name,
+      seq: index + 1,
+      ...testFlow
+    }))
+  };
+}
+
+/**
+ * Generates the steps of a smoke flow. Required path and query parameters the converter left
+ * empty get a sample value, unless an earlier step of the flow creates the resource they address.
+ *
+ * @param {Array<Object>} items - The request items of the folder, with the `stepName` they need, if any.
+ * @param {string} folder - The folder path, e.g. `Swagger Petstore/pet`.
+ * @returns {Array<Object>} The steps.
+ */
+function generateSmokeSteps(items, folder) {
+  const ordered = [...items].sort((a, b) => getSmokeRank(a.openapi) - getSmokeRank(b.openapi)
+    || a.openapi.path.localeCompare(b.openapi.path));
+
+  const inferred = inferVariableLinks(ordered.map(item => ({ requestSpec: {}, originalRequest: item })));
+  const linkedVariables = new Set();
+
+  return ordered.map((item, index) => {
+    const step = { ...createStepReference(item, folder), seq: index + 1 };
+    const params = sampleRequiredParams(item, linkedVariables);
+
+    if (!hasSuccessResponse(item.openapi))
+      step.expected_response = '2XX';
+
+    if (Object.keys(params).length)
+      step.merge_patch = { params };
+
+    Object.keys(inferred[index]).forEach(variable => linkedVariables.add(variable));
+
+    return step;
+  });
+}
+
+/**
+ * Generates the steps of a negative flow: every violation of an operation's schemas becomes a
+ * step calling the otherwise valid request with the offending value, expecting a 4xx response.
+ *
+ * @param {Array<Object>} items - The request items of the folder, with the `stepName` they need, if any.
+ * @param {string} folder - The folder path, e.g. `Swagger Petstore/pet`.
+ * @returns {Array<Object>} The steps.
+ */
+function generateNegativeSteps(items, folder) {
+  const steps = [];
+
+  for (const item of items) {
+    const params = sampleRequiredParams(item, new Set());
+
+    for (const violation of [...describeParamViolations(item), ...describeBodyViolations(item)]) {
+      const mergePatch = {};
+
+      if (Object.keys(params).length || violation.params)
+        mergePatch.params = { ...params, ...violation.params };
+
+      if (violation.body)
+        mergePatch.body = { json: violation.body };
+
+      steps.push({
+        ...createStepReference(item, folder),
+        name: toFileSafeName(`${item.stepName ?? item.name} - ${violation.label}`),
+        seq: steps.length + 1,
+        expected_response: '4XX',
+        merge_patch: mergePatch
+      });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Derives invalid values for the path and query parameters of a request.
+ *
+ * @param {Object} item - The request item, with its `openapi` metadata.
+ * @returns {Array<{label: string, params: Object}>} The violations, as `params` merge patches.
+ */
+function describeParamViolations(item) {
+  const violations = [];
+  const requestParams = new Set((item.request?.params || []).map(param => param.name));
+
+  for (const parameter of item.openapi.parameters || []) {
+    if (!['path', 'query'].includes(parameter.in) || !requestParams.has(parameter.name))
+      continue;
+
+    if (parameter.in === 'query' && parameter.required)
+      violations.push({ label: `missing ${parameter.name}`, params: { [parameter.name]: null } });
+
+    // Every parameter value is a string on the wire, so only non-string types can be violated.
+    const violatesType = ['integer', 'number', 'boolean'].includes(getSchemaType(resolveSchema(parameter.schema, parameter.schema)));
+
+    for (const { kind, label, value } of describeValueViolations(parameter.name, parameter.schema, parameter.schema))
+      if (kind !== 'type' || violatesType)
+        violations.push({ label, params: { [parameter.name]: toParamValue(value) } });
+  }
+
+  return violations;
+}
+
+/**
+ * Derives invalid values for the top-level fields of a JSON request body. Only fields present in
+ * the sample body are considered, so every violation is a valid merge patch of the request.
+ *
+ * @param {Object} item - The request item, with its `openapi` metadata.
+ * @returns {Array<{label: string, body: Object}>} The violations, as `body.json` merge patches.
+ */
+function describeBodyViolations(item) {
+  const rootSchema = item.openapi.requestBody?.schema;
+
+  if (!rootSchema || item.request?.body?.mode !== 'json')
+    return [];
+
+  let sample;
+
+  try {
+    sample = JSON.parse(item.request.body.json);
+  } catch (error) {
+    return [];
+  }
+
+  const schema = resolveSchema(rootSchema, rootSchema);
+
+  if (!sample || typeof sample !== 'object' || Array.isArray(sample) || !schema.properties)
+    return [];
+
+  const violations = [];
+
+  for (const [field, fieldSchema] of Object.entries(schema.properties)) {
+    if (!(field in sample))
+      continue;
+
+    if ((schema.required || []).includes(field))
+      violations.push({ label: `missing ${field}`, body: { [field]: null } });
+
+    for (const { label, value } of describeValueViolations(field, fieldSchema, rootSchema))
+      violations.push({ label, body: { [field]: value } });
+  }
+
+  return violations;
+}
+
+/**
+ * Derives values violating a schema: a value of the wrong type, values just outside `minimum`/`maximum`,
+ * strings one character shorter than `minLength` or longer than `maxLength`, and a value outside `enum`.
+ *
+ * @param {string} name - The field or parameter name, used in the labels.
+ * @param {Object} schema - The schema of the value.
+ * @param {Object} rootSchema - The standalone schema `$ref`s are resolved against.
+ * @returns {Array<{kind: string, label: string, value: *}>} The violations; `kind` is `type`, `range`, `length` or `enum`.
+ */
+function describeValueViolations(name, schema, rootSchema) {
+  const resolved = resolveSchema(schema, rootSchema);
+  const type = getSchemaType(resolved);
+  const violations = [];
+
+  if (!type)
+    return violations;
+
+  const allowedTypes = Array.isArray(resolved.type) ? resolved.type : [type];
+
+  const wrongValue = WRONG_TYPE_VALUES[type];
+  const wrongValueTypes = typeof wrongValue === 'number' ? ['integer', 'number'] : ['string'];
+
+  if (wrongValue !== undefined && !allowedTypes.some(allowedType => wrongValueTypes.includes(allowedType)))
+    violations.push({ kind: 'type', label: `wrong type of ${name}`, value: wrongValue });
+
+  if (type === 'integer' || type === 'number') {
+    const below = typeof resolved.exclusiveMinimum === 'number' ? resolved.exclusiveMinimum
+      : resolved.minimum === undefined ? undefined
+        : resolved.exclusiveMinimum === true ? resolved.minimum : resolved.minimum - 1;
+    const above = typeof resolved.exclusiveMaximum === 'number' ? resolved.exclusiveMaximum
+      : resolved.maximum === undefined ? undefined
+        : resolved.exclusiveMaximum === true ? resolved.maximum : resolved.maximum + 1;
+
+    if (below !== undefined)
+      violations.push({ kind: 'range', label: `${name} below minimum`, value: below });
+
+    if (above !== undefined)
+      violations.push({ kind: 'range', label: `${name} above maximum`, value: above });
+  }
+
+  if (type === 'string') {
+    if (resolved.minLength > 0)
+      violations.push({ kind: 'length', label: `${name} too short`, value: 'x'.repeat(resolved.minLength - 1) });
+
+    if (resolved.maxLength !== undefined)
+      violations.push({ kind: 'length', label: `${name} too long`, value: 'x'.repeat(resolved.maxLength + 1) });
+  }
+
+  if (Array.isArray(resolved.enum) && resolved.enum.every(value => typeof value === 'string'))
+    violations.push({ kind: 'enum', label: `invalid ${name}`, value: INVALID_ENUM_VALUE });
+
+  const items = type === 'array' ? resolveSchema(resolved.items, rootSchema) : null;
+
+  if (Array.isArray(items?.enum) && items.enum.every(value => typeof value === 'string'))
+    violations.push({ kind: 'enum', label: `invalid ${name}`, value: [INVALID_ENUM_VALUE] });
+
+  return violations;
+}
+
+/**
+ * Samples values for the required path and query parameters a request leaves empty.
+ *
+ * @param {Object} item - The request item, with its `openapi` metadata.
+ * @param {Set<string>} linkedVariables - Parameters set by earlier steps of the flow, left alone.
+ * @returns {Object<string, string>} The sample values keyed by parameter name, as a `params` merge patch.
+ */
+function sampleRequiredParams(item, linkedVariables) {
+  const params = {};
+
+  for (const parameter of item.openapi.parameters || []) {
+    const requestParam = (item.request?.params || []).find(param => param.name === parameter.name && param.type === parameter.in);
+
+    if (!parameter.required || !requestParam || requestParam.value || linkedVariables.has(parameter.name))
+      continue;
+
+    const value = parameter.schema ? sampleSchema(parameter.schema, createRefContext(parameter.schema)) : undefined;
+
+    if (value !== undefined)
+      params[parameter.name] = toParamValue(value);
+    else if (parameter.in === 'path')
+      params[parameter.name] = '1';
+  }
+
+  return params;
+}
+
+/**
+ * Builds the keys a generated step references its operation with.
+ *
+ * @param {Object} item - The request item, with its `openapi` metadata and the `stepName` it needs, if any.
+ * @param {string} folder - The folder path, e.g. `Swagger Petstore/pet`.
+ * @returns {Object} The `operation_id` (or `operation`), `file_path` and, when needed, `name` of the step.
+ */
+function createStepReference(item, folder) {
+  const { operationId, method, path } = item.openapi;
+  const reference = operationId ? { operation_id: operationId } : { operation: `${method.toUpperCase()} ${path}` };
+
+  return { ...reference, file_path: folder, ...(item.stepName ? { name: toFileSafeName(item.stepName) } : {}) };
+}
+
+/**
+ * Resolves the local `$ref`s of a standalone schema and merges its `allOf` members, so that the
+ * keywords describing a value (`type`, `properties`, `enum`, ...) can be read directly.
+ *
+ * @param {Object} schema - The schema to resolve.
+ * @param {Object} rootSchema - The standalone schema holding the `definitions`.
+ * @param {Array<string>} [seen] - The references being resolved, used to stop at cycles.
+ * @returns {Object} The resolved schema.
+ */
+function resolveSchema(schema, rootSchema, seen = []) {
+  if (!schema || typeof schema !== 'object')
+    return {};
+
+  if (typeof schema.$ref === 'string') {
+    const match = /^#\/definitions\/(.+)$/.exec(schema.$ref);
+
+    if (!match || seen.includes(schema.$ref))
+      return {};
+
+    return resolveSchema(rootSchema.definitions?.[decodeURIComponent(match[1])], rootSchema, [...seen, schema.$ref]);
+  }
+
+  if (!Array.isArray(schema.allOf))
+    return schema;
+
+  const { allOf, definitions, ...ownSchema } = schema;
+
+  return [...allOf.map(member => resolveSchema(member, rootSchema, seen)), ownSchema].reduce((merged, member) => ({
+    ...merged,
+    ...member,
+    properties: { ...merged.properties, ...member.properties },
+    required: [...(merged.required || []), ...(member.required || [])]
+  }), {});
+}
+
+/**
+ * Collects the folders of a merged collection that directly contain requests.
+ *
+ * @param {Object} collection - The merged collection.
+ * @returns {Array<{folder: string, items: Array<Object>}>} The folders, by path, in collection order.
+ */
+function collectFolders(collection) {
+  const folders = [];
+
+  const visit = (items, folder) => {
+    const requests = (items || []).filter(item => item.type !== 'folder');
+
+    if (requests.length)
+      folders.push({ folder, items: requests });
+
+    for (const item of items || [])
+      if (item.type === 'folder')
+        visit(item.items, folder ? `${folder}/${item.name}` : item.name);
+  };
+
+  visit(collection.items, '');
+
+  return folders.filter(({ folder }) => folder);
+}
+
+/**
+ * Ranks an operation within a smoke flow: creations of collection resources first, then by method.
+ *
+ * @param {Object} operation - The operation metadata (`item.openapi`).
+ * @returns {number} The rank, lower runs first.
+ */
+function getSmokeRank(operation) {
+  if (operation.method === 'post' && !operation.path.includes('{'))
+    return -1;
+
+  return SMOKE_METHOD_ORDER.indexOf(operation.method);
+}
+
+/**
+ * Checks whether an operation documents a successful response.
+ *
+ * @param {Object} operation - The operation metadata (`item.openapi`).
+ * @returns {boolean} True if a 2xx or `2XX` response is documented; a `default` response, which may describe
+ *          errors, does not count.
+ */
+function hasSuccessResponse(operation) {
+  return Object.keys(operation.responses || {}).some(status => /^2(\d\d|XX)$/i.test(status));
+}
+
+/**
+ * Converts a sample value into a parameter value (arrays are comma separated, as in `style: form`).
+ *
+ * @param {*} value - The sample value.
+ * @returns {string} The parameter value.
+ */
+function toParamValue(value) {
+  if (Array.isArray(value))
+    return value.map(toParamValue).join(',');
+
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Generates smoke and negative test flows from the master collection and writes them to
+ * `generatedTestFlows`, ready to be reviewed and built with `createBrunoCollection`.
+ *
+ * @param {Object} config - The pipeline options (`masterCollection`, `generatedTestFlows`).
+ * @returns {Promise<Object>} The generated test flows.
+ * @throws {Error} If the master collection cannot be read or the file cannot be written.
+ */
+async function scaffoldTestFlows(config) {
+  try {
+    const masterCollection = JSON.parse(await fs.readFile(config.masterCollection, 'utf8'));
+    const testFlowSpec = generateTestFlows(masterCollection);
+
+    await fs.writeFile(config.generatedTestFlows, JSON.stringify(testFlowSpec, null, 2) + '\n');
+
+    const steps = testFlowSpec.test_flows.reduce((total, testFlow) => total + testFlow.requests.length, 0);
+    console.log(`✅ Generated ${testFlowSpec.test_flows.length} test flows (${steps} steps) at ${config.generatedTestFlows}`);
+
+    return testFlowSpec;
+  } catch (error) {
+    console.error('❌ Error generating test flows:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  generateTestFlows,
+  scaffoldTestFlows
+};
@@ -0,0 +1,244 @@
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Converts a JSONPath expression into a JavaScript accessor on the Bruno response body.
+ *
+ * Only plain paths are supported: `$`, `$.id`, `$.items[0].name`, `$['x-total']`.
+ * Wildcards, filters, slices and recursive descent are rejected.
+ *
+ * @param {string} jsonPath - The JSONPath expression.
+ * @returns {string} The accessor, e.g. `res.getBody()?.items?.[0]?.name`.
+ * @throws {Error} If the expression is not a supported JSONPath.
+ */
+function jsonPathToAccessor(jsonPath) {
+  if (typeof jsonPath !== 'string' || !jsonPath.startsWith('$'))
+    throw new Error(`JSONPath "${jsonPath}" must start with "$".`);
+
+  const segmentPattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]/y;
+  let accessor = 'res.getBody()';
+  let position = 1;
+
+  while (position < jsonPath.length) {
+    segmentPattern.lastIndex = position;
+    const match = segmentPattern.exec(jsonPath);
+
+    if (!match)
+      throw new Error(`Unsupported JSONPath "${jsonPath}" at "${jsonPath.slice(position)}"; only plain property and index paths are supported.`);
+
+    const [, dotName, index, singleQuoted, doubleQuoted] = match;
+    const name = dotName ?? singleQuoted ?? doubleQuoted;
+
+    if (index !== undefined)
+      accessor += `?.[${index}]`;
+    else if (IDENTIFIER_PATTERN.test(name))
+      accessor += `?.${name}`;
+    else
+      accessor += `?.[${JSON.stringify(name)}]`;
+
+    position = segmentPattern.lastIndex;
+  }
+
+  return accessor;
+}
+
+/**
+ * Converts the source of an extracted variable into a JavaScript expression evaluated after the response.
+ *
+ * Supported sources:
+ * - `"$.id"` or `{ "body": "$.id" }` - a JSONPath on the response body
+ * - `{ "header": "Location" }` - a response header
+ * - `{ "status": true }` - the response status code
+ *
+ * @param {string|Object} source - The extraction source.
+ * @returns {string} The JavaScript expression.
+ * @throws {Error} If the source is not supported.
+ */
+function extractionToExpression(source) {
+  if (typeof source === 'string')
+    return jsonPathToAccessor(source);
+
+  if (source && typeof source.body === 'string')
+    return jsonPathToAccessor(source.body);
+
+  if (source && typeof source.header === 'string')
+    return `res.getHeader(${JSON.stringify(source.header.toLowerCase())})`;
+
+  if (source && source.status === true)
+    return 'res.getStatus()';
+
+  throw new Error(`Unsupported extraction ${JSON.stringify(source)}; use a JSONPath, { "body": "$..." }, { "header": "..." } or { "status": true }.`);
+}
+
+/**
+ * Generates the post-response script storing extracted values as runtime variables.
+ *
+ * @param {Object<string, string|Object>} extract - Variable names mapped to their source.
+ * @returns {string} The script, one `bru.setVar` call per variable.
+ * @throws {Error} If a source is not supported.
+ */
+function generateExtractionScript(extract) {
+  return Object.entries(extract || {})
+    .map(([variable, source]) => `bru.setVar(${JSON.stringify(variable)}, ${extractionToExpression(source)});`)
+    .join('\n');
+}
+
+/**
+ * Appends the extraction script of a step to the post-response script of its request.
+ *
+ * @param {Object} request - The Bruno request (`item.request`).
+ * @param {Object<string, string|Object>} extract - Variable names mapped to their source.
+ * @returns {Object} A copy of the request with the extraction script.
+ */
+function applyExtractions(request, extract) {
+  const extractionScript = generateExtractionScript(extract);
+
+  if (!extractionScript)
+    return request;
+
+  return {
+    ...request,
+    script: {
+      ...request.script,
+      res: [request.script?.res, extractionScript].filter(Boolean).join('\n\n')
+    }
+  };
+}
+
+/**
+ * Replaces path params, query params and top-level JSON body fields named after available
+ * variables with `{{variable}}` placeholders.
+ *
+ * JSON body values keep their type: string values become `"{{variable}}"`, other values an
+ * unquoted `{{variable}}`, which Bruno interpolates before sending the request.
+ *
+ * @param {Object} brunoRequest - The Bruno request item from the merged collection.
+ * @param {Set<string>} variables - Names of the variables set by previous steps.
+ * @returns {Object} A copy of the request item with the placeholders.
+ */
+function substituteFlowVariables(brunoRequest, variables) {
+  const item = JSON.parse(JSON.stringify(brunoRequest));
+  const request = item.request;
+
+  if (!variables.size || !request)
+    return item;
+
+  for (const param of request.params || []) {
+    if (variables.has(param.name) && (param.type === 'path' || param.type === 'query')) {
+      param.value = `{{${param.name}}}`;
+      param.enabled = true;
+    }
+  }
+
+  if (request.body?.mode === 'json' && request.body.json) {
+    try {
+      const body = JSON.parse(request.body.json);
+
+      if (body && typeof body === 'object' && !Array.isArray(body)) {
+        const placeholders = {};
+
+        for (const key of Object.keys(body)) {
+          if (variables.has(key)) {
+            const token = `__flow_variable_${Object.keys(placeholders).length}__`;
+            placeholders[token] = typeof body[key] === 'string' ? `"{{${key}}}"` : `{{${key}}}`;
+            body[key] = token;
+          }
+        }
+
+        let json = JSON.stringify(body, null, 2);
+
+        for (const [token, placeholder] of Object.entries(placeholders))
+          json = json.replace(`"${token}"`, placeholder);
+
+        request.body.json = json;
+      }
+    } catch (error) {
+      // Bodies that are not plain JSON (e.g. already templated) are left untouched.
+    }
+  }
+
+  return item;
+}
+
+/**
+ * Infers obvious links between the steps of a flow: when a step creates a resource with
+ * `POST /pet` and a later step addresses `/pet/{petId}`, the `id` of the created resource is
+ * extracted into `petId`. Only path parameters named `id` or ending in `Id` are linked, and only
+ * if the creating step's documented response (when there is one) has a top-level `id`.
+ *
+ * @param {Array<{requestSpec: Object, originalRequest: Object}>} steps - The steps, in execution order.
+ * @returns {Array<Object<string, string>>} Inferred extractions per step, e.g. `[{ petId: "$.id" }, {}]`.
+ */
+function inferVariableLinks(steps) {
+  const inferred = steps.map(() => ({}));
+  const explicitVariables = new Set(steps.flatMap(step => Object.keys(step.requestSpec.extract || {})));
+
+  steps.forEach((step, stepIndex) => {
+    const operation = step.originalRequest?.openapi;
+
+    if (!operation?.path)
+      return;
+
+    for (const param of operation.path.match(/{[^}]+}/g) || []) {
+      const name = param.slice(1, -1);
+      const collectionPath = operation.path.slice(0, operation.path.indexOf(param) - 1);
+
+      if (!/^id$|Id$/.test(name) || explicitVariables.has(name) || stepSetsParam(step.requestSpec, name))
+        continue;
+
+      for (let creatorIndex = stepIndex - 1; creatorIndex >= 0; creatorIndex--) {
+        const creator = steps[creatorIndex].originalRequest?.openapi;
+
+        if (creator?.method === 'post' && creator.path === collectionPath && hasIdProperty(creator, steps[creatorIndex].requestSpec)) {
+          inferred[creatorIndex][name] = '$.id';
+          break;
+        }
+      }
+    }
+  });
+
+  return inferred;
+}
+
+/**
+ * Checks whether a step explicitly sets a parameter through its `parameters` override.
+ *
+ * @param {Object} requestSpec - The step.
+ * @param {string} name - The parameter name.
+ * @returns {boolean} True if the step provides a value for the parameter.
+ */
+function stepSetsParam(requestSpec, name) {
+  return (requestSpec.parameters || []).some(param => param.name === name && param.value);
+}
+
+/**
+ * Checks whether the expected response of a creating operation documents a top-level `id`.
+ * Expected responses that are not documented at all (no 2xx response, or an undocumented status
+ * class such as `2XX`) are given the benefit of the doubt.
+ *
+ * @param {Object} operation - The operation metadata (`item.openapi`).
+ * @param {Object} requestSpec - The creating step, whose `expected_response` may pick the response.
+ * @returns {boolean} True if the response may carry an `id`.
+ */
+function hasIdProperty(operation, requestSpec) {
+  const responses = operation.responses || {};
+  const status = requestSpec.expected_response ?? Object.keys(responses).find(key => /^2/.test(key));
+  const schema = responses[status]?.schema;
+
+  if (!schema)
+    return !responses[status];
+
+  const root = schema.allOf?.[0]?.$ref
+    ? schema.definitions?.[schema.allOf[0].$ref.split('/').pop()]
+    : schema;
+
+  return Boolean(root?.properties?.id || root?.allOf);
+}
+
+module.exports = {
+  jsonPathToAccessor,
+  extractionToExpression,
+  generateExtractionScript,
+  applyExtractions,
+  substituteFlowVariables,
+  inferVariableLinks
+};
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MANIFEST_FILE = '.bruno-testgen-manifest.json';
+const CONFLICT_SUFFIX = '.generated';
+const CONFLICT_STRATEGIES = ['merge', 'keep', 'overwrite'];
+
+/**
+ * Creates a writer that collects the files of a generated Bruno collection and then synchronizes
+ * them with the collection directory, preserving changes made by hand (see `syncGeneratedFiles`).
+ *
+ * @param {string} collectionDir - The directory the collection is written to.
+ * @param {{onConflict?: string}} [options] - How files edited by hand are handled.
+ * @returns {{writeFile: function(string, string): Promise<void>, commit: function(): Promise<Object>}}
+ *          `writeFile` records a generated file, `commit` writes the recorded files.
+ */
+function createIncrementalWriter(collectionDir, options = {}) {
+  const files = new Map();
+
+  return {
+    writeFile: async (filePath, content) => {
+      files.set(toManifestPath(path.relative(collectionDir, filePath)), content);
+    },
+    commit: () => syncGeneratedFiles(collectionDir, files, options)
+  };
+}
+
+/**
+ * Synchronizes generated files with a collection directory.
+ *
+ * A manifest in the directory records the hash and content produced by the previous run of every
+ * file. The hash tells files edited by hand apart from stale ones, the content is the base of merges:
+ * - files whose generated content did not change are left untouched
+ * - files that were not edited by hand are rewritten when their generated content changed
+ * - files edited by hand are kept while their generated content stays the same; when it changes,
+ *   `onConflict` decides: `merge` (default) merges the hand edits into the new content line by line,
+ *   `keep` keeps the edited file, `overwrite` replaces it
+ * - generated files that are no longer produced (e.g. removed steps) are deleted, unless they
+ *   were edited by hand and `onConflict` is not `overwrite`
+ * Files the generator never produced are never touched.
+ *
+ * When a merge conflicts, the edited file is kept and the new content is written next to it with a
+ * `.generated` suffix. The run fails while `.generated` files remain; delete them once resolved.
+ *
+ * @param {string} collectionDir - The directory the collection is written to.
+ * @param {Map<string, string>} files - Generated content keyed by path relative to the directory.
+ * @param {{onConflict?: string}} [options] - How files edited by hand are handled.
+ * @returns {Promise<{created: Array<string>, updated: Array<string>, unchanged: Array<string>, kept: Array<string>,
+ *          merged: Array<string>, removed: Array<string>, conflicts: Array<string>}>} The paths per outcome.
+ * @throws {Error} If `onConflict` is invalid, or if merges conflicted.
+ */
+async function syncGeneratedFiles(collectionDir, files, options = {}) {
+  const onConflict = options.onConflict || 'merge';
+
+  if (!CONFLICT_STRATEGIES.includes(onConflict))
+    throw new Error(`Unknown conflict strategy "${onConflict}"; use ${CONFLICT_STRATEGIES.join(', ')}.`);
+
+  const manifest = await readManifest(collectionDir);
+  const nextManifest = { version: 1, files: {} };
+  const summary = { created: [], updated: [], unchanged: [], kept: [], merged: [], removed: [], conflicts: [] };
+
+  for (const [relativePath, generated] of files) {
+    const filePath = path.join(collectionDir, relativePath);
+    const baseEntry = manifest.files[relativePath];
+    const base = baseEntry?.content;
+    const current = await readFileIfExists(filePath);
+
+    nextManifest.files[relativePath] = { hash: hashContent(generated), content: generated };
+
+    if (current === null) {
+      await writeFile(filePath, generated);
+      summary.created.push(relativePath);
+    } else if (current === generated) {
+      summary.unchanged.push(relativePath);
+    } else if (hashContent(current) === baseEntry?.hash || onConflict === 'overwrite') {
+      await writeFile(filePath, generated);
+      summary.updated.push(relativePath);
+    } else if (nextManifest.files[relativePath].hash === baseEntry?.hash || onConflict === 'keep') {
+      summary.kept.push(relativePath);
+    } else {
+      const { content, conflict } = typeof base !== 'string'
+        ? { content: current, conflict: true }
+        : threeWayMerge(base, current, generated);
+
+      if (conflict) {
+        await writeFile(filePath + CONFLICT_SUFFIX, generated);
+        summary.conflicts.push(relativePath);
+      } else {
+        await writeFile(filePath, content);
+        summary.merged.push(relativePath);
+      }
+    }
+
+    if (!summary.conflicts.includes(relativePath) && await readFileIfExists(filePath + CONFLICT_SUFFIX) !== null)
+      summary.conflicts.push(relativePath);
+  }
+
+  for (const [relativePath, entry] of Object.entries(manifest.files)) {
+    if (files.has(relativePath))
+      continue;
+
+    const filePath = path.join(collectionDir, relativePath);
+    const current = await readFileIfExists(filePath);
+
+    if (current === null)
+      continue;
+
+    if (hashContent(current) === entry.hash || onConflict === 'overwrite') {
+      await fs.rm(filePath);
+      await removeEmptyDirectories(path.dirname(filePath), collectionDir);
+      summary.removed.push(relativePath);
+    } else {
+      console.warn(`${relativePath} is no longer generated but was edited by hand; it is kept.`);
+      summary.kept.push(relativePath);
+    }
+  }
+
+  await fs.writeFile(path.join(collectionDir, MANIFEST_FILE), JSON.stringify(nextManifest, null, 2));
+
+  console.log(`✅ Collection synchronized at ${collectionDir}: ${Object.entries(summary)
+    .filter(([outcome]) => outcome !== 'conflicts')
+    .map(([outcome, paths]) => `${paths.length} ${outcome}`)
+    .join(', ')}`);
+
+  for (const relativePath of summary.kept)
+    if (files.has(relativePath))
+      console.log(`   kept hand edits in ${relativePath}`);
+
+  for (const relativePath of summary.merged)
+    console.log(`   merged hand edits into ${relativePath}`);
+
+  if (summary.conflicts.length)
+    throw new Error(`Conflicting hand edits in ${summary.conflicts.length} file(s): ${summary.conflicts.join(', ')}. `
+      + `Merge the "${CONFLICT_SUFFIX}" files into them and delete the "${CONFLICT_SUFFIX}" files.`);
+
+  return summary;
+}
+
+/**
+ * Merges two versions of a text derived from a common base, line by line (diff3).
+ * Changes made on one side only are taken from that side; identical changes are taken once.
+ *
+ * @param {string} base - The common ancestor.
+ * @param {string} ours - The version edited by hand.
+ * @param {string} theirs - The newly generated version.
+ * @returns {{content: string, conflict: boolean}} The merged text, and whether both sides changed the same lines differently.
+ */
+function threeWayMerge(base, ours, theirs) {
+  const baseLines = base.split('\n');
+  const ourLines = ours.split('\n');
+  const theirLines = theirs.split('\n');
+
+  const ourMatches = matchLines(baseLines, ourLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+
+  const merged = [];
+  let conflict = false;
+  let baseIndex = 0;
+  let ourIndex = 0;
+  let theirIndex = 0;
+
+  while (baseIndex < baseLines.length || ourIndex < ourLines.length || theirIndex < theirLines.length) {
+    if (baseIndex < baseLines.length && ourMatches[baseIndex] === ourIndex && theirMatches[baseIndex] === theirIndex) {
+      merged.push(baseLines[baseIndex]);
+      baseIndex++;
+      ourIndex++;
+      theirIndex++;
+      continue;
+    }
+
+    let nextStable = baseIndex;
+
+    while (nextStable < baseLines.length && (ourMatches[nextStable] === -1 || theirMatches[nextStable] === -1))
+      nextStable++;
+
+    const ourEnd = nextStable < baseLines.length ? ourMatches[nextStable] : ourLines.length;
+    const theirEnd = nextStable < baseLines.length ? theirMatches[nextStable] : theirLines.length;
+
+    const baseChunk = baseLines.slice(baseIndex, nextStable);
+    const ourChunk = ourLines.slice(ourIndex, ourEnd);
+    const theirChunk = theirLines.slice(theirIndex, theirEnd);
+
+    if (sameLines(ourChunk, baseChunk))
+      merged.push(...theirChunk);
+    else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk))
+      merged.push(...ourChunk);
+    else {
+      merged.push(...ourChunk);
+      conflict = true;
+    }
+
+    baseIndex = nextStable;
+    ourIndex = ourEnd;
+    theirIndex = theirEnd;
+  }
+
+  return { content: merged.join('\n'), conflict };
+}
+
+/**
+ * Matches the lines of a base text to another version with a longest common subsequence.
+ *
+ * @param {Array<string>} baseLines - The lines of the base.
+ * @param {Array<string>} otherLines - The lines of the other version.
+ * @returns {Array<number>} For every base line, the index of the matching line, or -1 if it was changed or removed.
+ */
+function matchLines(baseLines, otherLines) {
+  const lengths = Array.from({ length: baseLines.length + 1 }, () => new Uint32Array(otherLines.length + 1));
+
+  for (let i = baseLines.length - 1; i >= 0; i--)
+    for (let j = otherLines.length - 1; j >= 0; j--)
+      lengths[i][j] = baseLines[i] === otherLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+
+  const matches = new Array(baseLines.length).fill(-1);
+
+  for (let i = 0, j = 0; i < baseLines.length && j < otherLines.length;) {
+    if (baseLines[i] === otherLines[j]) {
+      matches[i++] = j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Compares two lists of lines.
+ *
+ * @param {Array<string>} first - The first lines.
+ * @param {Array<string>} second - The second lines.
+ * @returns {boolean} True if both contain the same lines.
+ */
+function sameLines(first, second) {
+  return first.length === second.length && first.every((line, index) => line === second[index]);
+}
+
+/**
+ * Reads the manifest of a collection directory.
+ *
+ * @param {string} collectionDir - The collection directory.
+ * @returns {Promise<{version: number, files: Object<string, {hash: string, content: string}>}>}
+ *          The manifest, empty if the directory has none.
+ */
+async function readManifest(collectionDir) {
+  const content = await readFileIfExists(path.join(collectionDir, MANIFEST_FILE));
+
+  if (content === null)
+    return { version: 1, files: {} };
+
+  try {
+    const manifest = JSON.parse(content);
+    return { version: 1, files: manifest.files || {} };
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${MANIFEST_FILE} in ${collectionDir}: ${error.message}`);
+    return { version: 1, files: {} };
+  }
+}
+
+/**
+ * Reads a file, returning null if it does not exist.
+ *
+ * @param {string} filePath - The file path.
+ * @returns {Promise<string|null>} The content.
+ */
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT')
+      return null;
+
+    throw error;
+  }
+}
+
+/**
+ * Writes a file, creating its directory.
+ *
+ * @param {string} filePath - The file path.
+ * @param {string} content - The content.
+ * @returns {Promise<void>}
+ */
+async function writeFile(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+}
+
+/**
+ * Removes a directory and its parents up to (excluding) the collection directory while they are empty.
+ *
+ * @param {string} directory - The directory to start from.
+ * @param {string} collectionDir - The collection directory.
+ * @returns {Promise<void>}
+ */
+async function removeEmptyDirectories(directory, collectionDir) {
+  while (path.resolve(directory) !== path.resolve(collectionDir)) {
+    if ((await fs.readdir(directory)).length)
+      return;
+
+    await fs.rmdir(directory);
+    directory = path.dirname(directory);
+  }
+}
+
+/**
+ * Hashes generated content for the manifest.
+ *
+ * @param {string} content - The content.
+ * @returns {string} The SHA-256 hash, hex encoded.
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Converts a relative path into the `/`-separated form stored in the manifest.
+ *
+ * @param {string} relativePath - The relative path.
+ * @returns {string} The manifest path.
+ */
+function toManifestPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  CONFLICT_STRATEGIES,
+  createIncrementalWriter,
+  syncGeneratedFiles,
+  threeWayMerge
+};
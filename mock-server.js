@@ -0,0 +1,478 @@
+const fs = require('fs').promises;
+const http = require('http');
+
+const { indexOperations } = require('./spec-drift');
+const { readSpecFile } = require('./oas-loader');
+const { normalizeOpenApiSpec } = require('./oas-normalizer');
+const { createRefContext, resolvePointer, dereference, bundleSpec } = require('./oas-refs');
+const { sampleSchema } = require('./schema-sampler');
+const { getMediaExample } = require('./request-bodies');
+const { isJsonMediaType, selectExpectedResponse } = require('./response-assertions');
+const { toVariableName, getBaseUrlVariable } = require('./environment-generation');
+
+/**
+ * Responses carry `readOnly` properties (ids, timestamps) and never `writeOnly` ones (passwords).
+ */
+const RESPONSE_SAMPLE_OPTIONS = { skipReadOnly: false, skipWriteOnly: true };
+
+/**
+ * Loads the routes of the mock server: one per operation of the merged collection, served under
+ * `/<service>` (the service name as a variable name, e.g. `/swagger_petstore/pet/{petId}`).
+ *
+ * The response bodies come from the specification each operation was converted from (its `openapi.source`):
+ * the `example`, else the first of the `examples`, else a value synthesized from the schema. Operations whose
+ * specification can no longer be read fall back to the response schemas recorded in the collection.
+ *
+ * @param {Object} masterCollection - The merged collection from `mergeOpenApiCollections`.
+ * @returns {Promise<Array<Object>>} The routes: `{ service, prefix, method, path, pattern, paramNames, literals, responses }`,
+ *          where `responses` maps each documented status to `{ contentType, body }`.
+ */
+async function loadMockRoutes(masterCollection) {
+  const specifications = new Map();
+  const routes = [];
+
+  for (const operation of indexOperations(masterCollection).values()) {
+    const file = operation.source?.file;
+
+    if (file && !specifications.has(file))
+      specifications.set(file, await loadSpecification(file));
+
+    const specification = file ? specifications.get(file) : null;
+    const paramNames = [];
+    const pattern = operation.path.split('/').map(segment => segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/{([^{}]+)}/g, (placeholder, name) => {
+        paramNames.push(name);
+        return '([^/]+)';
+      })).join('/');
+
+    routes.push({
+      service: operation.service,
+      prefix: `/${toVariableName(operation.service)}`,
+      method: operation.method,
+      path: operation.path,
+      pattern: new RegExp(`^${pattern}/?$`),
+      paramNames,
+      literals: operation.path.split('/').filter(segment => segment && !segment.includes('{')).length,
+      responses: specification
+        ? createSpecResponses(specification, operation)
+        : createCollectionResponses(operation)
+    });
+  }
+
+  return routes;
+}
+
+/**
+ * Reads, bundles and normalizes a specification the way `convertSpecToBruno` does.
+ *
+ * @param {string} file - Path of the specification, as recorded in the `openapi.source` of the collection.
+ * @returns {Promise<{document: Object, context: Object}|null>} The normalized specification and its reference
+ *          resolution context, or null if it cannot be read.
+ */
+async function loadSpecification(file) {
+  try {
+    const document = normalizeOpenApiSpec(await bundleSpec(await readSpecFile(file), file));
+    return { document, context: createRefContext(document, file) };
+  } catch (error) {
+    console.warn(`Could not read ${file} (${error.message}); its operations answer with the schemas of the collection.`);
+    return null;
+  }
+}
+
+/**
+ * Builds the mock responses of an operation from its specification.
+ *
+ * @param {{document: Object, context: Object}} specification - The normalized specification.
+ * @param {Object} operation - The operation, as described by `describeOperation`.
+ * @returns {Object<string, {contentType: string|null, body: *}>} The responses, by status.
+ */
+function createSpecResponses(specification, operation) {
+  const { value: specOperation, context } = dereference(resolvePointer(specification.document, operation.source.pointer), specification.context);
+
+  if (!specOperation?.responses)
+    return createCollectionResponses(operation);
+
+  const responses = {};
+
+  for (const [status, responseNode] of Object.entries(specOperation.responses)) {
+    const { value: response, context: responseContext } = dereference(responseNode, context);
+    const contentType = selectMediaType(Object.keys(response?.content || {}));
+
+    responses[status] = {
+      contentType,
+      body: contentType ? getMediaExample(response.content[contentType], responseContext, RESPONSE_SAMPLE_OPTIONS) : undefined
+    };
+  }
+
+  return responses;
+}
+
+/**
+ * Builds the mock responses of an operation from the standalone response schemas recorded in the collection.
+ *
+ * @param {Object} operation - The operation, as described by `describeOperation`.
+ * @returns {Object<string, {contentType: string|null, body: *}>} The responses, by status.
+ */
+function createCollectionResponses(operation) {
+  const responses = {};
+
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    const contentType = selectMediaType(response.contentTypes || []);
+
+    responses[status] = {
+      contentType,
+      body: contentType && response.schema
+        ? sampleSchema(response.schema, createRefContext(response.schema), RESPONSE_SAMPLE_OPTIONS)
+        : undefined
+    };
+  }
+
+  return responses;
+}
+
+/**
+ * Picks the media type a response is served as: the first JSON one, else the first one.
+ *
+ * @param {Array<string>} mediaTypes - The documented media types.
+ * @returns {string|null} The media type, or null if the response has no body.
+ */
+function selectMediaType(mediaTypes) {
+  return mediaTypes.find(isJsonMediaType) || mediaTypes[0] || null;
+}
+
+/**
+ * Finds the route of a request. Routes with more literal segments win, so `/pet/findByStatus` is
+ * preferred over `/pet/{petId}`.
+ *
+ * @param {Array<Object>} routes - The routes from `loadMockRoutes`.
+ * @param {string} method - The request method.
+ * @param {string} pathname - The request path, including the service prefix.
+ * @returns {{route: Object|null, params: Object, allowedMethods: Array<string>}} The matching route and its path
+ *          parameters, or the methods the path supports if none matches the method.
+ * @throws {URIError} If a path parameter is not a valid percent-encoded value.
+ */
+function matchRoute(routes, method, pathname) {
+  const candidates = routes
+    .filter(route => pathname === route.prefix || pathname.startsWith(`${route.prefix}/`))
+    .map(route => ({ route, match: route.pattern.exec(pathname.slice(route.prefix.length) || '/') }))
+    .filter(candidate => candidate.match)
+    .sort((a, b) => b.route.literals - a.route.literals);
+
+  const candidate = candidates.find(({ route }) => route.method === method.toUpperCase());
+
+  if (!candidate)
+    return { route: null, params: {}, allowedMethods: [...new Set(candidates.map(({ route }) => route.method))] };
+
+  const params = Object.fromEntries(candidate.route.paramNames
+    .map((name, index) => [name, decodeURIComponent(candidate.match[index + 1])]));
+
+  return { route: candidate.route, params, allowedMethods: [] };
+}
+
+/**
+ * Picks the status a route answers with: the one requested with a `Prefer: code=<status>` header, else
+ * a success: the documented success response (`selectExpectedResponse`), or, for operations documenting
+ * only errors, `201` for `POST` and `200` otherwise. Documented error responses are only served when asked for.
+ *
+ * @param {Object} route - The route.
+ * @param {string} [preferHeader] - The `Prefer` header of the request.
+ * @returns {{status: number, response: Object|null}} The HTTP status and its documented response, if any.
+ */
+function selectMockResponse(route, preferHeader) {
+  const preferredCode = /\bcode=(\w+)/.exec(preferHeader || '')?.[1];
+  const key = selectExpectedResponse(route.responses, preferredCode);
+
+  if (key)
+    return { status: toStatusCode(key), response: route.responses[key] };
+
+  if (preferredCode !== undefined)
+    return { status: Number(preferredCode) || 200, response: null };
+
+  return { status: route.method === 'POST' ? 201 : 200, response: null };
+}
+
+/**
+ * Turns the key of a documented response into an HTTP status: `2XX` becomes 200, `default` 200.
+ *
+ * @param {string} key - The response key.
+ * @returns {number} The status code.
+ */
+function toStatusCode(key) {
+  if (/^\d{3}$/.test(key))
+    return Number(key);
+
+  const range = /^([1-5])XX$/i.exec(key);
+  return range ? Number(range[1]) * 100 : 200;
+}
+
+/**
+ * Applies a request to the in-memory resources of the stateful mode.
+ *
+ * Resources live in collections keyed by path: `POST /pet` stores the body in `/pet` (assigning an `id`
+ * if it has none), `PUT /pet` replaces the stored resource with the same `id`, `GET /pet` lists them.
+ * `/pet/{petId}` addresses the resource of `/pet` whose `petId` field, else `id` field, matches: `GET` reads it,
+ * `PUT` replaces it, `PATCH` and `POST` update its fields and `DELETE` removes it. Unknown resources answer 404.
+ * Collections nothing was created in yet, other operations and requests asking for an error status
+ * (`Prefer: code=404`) are answered statelessly.
+ *
+ * @param {Object} route - The route.
+ * @param {Object} params - The path parameters.
+ * @param {*} body - The parsed request body.
+ * @param {Map<string, {resources: Array<Object>, nextId: number}>} store - The in-memory collections.
+ * @returns {{found: boolean, body: *}|null} The resulting resource, whether the addressed resource exists, or null
+ *          if the request is answered statelessly.
+ */
+function applyResourceState(route, params, body, store) {
+  const segments = route.path.split('/');
+  const itemParam = /^{([^{}]+)}$/.exec(segments[segments.length - 1])?.[1];
+  const key = `${route.service}|${itemParam ? segments.slice(0, -1).join('/') : route.path}`;
+  const isResource = body !== null && typeof body === 'object' && !Array.isArray(body);
+
+  if (!itemParam) {
+    if (route.method === 'POST' && isResource) {
+      if (!store.has(key))
+        store.set(key, { resources: [], nextId: 1 });
+
+      const collection = store.get(key);
+      const resource = { ...body, id: body.id ?? collection.nextId++ };
+
+      collection.resources = [...collection.resources.filter(existing => String(existing.id) !== String(resource.id)), resource];
+      return { found: true, body: resource };
+    }
+
+    if (!store.has(key))
+      return null;
+
+    const collection = store.get(key);
+
+    if (route.method === 'GET')
+      return { found: true, body: collection.resources };
+
+    if (route.method === 'PUT' && isResource) {
+      const index = collection.resources.findIndex(existing => String(existing.id) === String(body.id));
+
+      if (index === -1)
+        return { found: false, body: undefined };
+
+      collection.resources[index] = body;
+      return { found: true, body };
+    }
+
+    return null;
+  }
+
+  if (!store.has(key))
+    return null;
+
+  const collection = store.get(key);
+  const value = params[itemParam];
+  const index = collection.resources.findIndex(existing => String(existing[itemParam] ?? existing.id) === value);
+
+  if (index === -1)
+    return { found: false, body: undefined };
+
+  const existing = collection.resources[index];
+
+  switch (route.method) {
+    case 'GET':
+      return { found: true, body: existing };
+    case 'DELETE':
+      collection.resources.splice(index, 1);
+      return { found: true, body: undefined };
+    case 'PUT':
+      collection.resources[index] = isResource ? { ...body, id: body.id ?? existing.id } : existing;
+      return { found: true, body: collection.resources[index] };
+    case 'PATCH':
+    case 'POST':
+      collection.resources[index] = isResource ? { ...existing, ...body } : existing;
+      return { found: true, body: collection.resources[index] };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads and parses the body of a request: JSON and form-urlencoded bodies become objects, others stay text.
+ *
+ * @param {http.IncomingMessage} request - The request.
+ * @returns {Promise<*>} The body, or `undefined` if it is empty.
+ * @throws {SyntaxError} If a JSON body is malformed.
+ */
+async function readRequestBody(request) {
+  const chunks = [];
+
+  for await (const chunk of request)
+    chunks.push(chunk);
+
+  const content = Buffer.concat(chunks).toString('utf8');
+  const contentType = String(request.headers['content-type'] || '').split(';')[0].trim();
+
+  if (!content)
+    return undefined;
+
+  if (isJsonMediaType(contentType))
+    return JSON.parse(content);
+
+  if (contentType === 'application/x-www-form-urlencoded')
+    return Object.fromEntries(new URLSearchParams(content));
+
+  return content;
+}
+
+/**
+ * Writes a response. Bodies that are not strings, or are served as JSON, are serialized as JSON.
+ *
+ * @param {http.ServerResponse} response - The response.
+ * @param {number} status - The HTTP status.
+ * @param {*} body - The body, or `undefined` for none.
+ * @param {string|null} [contentType] - The media type of the body.
+ * @param {Object} [headers] - Additional headers.
+ */
+function sendResponse(response, status, body, contentType, headers = {}) {
+  if (body === undefined) {
+    response.writeHead(status, headers);
+    response.end();
+    return;
+  }
+
+  const isJson = typeof body !== 'string' || !contentType || isJsonMediaType(contentType);
+
+  response.writeHead(status, {
+    ...headers,
+    'Content-Type': isJson ? (contentType && isJsonMediaType(contentType) ? contentType : 'application/json') : contentType
+  });
+  response.end(isJson ? JSON.stringify(body) : body);
+}
+
+/**
+ * Answers a request to the mock server.
+ *
+ * @param {http.IncomingMessage} request - The request.
+ * @param {http.ServerResponse} response - The response.
+ * @param {Array<Object>} routes - The routes from `loadMockRoutes`.
+ * @param {Map<string, Object>|null} store - The in-memory collections of the stateful mode, or null.
+ * @returns {Promise<number>} The HTTP status sent.
+ */
+async function handleMockRequest(request, response, routes, store) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  let match;
+
+  try {
+    match = matchRoute(routes, request.method, pathname);
+  } catch (error) {
+    if (!(error instanceof URIError))
+      throw error;
+
+    sendResponse(response, 400, { message: `Invalid path parameter in ${pathname}: ${error.message}` });
+    return 400;
+  }
+
+  const { route, params, allowedMethods } = match;
+
+  if (!route) {
+    if (allowedMethods.length) {
+      sendResponse(response, 405, { message: `${request.method} is not documented for ${pathname}` }, null, { Allow: allowedMethods.join(', ') });
+      return 405;
+    }
+
+    sendResponse(response, 404, { message: `No operation matches ${pathname}` });
+    return 404;
+  }
+
+  let body;
+
+  try {
+    body = await readRequestBody(request);
+  } catch (error) {
+    sendResponse(response, 400, { message: `Invalid request body: ${error.message}` });
+    return 400;
+  }
+
+  const { status, response: documented } = selectMockResponse(route, request.headers.prefer);
+  const state = store && status < 300 ? applyResourceState(route, params, body, store) : null;
+
+  if (state && !state.found) {
+    sendResponse(response, 404, { message: `No resource matches ${pathname}` });
+    return 404;
+  }
+
+  const responseBody = state && (documented?.contentType || !documented) ? state.body : documented?.body;
+  sendResponse(response, status, responseBody, documented?.contentType);
+
+  return status;
+}
+
+/**
+ * Starts a local HTTP server answering the operations of the merged collection with the examples of
+ * their specifications, or responses synthesized from their schemas, so generated test collections can
+ * be smoke-run with `bru run` without live backends.
+ *
+ * Each service is served under `/<service>` (e.g. `http://127.0.0.1:4010/swagger_petstore`), the value to give
+ * its `<service>_base_url` variable. Requests answer with the default expected response of the generated
+ * tests, or the status asked for with a `Prefer: code=<status>` header. With `mockStateful`, created resources are
+ * kept in memory and read, updated and deleted by the following requests (see `applyResourceState`).
+ *
+ * @param {Object} config - The pipeline options (`masterCollection`, `mockHost`, `mockPort`, `mockStateful`).
+ * @returns {Promise<http.Server>} The listening server.
+ * @throws {Error} If the collection cannot be read or the server cannot listen.
+ */
+async function startMockServer(config) {
+  const port = Number(config.mockPort);
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535)
+    throw new Error(`Invalid mock server port "${config.mockPort}".`);
+
+  let masterCollection;
+  let routes;
+
+  try {
+    masterCollection = JSON.parse(await fs.readFile(config.masterCollection, 'utf8'));
+    routes = await loadMockRoutes(masterCollection);
+  } catch (error) {
+    console.error('❌ Error loading the mock server operations:', error.message);
+    throw error;
+  }
+
+  const store = config.mockStateful ? new Map() : null;
+
+  const server = http.createServer((request, response) => {
+    handleMockRequest(request, response, routes, store)
+      .then(status => console.log(`${request.method} ${request.url} → ${status}`))
+      .catch((error) => {
+        console.error(`❌ ${request.method} ${request.url} failed:`, error.message);
+
+        if (!response.headersSent)
+          sendResponse(response, 500, { message: error.message });
+      });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, config.mockHost, resolve);
+  });
+
+  const address = `http://${config.mockHost}:${server.address().port}`;
+  const services = [...new Set(routes.map(route => route.service))];
+  const environment = masterCollection.environments?.[0]?.name;
+
+  console.log(`✅ Mock server listening on ${address}${store ? ' (stateful)' : ''}`);
+
+  for (const service of services)
+    console.log(`   ${service}: ${address}/${toVariableName(service)} (${routes.filter(route => route.service === service).length} operations)`);
+
+  console.log([
+    '   Run the test collection against it with:',
+    `   bru run${environment ? ` --env "${environment}"` : ''} ${services
+      .map(service => `--env-var ${getBaseUrlVariable(service)}=${address}/${toVariableName(service)}`).join(' ')}`
+  ].join('\n'));
+
+  return server;
+}
+
+module.exports = {
+  loadMockRoutes,
+  matchRoute,
+  applyResourceState,
+  handleMockRequest,
+  startMockServer
+};
@@ -0,0 +1,115 @@
+const yaml = require('js-yaml');
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SPEC_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+/**
+ * Checks whether a location designates a remote (http/https) document.
+ *
+ * @param {string} location - A file path or URL.
+ * @returns {boolean} True for http(s) URLs.
+ */
+function isRemoteLocation(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+/**
+ * Recursively lists the JSON and YAML files (`.json`, `.yaml`, `.yml`) in a directory.
+ *
+ * @param {string} inputDir - The directory to scan.
+ * @returns {Promise<Array<string>>} Paths of the matching files, sorted for a stable order.
+ */
+async function findSpecFiles(inputDir) {
+  const entries = await fs.readdir(inputDir, { withFileTypes: true });
+  let files = [];
+
+  for (const entry of entries) {
+    const entryPath = path.join(inputDir, entry.name);
+
+    if (entry.isDirectory())
+      files = files.concat(await findSpecFiles(entryPath));
+    else if (entry.isFile() && SPEC_FILE_PATTERN.test(entry.name))
+      files.push(entryPath);
+  }
+
+  return files.sort();
+}
+
+/**
+ * Parses the textual content of a JSON or YAML document.
+ *
+ * The format is picked from the file extension; unknown extensions are parsed as YAML,
+ * which is a superset of JSON. Parse errors are rethrown with the file name and the
+ * line/column of the problem.
+ *
+ * @param {string} content - The document content.
+ * @param {string} location - The file path or URL the content was read from.
+ * @returns {Object} The parsed document.
+ * @throws {Error} If the content is not valid JSON/YAML.
+ */
+function parseSpecContent(content, location) {
+  const isJson = /\.json$/i.test(location.split(/[?#]/)[0]);
+
+  try {
+    return isJson ? JSON.parse(content) : yaml.load(content, { filename: location });
+  } catch (error) {
+    if (isJson) {
+      const position = Number(/position (\d+)/.exec(error.message)?.[1]);
+
+      if (!Number.isNaN(position)) {
+        const lines = content.slice(0, position).split('\n');
+        throw new Error(`Invalid JSON in "${location}" (${lines.length}:${lines[lines.length - 1].length + 1}): ${error.message}`);
+      }
+
+      throw new Error(`Invalid JSON in "${location}": ${error.message}`);
+    }
+
+    throw new Error(`Invalid YAML in "${location}": ${error.reason || error.message}` +
+      (error.mark ? ` (${error.mark.line + 1}:${error.mark.column + 1})` : ''));
+  }
+}
+
+/**
+ * Reads and parses a JSON or YAML document from disk or from an http(s) URL.
+ *
+ * @param {string} location - The file path or URL to read.
+ * @returns {Promise<Object>} The parsed document.
+ * @throws {Error} If the document cannot be read or parsed.
+ */
+async function readSpecFile(location) {
+  let content;
+
+  if (isRemoteLocation(location)) {
+    const response = await fetch(location);
+
+    if (!response.ok)
+      throw new Error(`Could not fetch "${location}": HTTP ${response.status}`);
+
+    content = await response.text();
+  } else {
+    content = await fs.readFile(location, 'utf8');
+  }
+
+  return parseSpecContent(content, location);
+}
+
+/**
+ * Checks whether a parsed document is the root of an API description rather than
+ * a fragment (schemas, parameters, ...) referenced by one.
+ *
+ * @param {Object} document - The parsed document.
+ * @returns {boolean} True if the document declares `openapi` or `swagger`.
+ */
+function isRootSpec(document) {
+  return Boolean(document && typeof document === 'object' && (document.openapi || document.swagger));
+}
+
+module.exports = {
+  isRemoteLocation,
+  findSpecFiles,
+  parseSpecContent,
+  readSpecFile,
+  isRootSpec
+};
@@ -0,0 +1,437 @@
+const SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum',
+  'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems',
+  'multipleOf'
+];
+
+const OAUTH2_FLOW_NAMES = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode'
+};
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Detects the specification version of an API description.
+ *
+ * @param {Object} apiSpec - The parsed API description.
+ * @returns {string} One of `"2.0"`, `"3.0"` or `"3.1"`.
+ * @throws {Error} If the document is neither Swagger 2.0 nor OpenAPI 3.x.
+ */
+function detectSpecVersion(apiSpec) {
+  if (typeof apiSpec?.swagger === 'string' && apiSpec.swagger.startsWith('2'))
+    return '2.0';
+
+  if (typeof apiSpec?.openapi === 'string' && apiSpec.openapi.startsWith('3.1'))
+    return '3.1';
+
+  if (typeof apiSpec?.openapi === 'string' && apiSpec.openapi.startsWith('3'))
+    return '3.0';
+
+  throw new Error(`Unsupported API specification version: ${apiSpec?.openapi || apiSpec?.swagger || 'unknown'}`);
+}
+
+/**
+ * Normalizes Swagger 2.0, OpenAPI 3.0 and OpenAPI 3.1 documents into a uniform OpenAPI 3 shape.
+ *
+ * Swagger 2.0 documents are upgraded: `in: body` and `formData` parameters become a `requestBody`
+ * keyed by the operation's `consumes` media types, `definitions`/`parameters`/`responses`/
+ * `securityDefinitions` move under `components` (local `$ref`s are rewritten accordingly), responses
+ * get a `content` map built from `produces`, and `host`/`basePath`/`schemes` are turned into `servers`.
+ * OpenAPI 3.x documents are returned as they are, apart from an empty `paths` object being added to
+ * 3.1 documents that only describe webhooks.
+ *
+ * @param {Object} apiSpec - The parsed API description.
+ * @returns {Object} An OpenAPI 3 document. Swagger documents are converted into a new object.
+ * @throws {Error} If the document version is not supported.
+ */
+function normalizeOpenApiSpec(apiSpec) {
+  const version = detectSpecVersion(apiSpec);
+
+  if (version === '3.1' && !apiSpec.paths)
+    return { ...apiSpec, paths: {} };
+
+  if (version !== '2.0')
+    return apiSpec;
+
+  const swaggerSpec = rewriteSwaggerRefs(JSON.parse(JSON.stringify(apiSpec)), apiSpec.parameters || {});
+  const { definitions, parameters, responses, securityDefinitions, host, basePath, schemes, consumes, produces, swagger, paths, ...rest } = swaggerSpec;
+
+  const components = {};
+  const globalMedia = {
+    consumes: consumes || ['application/json'],
+    produces: produces || ['application/json']
+  };
+
+  if (definitions)
+    components.schemas = definitions;
+
+  for (const [name, parameter] of Object.entries(parameters || {})) {
+    if (parameter.in === 'body') {
+      components.requestBodies = components.requestBodies || {};
+      components.requestBodies[name] = convertBodyParameter(parameter, globalMedia.consumes);
+    } else {
+      components.parameters = components.parameters || {};
+      components.parameters[name] = convertParameter(parameter);
+    }
+  }
+
+  for (const [name, response] of Object.entries(responses || {})) {
+    components.responses = components.responses || {};
+    components.responses[name] = convertResponse(response, globalMedia.produces);
+  }
+
+  if (securityDefinitions)
+    components.securitySchemes = Object.fromEntries(
+      Object.entries(securityDefinitions).map(([name, scheme]) => [name, convertSecurityScheme(scheme)])
+    );
+
+  const openApiSpec = {
+    openapi: '3.0.3',
+    ...rest,
+    servers: getSwaggerServers(host, basePath, schemes),
+    paths: {}
+  };
+
+  for (const [pathName, pathItem] of Object.entries(paths || {}))
+    openApiSpec.paths[pathName] = convertPathItem(pathItem, globalMedia, parameters || {});
+
+  if (Object.keys(components).length)
+    openApiSpec.components = components;
+
+  return openApiSpec;
+}
+
+/**
+ * Derives OpenAPI 3 `servers` from the Swagger 2.0 `host`, `basePath` and `schemes` fields.
+ * A missing host yields a server relative to the document, a missing scheme defaults to https.
+ *
+ * @param {string} [host] - The Swagger host, e.g. `petstore.swagger.io`.
+ * @param {string} [basePath] - The Swagger base path, e.g. `/v2`.
+ * @param {Array<string>} [schemes] - The Swagger schemes, e.g. `["https", "http"]`.
+ * @returns {Array<Object>} The OpenAPI 3 server objects.
+ */
+function getSwaggerServers(host, basePath = '', schemes) {
+  const normalizedBasePath = basePath === '/' ? '' : basePath;
+
+  if (!host)
+    return [{ url: normalizedBasePath || '/' }];
+
+  return (schemes?.length ? schemes : ['https'])
+    .map(scheme => ({ url: `${scheme}://${host}${normalizedBasePath}` }));
+}
+
+/**
+ * Rewrites local Swagger 2.0 `$ref`s to their OpenAPI 3 `components` locations.
+ * References to body parameters point to `#/components/requestBodies` since they become request bodies.
+ *
+ * @param {*} node - The (copied) Swagger document or a part of it.
+ * @param {Object} globalParameters - The document-level `parameters` map.
+ * @returns {*} The node with rewritten references.
+ */
+function rewriteSwaggerRefs(node, globalParameters) {
+  if (!node || typeof node !== 'object')
+    return node;
+
+  if (typeof node.$ref === 'string' && node.$ref.startsWith('#/')) {
+    node.$ref = node.$ref
+      .replace(/^#\/definitions\//, '#/components/schemas/')
+      .replace(/^#\/responses\//, '#/components/responses/')
+      .replace(/^#\/parameters\/(.*)$/, (match, name) => {
+        const parameterName = decodeURIComponent(name).replace(/~1/g, '/').replace(/~0/g, '~');
+        const target = globalParameters[parameterName]?.in === 'body' ? 'requestBodies' : 'parameters';
+
+        return `#/components/${target}/${name}`;
+      });
+  }
+
+  for (const value of Object.values(node))
+    rewriteSwaggerRefs(value, globalParameters);
+
+  return node;
+}
+
+/**
+ * Converts a Swagger 2.0 path item, merging path-level parameters into each operation.
+ *
+ * @param {Object} pathItem - The Swagger path item.
+ * @param {{consumes: Array<string>, produces: Array<string>}} globalMedia - Document-level media types.
+ * @param {Object} globalParameters - The document-level `parameters` map, to look up referenced parameters.
+ * @returns {Object} The OpenAPI 3 path item.
+ */
+function convertPathItem(pathItem, globalMedia, globalParameters) {
+  const { parameters: pathParameters = [], ...operations } = pathItem;
+  const convertedPathItem = {};
+
+  for (const [method, operation] of Object.entries(operations)) {
+    if (!HTTP_METHODS.includes(method.toLowerCase())) {
+      convertedPathItem[method] = operation;
+      continue;
+    }
+
+    convertedPathItem[method] = convertOperation(operation, pathParameters, globalMedia, globalParameters);
+  }
+
+  return convertedPathItem;
+}
+
+/**
+ * Converts a Swagger 2.0 operation into an OpenAPI 3 operation.
+ *
+ * Operation-level parameters override path-level ones with the same `name` and `in`. The `body`
+ * parameter and `formData` parameters are combined into a `requestBody`; form parameters use
+ * `multipart/form-data` when a file is uploaded or the operation consumes it, and
+ * `application/x-www-form-urlencoded` otherwise.
+ *
+ * @param {Object} operation - The Swagger operation.
+ * @param {Array<Object>} pathParameters - Parameters declared on the path item.
+ * @param {{consumes: Array<string>, produces: Array<string>}} globalMedia - Document-level media types.
+ * @param {Object} globalParameters - The document-level `parameters` map.
+ * @returns {Object} The OpenAPI 3 operation.
+ */
+function convertOperation(operation, pathParameters, globalMedia, globalParameters) {
+  const { parameters: operationParameters = [], consumes, produces, responses, schemes, ...rest } = operation;
+  const mediaTypes = {
+    consumes: consumes || globalMedia.consumes,
+    produces: produces || globalMedia.produces
+  };
+
+  const lookupParameter = (parameter) => {
+    const match = /^#\/components\/(?:parameters|requestBodies)\/(.*)$/.exec(parameter.$ref || '');
+    return match ? globalParameters[decodeURIComponent(match[1])] || parameter : parameter;
+  };
+
+  const merged = new Map();
+  for (const parameter of [...pathParameters, ...operationParameters]) {
+    const resolved = lookupParameter(parameter);
+    merged.set(`${resolved.in}:${resolved.name}`, { parameter, resolved });
+  }
+
+  const convertedOperation = { ...rest, parameters: [] };
+  const formParameters = [];
+
+  for (const { parameter, resolved } of merged.values()) {
+    if (resolved.in === 'body')
+      convertedOperation.requestBody = parameter.$ref ? { $ref: parameter.$ref } : convertBodyParameter(parameter, mediaTypes.consumes);
+    else if (resolved.in === 'formData')
+      formParameters.push(resolved);
+    else
+      convertedOperation.parameters.push(parameter.$ref ? { $ref: parameter.$ref } : convertParameter(parameter));
+  }
+
+  if (formParameters.length)
+    convertedOperation.requestBody = convertFormParameters(formParameters, mediaTypes.consumes);
+
+  if (!convertedOperation.parameters.length)
+    delete convertedOperation.parameters;
+
+  convertedOperation.responses = Object.fromEntries(
+    Object.entries(responses || {}).map(([status, response]) => [status, convertResponse(response, mediaTypes.produces)])
+  );
+
+  return convertedOperation;
+}
+
+/**
+ * Converts a non-body Swagger 2.0 parameter, moving its type keywords into a `schema`
+ * and translating `collectionFormat` into `style`/`explode`.
+ *
+ * @param {Object} parameter - The Swagger parameter.
+ * @returns {Object} The OpenAPI 3 parameter.
+ */
+function convertParameter(parameter) {
+  if (parameter.$ref)
+    return parameter;
+
+  const { name, in: location, description, required, allowEmptyValue, collectionFormat } = parameter;
+  const convertedParameter = { name, in: location, schema: extractSchema(parameter) };
+
+  if (description !== undefined)
+    convertedParameter.description = description;
+
+  if (required !== undefined || location === 'path')
+    convertedParameter.required = location === 'path' ? true : required;
+
+  if (allowEmptyValue !== undefined)
+    convertedParameter.allowEmptyValue = allowEmptyValue;
+
+  if (parameter['x-example'] !== undefined)
+    convertedParameter.example = parameter['x-example'];
+
+  if (collectionFormat === 'multi') {
+    convertedParameter.style = 'form';
+    convertedParameter.explode = true;
+  } else if (collectionFormat === 'ssv') {
+    convertedParameter.style = 'spaceDelimited';
+  } else if (collectionFormat === 'pipes') {
+    convertedParameter.style = 'pipeDelimited';
+  } else if (collectionFormat === 'csv' || (parameter.type === 'array' && !collectionFormat)) {
+    convertedParameter.style = location === 'query' || location === 'cookie' ? 'form' : 'simple';
+    convertedParameter.explode = false;
+  }
+
+  return convertedParameter;
+}
+
+/**
+ * Converts a Swagger 2.0 `in: body` parameter into an OpenAPI 3 request body.
+ *
+ * @param {Object} parameter - The body parameter.
+ * @param {Array<string>} consumes - The media types the operation accepts.
+ * @returns {Object} The OpenAPI 3 request body.
+ */
+function convertBodyParameter(parameter, consumes) {
+  const requestBody = {
+    content: Object.fromEntries(consumes.map(mediaType => {
+      const media = { schema: parameter.schema || {} };
+
+      if (parameter['x-examples']?.[mediaType] !== undefined)
+        media.example = parameter['x-examples'][mediaType];
+
+      return [mediaType, media];
+    }))
+  };
+
+  if (parameter.description)
+    requestBody.description = parameter.description;
+
+  if (parameter.required !== undefined)
+    requestBody.required = parameter.required;
+
+  return requestBody;
+}
+
+/**
+ * Converts Swagger 2.0 `formData` parameters into a form request body with an object schema.
+ *
+ * @param {Array<Object>} parameters - The form parameters.
+ * @param {Array<string>} consumes - The media types the operation accepts.
+ * @returns {Object} The OpenAPI 3 request body.
+ */
+function convertFormParameters(parameters, consumes) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const parameter of parameters) {
+    const propertySchema = parameter.type === 'file'
+      ? { type: 'string', format: 'binary' }
+      : extractSchema(parameter);
+
+    if (parameter.description)
+      propertySchema.description = parameter.description;
+
+    schema.properties[parameter.name] = propertySchema;
+
+    if (parameter.required)
+      required.push(parameter.name);
+  }
+
+  if (required.length)
+    schema.required = required;
+
+  const hasFile = parameters.some(parameter => parameter.type === 'file');
+  const formMediaTypes = consumes.filter(mediaType =>
+    mediaType === 'multipart/form-data' || mediaType === 'application/x-www-form-urlencoded'
+  );
+
+  if (!formMediaTypes.length || (hasFile && !formMediaTypes.includes('multipart/form-data')))
+    formMediaTypes.unshift(hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded');
+
+  return {
+    content: Object.fromEntries(formMediaTypes.map(mediaType => [mediaType, { schema }]))
+  };
+}
+
+/**
+ * Converts a Swagger 2.0 response, building a `content` map from `produces`
+ * and moving per-media-type `examples` into each media type `example`.
+ *
+ * @param {Object} response - The Swagger response.
+ * @param {Array<string>} produces - The media types the operation produces.
+ * @returns {Object} The OpenAPI 3 response.
+ */
+function convertResponse(response, produces) {
+  if (response.$ref)
+    return response;
+
+  const { schema, examples, headers, ...rest } = response;
+  const convertedResponse = { description: '', ...rest };
+
+  if (schema) {
+    convertedResponse.content = Object.fromEntries(produces.map(mediaType => {
+      const media = { schema };
+
+      if (examples?.[mediaType] !== undefined)
+        media.example = examples[mediaType];
+
+      return [mediaType, media];
+    }));
+  }
+
+  if (headers) {
+    convertedResponse.headers = Object.fromEntries(
+      Object.entries(headers).map(([name, header]) => {
+        const convertedHeader = { schema: extractSchema(header) };
+
+        if (header.description)
+          convertedHeader.description = header.description;
+
+        return [name, convertedHeader];
+      })
+    );
+  }
+
+  return convertedResponse;
+}
+
+/**
+ * Converts a Swagger 2.0 security definition into an OpenAPI 3 security scheme.
+ *
+ * @param {Object} scheme - The Swagger security definition.
+ * @returns {Object} The OpenAPI 3 security scheme.
+ */
+function convertSecurityScheme(scheme) {
+  if (scheme.type === 'basic')
+    return { type: 'http', scheme: 'basic', description: scheme.description };
+
+  if (scheme.type !== 'oauth2')
+    return scheme;
+
+  const flow = { scopes: scheme.scopes || {} };
+
+  if (scheme.authorizationUrl)
+    flow.authorizationUrl = scheme.authorizationUrl;
+
+  if (scheme.tokenUrl)
+    flow.tokenUrl = scheme.tokenUrl;
+
+  return {
+    type: 'oauth2',
+    description: scheme.description,
+    flows: { [OAUTH2_FLOW_NAMES[scheme.flow] || scheme.flow]: flow }
+  };
+}
+
+/**
+ * Collects the JSON schema keywords a Swagger 2.0 parameter or header carries inline.
+ *
+ * @param {Object} parameter - The Swagger parameter or header.
+ * @returns {Object} The extracted schema.
+ */
+function extractSchema(parameter) {
+  const schema = {};
+
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (parameter[keyword] !== undefined)
+      schema[keyword] = parameter[keyword];
+  }
+
+  return schema;
+}
+
+module.exports = {
+  detectSpecVersion,
+  normalizeOpenApiSpec
+};
@@ -0,0 +1,359 @@
+const { isRemoteLocation, readSpecFile } = require('./oas-loader');
+
+const path = require('path');
+
+const OPENAPI_COMPONENT_SECTIONS = ['schemas', 'parameters', 'requestBodies', 'responses', 'examples', 'headers', 'links', 'callbacks'];
+const SWAGGER_COMPONENT_SECTIONS = { schemas: 'definitions', parameters: 'parameters', responses: 'responses' };
+
+/**
+ * Creates the context used to resolve `$ref`s of an OpenAPI specification.
+ *
+ * The context keeps track of every loaded document (keyed by absolute file path or URL) and the
+ * file the currently inspected node belongs to, so that relative references such as
+ * `./schemas/user.json#/User` are resolved against the right directory.
+ *
+ * @param {Object} openApiSpec - The parsed root OpenAPI specification.
+ * @param {string} [specPath] - Path of the file the specification was read from.
+ * @param {Map<string, Object>} [documents] - Already loaded documents, keyed by absolute path.
+ * @returns {{documents: Map<string, Object>, file: string}} The reference resolution context.
+ */
+function createRefContext(openApiSpec, specPath, documents = new Map()) {
+  const file = !specPath ? '' : isRemoteLocation(specPath) ? specPath : path.resolve(specPath);
+  documents.set(file, openApiSpec);
+
+  return { documents, file };
+}
+
+/**
+ * Loads every external document reachable through `$ref`s from the given specification.
+ *
+ * This function walks the specification looking for references that point to other files
+ * (e.g. `./schemas/pet.yaml#/Pet`) or URLs, reads and parses them (JSON or YAML), and
+ * recursively repeats the process for the loaded documents.
+ *
+ * @param {Object} openApiSpec - The parsed root OpenAPI specification.
+ * @param {string} specPath - Path (or URL) the specification was read from.
+ * @returns {Promise<{documents: Map<string, Object>, file: string}>} The reference resolution context.
+ * @throws {Error} If a referenced document cannot be read or parsed. The message names the
+ *                 file and the JSON pointer of the offending `$ref`.
+ */
+async function loadReferencedDocuments(openApiSpec, specPath) {
+  const context = createRefContext(openApiSpec, specPath);
+  const pending = [context.file];
+
+  while (pending.length) {
+    const file = pending.pop();
+
+    for (const { ref, pointer } of collectRefs(context.documents.get(file))) {
+      const targetFile = getRefTargetFile(ref, file);
+
+      if (context.documents.has(targetFile))
+        continue;
+
+      try {
+        context.documents.set(targetFile, await readSpecFile(targetFile));
+        pending.push(targetFile);
+      } catch (error) {
+        throw new Error(`Could not load "${ref}" referenced at ${formatLocation(file, pointer)}: ${error.message}`);
+      }
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Collects all `$ref` strings found anywhere within a document, with the JSON pointer of their location.
+ *
+ * @param {*} node - The document (or part of it) to inspect.
+ * @param {string} [pointer] - JSON pointer of `node` within its document.
+ * @param {Array<{ref: string, pointer: string}>} [refs] - Accumulator for the discovered references.
+ * @returns {Array<{ref: string, pointer: string}>} The references and their locations.
+ */
+function collectRefs(node, pointer = '#', refs = []) {
+  if (!node || typeof node !== 'object')
+    return refs;
+
+  if (typeof node.$ref === 'string')
+    refs.push({ ref: node.$ref, pointer });
+
+  for (const [key, value] of Object.entries(node))
+    collectRefs(value, `${pointer}/${escapePointerSegment(key)}`, refs);
+
+  return refs;
+}
+
+/**
+ * Determines the location of the document a reference points to.
+ *
+ * @param {string} ref - The `$ref` value.
+ * @param {string} file - The file path or URL the reference was found in.
+ * @returns {string} The absolute target path or URL, or the current file for local references.
+ */
+function getRefTargetFile(ref, file) {
+  const [location] = ref.split('#');
+
+  if (!location)
+    return file;
+
+  if (isRemoteLocation(location))
+    return location;
+
+  if (isRemoteLocation(file))
+    return new URL(location, file).href;
+
+  return path.resolve(file ? path.dirname(file) : process.cwd(), location);
+}
+
+/**
+ * Escapes a key so it can be used as a JSON pointer segment.
+ *
+ * @param {string|number} segment - The object key or array index.
+ * @returns {string} The escaped segment.
+ */
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Formats a document location for error messages, e.g. `oas/api.yaml#/paths/~1pet/post`.
+ *
+ * @param {string} file - The file path or URL.
+ * @param {string} pointer - The JSON pointer within the file.
+ * @returns {string} The formatted location.
+ */
+function formatLocation(file, pointer) {
+  const displayFile = file && !isRemoteLocation(file) ? path.relative(process.cwd(), file) : file;
+  return `${displayFile || 'root document'}${pointer}`;
+}
+
+/**
+ * Reads the value a JSON pointer (RFC 6901) designates within a document.
+ *
+ * @param {Object} document - The document to read from.
+ * @param {string} pointer - The JSON pointer, with or without the leading `#`.
+ * @returns {*} The designated value, or `undefined` if the pointer does not exist.
+ */
+function resolvePointer(document, pointer) {
+  const segments = pointer.replace(/^#/, '')
+    .split('/')
+    .slice(1)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  let node = document;
+
+  for (const segment of segments) {
+    if (node === null || typeof node !== 'object' || !(segment in node))
+      return undefined;
+
+    node = node[segment];
+  }
+
+  return node;
+}
+
+/**
+ * Resolves a single `$ref` relative to the given context.
+ *
+ * @param {string} ref - The `$ref` value, e.g. `#/components/schemas/Pet` or `./pet.yaml#/Pet`.
+ * @param {{documents: Map<string, Object>, file: string}} context - The reference resolution context.
+ * @returns {{value: *, context: Object, id: string}} The referenced value, the context of the
+ *          document it lives in (for nested relative references) and a unique id of the target.
+ * @throws {Error} If the referenced document was not loaded or the pointer does not exist.
+ */
+function resolveRef(ref, context) {
+  const targetFile = getRefTargetFile(ref, context.file);
+
+  if (!context.documents.has(targetFile))
+    throw new Error(`Unresolvable reference "${ref}" in "${context.file || 'root document'}".`);
+
+  const pointer = ref.includes('#') ? ref.slice(ref.indexOf('#')) : '#';
+  const value = resolvePointer(context.documents.get(targetFile), pointer);
+
+  if (value === undefined)
+    throw new Error(`Reference "${ref}" points to a missing location in "${targetFile || 'root document'}".`);
+
+  return {
+    value,
+    context: { documents: context.documents, file: targetFile },
+    id: targetFile + pointer
+  };
+}
+
+/**
+ * Follows a chain of `$ref`s until a concrete (non-reference) object is reached.
+ *
+ * @param {*} node - The node that may be a reference.
+ * @param {{documents: Map<string, Object>, file: string}} context - The reference resolution context.
+ * @returns {{value: *, context: Object}} The concrete value and its resolution context.
+ */
+function dereference(node, context) {
+  const visited = new Set();
+
+  while (node && typeof node.$ref === 'string') {
+    const resolved = resolveRef(node.$ref, context);
+
+    if (visited.has(resolved.id))
+      throw new Error(`Circular reference chain at "${node.$ref}".`);
+
+    visited.add(resolved.id);
+    node = resolved.value;
+    context = resolved.context;
+  }
+
+  return { value: node, context };
+}
+
+/**
+ * Bundles a multi-file API description into a single self-contained document.
+ *
+ * Every reference to another file is replaced by a local reference: the referenced value is copied
+ * into the `components` section matching the place it is referenced from (`schemas`, `parameters`,
+ * `requestBodies`, `responses`, ...; `definitions`/`parameters`/`responses` for Swagger 2.0) under a
+ * name derived from the pointer or file name. References between external files, including circular
+ * ones, are rewritten the same way, and values referenced several times are only copied once.
+ * Referenced path items are inlined, as they have no `components` section in OpenAPI 3.0.
+ *
+ * @param {Object} apiSpec - The parsed root API description.
+ * @param {string} specPath - Path (or URL) the description was read from.
+ * @returns {Promise<Object>} The bundled document. The input is not modified.
+ * @throws {Error} If a reference cannot be loaded or resolved. The message names the file and
+ *                 JSON pointer of the offending `$ref`.
+ */
+async function bundleSpec(apiSpec, specPath) {
+  const context = await loadReferencedDocuments(apiSpec, specPath);
+  const isSwagger = Boolean(apiSpec.swagger);
+  const additions = {};
+  const placements = new Map();
+
+  const getSectionContainer = (section) => {
+    if (isSwagger)
+      return apiSpec[SWAGGER_COMPONENT_SECTIONS[section]] || {};
+
+    return apiSpec.components?.[section] || {};
+  };
+
+  const allocateName = (section, resolvedId) => {
+    const [location, pointer = ''] = resolvedId.split('#');
+    const segments = pointer.split('/').filter(Boolean);
+    const baseName = (segments.length ? segments[segments.length - 1] : path.basename(location).replace(/\.[^.]+$/, ''))
+      .replace(/~1/g, '_').replace(/~0/g, '_').replace(/[^A-Za-z0-9._-]/g, '_') || 'Component';
+
+    additions[section] = additions[section] || {};
+    let name = baseName;
+
+    for (let index = 2; name in additions[section] || name in getSectionContainer(section); index++)
+      name = `${baseName}_${index}`;
+
+    return name;
+  };
+
+  // `keyPath` locates the node in the bundled document, `sourcePointer` in the file it is read from.
+  const visit = (node, nodeContext, keyPath, sourcePointer) => {
+    if (Array.isArray(node))
+      return node.map((item, index) => visit(item, nodeContext, [...keyPath, index], `${sourcePointer}/${index}`));
+
+    if (!node || typeof node !== 'object')
+      return node;
+
+    const { $ref, ...siblings } = node;
+    const visited = {};
+
+    for (const [key, value] of Object.entries(siblings))
+      visited[key] = visit(value, nodeContext, [...keyPath, key], `${sourcePointer}/${escapePointerSegment(key)}`);
+
+    if (typeof $ref !== 'string')
+      return node.$ref === undefined ? visited : { $ref, ...visited };
+
+    const targetFile = getRefTargetFile($ref, nodeContext.file);
+    const refPointer = $ref.includes('#') ? $ref.slice($ref.indexOf('#')) : '#';
+
+    if (targetFile === context.file)
+      return { $ref: refPointer, ...visited };
+
+    let resolved;
+    try {
+      resolved = resolveRef($ref, nodeContext);
+    } catch (error) {
+      throw new Error(`${error.message} Referenced at ${formatLocation(nodeContext.file, sourcePointer)}.`);
+    }
+
+    if (placements.has(resolved.id))
+      return { $ref: placements.get(resolved.id), ...visited };
+
+    const section = getComponentSection(keyPath, isSwagger);
+
+    if (!section)
+      return { ...visit(resolved.value, resolved.context, keyPath, refPointer), ...visited };
+
+    const name = allocateName(section, resolved.id);
+    const localRef = isSwagger
+      ? `#/${SWAGGER_COMPONENT_SECTIONS[section]}/${escapePointerSegment(name)}`
+      : `#/components/${section}/${escapePointerSegment(name)}`;
+
+    placements.set(resolved.id, localRef);
+    additions[section][name] = null;
+    additions[section][name] = visit(resolved.value, resolved.context, [...localRef.slice(2).split('/')], refPointer);
+
+    return { $ref: localRef, ...visited };
+  };
+
+  const bundled = visit(apiSpec, context, [], '#');
+
+  for (const [section, components] of Object.entries(additions)) {
+    if (isSwagger) {
+      const key = SWAGGER_COMPONENT_SECTIONS[section];
+      bundled[key] = { ...(bundled[key] || {}), ...components };
+    } else {
+      bundled.components = bundled.components || {};
+      bundled.components[section] = { ...(bundled.components[section] || {}), ...components };
+    }
+  }
+
+  return bundled;
+}
+
+/**
+ * Determines which `components` section a value referenced at the given location belongs to.
+ *
+ * @param {Array<string|number>} keyPath - Keys leading to the `$ref` in the root document.
+ * @param {boolean} isSwagger - Whether the document is a Swagger 2.0 description.
+ * @returns {string|null} The section name, or `null` if the value must be inlined.
+ */
+function getComponentSection(keyPath, isSwagger) {
+  const key = keyPath[keyPath.length - 1];
+  const parentKey = keyPath[keyPath.length - 2];
+  let section = 'schemas';
+
+  if (keyPath[0] === 'paths' && keyPath.length === 2)
+    section = null;
+  else if (parentKey === 'parameters' && typeof key === 'number')
+    section = 'parameters';
+  else if (key === 'requestBody')
+    section = 'requestBodies';
+  else if (parentKey === 'responses' && keyPath[keyPath.length - 3] !== 'properties')
+    section = 'responses';
+  else if (parentKey === 'examples' && typeof key === 'string')
+    section = 'examples';
+  else if (parentKey === 'headers')
+    section = 'headers';
+  else if (parentKey === 'links')
+    section = 'links';
+  else if (parentKey === 'callbacks')
+    section = 'callbacks';
+
+  if (isSwagger && section && !SWAGGER_COMPONENT_SECTIONS[section])
+    return null;
+
+  return section && (isSwagger || OPENAPI_COMPONENT_SECTIONS.includes(section)) ? section : null;
+}
+
+module.exports = {
+  createRefContext,
+  loadReferencedDocuments,
+  resolvePointer,
+  resolveRef,
+  dereference,
+  bundleSpec,
+  escapePointerSegment
+};
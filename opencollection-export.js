@@ -0,0 +1,333 @@
+const yaml = require('js-yaml');
+
+const { orderSteps } = require('./flow-hooks');
+const { parseAssertion } = require('./response-assertions');
+
+const OPENCOLLECTION_VERSION = '1.0.0';
+
+/**
+ * OpenCollection body types, by Bruno body mode. GraphQL bodies have no HTTP body type in OpenCollection.
+ */
+const BODY_TYPES = {
+  json: 'json',
+  xml: 'xml',
+  text: 'text',
+  sparql: 'sparql',
+  formUrlEncoded: 'form-urlencoded',
+  multipartForm: 'multipart-form',
+  file: 'file'
+};
+
+/**
+ * Converts a test collection built by `createBrunoJson` into a bundled OpenCollection (the YAML collection format
+ * Bruno reads and writes), as a single document:
+ *
+ * ```yaml
+ * opencollection: 1.0.0
+ * info: { name: ... }
+ * config: { environments: [{ name: ..., variables: [{ name: ..., value: ... }] }] }
+ * request: { headers: [], auth: ..., variables: [], actions: [], scripts: [] }
+ * items: [{ info: { name: ..., type: folder, seq: 1 }, request: {}, items: [{ info: { type: http }, http: {}, runtime: {} }] }]
+ * bundled: true
+ * ```
+ *
+ * Folders and requests keep their order (`seq`) and nesting. Collection and folder settings become request defaults;
+ * pre-request variables become `variables` and post-response variables `set-variable` actions; scripts and tests keep
+ * their Bruno code, as Bruno runs OpenCollection scripts with the same API. Secret environment variables are
+ * exported without their value.
+ *
+ * @param {Object} testCollection - The test collection.
+ * @returns {Object} The OpenCollection document.
+ */
+function toOpenCollection(testCollection) {
+  const environments = (testCollection.environments || []).map(toOpenCollectionEnvironment);
+  const request = toRequestDefaults(testCollection.root?.request, `collection "${testCollection.name}"`);
+
+  return {
+    opencollection: OPENCOLLECTION_VERSION,
+    info: { name: testCollection.name },
+    ...(environments.length ? { config: { environments } } : {}),
+    items: orderSteps(testCollection.items).map(toOpenCollectionItem),
+    ...(request ? { request } : {}),
+    ...(testCollection.root?.docs ? { docs: { content: testCollection.root.docs, type: 'text/markdown' } } : {}),
+    bundled: true
+  };
+}
+
+/**
+ * Serializes a test collection as an OpenCollection YAML document (see `toOpenCollection`).
+ *
+ * @param {Object} testCollection - The test collection.
+ * @returns {string} The YAML document.
+ */
+function toOpenCollectionYaml(testCollection) {
+  return yaml.dump(toOpenCollection(testCollection), { noRefs: true, lineWidth: -1 });
+}
+
+/**
+ * Converts a request or folder of the test collection into an OpenCollection item.
+ *
+ * @param {Object} item - The request or folder.
+ * @param {number} index - The position of the item among its ordered siblings.
+ * @returns {Object} The OpenCollection HTTP request or folder.
+ */
+function toOpenCollectionItem(item, index) {
+  const seq = item.seq ?? index + 1;
+
+  if (item.type === 'folder') {
+    const request = toRequestDefaults(item.root?.request, `folder "${item.name}"`);
+
+    return {
+      info: { name: item.name, type: 'folder', seq },
+      items: orderSteps(item.items).map(toOpenCollectionItem),
+      ...(request ? { request } : {}),
+      ...(item.root?.docs ? { docs: { content: item.root.docs, type: 'text/markdown' } } : {})
+    };
+  }
+
+  const { request } = item;
+  const params = request.params || [];
+  const body = toOpenCollectionBody(request.body, `request "${item.name}"`);
+  const auth = toOpenCollectionAuth(request.auth, `request "${item.name}"`);
+  const runtime = compact({
+    variables: toOpenCollectionVariables(request.vars?.req),
+    actions: toOpenCollectionActions(request.vars?.res),
+    scripts: toOpenCollectionScripts(request.script, request.tests),
+    assertions: (request.assertions || []).map(toOpenCollectionAssertion)
+  });
+
+  return {
+    info: { name: item.name, type: 'http', seq, ...(item.tags?.length ? { tags: item.tags } : {}) },
+    http: {
+      method: request.method,
+      url: request.url,
+      ...compact({
+        headers: (request.headers || []).map(toOpenCollectionEntry),
+        params: params.map(param => ({ ...toOpenCollectionEntry(param), type: param.type === 'path' ? 'path' : 'query' }))
+      }),
+      ...(body ? { body } : {}),
+      ...(auth ? { auth } : {})
+    },
+    ...(runtime ? { runtime } : {}),
+    ...(request.docs ? { docs: request.docs } : {})
+  };
+}
+
+/**
+ * Converts the `root` request settings of the collection or of a folder into OpenCollection request defaults.
+ *
+ * @param {Object} [request] - The settings (`{ headers, auth, vars, script, tests }`).
+ * @param {string} owner - The collection or folder, used in warnings.
+ * @returns {Object|undefined} The request defaults, or undefined if there are none.
+ */
+function toRequestDefaults(request, owner) {
+  return compact({
+    headers: (request?.headers || []).map(toOpenCollectionEntry),
+    auth: toOpenCollectionAuth(request?.auth, owner),
+    variables: toOpenCollectionVariables(request?.vars?.req),
+    actions: toOpenCollectionActions(request?.vars?.res),
+    scripts: toOpenCollectionScripts(request?.script, request?.tests)
+  });
+}
+
+/**
+ * Converts pre-request variables.
+ *
+ * @param {Array<Object>} [variables] - The variables (`{ name, value, enabled }`).
+ * @returns {Array<Object>} The OpenCollection variables.
+ */
+function toOpenCollectionVariables(variables) {
+  return (variables || []).map(variable => ({
+    name: variable.name,
+    value: String(variable.value ?? ''),
+    ...(variable.enabled === false ? { disabled: true } : {})
+  }));
+}
+
+/**
+ * Converts post-response variables, whose values are expressions over `res`, into `set-variable` actions.
+ *
+ * @param {Array<Object>} [variables] - The variables (`{ name, value, enabled, local }`).
+ * @returns {Array<Object>} The actions.
+ */
+function toOpenCollectionActions(variables) {
+  return (variables || []).map(variable => ({
+    type: 'set-variable',
+    phase: 'after-response',
+    selector: { expression: String(variable.value ?? ''), method: 'jsonq' },
+    variable: { name: variable.name, scope: variable.local ? 'request' : 'runtime' },
+    ...(variable.enabled === false ? { disabled: true } : {})
+  }));
+}
+
+/**
+ * Converts the pre-request and post-response scripts and the tests, skipping empty ones.
+ *
+ * @param {{req?: string, res?: string}} [script] - The Bruno scripts.
+ * @param {string} [tests] - The Bruno tests.
+ * @returns {Array<{type: string, code: string}>} The OpenCollection scripts.
+ */
+function toOpenCollectionScripts(script, tests) {
+  return [
+    { type: 'before-request', code: script?.req },
+    { type: 'after-response', code: script?.res },
+    { type: 'tests', code: tests }
+  ].filter(({ code }) => code && code.trim());
+}
+
+/**
+ * Converts a Bruno assertion (`{ name: "res.status", value: "eq 200" }`).
+ *
+ * @param {Object} assertion - The assertion.
+ * @returns {{expression: string, operator: string, value: string, disabled?: boolean}} The OpenCollection assertion.
+ */
+function toOpenCollectionAssertion(assertion) {
+  const { target, operator, value } = parseAssertion(assertion);
+
+  return { expression: target, operator, value, ...(assertion.enabled === false ? { disabled: true } : {}) };
+}
+
+/**
+ * Converts a Bruno body. File paths are relative to the Bruno collection directory.
+ *
+ * @param {Object} [body] - The Bruno body.
+ * @param {string} owner - The request, used in warnings.
+ * @returns {Object|undefined} The OpenCollection body (`{ type, data }`), or undefined for none.
+ */
+function toOpenCollectionBody(body, owner) {
+  const type = BODY_TYPES[body?.mode];
+
+  switch (type) {
+    case undefined:
+      if (body?.mode === 'graphql')
+        console.warn(`The GraphQL body of ${owner} is not supported by the OpenCollection export; it is left out.`);
+
+      return undefined;
+    case 'form-urlencoded':
+      return { type, data: (body.formUrlEncoded || []).map(toOpenCollectionEntry) };
+    case 'multipart-form':
+      return {
+        type,
+        data: (body.multipartForm || []).map(field => ({
+          ...toOpenCollectionEntry(field),
+          type: field.type === 'file' ? 'file' : 'text',
+          ...(field.contentType ? { contentType: field.contentType } : {})
+        }))
+      };
+    case 'file':
+      return {
+        type,
+        data: (body.file || []).map(file => ({ filePath: file.filePath, contentType: file.contentType || '', selected: file.selected !== false }))
+      };
+    default:
+      return { type, data: body[body.mode] || '' };
+  }
+}
+
+/**
+ * Converts a Bruno auth. A missing auth inherits the auth of the parent, like in Bruno; `none` is left out.
+ *
+ * @param {Object} [auth] - The Bruno auth.
+ * @param {string} owner - The collection, folder or request, used in warnings.
+ * @returns {Object|string|undefined} The OpenCollection auth, `inherit`, or undefined for none.
+ */
+function toOpenCollectionAuth(auth, owner) {
+  switch (auth?.mode) {
+    case undefined:
+    case 'none':
+      return undefined;
+    case 'inherit':
+      return 'inherit';
+    case 'bearer':
+      return { type: 'bearer', token: auth.bearer?.token || '' };
+    case 'basic':
+    case 'digest':
+      return { type: auth.mode, username: auth[auth.mode]?.username || '', password: auth[auth.mode]?.password || '' };
+    case 'apikey':
+      return {
+        type: 'apikey',
+        key: auth.apikey?.key || '',
+        value: auth.apikey?.value || '',
+        placement: auth.apikey?.placement === 'queryparams' ? 'query' : 'header'
+      };
+    case 'oauth2':
+      return toOpenCollectionOAuth2(auth.oauth2 || {}, owner);
+    default:
+      console.warn(`Auth mode "${auth.mode}" of ${owner} is not supported by the OpenCollection export; it is left out.`);
+      return undefined;
+  }
+}
+
+/**
+ * Converts a Bruno OAuth2 auth, for the client credentials and password grants the generated collections use.
+ *
+ * @param {Object} oauth2 - The Bruno OAuth2 settings.
+ * @param {string} owner - The collection, folder or request, used in warnings.
+ * @returns {Object|undefined} The OpenCollection OAuth2 auth, or undefined for other grants.
+ */
+function toOpenCollectionOAuth2(oauth2, owner) {
+  const flows = { client_credentials: 'client_credentials', password: 'resource_owner_password_credentials' };
+
+  if (!flows[oauth2.grantType]) {
+    console.warn(`OAuth2 grant "${oauth2.grantType}" of ${owner} is not supported by the OpenCollection export; it is left out.`);
+    return undefined;
+  }
+
+  return {
+    type: 'oauth2',
+    flow: flows[oauth2.grantType],
+    accessTokenUrl: oauth2.accessTokenUrl || '',
+    credentials: {
+      clientId: oauth2.clientId || '',
+      clientSecret: oauth2.clientSecret || '',
+      placement: oauth2.credentialsPlacement === 'basic_auth_header' ? 'basic_auth_header' : 'body'
+    },
+    ...(oauth2.grantType === 'password' ? { resourceOwner: { username: oauth2.username || '', password: oauth2.password || '' } } : {}),
+    scope: oauth2.scope || ''
+  };
+}
+
+/**
+ * Converts a Bruno environment. Secret variables are exported without their value; `{{process.env.*}}` values
+ * are kept, as Bruno resolves them from the `.env` file of an OpenCollection too.
+ *
+ * @param {Object} environment - The Bruno environment (`{ name, variables }`).
+ * @returns {Object} The OpenCollection environment.
+ */
+function toOpenCollectionEnvironment(environment) {
+  return {
+    name: environment.name,
+    variables: (environment.variables || []).map(variable => ({
+      name: variable.name,
+      ...(variable.secret ? { secret: true } : { value: String(variable.value ?? '') }),
+      ...(variable.enabled === false ? { disabled: true } : {})
+    }))
+  };
+}
+
+/**
+ * Converts a Bruno name/value entry (header, parameter, form field).
+ *
+ * @param {{name: string, value: *, enabled?: boolean}} entry - The entry.
+ * @returns {{name: string, value: string, disabled?: boolean}} The OpenCollection entry.
+ */
+function toOpenCollectionEntry(entry) {
+  return { name: entry.name, value: String(entry.value ?? ''), ...(entry.enabled === false ? { disabled: true } : {}) };
+}
+
+/**
+ * Removes the undefined values and empty lists of an object.
+ *
+ * @param {Object} object - The object.
+ * @returns {Object|undefined} The object, or undefined if nothing is left.
+ */
+function compact(object) {
+  const entries = Object.entries(object).filter(([, value]) => value !== undefined && !(Array.isArray(value) && !value.length));
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
+
+module.exports = {
+  OPENCOLLECTION_VERSION,
+  toOpenCollection,
+  toOpenCollectionYaml
+};
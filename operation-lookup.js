@@ -0,0 +1,274 @@
+/**
+ * Keys a test-flow step can reference its operation with, in order of precedence:
+ * - `request_id`: the display name of the request (as titled by the converter)
+ * - `operation_id`: the `operationId` of the operation
+ * - `operation`: the method and path of the operation, e.g. `POST /pet/{petId}`
+ */
+const STEP_REFERENCE_KEYS = ['request_id', 'operation_id', 'operation'];
+
+/**
+ * Indexes the folders and requests of a Bruno collection.
+ *
+ * @param {Object} brunoCollection - The Bruno collection.
+ * @returns {{folders: Map<string, Array<Object>>, requests: Map<string, Array<{folder: string, request: Object}>>,
+ *          operations: Array<{folder: string, request: Object}>}}
+ *          Folder paths (e.g. `Swagger Petstore/pet`) mapped to their direct items, request names mapped to
+ *          every place they are defined, and every request with its folder, in collection order.
+ */
+function indexBrunoCollection(brunoCollection) {
+  const folders = new Map();
+  const requests = new Map();
+  const operations = [];
+
+  const visit = (items, folderPath) => {
+    for (const item of items || []) {
+      if (item.type === 'folder') {
+        const itemPath = folderPath ? `${folderPath}/${item.name}` : item.name;
+        folders.set(itemPath, item.items || []);
+        visit(item.items, itemPath);
+      } else {
+        if (!requests.has(item.name))
+          requests.set(item.name, []);
+
+        requests.get(item.name).push({ folder: folderPath, request: item });
+        operations.push({ folder: folderPath, request: item });
+      }
+    }
+  };
+
+  visit(brunoCollection?.items, '');
+
+  return { folders, requests, operations };
+}
+
+/**
+ * Returns the reference a step uses to point at its operation.
+ *
+ * @param {Object} requestSpec - The step.
+ * @returns {{key: string, value: string}|null} The reference key (`request_id`, `operation_id` or `operation`)
+ *          and value, or null if the step has none.
+ */
+function getStepReference(requestSpec) {
+  const key = STEP_REFERENCE_KEYS.find(referenceKey => typeof requestSpec?.[referenceKey] === 'string');
+  return key ? { key, value: requestSpec[key] } : null;
+}
+
+/**
+ * Describes a step for messages, by the name of its generated file or its reference.
+ *
+ * @param {Object} requestSpec - The step.
+ * @returns {string} The step description, e.g. `addPet`.
+ */
+function describeStep(requestSpec) {
+  return requestSpec?.name ?? getStepReference(requestSpec)?.value ?? '(unnamed step)';
+}
+
+/**
+ * Finds the request a test-flow step references.
+ *
+ * The step names its operation by `request_id`, `operation_id` or `operation` (`"METHOD /path"`), and may
+ * narrow the search with `file_path` (the folder, e.g. `Swagger Petstore/pet`) and `tag` (an OpenAPI tag of
+ * the operation). Exactly one request must match: unknown references come with "did you mean" suggestions,
+ * ambiguous ones list every match with the spec file it comes from.
+ *
+ * @param {Object} requestSpec - The step.
+ * @param {Object} index - The collection index from `indexBrunoCollection`.
+ * @returns {{match: {folder: string, request: Object}|null, error: {key: string, message: string}|null}}
+ *          The matching request, or the step key at fault and the reason the lookup failed.
+ */
+function lookupOperation(requestSpec, index) {
+  const reference = getStepReference(requestSpec);
+
+  if (!reference)
+    return fail('request_id', `The step has no ${STEP_REFERENCE_KEYS.map(key => `"${key}"`).join(', ')} to reference its operation with.`);
+
+  let candidates = index.operations;
+  let scope = '';
+
+  if (requestSpec.file_path !== undefined) {
+    if (!index.folders.has(requestSpec.file_path))
+      return fail('file_path', `Unknown folder "${requestSpec.file_path}".${formatSuggestions(requestSpec.file_path, [...index.folders.keys()])}`);
+
+    candidates = candidates.filter(candidate => candidate.folder === requestSpec.file_path);
+    scope += ` in folder "${requestSpec.file_path}"`;
+  }
+
+  if (requestSpec.tag !== undefined) {
+    const tags = [...new Set(candidates.flatMap(candidate => candidate.request.openapi?.tags || []))];
+
+    if (!tags.includes(requestSpec.tag))
+      return fail('tag', `No operation${scope} is tagged "${requestSpec.tag}".${formatSuggestions(requestSpec.tag, tags)}`);
+
+    candidates = candidates.filter(candidate => (candidate.request.openapi?.tags || []).includes(requestSpec.tag));
+    scope += ` tagged "${requestSpec.tag}"`;
+  }
+
+  let matches;
+  let known;
+
+  if (reference.key === 'operation_id') {
+    matches = candidates.filter(candidate => candidate.request.openapi?.operationId === reference.value);
+    known = candidates.map(candidate => candidate.request.openapi?.operationId).filter(Boolean);
+  } else if (reference.key === 'operation') {
+    const operation = parseOperationReference(reference.value);
+
+    if (!operation)
+      return fail('operation', `Invalid operation "${reference.value}"; use "METHOD /path", e.g. "GET /pet/{petId}".`);
+
+    matches = candidates.filter(candidate => candidate.request.openapi?.method === operation.method
+      && candidate.request.openapi.path === operation.path);
+    known = candidates.filter(candidate => candidate.request.openapi)
+      .map(candidate => `${candidate.request.openapi.method.toUpperCase()} ${candidate.request.openapi.path}`);
+  } else {
+    matches = candidates.filter(candidate => candidate.request.name === reference.value);
+    known = candidates.map(candidate => candidate.request.name);
+  }
+
+  if (!matches.length)
+    return fail(reference.key, `Unknown ${describeReferenceKey(reference.key)} "${reference.value}"${scope}.${formatSuggestions(reference.value, known)}`);
+
+  if (matches.length > 1)
+    return fail(reference.key, `Ambiguous ${describeReferenceKey(reference.key)} "${reference.value}"${scope} matches ${matches.length} operations: `
+      + `${matches.map(describeCandidate).join(', ')}. ${suggestDisambiguation(reference.key, requestSpec, matches)}`);
+
+  return { match: matches[0], error: null };
+}
+
+/**
+ * Parses an operation reference such as `POST /pet/{petId}`. Bruno style path params (`/pet/:petId`) are accepted.
+ *
+ * @param {string} reference - The reference.
+ * @returns {{method: string, path: string}|null} The lower-cased method and the OpenAPI path, or null if malformed.
+ */
+function parseOperationReference(reference) {
+  const match = /^\s*([A-Za-z]+)\s+(\/\S*)\s*$/.exec(reference);
+
+  if (!match)
+    return null;
+
+  return { method: match[1].toLowerCase(), path: match[2].replace(/:([^/]+)/g, '{$1}') };
+}
+
+/**
+ * Builds a failed lookup result.
+ *
+ * @param {string} key - The step key at fault.
+ * @param {string} message - The reason.
+ * @returns {{match: null, error: {key: string, message: string}}} The result.
+ */
+function fail(key, message) {
+  return { match: null, error: { key, message } };
+}
+
+/**
+ * Names a reference key in messages.
+ *
+ * @param {string} key - The reference key.
+ * @returns {string} The description.
+ */
+function describeReferenceKey(key) {
+  return { request_id: 'request', operation_id: 'operationId', operation: 'operation' }[key];
+}
+
+/**
+ * Describes a matching request in ambiguity messages, including the spec it was converted from.
+ *
+ * @param {{folder: string, request: Object}} candidate - The match.
+ * @returns {string} The description, e.g. `GET /pet/{petId} "Find pet by ID" in "Swagger Petstore/pet" (oas/petstore.json)`.
+ */
+function describeCandidate({ folder, request }) {
+  const operation = request.openapi;
+  const signature = operation ? `${operation.method.toUpperCase()} ${operation.path} ` : '';
+  const source = operation?.source?.file ? ` (${operation.source.file})` : '';
+
+  return `${signature}"${request.name}" in "${folder}"${source}`;
+}
+
+/**
+ * Suggests how to tell ambiguous matches apart: narrowing the lookup when the matches live in different
+ * folders or carry different tags, or another kind of reference.
+ *
+ * @param {string} key - The reference key of the step.
+ * @param {Object} requestSpec - The step.
+ * @param {Array<{folder: string, request: Object}>} matches - The matching requests.
+ * @returns {string} The suggestion.
+ */
+function suggestDisambiguation(key, requestSpec, matches) {
+  const differ = (getValue) => new Set(matches.map(getValue)).size > 1;
+  const narrowers = [
+    requestSpec.file_path === undefined && differ(match => match.folder) && '"file_path"',
+    requestSpec.tag === undefined && differ(match => (match.request.openapi?.tags || []).join()) && '"tag"'
+  ].filter(Boolean);
+  const alternatives = key === 'operation_id' ? [] : ['"operation_id"', '"operation"'].filter(alternative => alternative !== `"${key}"`);
+
+  return [
+    narrowers.length && `Add a ${narrowers.join(' or ')}`,
+    alternatives.length && `reference it by ${alternatives.join(' or ')}`
+  ].filter(Boolean).join(', or ') + '.';
+}
+
+/**
+ * Formats the " Did you mean ...?" suffix for an unknown name.
+ *
+ * @param {string} name - The unknown name.
+ * @param {Array<string>} candidates - The known names.
+ * @returns {string} The suffix, or an empty string if no candidate is close enough.
+ */
+function formatSuggestions(name, candidates) {
+  const suggestions = suggestClosest(name, candidates);
+  return suggestions.length ? ` Did you mean ${suggestions.map(suggestion => `"${suggestion}"`).join(' or ')}?` : '';
+}
+
+/**
+ * Finds the candidates closest to a name, by case-insensitive Levenshtein distance.
+ *
+ * @param {string} name - The unknown name.
+ * @param {Array<string>} candidates - The known names.
+ * @param {number} [limit=3] - Maximum number of suggestions.
+ * @returns {Array<string>} The closest candidates, best first.
+ */
+function suggestClosest(name, candidates, limit = 3) {
+  const maxDistance = Math.max(2, Math.floor(name.length * 0.4));
+
+  return [...new Set(candidates)]
+    .map(candidate => ({ candidate, distance: levenshtein(name.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((first, second) => first.distance - second.distance)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ *
+ * @param {string} first - The first string.
+ * @param {string} second - The second string.
+ * @returns {number} The number of single character edits needed to turn one string into the other.
+ */
+function levenshtein(first, second) {
+  let previous = Array.from({ length: second.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= first.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+
+    previous = current;
+  }
+
+  return previous[second.length];
+}
+
+module.exports = {
+  STEP_REFERENCE_KEYS,
+  indexBrunoCollection,
+  getStepReference,
+  describeStep,
+  lookupOperation,
+  parseOperationReference,
+  formatSuggestions,
+  suggestClosest
+};
@@ -0,0 +1,62 @@
+const { dereference } = require('./oas-refs');
+const { toStandaloneJsonSchema } = require('./response-assertions');
+
+/**
+ * Describes the parameters of an operation, including the ones declared on its path item.
+ * Operation parameters override path item parameters with the same name and location.
+ *
+ * @param {Object} pathItem - The OpenAPI 3 path item the operation belongs to.
+ * @param {Object} operation - The OpenAPI 3 operation.
+ * @param {{documents: Map<string, Object>, file: string}} refContext - The reference resolution context.
+ * @returns {Array<{name: string, in: string, required: boolean, schema: Object|null}>} The parameters.
+ */
+function describeParameters(pathItem, operation, refContext) {
+  const parameters = new Map();
+
+  for (const parameterOrRef of [...(pathItem?.parameters || []), ...(operation?.parameters || [])]) {
+    const { value: parameter, context } = dereference(parameterOrRef, refContext);
+
+    if (!parameter?.name || !parameter.in)
+      continue;
+
+    parameters.set(`${parameter.in}:${parameter.name}`, {
+      name: parameter.name,
+      in: parameter.in,
+      required: parameter.in === 'path' || parameter.required === true,
+      schema: parameter.schema ? toStandaloneJsonSchema(parameter.schema, context) : null
+    });
+  }
+
+  return [...parameters.values()];
+}
+
+/**
+ * Describes the request body of an operation: whether it is required, its media types and a
+ * standalone JSON schema of its JSON (or form) content.
+ *
+ * @param {Object} operation - The OpenAPI 3 operation.
+ * @param {{documents: Map<string, Object>, file: string}} refContext - The reference resolution context.
+ * @returns {{required: boolean, contentTypes: Array<string>, schema: Object|null}|null}
+ *          The request body, or null if the operation has none.
+ */
+function describeRequestBody(operation, refContext) {
+  if (!operation?.requestBody)
+    return null;
+
+  const { value: requestBody, context } = dereference(operation.requestBody, refContext);
+  const content = requestBody?.content || {};
+  const contentTypes = Object.keys(content);
+  const schemaType = contentTypes.find(type => /json/i.test(type) && content[type]?.schema)
+    || contentTypes.find(type => content[type]?.schema);
+
+  return {
+    required: requestBody?.required === true,
+    contentTypes,
+    schema: schemaType ? toStandaloneJsonSchema(content[schemaType].schema, context) : null
+  };
+}
+
+module.exports = {
+  describeParameters,
+  describeRequestBody
+};
@@ -0,0 +1,417 @@
+const { orderSteps } = require('./flow-hooks');
+const { parseAssertion } = require('./response-assertions');
+
+const POSTMAN_COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+const PROCESS_ENV_PATTERN = /{{\s*process\.env\.[\w.-]+\s*}}/;
+
+/**
+ * Defines the parts of the Bruno scripting API the generated scripts use (`bru`, `req`) on top of the
+ * Postman sandbox. Runtime variables become collection variables, so they outlive the request like in Bruno.
+ */
+const PRE_REQUEST_PRELUDE = [
+  'const bru = {',
+  '  getVar: (name) => pm.variables.get(name),',
+  '  setVar: (name, value) => pm.collectionVariables.set(name, value),',
+  '  getEnvVar: (name) => pm.environment.get(name),',
+  '  setEnvVar: (name, value) => pm.environment.set(name, value),',
+  '  interpolate: (value) => pm.variables.replaceIn(value)',
+  '};',
+  'const req = {',
+  '  getUrl: () => pm.request.url.toString(),',
+  '  getName: () => pm.info.requestName,',
+  '  getMethod: () => pm.request.method,',
+  '  getHeader: (name) => pm.request.headers.get(name),',
+  '  setHeader: (name, value) => pm.request.headers.upsert({ key: name, value })',
+  '};'
+].join('\n');
+
+/**
+ * Adds the Bruno `res` object and the `test`/`expect` globals to `PRE_REQUEST_PRELUDE`, for post-response scripts.
+ */
+const POST_RESPONSE_PRELUDE = [
+  PRE_REQUEST_PRELUDE,
+  'const res = {',
+  '  status: pm.response.code,',
+  '  headers: pm.response.headers.toObject(true, false),',
+  '  body: (() => { try { return pm.response.json(); } catch (error) { return pm.response.text(); } })(),',
+  '  responseTime: pm.response.responseTime,',
+  '  getStatus() { return this.status; },',
+  '  getHeader(name) { return pm.response.headers.get(name); },',
+  '  getHeaders() { return this.headers; },',
+  '  getBody() { return this.body; },',
+  '  getResponseTime() { return this.responseTime; }',
+  '};',
+  'const test = (name, fn) => pm.test(name, fn);',
+  'const expect = pm.expect;'
+].join('\n');
+
+/**
+ * Chai assertions of the Bruno assertion operators, given the actual and expected value expressions.
+ */
+const CHAI_ASSERTIONS = {
+  eq: (actual, expected) => `expect(${actual}).to.eql(${expected});`,
+  neq: (actual, expected) => `expect(${actual}).to.not.eql(${expected});`,
+  gt: (actual, expected) => `expect(${actual}).to.be.above(${expected});`,
+  gte: (actual, expected) => `expect(${actual}).to.be.at.least(${expected});`,
+  lt: (actual, expected) => `expect(${actual}).to.be.below(${expected});`,
+  lte: (actual, expected) => `expect(${actual}).to.be.at.most(${expected});`,
+  in: (actual, expected) => `expect(${actual}).to.be.oneOf(${expected});`,
+  notIn: (actual, expected) => `expect(${actual}).to.not.be.oneOf(${expected});`,
+  contains: (actual, expected) => `expect(${actual}).to.include(${expected});`,
+  notContains: (actual, expected) => `expect(${actual}).to.not.include(${expected});`,
+  length: (actual, expected) => `expect(${actual}).to.have.lengthOf(${expected});`,
+  matches: (actual, expected) => `expect(${actual}).to.match(new RegExp(${expected}));`,
+  notMatches: (actual, expected) => `expect(${actual}).to.not.match(new RegExp(${expected}));`,
+  startsWith: (actual, expected) => `expect(String(${actual}).startsWith(${expected})).to.be.true;`,
+  endsWith: (actual, expected) => `expect(String(${actual}).endsWith(${expected})).to.be.true;`,
+  between: (actual, expected) => `expect(${actual}).to.be.within(...${expected});`,
+  isEmpty: (actual) => `expect(${actual}).to.be.empty;`,
+  isNotEmpty: (actual) => `expect(${actual}).to.not.be.empty;`,
+  isNull: (actual) => `expect(${actual}).to.be.null;`,
+  isUndefined: (actual) => `expect(${actual}).to.be.undefined;`,
+  isDefined: (actual) => `expect(${actual}).to.not.be.undefined;`,
+  isTruthy: (actual) => `expect(${actual}).to.be.ok;`,
+  isFalsy: (actual) => `expect(${actual}).to.not.be.ok;`,
+  isJson: (actual) => `expect(${actual}).to.be.an('object');`,
+  isNumber: (actual) => `expect(${actual}).to.be.a('number');`,
+  isString: (actual) => `expect(${actual}).to.be.a('string');`,
+  isBoolean: (actual) => `expect(${actual}).to.be.a('boolean');`,
+  isArray: (actual) => `expect(${actual}).to.be.an('array');`
+};
+
+/**
+ * Converts a test collection built by `createBrunoJson` into a Postman v2.1 collection.
+ *
+ * Folders and requests keep their order (by `seq`). Collection and folder settings become collection and folder
+ * auth and scripts (their headers are set by the pre-request scripts), request and response variables become
+ * `pm.variables` and collection variables, and assertions become `pm.test`s. Bruno scripts and tests are kept as
+ * written, run after a prelude mapping the Bruno `bru`, `req`, `res`, `test` and `expect` APIs onto `pm`.
+ *
+ * @param {Object} testCollection - The test collection.
+ * @returns {Object} The Postman collection.
+ */
+function toPostmanCollection(testCollection) {
+  return {
+    info: {
+      name: testCollection.name,
+      ...(testCollection.root?.docs ? { description: testCollection.root.docs } : {}),
+      schema: POSTMAN_COLLECTION_SCHEMA
+    },
+    item: orderSteps(testCollection.items).map(toPostmanItem),
+    ...toPostmanSettings(testCollection.root, `collection "${testCollection.name}"`)
+  };
+}
+
+/**
+ * Converts a folder or request of the test collection into a Postman item.
+ *
+ * @param {Object} item - The folder or request.
+ * @returns {Object} The Postman item group or item.
+ */
+function toPostmanItem(item) {
+  if (item.type === 'folder') {
+    return {
+      name: item.name,
+      ...(item.root?.docs ? { description: item.root.docs } : {}),
+      item: orderSteps(item.items).map(toPostmanItem),
+      ...toPostmanSettings(item.root, `folder "${item.name}"`)
+    };
+  }
+
+  const { request } = item;
+  const auth = toPostmanAuth(request.auth, `request "${item.name}"`);
+  const body = toPostmanBody(request.body);
+  const event = toPostmanEvents({
+    preRequest: [toVariableScript(request.vars?.req), request.script?.req],
+    postResponse: [toExtractionScript(request.vars?.res), request.script?.res, toAssertionScript(request.assertions), request.tests]
+  });
+
+  return {
+    name: item.name,
+    ...(event.length ? { event } : {}),
+    request: {
+      method: request.method,
+      header: (request.headers || []).map(toPostmanEntry),
+      ...(auth ? { auth } : {}),
+      ...(body ? { body } : {}),
+      url: toPostmanUrl(request),
+      ...(request.docs ? { description: request.docs } : {})
+    }
+  };
+}
+
+/**
+ * Converts the `root` settings of the collection or of a folder into Postman auth and events.
+ * Postman has no collection or folder headers: they are set by the pre-request script.
+ *
+ * @param {Object} [root] - The settings.
+ * @param {string} owner - The collection or folder, used in warnings.
+ * @returns {{auth?: Object, event?: Array<Object>}} The Postman settings.
+ */
+function toPostmanSettings(root, owner) {
+  const request = root?.request || {};
+  const auth = toPostmanAuth(request.auth, owner);
+  const headerScript = (request.headers || [])
+    .filter(header => header.enabled !== false)
+    .map(header => `pm.request.headers.upsert({ key: ${JSON.stringify(header.name)}, value: pm.variables.replaceIn(${JSON.stringify(header.value)}) });`)
+    .join('\n');
+  const event = toPostmanEvents({
+    preRequest: [toVariableScript(request.vars?.req), headerScript, request.script?.req],
+    postResponse: [toExtractionScript(request.vars?.res), request.script?.res, request.tests]
+  });
+
+  return {
+    ...(auth ? { auth } : {}),
+    ...(event.length ? { event } : {})
+  };
+}
+
+/**
+ * Builds the Postman `prerequest` and `test` events from script parts, each part run in order after the prelude.
+ *
+ * @param {{preRequest: Array<string>, postResponse: Array<string>}} scripts - The script parts; empty ones are skipped.
+ * @returns {Array<Object>} The events.
+ */
+function toPostmanEvents({ preRequest, postResponse }) {
+  const events = [];
+  const preRequestParts = preRequest.filter(part => part && part.trim());
+  const postResponseParts = postResponse.filter(part => part && part.trim());
+
+  if (preRequestParts.length)
+    events.push({ listen: 'prerequest', script: { type: 'text/javascript', exec: [PRE_REQUEST_PRELUDE, ...preRequestParts].join('\n\n').split('\n') } });
+
+  if (postResponseParts.length)
+    events.push({ listen: 'test', script: { type: 'text/javascript', exec: [POST_RESPONSE_PRELUDE, ...postResponseParts].join('\n\n').split('\n') } });
+
+  return events;
+}
+
+/**
+ * Turns pre-request variables into `pm.variables.set` calls; like in Bruno, they only live for the request.
+ *
+ * @param {Array<Object>} [variables] - The variables (`{ name, value, enabled }`).
+ * @returns {string} The script.
+ */
+function toVariableScript(variables) {
+  return (variables || [])
+    .filter(variable => variable.enabled !== false)
+    .map(variable => `pm.variables.set(${JSON.stringify(variable.name)}, pm.variables.replaceIn(${JSON.stringify(String(variable.value ?? ''))}));`)
+    .join('\n');
+}
+
+/**
+ * Turns post-response variables, whose values are expressions over `res`, into `bru.setVar` calls.
+ *
+ * @param {Array<Object>} [variables] - The variables (`{ name, value, enabled }`).
+ * @returns {string} The script.
+ */
+function toExtractionScript(variables) {
+  return (variables || [])
+    .filter(variable => variable.enabled !== false)
+    .map(variable => `bru.setVar(${JSON.stringify(variable.name)}, ${variable.value});`)
+    .join('\n');
+}
+
+/**
+ * Turns Bruno assertions (`{ name: "res.status", value: "eq 200" }`) into one `pm.test` each.
+ *
+ * @param {Array<Object>} [assertions] - The assertions.
+ * @returns {string} The script.
+ */
+function toAssertionScript(assertions) {
+  return (assertions || [])
+    .filter(assertion => assertion.enabled !== false)
+    .map((assertion) => {
+      const { target, operator, value } = parseAssertion(assertion);
+      const check = CHAI_ASSERTIONS[operator](target, toAssertionOperand(value));
+
+      return `pm.test(${JSON.stringify(`${assertion.name}: ${String(assertion.value ?? '').trim()}`)}, function () {\n  ${check}\n});`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Turns the operand of a Bruno assertion into a JavaScript expression: numbers, booleans, `null`, quoted
+ * strings and JSON arrays are literals, other values are strings with their `{{variables}}` interpolated.
+ *
+ * @param {string} operand - The operand.
+ * @returns {string} The expression.
+ */
+function toAssertionOperand(operand) {
+  if (/^(-?\d+(\.\d+)?|true|false|null)$/.test(operand) || /^(".*"|\[.*\])$/.test(operand))
+    return operand;
+
+  if (/^'.*'$/.test(operand))
+    return JSON.stringify(operand.slice(1, -1));
+
+  return operand.includes('{{') ? `pm.variables.replaceIn(${JSON.stringify(operand)})` : JSON.stringify(operand);
+}
+
+/**
+ * Converts a Bruno auth into a Postman auth. `inherit` (and a missing auth) is left out, as Postman
+ * items inherit the auth of their parents by default.
+ *
+ * @param {Object} [auth] - The Bruno auth.
+ * @param {string} owner - The request, folder or collection, used in warnings.
+ * @returns {Object|undefined} The Postman auth.
+ */
+function toPostmanAuth(auth, owner) {
+  const toAttributes = (values) => Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value, type: 'string' }));
+
+  switch (auth?.mode) {
+    case undefined:
+    case 'inherit':
+      return undefined;
+    case 'none':
+      return { type: 'noauth' };
+    case 'bearer':
+      return { type: 'bearer', bearer: toAttributes({ token: auth.bearer?.token }) };
+    case 'basic':
+      return { type: 'basic', basic: toAttributes({ username: auth.basic?.username, password: auth.basic?.password }) };
+    case 'digest':
+      return { type: 'digest', digest: toAttributes({ username: auth.digest?.username, password: auth.digest?.password }) };
+    case 'apikey':
+      return {
+        type: 'apikey',
+        apikey: toAttributes({
+          key: auth.apikey?.key,
+          value: auth.apikey?.value,
+          in: auth.apikey?.placement === 'queryparams' ? 'query' : 'header'
+        })
+      };
+    case 'oauth2':
+      return {
+        type: 'oauth2',
+        oauth2: toAttributes({
+          grant_type: auth.oauth2?.grantType,
+          accessTokenUrl: auth.oauth2?.accessTokenUrl,
+          authUrl: auth.oauth2?.authorizationUrl,
+          callbackUrl: auth.oauth2?.callbackUrl,
+          clientId: auth.oauth2?.clientId,
+          clientSecret: auth.oauth2?.clientSecret,
+          scope: auth.oauth2?.scope,
+          username: auth.oauth2?.username,
+          password: auth.oauth2?.password
+        })
+      };
+    default:
+      console.warn(`Auth mode "${auth.mode}" of ${owner} is not supported by the Postman export; it is left out.`);
+      return undefined;
+  }
+}
+
+/**
+ * Converts a Bruno body into a Postman body. File paths stay relative to the Bruno collection directory.
+ *
+ * @param {Object} [body] - The Bruno body.
+ * @returns {Object|undefined} The Postman body, or undefined for `none`.
+ */
+function toPostmanBody(body) {
+  const toRaw = (raw, language) => ({ mode: 'raw', raw: raw || '', options: { raw: { language } } });
+
+  switch (body?.mode) {
+    case 'json':
+      return toRaw(body.json, 'json');
+    case 'xml':
+      return toRaw(body.xml, 'xml');
+    case 'text':
+      return toRaw(body.text, 'text');
+    case 'formUrlEncoded':
+      return { mode: 'urlencoded', urlencoded: (body.formUrlEncoded || []).map(toPostmanEntry) };
+    case 'multipartForm':
+      return {
+        mode: 'formdata',
+        formdata: (body.multipartForm || []).map(field => ({
+          key: field.name,
+          ...(field.type === 'file' ? { type: 'file', src: field.value } : { type: 'text', value: field.value }),
+          ...(field.contentType ? { contentType: field.contentType } : {}),
+          ...(field.enabled === false ? { disabled: true } : {})
+        }))
+      };
+    case 'file': {
+      const file = (body.file || []).find(entry => entry.selected !== false) || body.file?.[0];
+      return { mode: 'file', file: { src: file?.filePath || '' } };
+    }
+    case 'graphql':
+      return { mode: 'graphql', graphql: { query: body.graphql?.query || '', variables: body.graphql?.variables || '' } };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Converts a Bruno name/value entry (header, form field) into a Postman key/value entry.
+ *
+ * @param {{name: string, value: string, enabled?: boolean}} entry - The entry.
+ * @returns {{key: string, value: string, disabled?: boolean}} The Postman entry.
+ */
+function toPostmanEntry(entry) {
+  return { key: entry.name, value: entry.value, ...(entry.enabled === false ? { disabled: true } : {}) };
+}
+
+/**
+ * Converts the URL of a Bruno request into a Postman URL. Path parameters (`:petId`) become URL variables;
+ * query parameters come from the request `params`, else from the query string of the URL.
+ *
+ * @param {Object} request - The Bruno request.
+ * @returns {Object} The Postman URL.
+ */
+function toPostmanUrl(request) {
+  const [base, queryString] = String(request.url || '').split(/\?(.*)/s);
+  const params = request.params || [];
+  const queryParams = params.filter(param => param.type === 'query');
+  const query = queryParams.length
+    ? queryParams.map(toPostmanEntry)
+    : [...new URLSearchParams(queryString || '')].map(([key, value]) => ({ key, value }));
+  const enabledQuery = query.filter(param => !param.disabled).map(param => `${param.key}=${param.value}`).join('&');
+
+  const location = /^(\w+):\/\/([^/]*)(.*)$/.exec(base);
+  const [host, ...segments] = location ? [location[2], ...location[3].split('/').slice(1)] : base.split('/');
+
+  return {
+    raw: enabledQuery ? `${base}?${enabledQuery}` : base,
+    ...(location ? { protocol: location[1] } : {}),
+    host: location ? host.split('.') : [host],
+    path: segments,
+    ...(query.length ? { query } : {}),
+    ...(params.some(param => param.type === 'path')
+      ? { variable: params.filter(param => param.type === 'path').map(param => ({ key: param.name, value: param.value })) }
+      : {})
+  };
+}
+
+/**
+ * Converts a Bruno environment into a Postman environment. Values read from `{{process.env.*}}` (the secrets
+ * of the local `.env` file) are exported empty, as secrets, to be filled in Postman.
+ *
+ * @param {Object} environment - The Bruno environment (`{ name, variables }`).
+ * @returns {Object} The Postman environment.
+ */
+function toPostmanEnvironment(environment) {
+  return {
+    name: environment.name,
+    values: (environment.variables || []).map((variable) => {
+      const fromDotEnv = PROCESS_ENV_PATTERN.test(String(variable.value ?? ''));
+
+      return {
+        key: variable.name,
+        value: fromDotEnv ? '' : String(variable.value ?? ''),
+        type: variable.secret || fromDotEnv ? 'secret' : 'default',
+        enabled: variable.enabled !== false
+      };
+    }),
+    _postman_variable_scope: 'environment'
+  };
+}
+
+module.exports = {
+  POSTMAN_COLLECTION_SCHEMA,
+  toPostmanCollection,
+  toPostmanEnvironment,
+  toPostmanAuth,
+  toPostmanBody,
+  toPostmanUrl
+};
@@ -0,0 +1,509 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const { dereference } = require('./oas-refs');
+const { sampleSchema } = require('./schema-sampler');
+
+/**
+ * Directory, relative to the generated collection, holding the files sent by multipart and binary bodies.
+ */
+const FIXTURES_DIR = 'fixtures';
+
+/**
+ * Placeholder files created in `FIXTURES_DIR` when a generated body references them, by file name.
+ * They are only meant to make requests sendable; replace them with real fixtures as needed.
+ */
+const FIXTURE_CONTENTS = {
+  'sample.png': Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64'),
+  'sample.gif': Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64'),
+  'sample.pdf': '%PDF-1.4\n1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n2 0 obj << /Type /Pages /Kids [] /Count 0 >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n',
+  'sample.json': '{}\n',
+  'sample.xml': '<?xml version="1.0" encoding="UTF-8"?>\n<sample/>\n',
+  'sample.csv': 'id,name\n1,sample\n',
+  'sample.txt': 'sample\n',
+  'sample.bin': Buffer.from([0, 1, 2, 3])
+};
+
+/**
+ * Content types Bruno sends by default for a body mode; other content types get an explicit `Content-Type` header.
+ * Multipart bodies never get one, as Bruno adds the boundary to it.
+ */
+const DEFAULT_CONTENT_TYPES = {
+  json: 'application/json',
+  formUrlEncoded: 'application/x-www-form-urlencoded',
+  multipartForm: 'multipart/form-data'
+};
+
+/**
+ * Maps a media type onto the Bruno body mode used to send it.
+ *
+ * @param {string} mediaType - The media type, e.g. `application/vnd.api+json`.
+ * @returns {string} `json`, `xml`, `formUrlEncoded`, `multipartForm`, `text`, or `file` for binary payloads.
+ */
+function getBodyMode(mediaType) {
+  const type = String(mediaType).toLowerCase().split(';')[0].trim();
+
+  if (/^[\w.-]+\/([\w.-]+\+)?json$/.test(type))
+    return 'json';
+
+  if (/^(application|text)\/([\w.-]+\+)?xml$/.test(type))
+    return 'xml';
+
+  if (type === 'application/x-www-form-urlencoded')
+    return 'formUrlEncoded';
+
+  if (type.startsWith('multipart/'))
+    return 'multipartForm';
+
+  if (type.startsWith('text/'))
+    return 'text';
+
+  return 'file';
+}
+
+/**
+ * Builds the Bruno bodies of an operation, one per media type of its `requestBody`, from the media type
+ * `example`, its first `examples` entry, or a value synthesized from its schema:
+ * - JSON bodies hold the value as JSON
+ * - XML bodies serialize it following the `xml` hints of the schema (`name`, `attribute`, `wrapped`, `prefix`, `namespace`)
+ * - form-urlencoded and multipart bodies get one field per property (arrays are repeated); multipart properties
+ *   holding binary data (`format: binary`/`base64`, or a non-text `encoding.contentType`) become file fields
+ *   pointing at a placeholder in `fixtures/` (see `writeFixtures`)
+ * - text bodies hold the value as text, other media types send a fixture file
+ *
+ * @param {Object} operation - The OpenAPI operation.
+ * @param {Object} refContext - Reference resolution context used for `$ref`s.
+ * @returns {Object<string, Object>|null} The Bruno bodies by media type, in the order of the spec, or null if the
+ *          operation has no request body.
+ */
+function createRequestBodies(operation, refContext) {
+  if (!operation?.requestBody)
+    return null;
+
+  const { value: requestBody, context } = dereference(operation.requestBody, refContext);
+  const bodies = {};
+
+  for (const [mediaType, media] of Object.entries(requestBody?.content || {}))
+    bodies[mediaType] = createRequestBody(mediaType, media || {}, context);
+
+  return Object.keys(bodies).length ? bodies : null;
+}
+
+/**
+ * Builds the Bruno body sending a media type of a request body.
+ *
+ * @param {string} mediaType - The media type.
+ * @param {Object} media - The media type object (`schema`, `example`, `examples`, `encoding`).
+ * @param {Object} context - Reference resolution context of the media type object.
+ * @returns {Object} The Bruno body, e.g. `{ mode: "json", json: "{...}" }`.
+ */
+function createRequestBody(mediaType, media, context) {
+  const mode = getBodyMode(mediaType);
+
+  if (mode === 'file')
+    return { mode, file: [{ filePath: getFixturePath(mediaType), contentType: mediaType, selected: true }] };
+
+  const example = getMediaExample(media, context);
+  const schema = resolveSchema(media.schema, context);
+
+  switch (mode) {
+    case 'json':
+      return { mode, json: example === undefined ? '' : JSON.stringify(example, null, 2) };
+    case 'xml':
+      return { mode, xml: example === undefined ? '' : toXml(example, media.schema, context) };
+    case 'formUrlEncoded':
+      return { mode, formUrlEncoded: toFormFields(example, schema.value, schema.context) };
+    case 'multipartForm':
+      return { mode, multipartForm: toMultipartFields(example, schema.value, schema.context, media.encoding || {}) };
+    default:
+      return { mode, text: example === undefined ? '' : (typeof example === 'string' ? example : JSON.stringify(example, null, 2)) };
+  }
+}
+
+/**
+ * Resolves the example of a media type: `example`, then the first entry of `examples` (following `$ref`s to
+ * `#/components/examples/...`), then a value synthesized from `schema` via `sampleSchema()`.
+ *
+ * @param {Object} media - The media type object.
+ * @param {Object} context - Reference resolution context of the media type object.
+ * @param {Object} [sampleOptions] - Options of `sampleSchema()`, e.g. `{ skipReadOnly: false, skipWriteOnly: true }` for responses.
+ * @returns {*} The example, or `undefined` if there is none.
+ */
+function getMediaExample(media, context, sampleOptions) {
+  if (media.example !== undefined)
+    return media.example;
+
+  const examples = Object.values(media.examples || {});
+
+  if (examples.length) {
+    const { value: example } = dereference(examples[0], context);
+
+    if (example?.value !== undefined)
+      return example.value;
+  }
+
+  return media.schema ? sampleSchema(media.schema, context, sampleOptions) : undefined;
+}
+
+/**
+ * Turns an example object into form-urlencoded fields. Arrays repeat the field, objects are sent as JSON.
+ *
+ * @param {*} example - The example.
+ * @param {Object} schema - The resolved object schema, whose property descriptions are kept.
+ * @param {Object} context - Reference resolution context of the schema.
+ * @returns {Array<Object>} The Bruno fields.
+ */
+function toFormFields(example, schema, context) {
+  return Object.entries(isPlainObject(example) ? example : {})
+    .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => ({
+      name,
+      value: toFieldValue(item),
+      description: resolveSchema(schema?.properties?.[name], context).value.description || '',
+      enabled: true
+    })));
+}
+
+/**
+ * Turns an example object into multipart fields. Properties holding binary data become file fields pointing at
+ * a fixture; the `encoding.contentType` of a property is kept on its part.
+ *
+ * @param {*} example - The example.
+ * @param {Object} schema - The resolved object schema.
+ * @param {Object} context - Reference resolution context of the schema.
+ * @param {Object} encoding - The `encoding` map of the media type.
+ * @returns {Array<Object>} The Bruno fields.
+ */
+function toMultipartFields(example, schema, context, encoding) {
+  const values = isPlainObject(example) ? { ...example } : {};
+
+  // Binary properties are sampled as empty strings, or omitted; every file property gets a field.
+  for (const name of Object.keys(schema?.properties || {}))
+    if (!(name in values) && isBinarySchema(resolveSchema(schema.properties[name], context).value))
+      values[name] = '';
+
+  return Object.entries(values).flatMap(([name, value]) => {
+    const propertySchema = resolveSchema(schema?.properties?.[name], context).value;
+    const itemSchema = propertySchema.type === 'array' ? resolveSchema(propertySchema.items, context).value : propertySchema;
+    const contentType = encoding[name]?.contentType?.split(',')[0].trim();
+    const description = propertySchema.description || '';
+
+    if (isBinarySchema(itemSchema) || (contentType && getBodyMode(contentType) === 'file'))
+      return [{
+        type: 'file',
+        name,
+        value: [getFixturePath(contentType || itemSchema.contentMediaType || 'application/octet-stream')],
+        contentType: contentType || '',
+        description,
+        enabled: true
+      }];
+
+    return (Array.isArray(value) && propertySchema.type === 'array' ? value : [value]).map(item => ({
+      type: 'text',
+      name,
+      value: toFieldValue(item),
+      contentType: contentType || (item !== null && typeof item === 'object' ? 'application/json' : ''),
+      description,
+      enabled: true
+    }));
+  });
+}
+
+/**
+ * Formats a form field value.
+ *
+ * @param {*} value - The value.
+ * @returns {string} Strings as is, objects as JSON, other values as text.
+ */
+function toFieldValue(value) {
+  if (value === undefined || value === null)
+    return '';
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Tells whether a schema describes binary content.
+ *
+ * @param {Object} schema - The resolved schema.
+ * @returns {boolean} True for `binary`/`base64` strings and strings with a `contentMediaType` or `contentEncoding`.
+ */
+function isBinarySchema(schema) {
+  return schema?.type === 'string'
+    && (['binary', 'base64'].includes(schema.format) || schema.contentMediaType !== undefined || schema.contentEncoding !== undefined);
+}
+
+/**
+ * Serializes an example as an XML document, following the `xml` object of the schemas: element names
+ * (`xml.name`, defaulting to the property or component name), `attribute` properties, `wrapped` arrays and
+ * `prefix`/`namespace`.
+ *
+ * @param {*} example - The example.
+ * @param {Object} schema - The schema of the body (possibly a `$ref`).
+ * @param {Object} context - Reference resolution context of the schema.
+ * @returns {string} The XML document.
+ */
+function toXml(example, schema, context) {
+  const refName = typeof schema?.$ref === 'string' ? schema.$ref.split('/').pop() : undefined;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${toXmlElement(example, schema, context, refName || 'root', '')}`;
+}
+
+/**
+ * Serializes a value as an XML element.
+ *
+ * @param {*} value - The value.
+ * @param {Object} schema - Its schema (possibly a `$ref`).
+ * @param {Object} context - Reference resolution context of the schema.
+ * @param {string} defaultName - The element name when the schema has no `xml.name`.
+ * @param {string} indent - The indentation of the element.
+ * @returns {string} The element, or elements for unwrapped arrays.
+ */
+function toXmlElement(value, schema, context, defaultName, indent) {
+  const resolved = resolveSchema(schema, context);
+  const xml = resolved.value.xml || {};
+  const name = formatXmlName(xml.name || defaultName, xml.prefix);
+  const namespace = xml.namespace ? ` xmlns${xml.prefix ? `:${xml.prefix}` : ''}="${escapeXml(xml.namespace)}"` : '';
+
+  if (Array.isArray(value)) {
+    const itemSchema = resolved.value.items;
+    const itemName = resolveSchema(itemSchema, resolved.context).value.xml?.name || (xml.wrapped ? defaultName : xml.name || defaultName);
+    const childIndent = xml.wrapped ? `${indent}  ` : indent;
+    const items = value.map(item => toXmlElement(item, itemSchema, resolved.context, itemName, childIndent));
+
+    if (!xml.wrapped)
+      return items.join('\n');
+
+    return items.length
+      ? `${indent}<${name}${namespace}>\n${items.join('\n')}\n${indent}</${name}>`
+      : `${indent}<${name}${namespace}/>`;
+  }
+
+  if (isPlainObject(value)) {
+    const properties = resolved.value.properties || {};
+    const attributes = [];
+    const children = [];
+
+    for (const [property, propertyValue] of Object.entries(value)) {
+      const propertySchema = properties[property];
+      const propertyXml = resolveSchema(propertySchema, resolved.context).value.xml || {};
+
+      if (propertyXml.attribute && (propertyValue === null || typeof propertyValue !== 'object'))
+        attributes.push(` ${formatXmlName(propertyXml.name || property, propertyXml.prefix)}="${escapeXml(toFieldValue(propertyValue))}"`);
+      else
+        children.push(toXmlElement(propertyValue, propertySchema, resolved.context, property, `${indent}  `));
+    }
+
+    const openingTag = `${name}${namespace}${attributes.join('')}`;
+
+    return children.length
+      ? `${indent}<${openingTag}>\n${children.join('\n')}\n${indent}</${name}>`
+      : `${indent}<${openingTag}/>`;
+  }
+
+  return `${indent}<${name}${namespace}>${escapeXml(toFieldValue(value))}</${name}>`;
+}
+
+/**
+ * Prefixes an XML name.
+ *
+ * @param {string} name - The local name.
+ * @param {string} [prefix] - The namespace prefix.
+ * @returns {string} The qualified name.
+ */
+function formatXmlName(name, prefix) {
+  return prefix ? `${prefix}:${name}` : name;
+}
+
+/**
+ * Escapes text for XML content and attribute values.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Resolves a schema reference and merges its `allOf` members, keeping the `xml` object of the schema itself.
+ *
+ * @param {Object} [schema] - The schema.
+ * @param {Object} context - Reference resolution context of the schema.
+ * @returns {{value: Object, context: Object}} The resolved schema (`{}` if there is none) and its context.
+ */
+function resolveSchema(schema, context) {
+  if (!schema)
+    return { value: {}, context };
+
+  let resolved;
+
+  try {
+    resolved = dereference(schema, context);
+  } catch (error) {
+    return { value: {}, context };
+  }
+
+  const value = resolved.value || {};
+
+  if (!Array.isArray(value.allOf))
+    return { value, context: resolved.context };
+
+  const merged = { ...value, properties: { ...value.properties }, required: [...(value.required || [])] };
+
+  for (const member of value.allOf) {
+    const part = resolveSchema(member, resolved.context).value;
+
+    Object.assign(merged.properties, part.properties);
+    merged.required.push(...(part.required || []));
+    merged.type = merged.type || part.type;
+    merged.items = merged.items || part.items;
+    merged.xml = merged.xml || part.xml;
+  }
+
+  return { value: merged, context: resolved.context };
+}
+
+/**
+ * Picks the fixture file sent for a content type.
+ *
+ * @param {string} contentType - The content type of the file.
+ * @returns {string} The path of the fixture, relative to the collection, e.g. `fixtures/sample.png`.
+ */
+function getFixturePath(contentType) {
+  const type = String(contentType).toLowerCase().split(';')[0].trim();
+  let name = 'sample.bin';
+
+  if (type === 'image/gif')
+    name = 'sample.gif';
+  else if (type.startsWith('image/'))
+    name = 'sample.png';
+  else if (type === 'application/pdf')
+    name = 'sample.pdf';
+  else if (type === 'text/csv')
+    name = 'sample.csv';
+  else if (getBodyMode(type) === 'json')
+    name = 'sample.json';
+  else if (getBodyMode(type) === 'xml')
+    name = 'sample.xml';
+  else if (type.startsWith('text/'))
+    name = 'sample.txt';
+
+  return `${FIXTURES_DIR}/${name}`;
+}
+
+/**
+ * Switches the body of a request to another media type of its operation, for a step's `content_type`.
+ * The `Content-Type` header is set when Bruno would not send the media type by itself.
+ *
+ * @param {Object} item - The Bruno request item, with its `openapi` metadata holding the `bodies` of the operation.
+ * @param {string} [contentType] - The media type to send; the item is returned unchanged if omitted.
+ * @returns {Object} A copy of the item whose request sends the media type.
+ * @throws {Error} If the operation does not accept the media type.
+ */
+function selectRequestBody(item, contentType) {
+  if (contentType === undefined)
+    return item;
+
+  const contentTypes = item.openapi?.requestBody?.contentTypes || [];
+  const body = item.openapi?.bodies?.[contentType];
+
+  if (!contentTypes.includes(contentType))
+    throw new Error(`Content type "${contentType}" is not accepted by "${item.name}". Accepted content types: ${contentTypes.join(', ') || 'none'}.`);
+
+  // Operations with a single media type have no `bodies`: the request already sends it.
+  return body ? { ...item, request: applyRequestBody(item.request, contentType, body) } : item;
+}
+
+/**
+ * Sets the body of a request, replacing its `Content-Type` header.
+ *
+ * @param {Object} request - The Bruno request.
+ * @param {string} mediaType - The media type of the body.
+ * @param {Object} body - The Bruno body.
+ * @returns {Object} A copy of the request with the body.
+ */
+function applyRequestBody(request, mediaType, body) {
+  const headers = (request.headers || []).filter(header => String(header.name).toLowerCase() !== 'content-type');
+
+  if (body.mode !== 'multipartForm' && DEFAULT_CONTENT_TYPES[body.mode] !== mediaType)
+    headers.push({ name: 'Content-Type', value: mediaType, description: '', enabled: true });
+
+  return { ...request, headers, body: structuredClone(body) };
+}
+
+/**
+ * Creates the placeholder fixtures referenced by the file fields and binary bodies of a collection, in its
+ * `fixtures/` directory. Existing files are never overwritten, so they can be replaced by real fixtures.
+ *
+ * @param {Object} testCollection - The test collection.
+ * @param {string} collectionDir - The directory of the collection.
+ * @returns {Promise<Array<string>>} The fixtures created.
+ */
+async function writeFixtures(testCollection, collectionDir) {
+  const fixtures = new Set();
+
+  const visit = (items) => {
+    for (const item of items || []) {
+      if (item.type === 'folder') {
+        visit(item.items);
+        continue;
+      }
+
+      const body = item.request?.body || {};
+      const files = [
+        ...(body.mode === 'multipartForm' ? body.multipartForm || [] : []).filter(field => field.type === 'file').flatMap(field => field.value || []),
+        ...(body.mode === 'file' ? body.file || [] : []).map(file => file.filePath)
+      ];
+
+      files.filter(file => path.dirname(file) === FIXTURES_DIR && FIXTURE_CONTENTS[path.basename(file)] !== undefined)
+        .forEach(file => fixtures.add(file));
+    }
+  };
+
+  visit(testCollection.items);
+
+  const created = [];
+
+  for (const fixture of fixtures) {
+    const fixturePath = path.join(collectionDir, fixture);
+
+    try {
+      await fs.access(fixturePath);
+    } catch (error) {
+      await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.writeFile(fixturePath, FIXTURE_CONTENTS[path.basename(fixture)]);
+      created.push(fixture);
+    }
+  }
+
+  if (created.length)
+    console.log(`✅ Created placeholder fixtures: ${created.join(', ')}`);
+
+  return created;
+}
+
+/**
+ * Tells whether a value is a plain object.
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} True for non-null, non-array objects.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  getBodyMode,
+  createRequestBodies,
+  createRequestBody,
+  getMediaExample,
+  toXml,
+  getFixturePath,
+  selectRequestBody,
+  applyRequestBody,
+  writeFixtures
+};
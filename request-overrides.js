@@ -0,0 +1,592 @@
+/**
+ * Request fields that can be overridden by a step, with the value used when the base request lacks them.
+ */
+const REQUEST_FIELDS = {
+  url: () => '',
+  method: () => 'GET',
+  auth: () => ({ mode: 'none' }),
+  headers: () => [],
+  params: () => [],
+  body: () => ({ mode: 'none' }),
+  script: () => ({ req: null, res: null }),
+  vars: () => ({ req: [], res: [] }),
+  assertions: () => [],
+  tests: () => '',
+  docs: () => ''
+};
+
+/**
+ * Lists of `{ name, value, enabled }` entries, which patches address by entry name
+ * (e.g. `/headers/api_key/value`) instead of by index. Repeated names are addressed
+ * as `name#2`, `name#3`, ... (e.g. the two `res.status` assertions of a `4XX` range).
+ */
+const NAMED_LISTS = [
+  ['headers'],
+  ['params'],
+  ['body', 'formUrlEncoded'],
+  ['body', 'multipartForm'],
+  ['vars', 'req'],
+  ['vars', 'res'],
+  ['assertions']
+];
+
+/**
+ * Marks a patch view whose `body.json` was parsed, so that it is serialized back whatever value it holds.
+ */
+const PARSED_JSON_BODY = Symbol('parsedJsonBody');
+
+/**
+ * Applies updates to a cloned request object based on the provided spec.
+ * `parameters`, `script`, `url` and `body` replace the corresponding request fields wholesale;
+ * use `applyRequestPatches` to change individual fields.
+ * @param {Object} originalRequest - The original request object to clone.
+ * @param {Object} requestSpec - The spec containing fields to update.
+ * @returns {Object} - A new request object with applied updates.
+ */
+function applyRequestUpdates(originalRequest, requestSpec) {
+  const updatedRequest = JSON.parse(JSON.stringify(originalRequest));
+  const updateFields = [
+    {
+      sourceKey: 'parameters',
+      targetKey: 'params',
+      validate: (value) => value !== undefined,
+    },
+    {
+      sourceKey: 'script',
+      targetKey: 'script',
+      validate: (value) => value !== undefined,
+    },
+    {
+      sourceKey: 'url',
+      targetKey: 'url',
+      validate: (value) => value !== undefined,
+    },
+    {
+      sourceKey: 'body',
+      targetKey: 'body',
+      validate: (value) => {
+        return (
+          value !== undefined &&
+          value !== null &&
+          !(typeof value === 'object' && Object.keys(value).length === 0)
+        );
+      },
+    },
+  ];
+
+  updateFields.forEach(({ sourceKey, targetKey, validate }) => {
+    const value = requestSpec[sourceKey];
+
+    if (validate(value))
+      updatedRequest.request[targetKey] = value;
+
+  });
+
+  return updatedRequest;
+}
+
+/**
+ * Applies the patch-style overrides of a step to a Bruno request: first its `merge_patch`
+ * (JSON Merge Patch, RFC 7396), then its `json_patch` (JSON Patch, RFC 6902).
+ *
+ * Both operate on a view of the request where:
+ * - `body.json` is the parsed JSON body, so `/body/json/status` addresses a body field
+ * - headers, params, form fields, vars and assertions are objects keyed by entry name,
+ *   so `/headers/api_key/value` addresses a header value; a string stands for `{ "value": ... }`
+ *
+ * Unlike plain merge patches, a merge patch may only change keys the base request already has
+ * (new entries can be added to the named lists, and a patch switching the auth `mode` may set the
+ * settings of the new mode); use a JSON Patch `add` to introduce other keys.
+ *
+ * @param {Object} request - The Bruno request (`item.request`).
+ * @param {{merge_patch?: Object, json_patch?: Array<Object>}} requestSpec - The step.
+ * @returns {Object} A patched copy of the request.
+ * @throws {Error} If a patch addresses a path that does not exist in the request, or a `test` operation fails.
+ */
+function applyRequestPatches(request, requestSpec) {
+  if (requestSpec.merge_patch === undefined && requestSpec.json_patch === undefined)
+    return request;
+
+  const view = toPatchView(request);
+
+  if (requestSpec.merge_patch !== undefined) {
+    if (!isPlainObject(requestSpec.merge_patch))
+      throw new Error('merge_patch must be an object.');
+
+    applyMergePatch(view, requestSpec.merge_patch, '', false);
+  }
+
+  (requestSpec.json_patch || []).forEach((operation, index) => {
+    try {
+      applyJsonPatchOperation(view, operation);
+    } catch (error) {
+      throw new Error(`json_patch[${index}] (${operation?.op} ${operation?.path}): ${error.message}`);
+    }
+  });
+
+  return fromPatchView(view);
+}
+
+/**
+ * Converts a Bruno request into the view patches operate on (see `applyRequestPatches`).
+ *
+ * @param {Object} request - The Bruno request.
+ * @returns {Object} The patch view.
+ */
+function toPatchView(request) {
+  const view = JSON.parse(JSON.stringify(request || {}));
+
+  for (const [field, createDefault] of Object.entries(REQUEST_FIELDS)) {
+    if (view[field] === undefined || view[field] === null)
+      view[field] = createDefault();
+  }
+
+  if (view.body.mode === 'json' && typeof view.body.json === 'string') {
+    const json = parseTemplatedJson(view.body.json);
+
+    if (json !== undefined) {
+      view.body.json = json;
+      view[PARSED_JSON_BODY] = true;
+    }
+  }
+
+  for (const listPath of NAMED_LISTS) {
+    const parent = getAt(view, listPath.slice(0, -1));
+    const key = listPath[listPath.length - 1];
+
+    if (parent && typeof parent === 'object')
+      parent[key] = indexNamedEntries(parent[key] || []);
+  }
+
+  return view;
+}
+
+/**
+ * Keys the entries of a named list by name, suffixing repeated names with `#2`, `#3`, ...
+ *
+ * @param {Array<Object>} entries - The entries.
+ * @returns {Object<string, Object>} The entries keyed by name.
+ */
+function indexNamedEntries(entries) {
+  const indexed = {};
+
+  for (const entry of entries) {
+    let key = entry.name;
+
+    for (let occurrence = 2; key in indexed; occurrence++)
+      key = `${entry.name}#${occurrence}`;
+
+    indexed[key] = entry;
+  }
+
+  return indexed;
+}
+
+/**
+ * Converts a patch view back into a Bruno request.
+ *
+ * @param {Object} view - The patch view.
+ * @returns {Object} The Bruno request.
+ */
+function fromPatchView(view) {
+  for (const listPath of NAMED_LISTS) {
+    const parent = getAt(view, listPath.slice(0, -1));
+    const key = listPath[listPath.length - 1];
+
+    if (parent && isPlainObject(parent[key]))
+      parent[key] = Object.entries(parent[key]).map(([name, entry]) => toNamedEntry(name, entry, listPath));
+  }
+
+  // A parsed body may be a string, number, boolean or null, which is serialized back too.
+  if (view.body.json !== undefined && (view[PARSED_JSON_BODY] || (view.body.json !== null && typeof view.body.json === 'object')))
+    view.body.json = stringifyTemplatedJson(view.body.json);
+
+  delete view[PARSED_JSON_BODY];
+
+  return view;
+}
+
+/**
+ * Normalizes a named list entry written by a patch: strings (and other scalars) stand for the
+ * entry value, new params default to query params. Multipart file fields hold a list of file
+ * paths, so a single path is wrapped in one.
+ *
+ * @param {string} name - The entry key, used as the name of new entries.
+ * @param {*} entry - The entry, or its value.
+ * @param {Array<string>} listPath - Path of the list in the request, e.g. `['params']`.
+ * @returns {Object} The Bruno entry.
+ */
+function toNamedEntry(name, entry, listPath) {
+  const fields = isPlainObject(entry) ? entry : { value: entry };
+  const defaults = { name, value: '', enabled: true };
+
+  if (listPath[0] === 'params')
+    defaults.type = 'query';
+
+  if (listPath[1] === 'multipartForm')
+    defaults.type = 'text';
+
+  const normalized = { ...defaults, ...fields, name: fields.name ?? name };
+
+  if (normalized.type === 'file')
+    normalized.value = (Array.isArray(fields.value) ? fields.value : [fields.value]).filter(Boolean).map(String);
+  else
+    normalized.value = typeof fields.value === 'string' ? fields.value : String(fields.value ?? '');
+
+  return normalized;
+}
+
+/**
+ * Applies a JSON Merge Patch to a patch view in place.
+ * Keys the target lacks are rejected, except inside named lists where they add a new entry, and the settings
+ * of the auth mode a patch switches to (e.g. `bearer` along with `"mode": "bearer"`), which replace those of
+ * the previous mode.
+ *
+ * @param {Object} target - The object to patch.
+ * @param {Object} patch - The merge patch.
+ * @param {string} pointer - JSON pointer of the target, used in error messages.
+ * @param {boolean} allowNewKeys - Whether the target accepts new keys.
+ * @throws {Error} If the patch addresses a key the target does not have.
+ */
+function applyMergePatch(target, patch, pointer, allowNewKeys) {
+  const switchedAuthMode = pointer === '/auth' && typeof patch.mode === 'string' && patch.mode !== target.mode
+    ? patch.mode
+    : undefined;
+
+  if (switchedAuthMode !== undefined && isPlainObject(target[target.mode]))
+    delete target[target.mode];
+
+  for (const [key, value] of Object.entries(patch)) {
+    const keyPointer = `${pointer}/${escapePointerSegment(key)}`;
+
+    if (!(key in target) && !allowNewKeys && key !== switchedAuthMode)
+      throw new Error(`merge_patch path "${keyPointer}" does not exist in the base request.${formatAvailableKeys(target)}`);
+
+    if (value === null) {
+      delete target[key];
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      applyMergePatch(target[key], value, keyPointer, isNamedList(keyPointer));
+    } else if (isNamedList(pointer) && !isPlainObject(value) && isPlainObject(target[key])) {
+      target[key].value = value;
+    } else {
+      target[key] = JSON.parse(JSON.stringify(value));
+    }
+  }
+}
+
+/**
+ * Applies a single JSON Patch operation to a patch view in place.
+ *
+ * @param {Object} document - The patch view.
+ * @param {{op: string, path: string, value?: *, from?: string}} operation - The operation.
+ * @throws {Error} If the operation is invalid, addresses a missing path or a `test` fails.
+ */
+function applyJsonPatchOperation(document, operation) {
+  const { op, path: pointer, from } = operation || {};
+  const value = operation?.value === undefined ? undefined : JSON.parse(JSON.stringify(operation.value));
+
+  switch (op) {
+    case 'add':
+      return addAt(document, pointer, requireValue(operation, value));
+    case 'remove':
+      return removeAt(document, pointer);
+    case 'replace': {
+      getAtPointer(document, pointer);
+      const { parent, key } = getParent(document, pointer);
+
+      if (Array.isArray(parent))
+        parent[Number(key)] = requireValue(operation, value);
+      else
+        assignAt(parent, key, requireValue(operation, value), pointer);
+
+      return;
+    }
+    case 'move': {
+      if (pointer.startsWith(`${from}/`))
+        throw new Error(`cannot move "${from}" into one of its own children.`);
+
+      const moved = getAtPointer(document, from);
+      removeAt(document, from);
+      return addAt(document, pointer, moved);
+    }
+    case 'copy':
+      return addAt(document, pointer, JSON.parse(JSON.stringify(getAtPointer(document, from))));
+    case 'test': {
+      const actual = getAtPointer(document, pointer);
+
+      if (!isDeepEqual(actual, requireValue(operation, value)))
+        throw new Error(`test failed: expected ${JSON.stringify(value)}, found ${JSON.stringify(actual)}.`);
+
+      return;
+    }
+    default:
+      throw new Error(`unknown op "${op}"; use add, remove, replace, move, copy or test.`);
+  }
+}
+
+/**
+ * Returns the `value` of an operation that requires one.
+ *
+ * @param {Object} operation - The JSON Patch operation.
+ * @param {*} value - The cloned value.
+ * @returns {*} The value.
+ * @throws {Error} If the operation has no value.
+ */
+function requireValue(operation, value) {
+  if (!('value' in operation))
+    throw new Error(`"${operation.op}" requires a "value".`);
+
+  return value;
+}
+
+/**
+ * Adds a value at a JSON pointer. The parent must exist; `-` appends to an array.
+ *
+ * @param {Object} document - The document.
+ * @param {string} pointer - The JSON pointer.
+ * @param {*} value - The value to add.
+ * @throws {Error} If the parent does not exist or the array index is out of bounds.
+ */
+function addAt(document, pointer, value) {
+  const { parent, key } = getParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : parseArrayIndex(key, parent.length + 1, pointer);
+    parent.splice(index, 0, value);
+  } else {
+    assignAt(parent, key, value, pointer);
+  }
+}
+
+/**
+ * Sets an object key. A scalar written to an existing named list entry sets the entry value.
+ *
+ * @param {Object} parent - The object.
+ * @param {string} key - The key.
+ * @param {*} value - The value.
+ * @param {string} pointer - The JSON pointer of the key.
+ */
+function assignAt(parent, key, value, pointer) {
+  if (isNamedList(parentPointer(pointer)) && !isPlainObject(value) && isPlainObject(parent[key]))
+    parent[key].value = value;
+  else
+    parent[key] = value;
+}
+
+/**
+ * Removes the value at a JSON pointer.
+ *
+ * @param {Object} document - The document.
+ * @param {string} pointer - The JSON pointer.
+ * @throws {Error} If the path does not exist.
+ */
+function removeAt(document, pointer) {
+  const { parent, key } = getParent(document, pointer);
+
+  if (Array.isArray(parent))
+    parent.splice(parseArrayIndex(key, parent.length, pointer), 1);
+  else if (key in parent)
+    delete parent[key];
+  else
+    throw new Error(`path "${pointer}" does not exist in the base request.${formatAvailableKeys(parent)}`);
+}
+
+/**
+ * Resolves the parent container of a JSON pointer.
+ *
+ * @param {Object} document - The document.
+ * @param {string} pointer - The JSON pointer.
+ * @returns {{parent: Object|Array, key: string}} The parent and the last pointer segment.
+ * @throws {Error} If the pointer is the root or its parent does not exist.
+ */
+function getParent(document, pointer) {
+  const segments = parsePointer(pointer);
+
+  if (!segments.length)
+    throw new Error('the whole request cannot be replaced; address one of its fields.');
+
+  const parent = getAtPointer(document, parentPointer(pointer));
+
+  if (!parent || typeof parent !== 'object')
+    throw new Error(`"${parentPointer(pointer)}" is not an object or array.`);
+
+  return { parent, key: segments[segments.length - 1] };
+}
+
+/**
+ * Resolves a JSON pointer.
+ *
+ * @param {Object} document - The document.
+ * @param {string} pointer - The JSON pointer, e.g. `/body/json/tags/0`.
+ * @returns {*} The value.
+ * @throws {Error} If the path does not exist.
+ */
+function getAtPointer(document, pointer) {
+  let current = document;
+  let currentPointer = '';
+
+  for (const segment of parsePointer(pointer)) {
+    const exists = Array.isArray(current)
+      ? /^(0|[1-9]\d*)$/.test(segment) && Number(segment) < current.length
+      : current !== null && typeof current === 'object' && segment in current;
+
+    if (!exists)
+      throw new Error(`path "${currentPointer}/${escapePointerSegment(segment)}" does not exist in the base request.${formatAvailableKeys(current)}`);
+
+    current = current[segment];
+    currentPointer += `/${escapePointerSegment(segment)}`;
+  }
+
+  return current;
+}
+
+/**
+ * Splits a JSON pointer into unescaped segments.
+ *
+ * @param {string} pointer - The JSON pointer.
+ * @returns {Array<string>} The segments.
+ * @throws {Error} If the pointer does not start with `/`.
+ */
+function parsePointer(pointer) {
+  if (pointer === '')
+    return [];
+
+  if (typeof pointer !== 'string' || !pointer.startsWith('/'))
+    throw new Error(`"${pointer}" is not a JSON pointer; it must start with "/".`);
+
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Returns the pointer of the parent of a JSON pointer.
+ *
+ * @param {string} pointer - The JSON pointer.
+ * @returns {string} The parent pointer.
+ */
+function parentPointer(pointer) {
+  return pointer.slice(0, pointer.lastIndexOf('/'));
+}
+
+/**
+ * Escapes a JSON pointer segment (`~` → `~0`, `/` → `~1`).
+ *
+ * @param {string} segment - The segment.
+ * @returns {string} The escaped segment.
+ */
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Parses an array index of a JSON pointer.
+ *
+ * @param {string} segment - The pointer segment.
+ * @param {number} limit - The exclusive upper bound of the index.
+ * @param {string} pointer - The full pointer, used in error messages.
+ * @returns {number} The index.
+ * @throws {Error} If the segment is not a valid index.
+ */
+function parseArrayIndex(segment, limit, pointer) {
+  if (!/^(0|[1-9]\d*)$/.test(segment) || Number(segment) >= limit)
+    throw new Error(`path "${pointer}" does not exist in the base request (index out of bounds).`);
+
+  return Number(segment);
+}
+
+/**
+ * Checks whether a pointer addresses one of the named lists of the patch view.
+ *
+ * @param {string} pointer - The JSON pointer.
+ * @returns {boolean} True for `/headers`, `/vars/req`, ...
+ */
+function isNamedList(pointer) {
+  return NAMED_LISTS.some(listPath => pointer === `/${listPath.join('/')}`);
+}
+
+/**
+ * Lists the keys of an object for error messages.
+ *
+ * @param {*} value - The object the missing key was looked up in.
+ * @returns {string} The formatted keys, or an empty string.
+ */
+function formatAvailableKeys(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value))
+    return '';
+
+  const keys = Object.keys(value);
+
+  return keys.length ? ` Available keys: ${keys.join(', ')}.` : '';
+}
+
+/**
+ * Resolves a path of keys in an object.
+ *
+ * @param {Object} object - The object.
+ * @param {Array<string>} keys - The keys.
+ * @returns {*} The value, or undefined.
+ */
+function getAt(object, keys) {
+  return keys.reduce((current, key) => current?.[key], object);
+}
+
+/**
+ * Compares two JSON values structurally, ignoring the order of object keys.
+ *
+ * @param {*} first - The first value.
+ * @param {*} second - The second value.
+ * @returns {boolean} True if both values are equal.
+ */
+function isDeepEqual(first, second) {
+  if (first === second)
+    return true;
+
+  if (!first || !second || typeof first !== 'object' || typeof second !== 'object' || Array.isArray(first) !== Array.isArray(second))
+    return false;
+
+  const firstKeys = Object.keys(first);
+
+  return firstKeys.length === Object.keys(second).length
+    && firstKeys.every(key => key in second && isDeepEqual(first[key], second[key]));
+}
+
+/**
+ * Checks whether a value is a plain object (not null, not an array).
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses a JSON body that may contain unquoted `{{variable}}` placeholders (e.g. `"petId": {{petId}}`).
+ * The placeholders are kept as `{{variable}}` marker strings so they survive patching.
+ *
+ * @param {string} json - The JSON body.
+ * @returns {*} The parsed body, or undefined if it is not JSON.
+ */
+function parseTemplatedJson(json) {
+  const quoted = json.replace(/([:\[,]\s*)({{[^{}"]+}})(?=\s*[,\]}])/g, '$1"\\u0000$2"');
+
+  try {
+    return JSON.parse(quoted);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Serializes a JSON body, restoring the unquoted `{{variable}}` placeholders kept by `parseTemplatedJson`.
+ *
+ * @param {*} body - The body.
+ * @returns {string} The JSON body.
+ */
+function stringifyTemplatedJson(body) {
+  return JSON.stringify(body, null, 2).replace(/"\\u0000({{[^{}"]+}})"/g, '$1');
+}
+
+module.exports = {
+  applyRequestUpdates,
+  applyRequestPatches
+};
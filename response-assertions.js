@@ -0,0 +1,281 @@
+const { resolveRef, dereference } = require('./oas-refs');
+
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'contains', 'propertyNames', 'if', 'then', 'else', 'allOf', 'anyOf', 'oneOf', 'prefixItems'];
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas'];
+
+/**
+ * Describes the documented responses of an operation in a form that can be stored in a Bruno
+ * collection: the media types of each response and a standalone JSON schema of its body.
+ *
+ * @param {Object} operation - The OpenAPI 3 operation.
+ * @param {{documents: Map<string, Object>, file: string}} refContext - The reference resolution context.
+ * @returns {Object<string, {description: string, contentTypes: Array<string>, schema: Object|null}>}
+ *          The responses keyed by status code (`200`, `4XX`, `default`, ...).
+ */
+function describeResponses(operation, refContext) {
+  const responses = {};
+
+  for (const [status, responseOrRef] of Object.entries(operation?.responses || {})) {
+    const { value: response, context } = dereference(responseOrRef, refContext);
+    const content = response?.content || {};
+    const contentTypes = Object.keys(content);
+    const jsonType = contentTypes.find(isJsonMediaType);
+    const schema = jsonType && content[jsonType].schema
+      ? toStandaloneJsonSchema(content[jsonType].schema, context)
+      : null;
+
+    responses[status] = {
+      description: response?.description || '',
+      contentTypes,
+      schema
+    };
+  }
+
+  return responses;
+}
+
+/**
+ * Checks whether a media type carries JSON (`application/json`, `application/problem+json`, ...).
+ *
+ * @param {string} mediaType - The media type.
+ * @returns {boolean} True for JSON media types.
+ */
+function isJsonMediaType(mediaType) {
+  return /^application\/([\w.-]+\+)?json\b/i.test(mediaType) || mediaType === '*/*';
+}
+
+/**
+ * Converts an OpenAPI schema into a self-contained JSON schema that can be embedded in a test script.
+ *
+ * Every referenced schema is copied into `definitions` (circular references stay references),
+ * and OpenAPI 3.0 `nullable: true` is translated into a `null` type.
+ *
+ * @param {Object} schema - The OpenAPI schema.
+ * @param {{documents: Map<string, Object>, file: string}} refContext - The reference resolution context.
+ * @returns {Object} The standalone JSON schema.
+ */
+function toStandaloneJsonSchema(schema, refContext) {
+  const definitions = {};
+  const names = new Map();
+
+  const convert = (node, context) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node))
+      return node;
+
+    if (typeof node.$ref === 'string') {
+      const resolved = resolveRef(node.$ref, context);
+
+      if (!names.has(resolved.id)) {
+        const baseName = resolved.id.split('/').pop().replace(/[^A-Za-z0-9._-]/g, '_') || 'Schema';
+        let name = baseName;
+
+        for (let index = 2; name in definitions; index++)
+          name = `${baseName}_${index}`;
+
+        names.set(resolved.id, name);
+        definitions[name] = {};
+        definitions[name] = convert(resolved.value, resolved.context);
+      }
+
+      return { $ref: `#/definitions/${names.get(resolved.id)}` };
+    }
+
+    const converted = {};
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'nullable' || key === 'example' || key === 'xml' || key === 'discriminator' || key.startsWith('x-'))
+        continue;
+
+      if (SCHEMA_KEYWORDS.includes(key))
+        converted[key] = Array.isArray(value) ? value.map(item => convert(item, context)) : convert(value, context);
+      else if (SCHEMA_MAP_KEYWORDS.includes(key) && value && typeof value === 'object')
+        converted[key] = Object.fromEntries(Object.entries(value).map(([name, item]) => [name, convert(item, context)]));
+      else
+        converted[key] = value;
+    }
+
+    if (node.nullable === true && typeof converted.type === 'string')
+      converted.type = [converted.type, 'null'];
+
+    if (node.nullable === true && Array.isArray(converted.enum) && !converted.enum.includes(null))
+      converted.enum = [...converted.enum, null];
+
+    return converted;
+  };
+
+  const root = convert(schema, refContext);
+
+  if (!Object.keys(definitions).length)
+    return root;
+
+  return { allOf: [root], definitions };
+}
+
+/**
+ * Picks the response a request is expected to return.
+ *
+ * Without an explicit choice, the first documented 2xx response is used, then `2XX`, then `default`.
+ * An operation documenting only error responses has no expected response, as a working API would not answer with one.
+ *
+ * @param {Object} responses - The responses described by `describeResponses`.
+ * @param {string|number} [expectedResponse] - The status code (or `2XX`/`default`) chosen by the test step.
+ * @returns {string|null} The key of the expected response, or null if it is not documented (or, without an
+ *          explicit choice, if no success response is).
+ */
+function selectExpectedResponse(responses, expectedResponse) {
+  const statuses = Object.keys(responses || {});
+
+  if (expectedResponse !== undefined && expectedResponse !== null)
+    return statuses.find(status => status.toUpperCase() === String(expectedResponse).toUpperCase()) || null;
+
+  return statuses.filter(status => /^2\d\d$/.test(status)).sort()[0]
+    || statuses.find(status => status.toUpperCase() === '2XX')
+    || statuses.find(status => status === 'default')
+    || null;
+}
+
+/**
+ * Checks whether an expected response is a status class such as `4XX`. A status class may be
+ * expected even when the operation does not document it: only the status range is asserted then.
+ *
+ * @param {string|number} [expectedResponse] - The expected response of a test step.
+ * @returns {boolean} True for `1XX` to `5XX`.
+ */
+function isStatusRange(expectedResponse) {
+  return /^[1-5]XX$/i.test(String(expectedResponse));
+}
+
+/**
+ * Operators of Bruno assertions, e.g. `eq` in `res.status: eq 200`.
+ */
+const ASSERTION_OPERATORS = [
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'contains', 'notContains', 'length', 'matches', 'notMatches',
+  'startsWith', 'endsWith', 'between', 'isEmpty', 'isNotEmpty', 'isNull', 'isUndefined', 'isDefined', 'isTruthy',
+  'isFalsy', 'isJson', 'isNumber', 'isString', 'isBoolean', 'isArray'
+];
+
+/**
+ * Splits a Bruno assertion into its target, operator and operand. A value without a known operator
+ * is compared with `eq`, as Bruno does.
+ *
+ * @param {{name: string, value: string}} assertion - The assertion, e.g. `{ name: "res.status", value: "eq 200" }`.
+ * @returns {{target: string, operator: string, value: string}} The parsed assertion, e.g. `{ target: "res.status", operator: "eq", value: "200" }`.
+ */
+function parseAssertion(assertion) {
+  const value = String(assertion.value ?? '').trim();
+  const [, operator, operand] = /^(\S+)\s*(.*)$/s.exec(value) || [null, '', ''];
+
+  return ASSERTION_OPERATORS.includes(operator)
+    ? { target: assertion.name, operator, value: operand }
+    : { target: assertion.name, operator: 'eq', value };
+}
+
+/**
+ * Picks the status a step asserts on `res.status` for its expected response. A `default` response picked
+ * without an expected response stands for the success responses the operation does not list, so the `2XX` range
+ * is asserted; a `default` response expected explicitly, usually the error response, has no status to assert.
+ *
+ * @param {string} status - The key of the expected response, as picked by `selectExpectedResponse`.
+ * @param {string|number} [expectedResponse] - The expected response of the test step.
+ * @returns {string} The status to assert, e.g. `200`, `4XX` or `default`.
+ */
+function getAssertedStatus(status, expectedResponse) {
+  return status === 'default' && (expectedResponse === undefined || expectedResponse === null) ? '2XX' : status;
+}
+
+/**
+ * Generates the Bruno assertions and test script verifying that a response matches its documentation:
+ * - an `assert` entry on `res.status` (a range for `4XX`-like keys, none for `default`)
+ * - a test checking the `Content-Type` header against the documented media types
+ * - a test validating the JSON body against the documented schema with Ajv
+ *
+ * @param {string} status - The key of the expected response.
+ * @param {{contentTypes: Array<string>, schema: Object|null}} response - The expected response.
+ * @param {string} [assertedStatus] - The status asserted on `res.status`, when it is not `status` (see `getAssertedStatus`).
+ * @returns {{assertions: Array<Object>, tests: string}} The Bruno assertions and tests script.
+ */
+function generateResponseAssertions(status, response, assertedStatus = status) {
+  const assertions = [];
+  const tests = [];
+
+  if (/^\d{3}$/.test(assertedStatus)) {
+    assertions.push({ name: 'res.status', value: `eq ${assertedStatus}`, enabled: true });
+  } else if (/^\dXX$/i.test(assertedStatus)) {
+    const rangeStart = Number(assertedStatus[0]) * 100;
+    assertions.push({ name: 'res.status', value: `gte ${rangeStart}`, enabled: true });
+    assertions.push({ name: 'res.status', value: `lt ${rangeStart + 100}`, enabled: true });
+  }
+
+  const contentTypes = (response?.contentTypes || []).filter(contentType => !contentType.includes('*'));
+
+  if (contentTypes.length) {
+    tests.push([
+      `test("Content-Type is one of ${contentTypes.join(', ')}", function () {`,
+      `  const contentType = String(res.getHeader('content-type') || '');`,
+      `  expect(${JSON.stringify(contentTypes)}.some(type => contentType.includes(type)), contentType).to.be.true;`,
+      `});`
+    ].join('\n'));
+  }
+
+  if (response?.schema) {
+    tests.push([
+      `test("Response body matches the documented ${status} schema", function () {`,
+      `  const contentType = String(res.getHeader('content-type') || '');`,
+      `  if (!/json/i.test(contentType)) return;`,
+      `  const Ajv = require('ajv');`,
+      `  const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });`,
+      `  const validate = ajv.compile(${JSON.stringify(response.schema)});`,
+      `  const valid = validate(res.getBody());`,
+      `  expect(valid, ajv.errorsText(validate.errors)).to.be.true;`,
+      `});`
+    ].join('\n'));
+  }
+
+  return { assertions, tests: tests.join('\n\n') };
+}
+
+/**
+ * Adds the assertions and tests generated from an operation's documented responses to a Bruno request.
+ * Assertions and tests already present on the request are kept, the generated ones are appended.
+ * Without an expected response, operations documenting only error responses, or a `default` one, are expected to
+ * answer with a `2XX` status.
+ *
+ * @param {Object} request - The Bruno request (`item.request`).
+ * @param {Object} [operation] - The operation metadata stored on the master collection item (`item.openapi`).
+ * @param {string|number} [expectedResponse] - The documented response the step expects, e.g. `404`.
+ * @returns {Object} A copy of the request with the generated assertions and tests.
+ * @throws {Error} If the expected response is neither documented for the operation nor a status class.
+ */
+function applyResponseAssertions(request, operation, expectedResponse) {
+  if (!operation?.responses)
+    return request;
+
+  const status = selectExpectedResponse(operation.responses, expectedResponse)
+    || (isStatusRange(expectedResponse) ? String(expectedResponse).toUpperCase() : null)
+    || (expectedResponse === undefined ? '2XX' : null);
+
+  if (!status)
+    throw new Error(`Response ${expectedResponse} is not documented for "${operation.operationId || `${operation.method} ${operation.path}`}".`);
+
+  const { assertions, tests } = generateResponseAssertions(status, operation.responses[status],
+    getAssertedStatus(status, expectedResponse));
+
+  return {
+    ...request,
+    assertions: [...(request.assertions || []), ...assertions],
+    tests: [request.tests, tests].filter(Boolean).join('\n\n')
+  };
+}
+
+module.exports = {
+  describeResponses,
+  isJsonMediaType,
+  toStandaloneJsonSchema,
+  selectExpectedResponse,
+  isStatusRange,
+  getAssertedStatus,
+  ASSERTION_OPERATORS,
+  parseAssertion,
+  generateResponseAssertions,
+  applyResponseAssertions
+};
@@ -0,0 +1,377 @@
+const { resolveRef } = require('./oas-refs');
+
+const DEFAULT_SAMPLE_OPTIONS = {
+  skipReadOnly: true,
+  skipWriteOnly: false,
+  requiredOnly: false
+};
+
+const STRING_FORMAT_SAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  'date': '2024-01-01',
+  'time': '00:00:00Z',
+  'uuid': '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  'email': 'user@example.com',
+  'uri': 'https://example.com',
+  'url': 'https://example.com',
+  'hostname': 'example.com',
+  'ipv4': '192.168.0.1',
+  'ipv6': '::1',
+  'byte': 'c3RyaW5n',
+  'binary': '',
+  'password': 'P@ssw0rd'
+};
+
+/**
+ * Synthesizes a sample value that satisfies a JSON/OpenAPI schema.
+ *
+ * Explicit values always win over synthesized ones, in the following order: `example`,
+ * `examples` (OpenAPI 3.1), `const`, `default` and the first `enum` entry. Otherwise the
+ * value is built from the schema itself, following `$ref`s (local and cross-file),
+ * merging `allOf` members, picking the first `oneOf`/`anyOf` alternative and generating
+ * format-aware primitives (`date-time`, `uuid`, `email`, ...). Circular references are
+ * cut off by omitting the property that closes the cycle.
+ *
+ * @param {Object} schema - The schema to synthesize a value for.
+ * @param {{documents: Map<string, Object>, file: string}} context - The reference resolution context.
+ * @param {Object} [options] - Sampling options.
+ * @param {boolean} [options.skipReadOnly=true] - Omit `readOnly` properties (request payloads).
+ * @param {boolean} [options.skipWriteOnly=false] - Omit `writeOnly` properties (response payloads).
+ * @param {boolean} [options.requiredOnly=false] - Only include properties listed in `required`.
+ * @returns {*} The sample value, or `undefined` if the schema does not describe one.
+ */
+function sampleSchema(schema, context, options = {}) {
+  return sampleNode(schema, context, { ...DEFAULT_SAMPLE_OPTIONS, ...options }, []);
+}
+
+/**
+ * Recursive worker of `sampleSchema`, carrying the stack of references currently being expanded.
+ *
+ * @param {Object} schema - The schema to synthesize a value for.
+ * @param {Object} context - The reference resolution context of the schema.
+ * @param {Object} options - The resolved sampling options.
+ * @param {Array<string>} refStack - Ids of the references being expanded, used to detect cycles.
+ * @returns {*} The sample value, or `undefined` if none could be produced.
+ */
+function sampleNode(schema, context, options, refStack) {
+  if (!schema || typeof schema !== 'object')
+    return undefined;
+
+  const explicitValue = getExplicitValue(schema);
+  if (explicitValue !== undefined)
+    return explicitValue;
+
+  if (typeof schema.$ref === 'string') {
+    const resolved = resolveRef(schema.$ref, context);
+
+    if (refStack.includes(resolved.id))
+      return undefined;
+
+    return sampleNode(resolved.value, resolved.context, options, [...refStack, resolved.id]);
+  }
+
+  if (Array.isArray(schema.allOf))
+    return sampleAllOf(schema, context, options, refStack);
+
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length) {
+    const { oneOf, anyOf, ...ownSchema } = schema;
+    const alternative = alternatives.find(candidate => getSchemaType(candidate) !== 'null') || alternatives[0];
+
+    return mergeSamples([
+      sampleNode(alternative, context, options, refStack),
+      hasOwnShape(ownSchema) ? sampleNode(ownSchema, context, options, refStack) : undefined
+    ]);
+  }
+
+  switch (getSchemaType(schema)) {
+    case 'object':
+      return sampleObject(schema, context, options, refStack);
+    case 'array':
+      return sampleArray(schema, context, options, refStack);
+    case 'string':
+      return sampleString(schema);
+    case 'integer':
+      return sampleNumber(schema, true);
+    case 'number':
+      return sampleNumber(schema, false);
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Returns the value a schema explicitly documents through `example`, `examples`, `const`,
+ * `default` or `enum`, in that order of precedence.
+ *
+ * @param {Object} schema - The schema to inspect.
+ * @returns {*} A copy of the documented value, or `undefined` if there is none.
+ */
+function getExplicitValue(schema) {
+  if (schema.example !== undefined)
+    return clone(schema.example);
+
+  if (Array.isArray(schema.examples) && schema.examples.length)
+    return clone(schema.examples[0]);
+
+  if (schema.const !== undefined)
+    return clone(schema.const);
+
+  if (schema.default !== undefined)
+    return clone(schema.default);
+
+  if (Array.isArray(schema.enum) && schema.enum.length)
+    return clone(schema.enum[0]);
+
+  return undefined;
+}
+
+/**
+ * Determines the type a schema describes, inferring it from its keywords when `type` is missing.
+ * OpenAPI 3.1 type arrays (e.g. `["string", "null"]`) resolve to their first non-null entry.
+ *
+ * @param {Object} schema - The schema to inspect.
+ * @returns {string|undefined} The schema type.
+ */
+function getSchemaType(schema) {
+  if (!schema || typeof schema !== 'object')
+    return undefined;
+
+  if (Array.isArray(schema.type))
+    return schema.type.find(type => type !== 'null') || schema.type[0];
+
+  if (schema.type)
+    return schema.type;
+
+  if (schema.properties || schema.additionalProperties)
+    return 'object';
+
+  if (schema.items)
+    return 'array';
+
+  return undefined;
+}
+
+/**
+ * Checks whether a schema describes a shape on its own, next to its composition keywords.
+ *
+ * @param {Object} schema - The schema stripped of `allOf`/`oneOf`/`anyOf`.
+ * @returns {boolean} True if the schema declares a type, properties or items.
+ */
+function hasOwnShape(schema) {
+  return Boolean(schema.type || schema.properties || schema.items || schema.additionalProperties);
+}
+
+/**
+ * Synthesizes a value for an `allOf` composition by merging the samples of all its members.
+ *
+ * @param {Object} schema - The schema containing `allOf`.
+ * @param {Object} context - The reference resolution context.
+ * @param {Object} options - The resolved sampling options.
+ * @param {Array<string>} refStack - Ids of the references being expanded.
+ * @returns {*} The merged sample value.
+ */
+function sampleAllOf(schema, context, options, refStack) {
+  const { allOf, ...ownSchema } = schema;
+  const samples = allOf.map(member => sampleNode(member, context, options, refStack));
+
+  if (hasOwnShape(ownSchema))
+    samples.push(sampleNode(ownSchema, context, options, refStack));
+
+  return mergeSamples(samples);
+}
+
+/**
+ * Merges several samples into one: objects are shallow-merged, otherwise the last value wins.
+ *
+ * @param {Array<*>} samples - The samples to merge.
+ * @returns {*} The merged sample, or `undefined` if no sample is defined.
+ */
+function mergeSamples(samples) {
+  const defined = samples.filter(sample => sample !== undefined);
+
+  if (!defined.length)
+    return undefined;
+
+  if (defined.every(sample => sample !== null && typeof sample === 'object' && !Array.isArray(sample)))
+    return Object.assign({}, ...defined);
+
+  return defined[defined.length - 1];
+}
+
+/**
+ * Synthesizes an object from the `properties` (or `additionalProperties`) of a schema.
+ * Required properties are always present, even when they close a circular reference, unless
+ * they are `readOnly`/`writeOnly` and excluded by the options (OpenAPI only enforces those
+ * requirements on responses and requests respectively).
+ *
+ * @param {Object} schema - The object schema.
+ * @param {Object} context - The reference resolution context.
+ * @param {Object} options - The resolved sampling options.
+ * @param {Array<string>} refStack - Ids of the references being expanded.
+ * @returns {Object} The sample object.
+ */
+function sampleObject(schema, context, options, refStack) {
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const sample = {};
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    if (options.requiredOnly && !required.includes(name))
+      continue;
+
+    const property = resolveShallow(propertySchema, context);
+
+    if (options.skipReadOnly && property.readOnly)
+      continue;
+
+    if (options.skipWriteOnly && property.writeOnly)
+      continue;
+
+    const value = sampleNode(propertySchema, context, options, refStack);
+
+    if (value !== undefined)
+      sample[name] = value;
+    else if (required.includes(name))
+      sample[name] = getSchemaType(property) === 'array' ? [] : {};
+  }
+
+  if (!schema.properties && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    const value = sampleNode(schema.additionalProperties, context, options, refStack);
+
+    if (value !== undefined)
+      sample.additionalProp1 = value;
+  }
+
+  return sample;
+}
+
+/**
+ * Follows the `$ref` chain of a property schema to read its flags (`readOnly`, `writeOnly`, `type`).
+ *
+ * @param {Object} schema - The property schema.
+ * @param {Object} context - The reference resolution context.
+ * @returns {Object} The referenced schema, or the schema itself if it cannot be resolved.
+ */
+function resolveShallow(schema, context) {
+  try {
+    let node = schema;
+
+    while (node && typeof node.$ref === 'string') {
+      const resolved = resolveRef(node.$ref, context);
+      node = resolved.value;
+      context = resolved.context;
+    }
+
+    return node || {};
+  } catch (error) {
+    return schema || {};
+  }
+}
+
+/**
+ * Synthesizes an array holding `minItems` (at least one) samples of the item schema.
+ *
+ * @param {Object} schema - The array schema.
+ * @param {Object} context - The reference resolution context.
+ * @param {Object} options - The resolved sampling options.
+ * @param {Array<string>} refStack - Ids of the references being expanded.
+ * @returns {Array} The sample array.
+ */
+function sampleArray(schema, context, options, refStack) {
+  const item = sampleNode(schema.items, context, options, refStack);
+
+  if (item === undefined)
+    return [];
+
+  const length = Math.max(schema.minItems || 1, 1);
+  return Array.from({ length }, () => clone(item));
+}
+
+/**
+ * Synthesizes a string honoring the schema `format`, `minLength` and `maxLength`.
+ *
+ * @param {Object} schema - The string schema.
+ * @returns {string} The sample string.
+ */
+function sampleString(schema) {
+  let value = STRING_FORMAT_SAMPLES[schema.format] ?? 'string';
+
+  if (schema.minLength && value.length < schema.minLength)
+    value = value.padEnd(schema.minLength, 'x');
+
+  if (schema.maxLength !== undefined && value.length > schema.maxLength)
+    value = value.slice(0, schema.maxLength);
+
+  return value;
+}
+
+/**
+ * Synthesizes a number within the schema bounds, supporting both the boolean (OpenAPI 3.0)
+ * and numeric (OpenAPI 3.1) forms of `exclusiveMinimum`/`exclusiveMaximum`. The value is
+ * taken from the lower bound (or from a negative upper bound) and rounded towards the inside
+ * of the bounds to an integer and to a `multipleOf`, so that it stays valid against the schema.
+ *
+ * @param {Object} schema - The numeric schema.
+ * @param {boolean} isInteger - Whether the value must be an integer.
+ * @returns {number} The sample number.
+ */
+function sampleNumber(schema, isInteger) {
+  const step = isInteger ? 1 : 0.1;
+  let value = 0;
+  let roundUp = true;
+
+  if (typeof schema.minimum === 'number')
+    value = schema.exclusiveMinimum === true ? schema.minimum + step : schema.minimum;
+  else if (typeof schema.exclusiveMinimum === 'number')
+    value = schema.exclusiveMinimum + step;
+  else if (typeof schema.maximum === 'number' && schema.maximum < 0) {
+    value = schema.exclusiveMaximum === true ? schema.maximum - step : schema.maximum;
+    roundUp = false;
+  } else if (typeof schema.exclusiveMaximum === 'number' && schema.exclusiveMaximum <= 0) {
+    value = schema.exclusiveMaximum - step;
+    roundUp = false;
+  }
+
+  if (isInteger)
+    value = roundUp ? Math.ceil(value) : Math.floor(value);
+
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0)
+    value = roundToMultiple(value, schema.multipleOf, roundUp);
+
+  return value;
+}
+
+/**
+ * Rounds a number up or down to a multiple of `multipleOf`, tolerating floating-point
+ * noise (`0.3 / 0.1` is not exactly 3).
+ *
+ * @param {number} value - The number to round.
+ * @param {number} multipleOf - The positive divisor.
+ * @param {boolean} roundUp - Whether to round up (away from a lower bound) or down.
+ * @returns {number} The multiple.
+ */
+function roundToMultiple(value, multipleOf, roundUp) {
+  const quotient = value / multipleOf;
+  const factor = roundUp ? Math.ceil(quotient - 1e-9) : Math.floor(quotient + 1e-9);
+
+  return Number((factor * multipleOf).toPrecision(12)) || 0;
+}
+
+/**
+ * Deep-copies a JSON value so that samples never share references with the specification.
+ *
+ * @param {*} value - The value to copy.
+ * @returns {*} The copy.
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  sampleSchema,
+  getSchemaType
+};
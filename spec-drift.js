@@ -0,0 +1,678 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const { convertSpecToBruno } = require('./testflow-generation');
+const { findSpecFiles, readSpecFile, isRootSpec } = require('./oas-loader');
+const { indexBrunoCollection, getStepReference, describeStep, lookupOperation } = require('./operation-lookup');
+
+/**
+ * Compares the OpenAPI specifications of a directory with a previously converted baseline and
+ * reports the drift: added, removed and renamed operations, changed parameters, request bodies and
+ * responses (flagging breaking changes), and the test-flow steps affected by them.
+ *
+ * @param {Object} options - The options.
+ * @param {string} options.oasDir - Directory containing the current OpenAPI specifications.
+ * @param {string} options.baseline - Directory of converted collections, or a merged master collection file.
+ * @param {string} [options.testFlows] - Path of the `test-flows.json` file whose steps are checked.
+ * @returns {Promise<Object>} The drift report (see `compareCollections` and `findAffectedSteps`).
+ * @throws {Error} If the baseline or a specification cannot be read.
+ */
+async function detectSpecDrift({ oasDir, baseline, testFlows }) {
+  const baselineCollection = await loadBaselineCollection(baseline);
+  const currentCollection = await convertSpecDirectory(oasDir);
+  const comparison = compareCollections(baselineCollection, currentCollection);
+
+  let testFlowSpec = null;
+
+  if (testFlows) {
+    try {
+      testFlowSpec = JSON.parse(await fs.readFile(testFlows, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT')
+        throw new Error(`Could not read ${testFlows}: ${error.message}`);
+    }
+  }
+
+  const affectedSteps = testFlowSpec ? findAffectedSteps(testFlowSpec, baselineCollection, comparison) : [];
+  const changes = comparison.changed.flatMap(operation => operation.changes);
+
+  return {
+    baseline,
+    specifications: oasDir,
+    summary: {
+      added: comparison.added.length,
+      removed: comparison.removed.length,
+      renamed: comparison.renamed.length,
+      changed: comparison.changed.length,
+      breakingChanges: comparison.removed.length
+        + comparison.renamed.filter(rename => rename.breaking).length
+        + changes.filter(change => change.breaking).length,
+      affectedSteps: affectedSteps.length,
+      brokenSteps: affectedSteps.filter(step => step.breaking).length
+    },
+    operations: comparison,
+    affectedSteps
+  };
+}
+
+/**
+ * Runs `detectSpecDrift`, prints the human-readable report and writes the JSON report.
+ *
+ * @param {Object} config - The pipeline options (`oasDir`, `collectionsDir`, `masterCollection`, `testFlows`,
+ *                          `baseline`, `driftReport`).
+ * @returns {Promise<Object>} The drift report.
+ * @throws {Error} If test-flow steps are affected by breaking changes (after the reports are written).
+ */
+async function reportSpecDrift(config) {
+  const baseline = config.baseline || await findDefaultBaseline(config);
+  const report = await detectSpecDrift({ oasDir: config.oasDir, baseline, testFlows: config.testFlows });
+
+  console.log(formatDriftReport(report));
+
+  if (config.driftReport) {
+    await fs.writeFile(config.driftReport, JSON.stringify(report, null, 2));
+    console.log(`✅ Drift report written to ${config.driftReport}`);
+  }
+
+  if (report.summary.brokenSteps)
+    throw new Error(`${report.summary.brokenSteps} test-flow step(s) are affected by breaking changes.`);
+
+  return report;
+}
+
+/**
+ * Picks the baseline when none is configured: the converted collections directory if it exists,
+ * otherwise the merged master collection.
+ *
+ * @param {{collectionsDir: string, masterCollection: string}} config - The pipeline options.
+ * @returns {Promise<string>} The baseline path.
+ * @throws {Error} If neither exists.
+ */
+async function findDefaultBaseline(config) {
+  for (const candidate of [config.collectionsDir, config.masterCollection]) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch (error) {
+      // Try the next candidate.
+    }
+  }
+
+  throw new Error(`No baseline found: neither ${config.collectionsDir} nor ${config.masterCollection} exists. Run "convert" before changing the specifications, or pass --baseline.`);
+}
+
+/**
+ * Loads a baseline as a master collection: a merged collection file as is, or every converted
+ * collection of a directory wrapped in a folder named after it (like `mergeOpenApiCollections`).
+ *
+ * @param {string} baseline - Directory of converted collections, or a master collection file.
+ * @returns {Promise<Object>} The master collection.
+ * @throws {Error} If the baseline cannot be read.
+ */
+async function loadBaselineCollection(baseline) {
+  const stats = await fs.stat(baseline);
+
+  if (!stats.isDirectory())
+    return JSON.parse(await fs.readFile(baseline, 'utf8'));
+
+  const collectionFiles = (await findSpecFiles(baseline)).filter(file => file.toLowerCase().endsWith('.json'));
+  const items = [];
+
+  for (const collectionFile of collectionFiles) {
+    const collection = JSON.parse(await fs.readFile(collectionFile, 'utf8'));
+    items.push({ type: 'folder', name: collection.name, items: collection.items || [] });
+  }
+
+  return { name: path.basename(baseline), items };
+}
+
+/**
+ * Converts every root specification of a directory in memory into a master collection.
+ *
+ * @param {string} oasDir - Directory containing the OpenAPI specifications.
+ * @returns {Promise<Object>} The master collection.
+ * @throws {Error} If a specification cannot be converted.
+ */
+async function convertSpecDirectory(oasDir) {
+  const items = [];
+
+  for (const specFile of await findSpecFiles(oasDir)) {
+    const apiSpec = await readSpecFile(specFile);
+
+    if (!isRootSpec(apiSpec))
+      continue;
+
+    try {
+      const collection = await convertSpecToBruno(apiSpec, specFile);
+      items.push({ type: 'folder', name: collection.name, items: collection.items || [] });
+    } catch (error) {
+      throw new Error(`Could not convert ${path.relative(oasDir, specFile)}: ${error.message}`);
+    }
+  }
+
+  return { name: path.basename(oasDir), items };
+}
+
+/**
+ * Lists the operations of a master collection, keyed by service (top-level folder), method and path.
+ * Requests converted before operation metadata was recorded are described by their method and URL.
+ *
+ * @param {Object} collection - The master collection.
+ * @returns {Map<string, Object>} Operations keyed like `Swagger Petstore|GET /pet/{petId}`.
+ */
+function indexOperations(collection) {
+  const operations = new Map();
+
+  for (const service of collection.items || []) {
+    const visit = (items, folder) => {
+      for (const item of items || []) {
+        if (item.type === 'folder') {
+          visit(item.items, `${folder}/${item.name}`);
+          continue;
+        }
+
+        const operation = describeOperation(item, service.name, folder);
+        operations.set(getOperationKey(operation), operation);
+      }
+    };
+
+    visit(service.items, service.name);
+  }
+
+  return operations;
+}
+
+/**
+ * Describes the operation behind a request of a master collection.
+ *
+ * @param {Object} item - The request item.
+ * @param {string} service - The name of the service (top-level folder) it belongs to.
+ * @param {string} folder - The folder path of the request, e.g. `Swagger Petstore/pet`.
+ * @returns {Object} The operation: `{ service, folder, name, method, path, operationId, source, parameters, requestBody, responses }`.
+ */
+function describeOperation(item, service, folder) {
+  const metadata = item.openapi || {};
+  const url = String(item.request?.url || '').replace(/^{{[^}]+}}/, '').split('?')[0];
+
+  return {
+    service,
+    folder,
+    name: item.name,
+    method: (metadata.method || item.request?.method || '').toUpperCase(),
+    path: metadata.path || url.replace(/:([\w.-]+)/g, '{$1}'),
+    operationId: metadata.operationId || null,
+    source: metadata.source,
+    parameters: metadata.parameters,
+    requestBody: metadata.requestBody,
+    responses: metadata.responses
+  };
+}
+
+/**
+ * Builds the key identifying an operation across versions.
+ *
+ * @param {{service: string, method: string, path: string}} operation - The operation.
+ * @returns {string} The key.
+ */
+function getOperationKey(operation) {
+  return `${operation.service}|${operation.method} ${operation.path}`;
+}
+
+/**
+ * Reduces an operation to the fields shown in reports.
+ *
+ * @param {Object} operation - The operation.
+ * @returns {{service: string, folder: string, name: string, method: string, path: string, operationId: string|null,
+ *          source: Object|undefined}} The reference.
+ */
+function toOperationReference(operation) {
+  const { service, folder, name, method, path: operationPath, operationId, source } = operation;
+  return { service, folder, name, method, path: operationPath, operationId, source };
+}
+
+/**
+ * Compares the operations of two master collections.
+ *
+ * Operations are matched by service, method and path; an operation that disappeared while another
+ * with the same `operationId` appeared counts as moved. A renamed request (its summary, and so its
+ * name in the collection, changed) is flagged as breaking: steps referencing it by `request_id` no longer
+ * resolve (steps referencing it by `operation_id` are unaffected, see `findAffectedSteps`). So is an
+ * operation whose `operationId` changed or was dropped, which breaks the steps referencing it by `operation_id`.
+ *
+ * @param {Object} baselineCollection - The master collection of the previous specifications.
+ * @param {Object} currentCollection - The master collection of the current specifications.
+ * @returns {{added: Array<Object>, removed: Array<Object>, renamed: Array<Object>, changed: Array<Object>}}
+ *          The operation changes; `changed` entries list their `changes` with a `breaking` flag.
+ */
+function compareCollections(baselineCollection, currentCollection) {
+  const baselineOperations = indexOperations(baselineCollection);
+  const currentOperations = indexOperations(currentCollection);
+
+  const removed = [...baselineOperations.values()].filter(operation => !currentOperations.has(getOperationKey(operation)));
+  const added = [...currentOperations.values()].filter(operation => !baselineOperations.has(getOperationKey(operation)));
+  const pairs = [];
+  const renamed = [];
+
+  for (const [key, baselineOperation] of baselineOperations) {
+    if (currentOperations.has(key))
+      pairs.push([baselineOperation, currentOperations.get(key)]);
+  }
+
+  for (const baselineOperation of [...removed]) {
+    const moved = baselineOperation.operationId && added.find(operation =>
+      operation.service === baselineOperation.service && operation.operationId === baselineOperation.operationId);
+
+    if (moved) {
+      removed.splice(removed.indexOf(baselineOperation), 1);
+      added.splice(added.indexOf(moved), 1);
+      pairs.push([baselineOperation, moved]);
+    }
+  }
+
+  const changed = [];
+
+  for (const [baselineOperation, currentOperation] of pairs) {
+    const nameChanged = baselineOperation.name !== currentOperation.name;
+    const pathChanged = getOperationKey(baselineOperation) !== getOperationKey(currentOperation);
+    const operationIdChanged = isOperationIdChanged(baselineOperation, currentOperation);
+
+    if (nameChanged || pathChanged || operationIdChanged)
+      renamed.push({
+        from: toOperationReference(baselineOperation),
+        to: toOperationReference(currentOperation),
+        breaking: nameChanged || operationIdChanged
+      });
+
+    const changes = compareOperations(baselineOperation, currentOperation);
+
+    if (changes.length)
+      changed.push({ operation: toOperationReference(currentOperation), baseline: toOperationReference(baselineOperation), changes });
+  }
+
+  return {
+    added: added.map(toOperationReference),
+    removed: removed.map(toOperationReference),
+    renamed,
+    changed
+  };
+}
+
+/**
+ * Tells whether the `operationId` of an operation changed. Baselines converted before operation metadata was
+ * recorded have none, and are not compared.
+ *
+ * @param {{operationId: string|null}} baseline - The previous operation.
+ * @param {{operationId: string|null}} current - The current operation.
+ * @returns {boolean} Whether the baseline `operationId` changed or was dropped.
+ */
+function isOperationIdChanged(baseline, current) {
+  return Boolean(baseline.operationId) && baseline.operationId !== current.operationId;
+}
+
+/**
+ * Compares the parameters, request body and responses of two versions of an operation.
+ * Parts the baseline has no metadata for (collections converted by older versions) are skipped.
+ *
+ * @param {Object} baseline - The previous operation.
+ * @param {Object} current - The current operation.
+ * @returns {Array<{location: string, message: string, breaking: boolean}>} The changes.
+ */
+function compareOperations(baseline, current) {
+  const changes = [];
+  const change = (location, message, breaking) => changes.push({ location, message, breaking });
+
+  if (baseline.parameters && current.parameters) {
+    const currentParameters = new Map(current.parameters.map(parameter => [`${parameter.in}:${parameter.name}`, parameter]));
+    const baselineKeys = new Set(baseline.parameters.map(parameter => `${parameter.in}:${parameter.name}`));
+
+    for (const parameter of baseline.parameters) {
+      const location = `${parameter.in} parameter "${parameter.name}"`;
+      const currentParameter = currentParameters.get(`${parameter.in}:${parameter.name}`);
+
+      if (!currentParameter) {
+        change(location, 'removed', parameter.required);
+        continue;
+      }
+
+      if (!parameter.required && currentParameter.required)
+        change(location, 'is now required', true);
+      else if (parameter.required && !currentParameter.required)
+        change(location, 'is now optional', false);
+
+      changes.push(...compareSchemas(parameter.schema, currentParameter.schema, 'request', location));
+    }
+
+    for (const parameter of current.parameters) {
+      if (!baselineKeys.has(`${parameter.in}:${parameter.name}`))
+        change(`${parameter.in} parameter "${parameter.name}"`, parameter.required ? 'added (required)' : 'added', parameter.required);
+    }
+  }
+
+  if (baseline.requestBody !== undefined && current.requestBody !== undefined) {
+    const baselineBody = baseline.requestBody;
+    const currentBody = current.requestBody;
+
+    if (!baselineBody && currentBody)
+      change('request body', currentBody.required ? 'added (required)' : 'added', currentBody.required);
+    else if (baselineBody && !currentBody)
+      change('request body', 'removed', false);
+    else if (baselineBody && currentBody) {
+      if (!baselineBody.required && currentBody.required)
+        change('request body', 'is now required', true);
+
+      for (const contentType of baselineBody.contentTypes.filter(type => !currentBody.contentTypes.includes(type)))
+        change('request body', `no longer accepts ${contentType}`, true);
+
+      changes.push(...compareSchemas(baselineBody.schema, currentBody.schema, 'request', 'request body'));
+    }
+  }
+
+  if (baseline.responses && current.responses) {
+    for (const [status, response] of Object.entries(baseline.responses)) {
+      const currentResponse = current.responses[status];
+      const location = `response ${status}`;
+
+      if (!currentResponse) {
+        change(location, 'removed', true);
+        continue;
+      }
+
+      for (const contentType of response.contentTypes.filter(type => !currentResponse.contentTypes.includes(type)))
+        change(location, `no longer returns ${contentType}`, true);
+
+      changes.push(...compareSchemas(response.schema, currentResponse.schema, 'response', location));
+    }
+
+    for (const status of Object.keys(current.responses).filter(status => !(status in baseline.responses)))
+      change(`response ${status}`, 'added', false);
+  }
+
+  return changes;
+}
+
+/**
+ * Compares two standalone JSON schemas (as produced by `toStandaloneJsonSchema`).
+ *
+ * What is breaking depends on the direction: requests break when the new schema accepts less
+ * (a type or enum value removed, a property newly required), responses break when they may
+ * contain something the previous schema ruled out (a type or enum value added) or lose something
+ * it guaranteed (a property removed or no longer required).
+ *
+ * @param {Object|null} baselineSchema - The previous schema.
+ * @param {Object|null} currentSchema - The current schema.
+ * @param {'request'|'response'} direction - Whether the schema describes data sent or received.
+ * @param {string} location - Description of the schema, used as the prefix of change locations.
+ * @returns {Array<{location: string, message: string, breaking: boolean}>} The changes.
+ */
+function compareSchemas(baselineSchema, currentSchema, direction, location) {
+  const changes = [];
+  const seen = new Set();
+  const isRequest = direction === 'request';
+
+  const unwrap = (schema) => {
+    if (schema?.definitions && Array.isArray(schema.allOf) && schema.allOf.length === 1)
+      return { root: schema.allOf[0], definitions: schema.definitions };
+
+    return { root: schema, definitions: schema?.definitions || {} };
+  };
+
+  const baselineRoot = unwrap(baselineSchema);
+  const currentRoot = unwrap(currentSchema);
+
+  const resolve = (schema, definitions) => {
+    const name = typeof schema?.$ref === 'string' ? schema.$ref.split('/').pop() : null;
+    return name ? { schema: definitions[name], ref: name } : { schema, ref: null };
+  };
+
+  const compare = (baselineNode, currentNode, nodeLocation) => {
+    const baselineResolved = resolve(baselineNode, baselineRoot.definitions);
+    const currentResolved = resolve(currentNode, currentRoot.definitions);
+    const baseline = baselineResolved.schema;
+    const current = currentResolved.schema;
+
+    if (!baseline || !current || typeof baseline !== 'object' || typeof current !== 'object')
+      return;
+
+    if (baselineResolved.ref || currentResolved.ref) {
+      const pairKey = `${baselineResolved.ref}|${currentResolved.ref}`;
+
+      if (seen.has(pairKey))
+        return;
+
+      seen.add(pairKey);
+    }
+
+    const change = (message, breaking) => changes.push({ location: nodeLocation, message, breaking });
+    const baselineTypes = toTypeList(baseline.type);
+    const currentTypes = toTypeList(current.type);
+
+    if (baselineTypes && currentTypes) {
+      const removedTypes = baselineTypes.filter(type => !currentTypes.includes(type) && !(type === 'integer' && currentTypes.includes('number')));
+      const addedTypes = currentTypes.filter(type => !baselineTypes.includes(type) && !(type === 'integer' && baselineTypes.includes('number')));
+
+      if (removedTypes.length || addedTypes.length)
+        change(`type changed from ${baselineTypes.join('|')} to ${currentTypes.join('|')}`,
+          isRequest ? removedTypes.length > 0 : addedTypes.length > 0);
+    }
+
+    if (Array.isArray(baseline.enum) && Array.isArray(current.enum)) {
+      const removedValues = baseline.enum.filter(value => !current.enum.some(item => JSON.stringify(item) === JSON.stringify(value)));
+      const addedValues = current.enum.filter(value => !baseline.enum.some(item => JSON.stringify(item) === JSON.stringify(value)));
+
+      if (removedValues.length)
+        change(`enum values removed: ${removedValues.map(value => JSON.stringify(value)).join(', ')}`, isRequest);
+
+      if (addedValues.length)
+        change(`enum values added: ${addedValues.map(value => JSON.stringify(value)).join(', ')}`, !isRequest);
+    }
+
+    const baselineProperties = baseline.properties || {};
+    const currentProperties = current.properties || {};
+    const baselineRequired = baseline.required || [];
+    const currentRequired = current.required || [];
+    const propertyLocation = (name) => `${nodeLocation}.${name}`;
+
+    for (const name of Object.keys(baselineProperties)) {
+      if (!(name in currentProperties)) {
+        changes.push({ location: propertyLocation(name), message: 'property removed', breaking: !isRequest });
+        continue;
+      }
+
+      if (isRequest && !baselineRequired.includes(name) && currentRequired.includes(name))
+        changes.push({ location: propertyLocation(name), message: 'property is now required', breaking: true });
+
+      if (!isRequest && baselineRequired.includes(name) && !currentRequired.includes(name))
+        changes.push({ location: propertyLocation(name), message: 'property is no longer required', breaking: true });
+
+      compare(baselineProperties[name], currentProperties[name], propertyLocation(name));
+    }
+
+    for (const name of Object.keys(currentProperties)) {
+      if (!(name in baselineProperties)) {
+        const required = currentRequired.includes(name);
+        changes.push({
+          location: propertyLocation(name),
+          message: required ? 'property added (required)' : 'property added',
+          breaking: isRequest && required
+        });
+      }
+    }
+
+    if (baseline.items && current.items)
+      compare(baseline.items, current.items, `${nodeLocation}[]`);
+
+    for (const keyword of ['allOf', 'oneOf', 'anyOf']) {
+      if (Array.isArray(baseline[keyword]) && Array.isArray(current[keyword]) && baseline[keyword].length === current[keyword].length)
+        baseline[keyword].forEach((subschema, index) => compare(subschema, current[keyword][index], nodeLocation));
+    }
+  };
+
+  compare(baselineRoot.root, currentRoot.root, location);
+
+  return changes;
+}
+
+/**
+ * Normalizes the `type` keyword of a schema into a list.
+ *
+ * @param {string|Array<string>|undefined} type - The type keyword.
+ * @returns {Array<string>|null} The types, or null if the schema does not restrict the type.
+ */
+function toTypeList(type) {
+  if (type === undefined)
+    return null;
+
+  return Array.isArray(type) ? type : [type];
+}
+
+/**
+ * Finds the test-flow steps referencing operations that were removed, renamed or changed.
+ * Steps are resolved against the baseline, the collection the flows were written for. The steps of a hook
+ * are reported once, with `hook "<name>"` as their flow.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @param {Object} baselineCollection - The master collection of the previous specifications.
+ * @param {Object} comparison - The result of `compareCollections`.
+ * @returns {Array<{flow: string, step: string, file_path: string, operation: Object, breaking: boolean, reasons: Array<string>}>}
+ *          The affected steps.
+ */
+function findAffectedSteps(testFlowSpec, baselineCollection, comparison) {
+  const index = indexBrunoCollection(baselineCollection);
+  const affectedSteps = [];
+
+  const removed = new Set(comparison.removed.map(getOperationKey));
+  const renamed = new Map(comparison.renamed.map(rename => [getOperationKey(rename.from), rename]));
+  const changed = new Map(comparison.changed.map(entry => [getOperationKey(entry.baseline), entry]));
+
+  const stepOwners = [
+    ...(testFlowSpec.test_flows || []).map(testFlow => ({ name: testFlow?.flow_name, requests: testFlow?.requests })),
+    ...Object.entries(testFlowSpec.hooks || {}).map(([hookName, hook]) => ({ name: `hook "${hookName}"`, requests: hook?.requests }))
+  ];
+
+  for (const stepOwner of stepOwners) {
+    for (const requestSpec of stepOwner.requests || []) {
+      const { match } = lookupOperation(requestSpec, index);
+
+      if (!match)
+        continue;
+
+      const { folder, request } = match;
+      const referenceKey = getStepReference(requestSpec).key;
+      const operation = describeOperation(request, folder.split('/')[0], folder);
+      const key = getOperationKey(operation);
+      const reasons = [];
+      let breaking = false;
+
+      if (removed.has(key)) {
+        reasons.push('operation removed');
+        breaking = true;
+      }
+
+      if (renamed.has(key)) {
+        const { from, to } = renamed.get(key);
+
+        const nameChanged = from.name !== to.name;
+        const moved = to.method !== operation.method || to.path !== operation.path;
+        const operationIdChanged = isOperationIdChanged(from, to);
+
+        if (nameChanged)
+          reasons.push(`request renamed to "${to.name}"${referenceKey === 'request_id' ? '; update request_id' : ''}`);
+
+        if (moved)
+          reasons.push(`operation moved to ${to.method} ${to.path}${referenceKey === 'operation' ? '; update operation' : ''}`);
+
+        if (operationIdChanged)
+          reasons.push(`${to.operationId ? `operationId changed to "${to.operationId}"` : 'operationId removed'}`
+            + `${referenceKey === 'operation_id' ? '; update operation_id' : ''}`);
+
+        breaking = breaking || (nameChanged && referenceKey === 'request_id') || (moved && referenceKey === 'operation')
+          || (operationIdChanged && referenceKey === 'operation_id');
+      }
+
+      for (const { location, message, breaking: breakingChange } of changed.get(key)?.changes || []) {
+        const expectsRemovedResponse = requestSpec.expected_response !== undefined
+          && location === `response ${requestSpec.expected_response}` && message === 'removed';
+
+        reasons.push(`${location}: ${message}${breakingChange ? ' (breaking)' : ''}${expectsRemovedResponse ? '; the step expects it' : ''}`);
+        breaking = breaking || breakingChange;
+      }
+
+      if (reasons.length)
+        affectedSteps.push({
+          flow: stepOwner.name,
+          step: describeStep(requestSpec),
+          file_path: folder,
+          operation: toOperationReference(operation),
+          breaking,
+          reasons
+        });
+    }
+  }
+
+  return affectedSteps;
+}
+
+/**
+ * Formats a drift report for the console.
+ *
+ * @param {Object} report - The result of `detectSpecDrift`.
+ * @returns {string} The human-readable report.
+ */
+function formatDriftReport(report) {
+  const { operations, affectedSteps, summary } = report;
+  const lines = [`Spec drift of ${report.specifications} against ${report.baseline}`];
+  const describe = (operation) => `${operation.method} ${operation.path} "${operation.name}" (${operation.service})`;
+  const breakingTag = (breaking) => breaking ? ' [breaking]' : '';
+
+  if (operations.added.length || operations.removed.length || operations.renamed.length || operations.changed.length)
+    lines.push('');
+
+  for (const operation of operations.added)
+    lines.push(`  + ${describe(operation)}`);
+
+  for (const operation of operations.removed)
+    lines.push(`  - ${describe(operation)} [breaking]`);
+
+  for (const { from, to, breaking } of operations.renamed) {
+    const operationIdChange = isOperationIdChanged(from, to) ? ` (operationId ${from.operationId} → ${to.operationId || 'none'})` : '';
+
+    lines.push(`  ~ ${describe(from)} → ${to.method} ${to.path} "${to.name}"${operationIdChange}${breakingTag(breaking)}`);
+  }
+
+  for (const { operation, changes } of operations.changed) {
+    lines.push(`  ~ ${describe(operation)}`);
+
+    for (const { location, message, breaking } of changes)
+      lines.push(`      ${location}: ${message}${breakingTag(breaking)}`);
+  }
+
+  if (affectedSteps.length) {
+    lines.push('', 'Affected test-flow steps:');
+
+    for (const step of affectedSteps) {
+      lines.push(`  ${step.breaking ? '❌' : '⚠️ '} ${step.flow} › ${step.step} (${step.file_path})`);
+
+      for (const reason of step.reasons)
+        lines.push(`      ${reason}`);
+    }
+  }
+
+  lines.push('', `${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed, ${summary.changed} changed `
+    + `(${summary.breakingChanges} breaking); ${summary.affectedSteps} affected step(s), ${summary.brokenSteps} broken.`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  detectSpecDrift,
+  reportSpecDrift,
+  loadBaselineCollection,
+  indexOperations,
+  describeOperation,
+  getOperationKey,
+  compareCollections,
+  compareOperations,
+  compareSchemas,
+  findAffectedSteps,
+  formatDriftReport
+};
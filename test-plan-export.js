@@ -0,0 +1,197 @@
+const { orderSteps } = require('./flow-hooks');
+const { parseAssertion } = require('./response-assertions');
+
+const TEST_PLAN_FORMAT = 'bruno-testgen/test-plan';
+const TEST_PLAN_VERSION = 1;
+
+/**
+ * Body modes of the test plan, by Bruno body mode.
+ */
+const BODY_MODES = {
+  json: 'json',
+  xml: 'xml',
+  text: 'text',
+  formUrlEncoded: 'form-urlencoded',
+  multipartForm: 'multipart',
+  file: 'file',
+  graphql: 'graphql'
+};
+
+/**
+ * Converts a test collection built by `createBrunoJson` into a neutral JSON test plan, for runners that
+ * do not read Bruno or Postman collections:
+ *
+ * ```json
+ * {
+ *   "format": "bruno-testgen/test-plan", "version": 1, "name": "...",
+ *   "settings": { "headers": [], "auth": {}, "variables": { "before": [], "after": [] }, "scripts": { "before": "", "after": "" }, "tests": "" },
+ *   "environments": [{ "name": "...", "variables": [{ "name": "...", "value": "...", "secret": false, "enabled": true }] }],
+ *   "flows": [{ "name": "...", "settings": {}, "steps": [{ "type": "request", ... }, { "type": "group", "name": "...", "settings": {}, "steps": [] }] }]
+ * }
+ * ```
+ *
+ * Flows, groups (the folders of included flows) and steps are listed in execution order. Request steps
+ * hold the operation they call, the request, the variables set before it and extracted after it, the scripts,
+ * the assertions (`{ target, operator, value }`) and the tests. Scripts use the Bruno JavaScript API (`bru`, `req`,
+ * `res`, `test`, `expect`) and `{{variable}}` placeholders are kept as they are.
+ *
+ * @param {Object} testCollection - The test collection.
+ * @returns {Object} The test plan.
+ */
+function toTestPlan(testCollection) {
+  return {
+    format: TEST_PLAN_FORMAT,
+    version: TEST_PLAN_VERSION,
+    name: testCollection.name,
+    settings: toTestPlanSettings(testCollection.root),
+    environments: (testCollection.environments || []).map(environment => ({
+      name: environment.name,
+      variables: (environment.variables || []).map(variable => ({
+        name: variable.name,
+        value: variable.value,
+        secret: Boolean(variable.secret),
+        enabled: variable.enabled !== false
+      }))
+    })),
+    flows: orderSteps(testCollection.items).map(folder => ({
+      name: folder.name,
+      settings: toTestPlanSettings(folder.root),
+      steps: orderSteps(folder.items).map(toTestPlanStep)
+    }))
+  };
+}
+
+/**
+ * Converts a request or folder of the test collection into a step of the test plan.
+ *
+ * @param {Object} item - The request or folder.
+ * @returns {Object} The request step, or the group of steps.
+ */
+function toTestPlanStep(item) {
+  if (item.type === 'folder') {
+    return {
+      type: 'group',
+      name: item.name,
+      settings: toTestPlanSettings(item.root),
+      steps: orderSteps(item.items).map(toTestPlanStep)
+    };
+  }
+
+  const { request } = item;
+  const params = request.params || [];
+
+  return {
+    type: 'request',
+    name: item.name,
+    operation: item.openapi
+      ? { operationId: item.openapi.operationId || null, method: String(item.openapi.method).toUpperCase(), path: item.openapi.path }
+      : null,
+    request: {
+      method: request.method,
+      url: request.url,
+      pathParams: params.filter(param => param.type === 'path').map(toNamedValue),
+      query: params.filter(param => param.type === 'query').map(toNamedValue),
+      headers: (request.headers || []).map(toNamedValue),
+      auth: request.auth || { mode: 'inherit' },
+      body: toTestPlanBody(request.body)
+    },
+    variables: toTestPlanVariables(request.vars),
+    scripts: toTestPlanScripts(request.script),
+    assertions: (request.assertions || [])
+      .map(assertion => ({ ...parseAssertion(assertion), enabled: assertion.enabled !== false })),
+    tests: request.tests || '',
+    ...(request.docs ? { docs: request.docs } : {})
+  };
+}
+
+/**
+ * Converts the `root` settings of the collection or of a folder, applied to every request they contain.
+ *
+ * @param {Object} [root] - The settings.
+ * @returns {Object} The settings: `{ headers, auth, variables, scripts, tests, docs? }`.
+ */
+function toTestPlanSettings(root) {
+  const request = root?.request || {};
+
+  return {
+    headers: (request.headers || []).map(toNamedValue),
+    auth: request.auth || { mode: 'inherit' },
+    variables: toTestPlanVariables(request.vars),
+    scripts: toTestPlanScripts(request.script),
+    tests: request.tests || '',
+    ...(root?.docs ? { docs: root.docs } : {})
+  };
+}
+
+/**
+ * Converts pre-request and post-response variables. Post-response values are expressions over `res`.
+ *
+ * @param {{req?: Array<Object>, res?: Array<Object>}} [vars] - The Bruno variables.
+ * @returns {{before: Array<Object>, after: Array<Object>}} The variables set before the request and extracted after it.
+ */
+function toTestPlanVariables(vars) {
+  return {
+    before: (vars?.req || []).map(toNamedValue),
+    after: (vars?.res || []).map(variable => ({ name: variable.name, expression: variable.value, enabled: variable.enabled !== false }))
+  };
+}
+
+/**
+ * Converts the pre-request and post-response scripts.
+ *
+ * @param {{req?: string, res?: string}} [script] - The Bruno scripts.
+ * @returns {{before: string, after: string}} The scripts.
+ */
+function toTestPlanScripts(script) {
+  return { before: script?.req || '', after: script?.res || '' };
+}
+
+/**
+ * Converts a Bruno body; only the content of its mode is kept. File paths are relative to the Bruno collection directory.
+ *
+ * @param {Object} [body] - The Bruno body.
+ * @returns {Object|null} The body (`{ mode, content }`), or null for none.
+ */
+function toTestPlanBody(body) {
+  const mode = BODY_MODES[body?.mode];
+
+  switch (mode) {
+    case undefined:
+      return null;
+    case 'form-urlencoded':
+      return { mode, content: (body.formUrlEncoded || []).map(toNamedValue) };
+    case 'multipart':
+      return {
+        mode,
+        content: (body.multipartForm || []).map(field => ({
+          ...toNamedValue(field),
+          type: field.type === 'file' ? 'file' : 'text',
+          ...(field.contentType ? { contentType: field.contentType } : {})
+        }))
+      };
+    case 'file':
+      return {
+        mode,
+        content: (body.file || []).filter(file => file.selected !== false)
+          .map(file => ({ path: file.filePath, contentType: file.contentType || '' }))
+      };
+    default:
+      return { mode, content: body[body.mode] ?? '' };
+  }
+}
+
+/**
+ * Converts a Bruno name/value entry (header, parameter, variable, form field).
+ *
+ * @param {{name: string, value: *, enabled?: boolean}} entry - The entry.
+ * @returns {{name: string, value: *, enabled: boolean}} The entry.
+ */
+function toNamedValue(entry) {
+  return { name: entry.name, value: entry.value, enabled: entry.enabled !== false };
+}
+
+module.exports = {
+  TEST_PLAN_FORMAT,
+  TEST_PLAN_VERSION,
+  toTestPlan
+};
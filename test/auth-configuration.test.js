@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applySecurityRequirements, createLoginSteps } = require('../auth-configuration');
+const { createRequest, buildTestCollection } = require('./helpers');
+
+const openApiSpec = {
+  openapi: '3.0.3',
+  security: [{ billing_auth: ['read:invoices'] }],
+  paths: {
+    '/invoices': {
+      get: { operationId: 'listInvoices', responses: { 200: { description: 'OK' } } },
+      post: { operationId: 'createInvoice', security: [{ billing_auth: ['write:invoices'] }], responses: { 201: { description: 'Created' } } }
+    },
+    '/status': {
+      get: { operationId: 'getStatus', security: [], responses: { 200: { description: 'OK' } } }
+    },
+    '/reports': {
+      get: { operationId: 'listReports', security: [{ mtls: [] }, { api_key: [] }], responses: { 200: { description: 'OK' } } }
+    }
+  },
+  components: {
+    securitySchemes: {
+      api_key: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      mtls: { type: 'mutualTLS' },
+      billing_auth: {
+        type: 'oauth2',
+        flows: { clientCredentials: { tokenUrl: '/oauth/token', scopes: { 'read:invoices': '', 'write:invoices': '' } } }
+      }
+    }
+  }
+};
+
+/**
+ * Converts the security requirements of `openApiSpec` into the auth of a collection of its operations.
+ *
+ * @returns {Object} The collection, its requests keyed by operationId under `requests`.
+ */
+function createBillingCollection() {
+  const operations = [
+    ['listInvoices', 'get', '/invoices'],
+    ['createInvoice', 'post', '/invoices'],
+    ['getStatus', 'get', '/status'],
+    ['listReports', 'get', '/reports']
+  ];
+  const items = operations.map(([operationId, method, operationPath]) => createRequest(operationId, method, operationPath, {
+    operationId,
+    responses: {}
+  }, {
+    url: `{{billing_base_url}}${operationPath}`,
+    headers: [{ name: 'X-API-Key', value: '{{apiKey}}', description: 'Authentication header', enabled: true }]
+  }));
+  const collection = applySecurityRequirements(openApiSpec, { name: 'Billing', items: [{ type: 'folder', name: 'invoices', items }] });
+
+  return { ...collection, requests: Object.fromEntries(items.map(item => [item.name, item])) };
+}
+
+test('operations inherit the document security, and security: [] makes them public', () => {
+  const { requests } = createBillingCollection();
+
+  assert.deepEqual(requests.listInvoices.request.auth, { mode: 'bearer', bearer: { token: '{{billing_billing_auth_access_token}}' } });
+  assert.deepEqual(requests.listInvoices.openapi.login, { scheme: 'billing_auth', tokenVariable: 'billing_billing_auth_access_token', scopes: ['read:invoices'] });
+  assert.deepEqual(requests.getStatus.request.auth, { mode: 'none' });
+  assert.deepEqual(requests.getStatus.openapi.security, []);
+  assert.equal(requests.getStatus.openapi.login, undefined);
+  assert.deepEqual(requests.getStatus.request.headers, []);
+});
+
+test('per-operation requirements override the document one, skipping unsupported alternatives', () => {
+  const { requests } = createBillingCollection();
+
+  assert.deepEqual(requests.createInvoice.openapi.login.scopes, ['write:invoices']);
+  assert.deepEqual(requests.listReports.request.auth, {
+    mode: 'apikey',
+    apikey: { key: 'X-API-Key', value: '{{billing_api_key}}', placement: 'header' }
+  });
+  assert.deepEqual(requests.listReports.openapi.security, ['api_key']);
+});
+
+test('login steps ask for the scopes of every request of the flow and are numbered from 1', () => {
+  const { requests, logins } = createBillingCollection();
+  const loginSteps = createLoginSteps([requests.listInvoices, requests.getStatus, requests.createInvoice], logins);
+
+  assert.equal(loginSteps.length, 1);
+  assert.equal(loginSteps[0].name, 'Log in - billing_auth');
+  assert.equal(loginSteps[0].seq, 1);
+  assert.equal(loginSteps[0].request.url, '{{billing_base_url}}/oauth/token');
+  assert.deepEqual(loginSteps[0].request.body.formUrlEncoded.map(field => `${field.name}=${field.value}`), [
+    'grant_type=client_credentials',
+    'client_id={{billing_billing_auth_client_id}}',
+    'client_secret={{billing_billing_auth_client_secret}}',
+    'scope=read:invoices write:invoices'
+  ]);
+  assert.equal(loginSteps[0].request.script.res, 'bru.setVar("billing_billing_auth_access_token", res.body.access_token);');
+  assert.equal(logins.billing_billing_auth_access_token.request.body.formUrlEncoded.find(field => field.name === 'scope').value, '');
+  assert.deepEqual(createLoginSteps([requests.getStatus], logins), []);
+});
+
+test('flows are renumbered after the login steps prepended to them', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const { requests, ...collection } = createBillingCollection();
+  const masterCollection = { name: 'Billing', items: [{ type: 'folder', ...collection }], environments: [] };
+  const testFlows = {
+    name: 'Billing Tests',
+    environments: [{ name: 'Local', variables: [] }],
+    test_flows: [{
+      flow_name: 'Invoices',
+      requests: [{ operation_id: 'listInvoices', seq: 1 }, { operation_id: 'getStatus', seq: 2 }, { operation_id: 'createInvoice', seq: 5 }]
+    }]
+  };
+
+  const testCollection = await buildTestCollection(t, masterCollection, testFlows);
+
+  assert.deepEqual(testCollection.items[0].items.map(item => `${item.seq} ${item.name}`), [
+    '1 Log in - billing_auth',
+    '2 listInvoices',
+    '3 getStatus',
+    '4 createInvoice'
+  ]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { parseCommandLine } = require('../cli');
+
+test('paths of a config file are resolved relative to it, absolute paths are kept', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-config-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const absoluteTestFlows = path.join(os.tmpdir(), 'shared', 'test-flows.json');
+  const configPath = path.join(dir, 'bruno-testgen.config.json');
+  await fs.writeFile(configPath, JSON.stringify({ testFlows: absoluteTestFlows, oasDir: 'specs', collectionName: 'Petstore' }));
+
+  const { config } = await parseCommandLine(['build', '--config', configPath]);
+
+  assert.equal(config.testFlows, absoluteTestFlows);
+  assert.equal(config.oasDir, path.join(dir, 'specs'));
+  assert.equal(config.collectionName, 'Petstore');
+});
+
+test('command line flags take precedence over the config file', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-config-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const configPath = path.join(dir, 'bruno-testgen.config.json');
+  await fs.writeFile(configPath, JSON.stringify({ testFlows: 'flows.json' }));
+
+  const { command, config } = await parseCommandLine(['build', '--config', configPath, '--test-flows', 'other.json']);
+
+  assert.equal(command, 'build');
+  assert.equal(config.testFlows, 'other.json');
+});
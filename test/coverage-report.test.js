@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { computeCoverage, reportCoverage, formatCoverageMarkdown, formatCoverageHtml } = require('../coverage-report');
+const { createRequest, createMasterCollection, createTempDir } = require('./helpers');
+
+const masterCollection = createMasterCollection({
+  pet: [
+    createRequest('Find pet by ID', 'get', '/pet/{petId}', {
+      operationId: 'getPetById',
+      responses: { 200: { contentTypes: ['application/json'], schema: null }, 404: { contentTypes: [], schema: null } }
+    }),
+    createRequest('Delete pet', 'delete', '/pet/{petId}', { operationId: 'deletePet', responses: { 400: { contentTypes: [], schema: null } } })
+  ],
+  user: [
+    createRequest('Create user', 'post', '/user', { operationId: 'createUser', responses: { default: { contentTypes: [], schema: null } } }),
+    createRequest('Logs out user', 'get', '/user/logout', { operationId: 'logoutUser', responses: { ok: { contentTypes: [], schema: null } } })
+  ]
+});
+
+const testFlowSpec = {
+  test_flows: [
+    { flow_name: 'Read pet', requests: [{ operation_id: 'getPetById' }, { operation_id: 'getPetById', expected_response: 404 }] },
+    { flow_name: 'Users', requests: [{ operation_id: 'createUser' }, { operation_id: 'logoutUser', expected_response: 'ok' }, { operation_id: 'missing' }] }
+  ]
+};
+
+test('operations are covered by the flows using them, and responses only count when assertions are generated', () => {
+  const report = computeCoverage(masterCollection, testFlowSpec);
+
+  assert.deepEqual(report.operations.map(({ operationId, covered, flows, steps, documentedResponses, assertedResponses }) =>
+    ({ operationId, covered, flows, steps, documentedResponses, assertedResponses })), [
+    { operationId: 'getPetById', covered: true, flows: ['Read pet'], steps: 2, documentedResponses: ['200', '404'], assertedResponses: ['200', '404'] },
+    { operationId: 'deletePet', covered: false, flows: [], steps: 0, documentedResponses: ['400'], assertedResponses: [] },
+    { operationId: 'createUser', covered: true, flows: ['Users'], steps: 1, documentedResponses: ['default'], assertedResponses: ['default'] },
+    { operationId: 'logoutUser', covered: true, flows: ['Users'], steps: 1, documentedResponses: ['ok'], assertedResponses: [] }
+  ]);
+  assert.deepEqual(report.summary, {
+    operations: 4,
+    coveredOperations: 3,
+    operationCoverage: 75,
+    responses: 5,
+    assertedResponses: 3,
+    responseCoverage: 60
+  });
+  assert.equal(report.unresolvedSteps.length, 1);
+  assert.equal(report.unresolvedSteps[0].flow, 'Users');
+});
+
+test('the Markdown and HTML reports list every operation with its responses', () => {
+  const report = computeCoverage(masterCollection, testFlowSpec);
+  const markdown = formatCoverageMarkdown(report);
+  const html = formatCoverageHtml(report);
+
+  assert.match(markdown, /^\* Operations covered: \*\*3\/4 \(75%\)\*\*$/m);
+  assert.match(markdown, /^\* Documented responses asserted: \*\*3\/5 \(60%\)\*\*$/m);
+  assert.match(markdown, /^\| ✅ \| GET \| `\/pet\/{petId}` \| getPetById \| Read pet \| 200, 404 \| 200, 404 \|$/m);
+  assert.match(markdown, /^\| ❌ \| DELETE \| `\/pet\/{petId}` \| deletePet \|  \|  \| 400 \|$/m);
+
+  assert.match(html, /<div class="bar"><div style="width: 75%"><\/div><\/div>/);
+  assert.match(html, /<tr class="uncovered">\n {6}<td>✘<\/td>\n {6}<td>DELETE<\/td>/);
+  assert.equal((html.match(/<tr class="covered">/g) || []).length, 3);
+});
+
+test('the reports are written before failing below the minimum coverage', async (t) => {
+  const dir = await createTempDir(t, 'coverage');
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const config = {
+    masterCollection: path.join(dir, 'master-collection.json'),
+    testFlows: path.join(dir, 'test-flows.json'),
+    coverageDir: path.join(dir, 'coverage'),
+    minCoverage: '80'
+  };
+
+  await fs.writeFile(config.masterCollection, JSON.stringify(masterCollection));
+  await fs.writeFile(config.testFlows, JSON.stringify(testFlowSpec));
+
+  await assert.rejects(reportCoverage(config), { message: 'Operation coverage 75% is below the minimum of 80%.' });
+  assert.deepEqual((await fs.readdir(config.coverageDir)).sort(), ['coverage.html', 'coverage.json', 'coverage.md']);
+
+  const report = await reportCoverage({ ...config, minCoverage: '75' });
+  assert.equal(report.summary.operationCoverage, 75);
+});
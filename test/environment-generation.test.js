@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseDotEnv, parseEnvironment, parseRequest, parseFolder, parseCollection } = require('@usebruno/filestore');
+
+const { generateEnvironments } = require('../environment-generation');
+const { testGenerationPipeline } = require('../testflow-generation');
+
+const openApiSpec = {
+  openapi: '3.0.3',
+  info: { title: 'Billing', version: '1.0.0' },
+  servers: [{ url: 'https://billing.example.com/v1/', description: 'Production' }],
+  security: [{ api_key: [] }],
+  paths: {
+    '/invoices': {
+      get: { operationId: 'listInvoices', summary: 'List invoices', responses: { 200: { description: 'OK' } } }
+    }
+  },
+  components: {
+    securitySchemes: {
+      api_key: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer_auth: { type: 'http', scheme: 'bearer' }
+    }
+  }
+};
+
+test('the credentials of the security schemes are variables read from .env', () => {
+  const [environment] = generateEnvironments(openApiSpec, 'Billing');
+
+  assert.equal(environment.name, 'Production');
+  assert.deepEqual(environment.variables.map(({ name, value, secret }) => ({ name, value, secret })), [
+    { name: 'billing_base_url', value: 'https://billing.example.com/v1', secret: false },
+    { name: 'billing_api_key', value: '{{process.env.BILLING_API_KEY}}', secret: false },
+    { name: 'billing_bearer_auth_token', value: '{{process.env.BILLING_BEARER_AUTH_TOKEN}}', secret: false }
+  ]);
+});
+
+test('a built collection resolves the credentials from the .env file it is given', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-environments-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const outputDir = path.join(dir, 'Billing Tests');
+
+  await fs.mkdir(path.join(dir, 'oas'));
+  await fs.writeFile(path.join(dir, 'oas', 'billing.json'), JSON.stringify(openApiSpec));
+  await fs.writeFile(path.join(dir, '.env'), 'BILLING_API_KEY=key-123\nBILLING_BEARER_AUTH_TOKEN=token-456\n');
+  await fs.writeFile(path.join(dir, 'test-flows.json'), JSON.stringify({
+    name: 'Billing Tests',
+    test_flows: [{ flow_name: 'Invoices', requests: [{ operation_id: 'listInvoices' }] }]
+  }));
+
+  await testGenerationPipeline({
+    oasDir: path.join(dir, 'oas'),
+    collectionsDir: path.join(dir, 'collections'),
+    collectionName: 'Billing',
+    masterCollection: path.join(dir, 'master-collection.json'),
+    testFlows: path.join(dir, 'test-flows.json'),
+    testCollection: path.join(dir, 'test-collection.json'),
+    outputDir,
+    envFile: path.join(dir, '.env')
+  });
+
+  // The auth shared by the requests is inherited from the flow folder or the collection.
+  const auths = [
+    parseRequest(await fs.readFile(path.join(outputDir, 'Invoices', 'List invoices.bru'), 'utf8')).request.auth,
+    parseFolder(await fs.readFile(path.join(outputDir, 'Invoices', 'folder.bru'), 'utf8')).request?.auth,
+    parseCollection(await fs.readFile(path.join(outputDir, 'collection.bru'), 'utf8')).request?.auth
+  ];
+  const environment = parseEnvironment(await fs.readFile(path.join(outputDir, 'environments', 'Production.bru'), 'utf8'));
+  const dotEnv = parseDotEnv(await fs.readFile(path.join(outputDir, '.env'), 'utf8'));
+
+  const auth = auths.find(candidate => candidate?.mode && candidate.mode !== 'inherit');
+  const variable = /^{{(\w+)}}$/.exec(auth.apikey.value)[1];
+  const processEnvName = /^{{process\.env\.(\w+)}}$/.exec(environment.variables.find(({ name }) => name === variable).value)[1];
+
+  assert.equal(auth.apikey.key, 'X-API-Key');
+  assert.equal(dotEnv[processEnvName], 'key-123');
+  assert.match(await fs.readFile(path.join(outputDir, '.gitignore'), 'utf8'), /^\.env$/m);
+});
@@ -0,0 +1,297 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { createBrunoJson } = require('../testflow-generation');
+const { exportTestCollection } = require('../collection-exporters');
+
+const masterCollection = {
+  name: 'Petstore',
+  version: '1',
+  items: [{
+    type: 'folder',
+    name: 'Swagger Petstore',
+    items: [{
+      type: 'folder',
+      name: 'pet',
+      items: [
+        {
+          type: 'http-request',
+          name: 'Add a new pet to the store',
+          seq: 1,
+          request: {
+            url: '{{swagger_petstore_base_url}}/pet',
+            method: 'POST',
+            headers: [],
+            params: [],
+            body: { mode: 'json', json: '{\n  "name": "doggie",\n  "photoUrls": []\n}' }
+          },
+          openapi: { operationId: 'addPet', method: 'post', path: '/pet', responses: { 200: { contentTypes: ['application/json'], schema: null } } }
+        },
+        {
+          type: 'http-request',
+          name: 'Find pet by ID',
+          seq: 2,
+          request: {
+            url: '{{swagger_petstore_base_url}}/pet/:petId',
+            method: 'GET',
+            headers: [],
+            params: [{ name: 'petId', value: '', type: 'path', enabled: true }],
+            body: { mode: 'none' }
+          },
+          openapi: { operationId: 'getPetById', method: 'get', path: '/pet/{petId}', responses: { 200: { contentTypes: ['application/json'], schema: null } } }
+        }
+      ]
+    }]
+  }],
+  environments: [
+    {
+      name: 'Production',
+      variables: [
+        { name: 'swagger_petstore_base_url', value: 'https://petstore.swagger.io/v2', enabled: true, secret: false },
+        { name: 'swagger_petstore_api_key', value: '{{process.env.SWAGGER_PETSTORE_API_KEY}}', enabled: true, secret: false }
+      ]
+    },
+    {
+      name: 'Local',
+      variables: [{ name: 'swagger_petstore_base_url', value: 'http://localhost:4010/swagger_petstore', enabled: true, secret: false }]
+    }
+  ]
+};
+
+const readPetScript = {
+  req: "console.log('Reading', bru.getVar('petId'));",
+  res: "test('returns the pet added by the flow', () => expect(res.body.name).to.equal(bru.getVar('expectedName')));"
+};
+
+/**
+ * Test flows using every feature the exporters carry over: collection and flow settings, a data-driven flow,
+ * an included flow (a nested folder), extractions, step variables and scripts.
+ */
+const testFlows = {
+  name: 'Petstore Export Tests',
+  root: {
+    request: {
+      headers: [{ name: 'X-Trace-Id', value: '{{traceId}}' }],
+      script: { req: "bru.setVar('traceId', 'trace-1');" }
+    }
+  },
+  test_flows: [
+    {
+      flow_name: 'Add pet',
+      standalone: false,
+      params: { name: 'doggie' },
+      requests: [{
+        operation_id: 'addPet',
+        merge_patch: {
+          body: { json: { name: '{{param.name}}' } },
+          vars: { res: [{ name: 'petName', value: 'res.body.name' }] }
+        },
+        extract: { petId: '$.id' }
+      }]
+    },
+    {
+      flow_name: 'Read pet as {{row.name}}',
+      dataset: [{ name: 'rex' }, { name: 'fido' }],
+      root: { request: { vars: { req: [{ name: 'expectedName', value: '{{row.name}}' }] } } },
+      requests: [
+        { include: 'Add pet', params: { name: '{{row.name}}' }, seq: 1 },
+        { operation_id: 'getPetById', seq: 2, script: readPetScript }
+      ]
+    }
+  ]
+};
+
+/**
+ * Builds the test collection of `testFlows` in a temporary directory and exports it to the Postman, OpenCollection
+ * and test plan formats.
+ *
+ * @param {string} dir - The temporary directory.
+ * @returns {Promise<Object>} The test collection and the exported `postmanCollection`, `postmanEnvironments`,
+ *                            `openCollection` and `testPlan`.
+ */
+async function buildAndExport(dir) {
+  const readJson = async (file) => JSON.parse(await fs.readFile(path.join(dir, 'exports', file), 'utf8'));
+
+  await fs.writeFile(path.join(dir, 'master-collection.json'), JSON.stringify(masterCollection));
+  await fs.writeFile(path.join(dir, 'test-flows.json'), JSON.stringify(testFlows));
+
+  const testCollection = await createBrunoJson(path.join(dir, 'test-flows.json'), path.join(dir, 'master-collection.json'), path.join(dir, 'test-collection.json'));
+
+  await exportTestCollection({ testCollection: path.join(dir, 'test-collection.json'), exportFormats: 'postman,opencollection,test-plan', exportDir: path.join(dir, 'exports') });
+
+  return {
+    testCollection,
+    postmanCollection: await readJson('Petstore Export Tests.postman_collection.json'),
+    postmanEnvironments: [await readJson('Production.postman_environment.json'), await readJson('Local.postman_environment.json')],
+    openCollection: yaml.load(await fs.readFile(path.join(dir, 'exports', 'Petstore Export Tests.opencollection.yml'), 'utf8')),
+    testPlan: await readJson('Petstore Export Tests.test-plan.json')
+  };
+}
+
+/**
+ * Lists the item names of a Postman collection, an OpenCollection or a test plan, depth first, indented by nesting level.
+ *
+ * @param {Array<Object>} items - The Postman items, OpenCollection items or test plan steps.
+ * @param {string} [indent] - The indentation of the level.
+ * @returns {Array<string>} The names.
+ */
+function listNames(items, indent = '') {
+  return items.flatMap(item => [indent + (item.name ?? item.info.name), ...listNames(item.item || item.items || item.steps || [], indent + '  ')]);
+}
+
+/**
+ * Joins the script lines of a Postman event.
+ *
+ * @param {Object} item - The Postman item.
+ * @param {string} listen - `prerequest` or `test`.
+ * @returns {string} The script, or an empty string.
+ */
+function getEventScript(item, listen) {
+  return (item.event || []).find(event => event.listen === listen)?.script.exec.join('\n') || '';
+}
+
+let dir;
+let exported;
+
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-export-'));
+  exported = await buildAndExport(dir);
+});
+
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const expectedOrder = [
+  'Read pet as rex',
+  '  Add pet',
+  '    Add a new pet to the store',
+  '  Find pet by ID',
+  'Read pet as fido',
+  '  Add pet',
+  '    Add a new pet to the store',
+  '  Find pet by ID'
+];
+
+test('the Postman export keeps the flows, included flows and steps in execution order', () => {
+  const { postmanCollection } = exported;
+
+  assert.equal(postmanCollection.info.name, 'Petstore Export Tests');
+  assert.match(postmanCollection.info.schema, /collection\/v2\.1\.0/);
+  assert.deepEqual(listNames(postmanCollection.item), expectedOrder);
+});
+
+test('the Postman export keeps variables, extractions and scripts', () => {
+  const { postmanCollection } = exported;
+  const [rexFlow, fidoFlow] = postmanCollection.item;
+  const [addPetFolder, findPet] = rexFlow.item;
+  const addPet = addPetFolder.item[0];
+
+  assert.match(getEventScript(postmanCollection, 'prerequest'), /bru\.setVar\('traceId', 'trace-1'\);/);
+  assert.match(getEventScript(postmanCollection, 'prerequest'), /key: "X-Trace-Id", value: pm\.variables\.replaceIn\("{{traceId}}"\)/);
+  assert.match(getEventScript(rexFlow, 'prerequest'), /pm\.variables\.set\("expectedName", pm\.variables\.replaceIn\("rex"\)\);/);
+  assert.match(getEventScript(fidoFlow, 'prerequest'), /pm\.variables\.set\("expectedName", pm\.variables\.replaceIn\("fido"\)\);/);
+
+  assert.equal(JSON.parse(addPet.request.body.raw).name, 'rex');
+  assert.match(getEventScript(addPet, 'test'), /bru\.setVar\("petName", res\.body\.name\);/);
+  assert.match(getEventScript(addPet, 'test'), /bru\.setVar\("petId"/);
+
+  assert.deepEqual(findPet.request.url.variable, [{ key: 'petId', value: '{{petId}}' }]);
+  assert.ok(getEventScript(findPet, 'prerequest').endsWith(readPetScript.req));
+  assert.ok(getEventScript(findPet, 'test').includes(readPetScript.res));
+  assert.match(getEventScript(findPet, 'test'), /pm\.test\("res\.status: eq 200"/);
+});
+
+test('the Postman export writes one environment per environment, with .env secrets left empty', () => {
+  const { postmanEnvironments } = exported;
+
+  assert.deepEqual(postmanEnvironments.map(environment => environment.name), ['Production', 'Local']);
+  assert.deepEqual(postmanEnvironments[0].values, [
+    { key: 'swagger_petstore_base_url', value: 'https://petstore.swagger.io/v2', type: 'default', enabled: true },
+    { key: 'swagger_petstore_api_key', value: '', type: 'secret', enabled: true }
+  ]);
+  assert.deepEqual(postmanEnvironments[1].values, [
+    { key: 'swagger_petstore_base_url', value: 'http://localhost:4010/swagger_petstore', type: 'default', enabled: true }
+  ]);
+});
+
+test('the OpenCollection export keeps the flows, included flows and steps in execution order', () => {
+  const { openCollection } = exported;
+
+  assert.equal(openCollection.opencollection, '1.0.0');
+  assert.equal(openCollection.info.name, 'Petstore Export Tests');
+  assert.deepEqual(listNames(openCollection.items), expectedOrder);
+  assert.deepEqual(openCollection.items[0].items.map(item => item.info), [
+    { name: 'Add pet', type: 'folder', seq: 1 },
+    { name: 'Find pet by ID', type: 'http', seq: 2 }
+  ]);
+});
+
+test('the OpenCollection export keeps variables, extractions, scripts and assertions', () => {
+  const { openCollection } = exported;
+  const [rexFlow, fidoFlow] = openCollection.items;
+  const [addPetFolder, findPet] = rexFlow.items;
+  const addPet = addPetFolder.items[0];
+
+  assert.deepEqual(openCollection.request.headers, [{ name: 'X-Trace-Id', value: '{{traceId}}' }]);
+  assert.deepEqual(openCollection.request.scripts, [{ type: 'before-request', code: "bru.setVar('traceId', 'trace-1');" }]);
+  assert.deepEqual(rexFlow.request.variables, [{ name: 'expectedName', value: 'rex' }]);
+  assert.deepEqual(fidoFlow.request.variables, [{ name: 'expectedName', value: 'fido' }]);
+
+  assert.equal(addPet.http.body.type, 'json');
+  assert.equal(JSON.parse(addPet.http.body.data).name, 'rex');
+  assert.deepEqual(addPet.runtime.actions, [{
+    type: 'set-variable',
+    phase: 'after-response',
+    selector: { expression: 'res.body.name', method: 'jsonq' },
+    variable: { name: 'petName', scope: 'runtime' }
+  }]);
+  assert.match(addPet.runtime.scripts.find(script => script.type === 'after-response').code, /bru\.setVar\("petId"/);
+
+  assert.deepEqual(findPet.http.params, [{ name: 'petId', value: '{{petId}}', type: 'path' }]);
+  assert.deepEqual(findPet.runtime.scripts.slice(0, 2), [
+    { type: 'before-request', code: readPetScript.req },
+    { type: 'after-response', code: readPetScript.res }
+  ]);
+  assert.match(findPet.runtime.scripts[2].code, /test\("Content-Type is one of application\/json"/);
+  assert.deepEqual(findPet.runtime.assertions, [{ expression: 'res.status', operator: 'eq', value: '200' }]);
+});
+
+test('the OpenCollection export keeps the environments, with .env values for Bruno to resolve', () => {
+  const { testCollection, openCollection } = exported;
+
+  assert.deepEqual(openCollection.config.environments, testCollection.environments.map(environment => ({
+    name: environment.name,
+    variables: environment.variables.map(({ name, value }) => ({ name, value }))
+  })));
+  assert.equal(openCollection.config.environments[0].variables[1].value, '{{process.env.SWAGGER_PETSTORE_API_KEY}}');
+});
+
+test('the test plan keeps the order, variables, scripts and environments of the test collection', () => {
+  const { testCollection, testPlan } = exported;
+  const [rexFlow] = testPlan.flows;
+  const [addPetGroup, findPet] = rexFlow.steps;
+  const addPet = addPetGroup.steps[0];
+
+  assert.deepEqual(listNames(testPlan.flows), expectedOrder);
+  assert.deepEqual(rexFlow.steps.map(step => step.type), ['group', 'request']);
+
+  assert.deepEqual(testPlan.settings.headers, [{ name: 'X-Trace-Id', value: '{{traceId}}', enabled: true }]);
+  assert.equal(testPlan.settings.scripts.before, "bru.setVar('traceId', 'trace-1');");
+  assert.deepEqual(rexFlow.settings.variables.before, [{ name: 'expectedName', value: 'rex', enabled: true }]);
+
+  assert.deepEqual(addPet.operation, { operationId: 'addPet', method: 'POST', path: '/pet' });
+  assert.deepEqual(addPet.variables.after, [{ name: 'petName', expression: 'res.body.name', enabled: true }]);
+  assert.match(addPet.scripts.after, /bru\.setVar\("petId"/);
+
+  assert.deepEqual(findPet.request.pathParams, [{ name: 'petId', value: '{{petId}}', enabled: true }]);
+  assert.deepEqual(findPet.scripts, { before: readPetScript.req, after: readPetScript.res });
+  assert.deepEqual(findPet.assertions, [{ target: 'res.status', operator: 'eq', value: '200', enabled: true }]);
+
+  assert.deepEqual(testPlan.environments, testCollection.environments.map(environment => ({
+    name: environment.name,
+    variables: environment.variables.map(({ name, value }) => ({ name, value, secret: false, enabled: true }))
+  })));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { expandDataDrivenFlows } = require('../flow-datasets');
+
+const requests = [{ operation_id: 'findPetsByStatus', parameters: [{ name: 'status', value: '{{row.status}}' }] }];
+
+test('rows expand into one flow per row, with their placeholders substituted', async () => {
+  const { test_flows: testFlows } = await expandDataDrivenFlows({
+    test_flows: [
+      { flow_name: 'Smoke', seq: 2, requests: [] },
+      { flow_name: 'Find {{row.status}} pets', seq: 1, dataset: [{ status: 'available' }, { status: 'sold' }], requests }
+    ]
+  }, '.');
+
+  assert.deepEqual(testFlows.map(({ flow_name: name, seq }) => ({ name, seq })), [
+    { name: 'Find available pets', seq: 1 },
+    { name: 'Find sold pets', seq: 2 },
+    { name: 'Smoke', seq: 3 }
+  ]);
+  assert.deepEqual(testFlows[1].requests, [{ operation_id: 'findPetsByStatus', parameters: [{ name: 'status', value: 'sold' }] }]);
+});
+
+test('flow names get the row number when they have no placeholders', async () => {
+  const { test_flows: testFlows } = await expandDataDrivenFlows({
+    test_flows: [{ flow_name: 'Find pets', dataset: [{ status: 'available' }, { status: 'sold' }], requests }]
+  }, '.');
+
+  assert.deepEqual(testFlows.map(testFlow => testFlow.flow_name), ['Find pets (row 1)', 'Find pets (row 2)']);
+});
+
+test('characters file systems do not allow are replaced in flow names', async () => {
+  const { test_flows: testFlows } = await expandDataDrivenFlows({
+    test_flows: [{ flow_name: 'Pet {{row.kind}}', dataset: [{ kind: 'cat/dog' }, { kind: 'a:b*c?' }], requests: [] }]
+  }, '.');
+
+  assert.deepEqual(testFlows.map(testFlow => testFlow.flow_name), ['Pet cat-dog', 'Pet a-b-c-']);
+});
+
+test('rows whose file-safe flow names collide are rejected', async () => {
+  await assert.rejects(
+    expandDataDrivenFlows({
+      test_flows: [{ flow_name: 'Pet {{row.kind}}', dataset: [{ kind: 'cat/dog' }, { kind: 'cat:dog' }], requests: [] }]
+    }, '.'),
+    /Flow name "Pet cat-dog" of row 2 of the dataset of flow "Pet {{row.kind}}" is not unique/
+  );
+});
+
+test('rows whose flow names collide with a static flow are rejected', async () => {
+  await assert.rejects(
+    expandDataDrivenFlows({
+      test_flows: [
+        { flow_name: 'Pets {{row.status}}', dataset: [{ status: 'sold' }, { status: 'available' }], requests: [] },
+        { flow_name: 'Pets available', requests: [] }
+      ]
+    }, '.'),
+    { message: 'Flow name "Pets available" of row 2 of the dataset of flow "Pets {{row.status}}" is not unique: flow "Pets available" has it too. '
+      + 'Use row fields in "flow_name" to tell the flows apart.' }
+  );
+});
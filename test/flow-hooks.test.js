@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { expandFlowHooks } = require('../flow-hooks');
+const { createTestFlows, createBrunoRoot } = require('../testflow-generation');
+
+const testFlowSpec = {
+  name: 'Petstore Regression Tests',
+  hooks: {
+    login: { requests: [{ request_id: 'Logs user into the system', seq: 1 }] },
+    cleanup: { requests: [{ request_id: 'Deletes a pet', seq: 2 }, { request_id: 'Logs out current logged in user session', seq: 1 }] }
+  },
+  test_flows: [
+    {
+      flow_name: 'Pet flow',
+      seq: 1,
+      setup: ['login'],
+      teardown: ['cleanup'],
+      requests: [{ request_id: 'Find pet by ID', seq: 5 }, { request_id: 'Add a new pet to the store', seq: 3 }]
+    },
+    { flow_name: 'Inventory flow', seq: 2, requests: [{ request_id: 'Returns pet inventories by status', seq: 4 }] }
+  ]
+};
+
+test('setup and teardown hook steps are inlined around the flow steps and renumbered', () => {
+  const expanded = expandFlowHooks(testFlowSpec);
+
+  assert.equal(expanded.hooks, undefined);
+  assert.deepEqual(expanded.test_flows[0], {
+    flow_name: 'Pet flow',
+    seq: 1,
+    requests: [
+      { request_id: 'Logs user into the system', seq: 1 },
+      { request_id: 'Add a new pet to the store', seq: 2 },
+      { request_id: 'Find pet by ID', seq: 3 },
+      { request_id: 'Logs out current logged in user session', seq: 4 },
+      { request_id: 'Deletes a pet', seq: 5 }
+    ]
+  });
+  assert.deepEqual(expanded.test_flows[1], testFlowSpec.test_flows[1]);
+  assert.notEqual(expanded.test_flows[0].requests[0], testFlowSpec.hooks.login.requests[0]);
+});
+
+test('flows using an unknown hook are rejected', () => {
+  assert.throws(
+    () => expandFlowHooks({ test_flows: [{ flow_name: 'Pet flow', setup: ['logn'], requests: [] }] }),
+    /Flow "Pet flow" uses unknown hook "logn"\./
+  );
+});
+
+test('flow roots are written to folder.bru named and ordered after the flow, and the collection root to collection.bru', async (t) => {
+  const collectionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-roots-'));
+  t.after(() => fs.rm(collectionDir, { recursive: true, force: true }));
+
+  const testCollection = {
+    root: {
+      request: {
+        headers: [{ name: 'X-Trace-Id', value: '{{traceId}}', enabled: true }],
+        script: { req: "bru.setVar('traceId', Date.now());" }
+      }
+    },
+    items: [
+      { type: 'folder', name: 'Pet flow', seq: 2, root: { request: { vars: { req: [{ name: 'status', value: 'sold', enabled: true }] } } }, items: [] },
+      { type: 'folder', name: 'Inventory flow', seq: 1, root: { meta: { name: 'Inventory' } }, items: [] }
+    ]
+  };
+
+  await createTestFlows(testCollection, collectionDir);
+  await createBrunoRoot(testCollection, collectionDir);
+
+  const petFolder = await fs.readFile(path.join(collectionDir, 'Pet flow', 'folder.bru'), 'utf8');
+  const inventoryFolder = await fs.readFile(path.join(collectionDir, 'Inventory flow', 'folder.bru'), 'utf8');
+  const collectionRoot = await fs.readFile(path.join(collectionDir, 'collection.bru'), 'utf8');
+
+  assert.match(petFolder, /meta {\n  name: Pet flow\n  seq: 2\n}/);
+  assert.match(petFolder, /vars:pre-request {\n  status: sold\n}/);
+  assert.match(inventoryFolder, /meta {\n  name: Inventory\n/);
+  assert.match(collectionRoot, /headers {\n  X-Trace-Id: {{traceId}}\n}/);
+  assert.match(collectionRoot, /script:pre-request {\n  bru\.setVar\('traceId', Date\.now\(\)\);\n}/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRequest, createMasterCollection, buildTestCollection } = require('./helpers');
+
+const masterCollection = createMasterCollection({
+  pet: [
+    createRequest('Add a new pet to the store', 'post', '/pet', { operationId: 'addPet' }),
+    createRequest('Finds Pets by status', 'get', '/pet/findByStatus', { operationId: 'findPetsByStatus' }),
+    createRequest('Update an existing pet', 'put', '/pet', { operationId: 'updatePet' }),
+    createRequest('Deletes a pet', 'delete', '/pet/{petId}', { operationId: 'deletePet' })
+  ]
+}, {
+  environments: [{ name: 'Local', variables: [{ name: 'swagger_petstore_base_url', value: 'http://localhost:4010/swagger_petstore' }] }]
+});
+
+/**
+ * Lists the item names of a test collection, depth first, indented by nesting level.
+ *
+ * @param {Array<Object>} items - The items.
+ * @param {string} [indent] - The indentation of the level.
+ * @returns {Array<string>} The names.
+ */
+function listNames(items, indent = '') {
+  return items.flatMap(item => [indent + item.name, ...listNames(item.items || [], indent + '  ')]);
+}
+
+test('the setup and teardown hooks of an included flow run in its subfolder, around its steps', async (t) => {
+  const testCollection = await buildTestCollection(t, masterCollection, {
+    name: 'Petstore Tests',
+    hooks: {
+      mkpet: { requests: [{ operation_id: 'addPet' }] },
+      rmpet: { requests: [{ operation_id: 'deletePet' }] }
+    },
+    test_flows: [
+      { flow_name: 'Base', standalone: false, setup: ['mkpet'], teardown: ['rmpet'], requests: [{ operation_id: 'findPetsByStatus' }] },
+      { flow_name: 'Main', requests: [{ include: 'Base' }, { operation_id: 'updatePet' }] }
+    ]
+  });
+
+  assert.deepEqual(listNames(testCollection.items), [
+    'Main',
+    '  Base',
+    '    Add a new pet to the store',
+    '    Finds Pets by status',
+    '    Deletes a pet',
+    '  Update an existing pet'
+  ]);
+  assert.deepEqual(testCollection.items[0].items[0].items.map(item => item.seq), [1, 2, 3]);
+});
+
+test('the hooks of the including flow run around its include folders', async (t) => {
+  const testCollection = await buildTestCollection(t, masterCollection, {
+    name: 'Petstore Tests',
+    hooks: { mkpet: { requests: [{ operation_id: 'addPet' }] } },
+    test_flows: [
+      { flow_name: 'Base', standalone: false, requests: [{ operation_id: 'findPetsByStatus' }] },
+      { flow_name: 'Main', setup: ['mkpet'], requests: [{ include: 'Base' }, { operation_id: 'updatePet' }] }
+    ]
+  });
+
+  assert.deepEqual(listNames(testCollection.items), [
+    'Main',
+    '  Add a new pet to the store',
+    '  Base',
+    '    Finds Pets by status',
+    '  Update an existing pet'
+  ]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateTestFlows } = require('../flow-scaffolding');
+const { createRequest, createMasterCollection } = require('./helpers');
+
+const userSchema = {
+  type: 'object',
+  required: ['username'],
+  properties: {
+    username: { type: 'string', minLength: 3 },
+    userStatus: { type: 'integer' }
+  }
+};
+
+const masterCollection = createMasterCollection({
+  user: [
+    createRequest('Get user by user name', 'get', '/user/{username}', {
+      operationId: 'getUserByName',
+      parameters: [{ name: 'username', in: 'path', required: true, schema: { type: 'string', example: 'user1' } }],
+      responses: { 200: { contentTypes: ['application/json'], schema: null }, 404: { contentTypes: [], schema: null } }
+    }, {
+      params: [{ name: 'username', value: '', type: 'path', enabled: true }]
+    }),
+    createRequest('Create user', 'post', '/user', {
+      operationId: 'createUser',
+      requestBody: { schema: userSchema },
+      responses: { default: { contentTypes: ['application/json'], schema: null } }
+    }, {
+      body: { mode: 'json', json: '{\n  "username": "user1",\n  "userStatus": 1\n}' }
+    }),
+    createRequest('Logs out current logged in user session', 'get', '/user/logout', {
+      operationId: 'logoutUser',
+      responses: { 400: { contentTypes: [], schema: null } }
+    })
+  ]
+});
+
+test('smoke steps expect 2XX for operations documenting no success response, or only a default one', () => {
+  const { test_flows: [smokeFlow] } = generateTestFlows(masterCollection);
+
+  assert.equal(smokeFlow.flow_name, 'Smoke - Swagger Petstore - user');
+  assert.deepEqual(smokeFlow.requests, [
+    { operation_id: 'createUser', file_path: 'Swagger Petstore/user', seq: 1, expected_response: '2XX' },
+    { operation_id: 'getUserByName', file_path: 'Swagger Petstore/user', seq: 2, merge_patch: { params: { username: 'user1' } } },
+    { operation_id: 'logoutUser', file_path: 'Swagger Petstore/user', seq: 3, expected_response: '2XX' }
+  ]);
+});
+
+test('negative steps patch the valid request with one schema violation each, expecting 4XX', () => {
+  const { name, test_flows: testFlows } = generateTestFlows(masterCollection);
+  const negativeFlow = testFlows.find(testFlow => testFlow.flow_name === 'Negative - Swagger Petstore - user');
+
+  assert.equal(name, 'Petstore Generated Tests');
+  assert.deepEqual(testFlows.map(testFlow => testFlow.seq), [1, 2]);
+  assert.equal(negativeFlow.infer_links, false);
+  assert.deepEqual(negativeFlow.requests.map(step => [step.name, step.expected_response, step.merge_patch]), [
+    ['Create user - missing username', '4XX', { body: { json: { username: null } } }],
+    ['Create user - wrong type of username', '4XX', { body: { json: { username: 12345 } } }],
+    ['Create user - username too short', '4XX', { body: { json: { username: 'xx' } } }],
+    ['Create user - wrong type of userStatus', '4XX', { body: { json: { userStatus: 'not-a-number' } } }]
+  ]);
+});
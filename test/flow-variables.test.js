@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  jsonPathToAccessor,
+  generateExtractionScript,
+  applyExtractions,
+  substituteFlowVariables,
+  inferVariableLinks
+} = require('../flow-variables');
+
+const petSchema = { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } };
+
+test('plain JSONPaths become optional-chained accessors on the response body', () => {
+  assert.equal(jsonPathToAccessor('$'), 'res.getBody()');
+  assert.equal(jsonPathToAccessor('$.items[0].name'), 'res.getBody()?.items?.[0]?.name');
+  assert.equal(jsonPathToAccessor("$['x-total']"), 'res.getBody()?.["x-total"]');
+  assert.throws(() => jsonPathToAccessor('id'), /must start with "\$"/);
+  assert.throws(() => jsonPathToAccessor('$.items[*].id'), /Unsupported JSONPath "\$\.items\[\*\]\.id" at "\[\*\]\.id"/);
+});
+
+test('extractions from the body, a header and the status become bru.setVar calls', () => {
+  assert.equal(
+    generateExtractionScript({ petId: '$.id', location: { header: 'Location' }, status: { status: true } }),
+    'bru.setVar("petId", res.getBody()?.id);\n'
+      + 'bru.setVar("location", res.getHeader("location"));\n'
+      + 'bru.setVar("status", res.getStatus());'
+  );
+  assert.throws(() => generateExtractionScript({ petId: { cookie: 'id' } }), /Unsupported extraction {"cookie":"id"}/);
+});
+
+test('extraction scripts are appended to the post-response script of the request', () => {
+  const request = { url: '/pet', script: { req: 'req();', res: 'existing();' } };
+  const extracted = applyExtractions(request, { petId: '$.id' });
+
+  assert.deepEqual(extracted.script, { req: 'req();', res: 'existing();\n\nbru.setVar("petId", res.getBody()?.id);' });
+  assert.equal(request.script.res, 'existing();');
+  assert.equal(applyExtractions(request, {}), request);
+});
+
+test('params and top-level body fields named after variables become placeholders', () => {
+  const item = {
+    name: 'Update pet',
+    request: {
+      params: [
+        { name: 'petId', value: '1', type: 'path', enabled: true },
+        { name: 'status', value: 'sold', type: 'query', enabled: false }
+      ],
+      body: { mode: 'json', json: '{"id": 1, "name": "doggie", "status": "sold"}' }
+    }
+  };
+  const substituted = substituteFlowVariables(item, new Set(['petId', 'id', 'status']));
+
+  assert.deepEqual(substituted.request.params, [
+    { name: 'petId', value: '{{petId}}', type: 'path', enabled: true },
+    { name: 'status', value: '{{status}}', type: 'query', enabled: true }
+  ]);
+  assert.equal(substituted.request.body.json, '{\n  "id": {{id}},\n  "name": "doggie",\n  "status": "{{status}}"\n}');
+  assert.equal(item.request.params[0].value, '1');
+});
+
+test('a created id is extracted for later steps addressing the created resource', () => {
+  const step = (method, path, requestSpec = {}, responses = { 200: { schema: petSchema } }) => ({
+    requestSpec,
+    originalRequest: { openapi: { method, path, responses } }
+  });
+
+  assert.deepEqual(inferVariableLinks([
+    step('post', '/pet'),
+    step('get', '/pet/{petId}'),
+    step('delete', '/pet/{petId}')
+  ]), [{ petId: '$.id' }, {}, {}]);
+
+  assert.deepEqual(inferVariableLinks([
+    step('post', '/pet', { extract: { petId: '$.pet.id' } }),
+    step('get', '/pet/{petId}')
+  ]), [{}, {}]);
+
+  assert.deepEqual(inferVariableLinks([
+    step('post', '/pet', {}, { 200: { schema: { type: 'object', properties: { name: { type: 'string' } } } } }),
+    step('get', '/pet/{petId}', { parameters: [{ name: 'petId', value: '7' }] })
+  ]), [{}, {}]);
+});
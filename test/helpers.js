@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { createBrunoJson } = require('../testflow-generation');
+
+/**
+ * Creates a request item of a master collection, annotated with its operation, in the shape the converter writes it.
+ *
+ * @param {string} name - The request name.
+ * @param {string} method - The lower-cased HTTP method.
+ * @param {string} operationPath - The OpenAPI path.
+ * @param {Object} [operation] - Further operation metadata, e.g. `operationId` and `responses`.
+ * @param {Object} [request] - Fields of the Bruno request replacing the defaults, e.g. `params` and `body`.
+ * @returns {Object} The request item.
+ */
+function createRequest(name, method, operationPath, operation = {}, request = {}) {
+  return {
+    type: 'http-request',
+    name,
+    request: {
+      url: `{{swagger_petstore_base_url}}${operationPath.replace(/{(\w+)}/g, ':$1')}`,
+      method: method.toUpperCase(),
+      headers: [],
+      params: [],
+      body: { mode: 'none' },
+      ...request
+    },
+    openapi: { method, path: operationPath, responses: { 200: { contentTypes: [], schema: null } }, ...operation }
+  };
+}
+
+/**
+ * Creates the master collection of the Swagger Petstore service, with a folder per tag.
+ *
+ * @param {Object<string, Array<Object>>} folders - The request items, by tag.
+ * @param {Object} [fields] - Further collection fields, e.g. `environments`.
+ * @returns {Object} The master collection.
+ */
+function createMasterCollection(folders, fields = {}) {
+  return {
+    name: 'Petstore',
+    items: [{
+      type: 'folder',
+      name: 'Swagger Petstore',
+      items: Object.entries(folders).map(([name, items]) => ({ type: 'folder', name, items }))
+    }],
+    ...fields
+  };
+}
+
+/**
+ * Creates a temporary directory, removed after the test.
+ *
+ * @param {Object} t - The test context.
+ * @param {string} name - The name of the directory, before its random suffix.
+ * @returns {Promise<string>} The directory path.
+ */
+async function createTempDir(t, name) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `bruno-testgen-${name}-`));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  return dir;
+}
+
+/**
+ * Builds the test collection of test flows from a master collection, in a temporary directory.
+ *
+ * @param {Object} t - The test context.
+ * @param {Object} masterCollection - The master collection.
+ * @param {Object} testFlows - The test flows.
+ * @returns {Promise<Object>} The test collection.
+ */
+async function buildTestCollection(t, masterCollection, testFlows) {
+  const dir = await createTempDir(t, 'build');
+
+  await fs.writeFile(path.join(dir, 'master-collection.json'), JSON.stringify(masterCollection));
+  await fs.writeFile(path.join(dir, 'test-flows.json'), JSON.stringify(testFlows));
+
+  return createBrunoJson(path.join(dir, 'test-flows.json'), path.join(dir, 'master-collection.json'), path.join(dir, 'test-collection.json'));
+}
+
+module.exports = {
+  createRequest,
+  createMasterCollection,
+  createTempDir,
+  buildTestCollection
+};
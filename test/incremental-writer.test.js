@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { createIncrementalWriter } = require('../incremental-writer');
+
+const base = ['meta {', '  name: Add pet', '  seq: 1', '}', '', 'body:json {', '  { "name": "doggie" }', '}'].join('\n');
+
+/**
+ * Creates a temporary collection directory, removed after the test, and silences the sync output.
+ *
+ * @param {Object} t - The test context.
+ * @returns {Promise<string>} The collection directory.
+ */
+async function createCollectionDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-writer-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  return dir;
+}
+
+/**
+ * Runs a generation: writes the files through an incremental writer and commits them.
+ *
+ * @param {string} dir - The collection directory.
+ * @param {Object<string, string>} files - The generated contents, by path relative to the directory.
+ * @param {string} [onConflict] - The conflict strategy.
+ * @returns {Promise<Object>} The sync summary.
+ */
+async function generate(dir, files, onConflict) {
+  const writer = createIncrementalWriter(dir, { onConflict });
+
+  for (const [file, content] of Object.entries(files))
+    await writer.writeFile(path.join(dir, file), content);
+
+  return writer.commit();
+}
+
+/**
+ * Reads a file of the collection directory.
+ *
+ * @param {string} dir - The collection directory.
+ * @param {string} file - The path relative to the directory.
+ * @returns {Promise<string>} The content.
+ */
+function read(dir, file) {
+  return fs.readFile(path.join(dir, file), 'utf8');
+}
+
+test('files not edited by hand are created, updated and removed with the generated content', async (t) => {
+  const dir = await createCollectionDir(t);
+
+  assert.deepEqual((await generate(dir, { 'Flow/Add pet.bru': base, 'Flow/Delete pet.bru': 'meta {}' })).created, ['Flow/Add pet.bru', 'Flow/Delete pet.bru']);
+  assert.deepEqual((await generate(dir, { 'Flow/Add pet.bru': base, 'Flow/Delete pet.bru': 'meta {}' })).unchanged, ['Flow/Add pet.bru', 'Flow/Delete pet.bru']);
+
+  const summary = await generate(dir, { 'Flow/Add pet.bru': base.replace('seq: 1', 'seq: 2') });
+
+  assert.deepEqual(summary.updated, ['Flow/Add pet.bru']);
+  assert.deepEqual(summary.removed, ['Flow/Delete pet.bru']);
+  assert.equal(await read(dir, 'Flow/Add pet.bru'), base.replace('seq: 1', 'seq: 2'));
+  await assert.rejects(read(dir, 'Flow/Delete pet.bru'), { code: 'ENOENT' });
+});
+
+test('hand edits are kept while the generated content does not change', async (t) => {
+  const dir = await createCollectionDir(t);
+  const edited = base.replace('"doggie"', '"rex"');
+
+  await generate(dir, { 'Add pet.bru': base });
+  await fs.writeFile(path.join(dir, 'Add pet.bru'), edited);
+
+  assert.deepEqual((await generate(dir, { 'Add pet.bru': base })).kept, ['Add pet.bru']);
+  assert.equal(await read(dir, 'Add pet.bru'), edited);
+});
+
+test('merge merges hand edits into changed generated content', async (t) => {
+  const dir = await createCollectionDir(t);
+
+  await generate(dir, { 'Add pet.bru': base });
+  await fs.writeFile(path.join(dir, 'Add pet.bru'), base.replace('"doggie"', '"rex"'));
+
+  const summary = await generate(dir, { 'Add pet.bru': base.replace('seq: 1', 'seq: 2') });
+
+  assert.deepEqual(summary.merged, ['Add pet.bru']);
+  assert.equal(await read(dir, 'Add pet.bru'), base.replace('seq: 1', 'seq: 2').replace('"doggie"', '"rex"'));
+});
+
+test('merge keeps conflicting hand edits and writes the generated content to a .generated file', async (t) => {
+  const dir = await createCollectionDir(t);
+  const edited = base.replace('"doggie"', '"rex"');
+  const generated = base.replace('"doggie"', '"fido"');
+
+  await generate(dir, { 'Add pet.bru': base });
+  await fs.writeFile(path.join(dir, 'Add pet.bru'), edited);
+
+  await assert.rejects(generate(dir, { 'Add pet.bru': generated }), /Conflicting hand edits in 1 file\(s\): Add pet\.bru\./);
+  assert.equal(await read(dir, 'Add pet.bru'), edited);
+  assert.equal(await read(dir, 'Add pet.bru.generated'), generated);
+
+  await assert.rejects(generate(dir, { 'Add pet.bru': generated }), /Conflicting hand edits in 1 file\(s\): Add pet\.bru\./);
+
+  await fs.rm(path.join(dir, 'Add pet.bru.generated'));
+  assert.deepEqual((await generate(dir, { 'Add pet.bru': generated })).kept, ['Add pet.bru']);
+});
+
+test('keep and overwrite keep or replace hand edits when the generated content changes', async (t) => {
+  const dir = await createCollectionDir(t);
+  const edited = base.replace('"doggie"', '"rex"');
+  const generated = base.replace('"doggie"', '"fido"');
+
+  await generate(dir, { 'Add pet.bru': base, 'Delete pet.bru': 'meta {}' });
+  await fs.writeFile(path.join(dir, 'Add pet.bru'), edited);
+  await fs.writeFile(path.join(dir, 'Delete pet.bru'), 'meta { edited }');
+
+  assert.deepEqual((await generate(dir, { 'Add pet.bru': generated }, 'keep')).kept, ['Add pet.bru', 'Delete pet.bru']);
+  assert.equal(await read(dir, 'Add pet.bru'), edited);
+  assert.equal(await read(dir, 'Delete pet.bru'), 'meta { edited }');
+
+  const summary = await generate(dir, { 'Add pet.bru': base }, 'overwrite');
+
+  assert.deepEqual(summary.updated, ['Add pet.bru']);
+  assert.equal(await read(dir, 'Add pet.bru'), base);
+});
+
+test('unknown conflict strategies are rejected', async (t) => {
+  const dir = await createCollectionDir(t);
+
+  await assert.rejects(generate(dir, { 'Add pet.bru': base }, 'theirs'), /Unknown conflict strategy "theirs"; use merge, keep, overwrite\./);
+});
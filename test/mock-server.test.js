@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { loadMockRoutes, handleMockRequest } = require('../mock-server');
+
+const petSchema = {
+  type: 'object',
+  properties: { id: { type: 'integer' }, name: { type: 'string', example: 'doggie' } }
+};
+
+/**
+ * A merged collection whose operations, like the petstore ones, mostly document error responses only.
+ */
+const masterCollection = {
+  name: 'Petstore',
+  items: [{
+    type: 'folder',
+    name: 'Swagger Petstore',
+    items: [
+      { type: 'http', name: 'Add a new pet to the store', openapi: { method: 'post', path: '/pet', responses: { 405: { contentTypes: [], schema: null } } } },
+      { type: 'http', name: 'Find pet by ID', openapi: { method: 'get', path: '/pet/{petId}', responses: { 200: { contentTypes: ['application/json'], schema: petSchema }, 404: { contentTypes: [], schema: null } } } },
+      { type: 'http', name: 'Deletes a pet', openapi: { method: 'delete', path: '/pet/{petId}', responses: { 400: { contentTypes: [], schema: null }, 404: { contentTypes: [], schema: null } } } }
+    ]
+  }]
+};
+
+/**
+ * Starts a mock server on a free port for the duration of a test.
+ *
+ * @param {Object} t - The test context.
+ * @param {boolean} stateful - Whether resources are kept in memory.
+ * @returns {Promise<Function>} Sends a request to the server and resolves with `{ status, body }`.
+ */
+async function startServer(t, stateful) {
+  const routes = await loadMockRoutes(masterCollection);
+  const store = stateful ? new Map() : null;
+  const server = http.createServer((request, response) => handleMockRequest(request, response, routes, store));
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  return async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/swagger_petstore${path}`, {
+      method,
+      headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body && JSON.stringify(body)
+    });
+    const text = await response.text();
+
+    return { status: response.status, body: text ? JSON.parse(text) : undefined };
+  };
+}
+
+test('answers a success by default, even when only error responses are documented', async (t) => {
+  const send = await startServer(t, false);
+
+  assert.equal((await send('POST', '/pet', { body: { name: 'rex' } })).status, 201);
+  assert.equal((await send('DELETE', '/pet/1')).status, 200);
+  assert.deepEqual(await send('GET', '/pet/1'), { status: 200, body: { id: 0, name: 'doggie' } });
+});
+
+test('serves documented error responses only when asked for', async (t) => {
+  const send = await startServer(t, false);
+
+  assert.equal((await send('POST', '/pet', { headers: { Prefer: 'code=405' } })).status, 405);
+  assert.equal((await send('GET', '/pet/1', { headers: { Prefer: 'code=404' } })).status, 404);
+});
+
+test('keeps created resources in memory in stateful mode', async (t) => {
+  const send = await startServer(t, true);
+
+  assert.deepEqual(await send('POST', '/pet', { body: { name: 'rex' } }), { status: 201, body: { name: 'rex', id: 1 } });
+  assert.deepEqual(await send('GET', '/pet/1'), { status: 200, body: { name: 'rex', id: 1 } });
+  assert.equal((await send('DELETE', '/pet/1')).status, 200);
+  assert.equal((await send('GET', '/pet/1')).status, 404);
+});
+
+test('answers 404 for unknown paths and 405 for undocumented methods', async (t) => {
+  const send = await startServer(t, false);
+
+  assert.equal((await send('GET', '/store')).status, 404);
+  assert.equal((await send('PATCH', '/pet')).status, 405);
+});
+
+test('answers 400 for malformed percent-encoding in path parameters', async (t) => {
+  const send = await startServer(t, false);
+
+  assert.deepEqual(await send('GET', '/pet/%E0%A4%A'), { status: 400, body: { message: 'Invalid path parameter in /swagger_petstore/pet/%E0%A4%A: URI malformed' } });
+  assert.equal((await send('GET', '/pet/%20')).status, 200);
+});
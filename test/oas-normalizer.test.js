@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectSpecVersion, normalizeOpenApiSpec } = require('../oas-normalizer');
+
+const swaggerSpec = {
+  swagger: '2.0',
+  info: { title: 'Pets', version: '1' },
+  host: 'petstore.example.com',
+  basePath: '/v2',
+  schemes: ['https', 'http'],
+  consumes: ['application/json'],
+  produces: ['application/json'],
+  securityDefinitions: {
+    basicAuth: { type: 'basic' },
+    petstore_auth: {
+      type: 'oauth2',
+      flow: 'accessCode',
+      authorizationUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token',
+      scopes: { 'read:pets': 'read pets' }
+    }
+  },
+  parameters: {
+    PetBody: { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } },
+    Limit: { name: 'limit', in: 'query', type: 'integer', maximum: 100 }
+  },
+  paths: {
+    '/pet/{petId}': {
+      parameters: [{ name: 'petId', in: 'path', type: 'integer', format: 'int64' }],
+      put: {
+        operationId: 'updatePet',
+        parameters: [{ $ref: '#/parameters/PetBody' }],
+        responses: {
+          200: {
+            description: 'ok',
+            schema: { $ref: '#/definitions/Pet' },
+            examples: { 'application/json': { id: 1, name: 'rex' } }
+          }
+        }
+      },
+      post: {
+        operationId: 'updatePetWithForm',
+        parameters: [
+          { name: 'name', in: 'formData', type: 'string', required: true },
+          { name: 'photo', in: 'formData', type: 'file' }
+        ],
+        responses: { 405: { description: 'Invalid input' } }
+      }
+    },
+    '/pet': {
+      get: {
+        operationId: 'listPets',
+        parameters: [
+          { $ref: '#/parameters/Limit' },
+          { name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' }
+        ],
+        responses: { 200: { description: 'ok' } }
+      }
+    }
+  },
+  definitions: {
+    Pet: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+  }
+};
+
+test('spec versions are detected from the swagger and openapi fields', () => {
+  assert.equal(detectSpecVersion({ swagger: '2.0' }), '2.0');
+  assert.equal(detectSpecVersion({ openapi: '3.0.3' }), '3.0');
+  assert.equal(detectSpecVersion({ openapi: '3.1.0' }), '3.1');
+  assert.throws(() => detectSpecVersion({ openapi: '4.0.0' }), /Unsupported API specification version: 4\.0\.0/);
+});
+
+test('OpenAPI 3 documents are kept, and webhook-only 3.1 documents get empty paths', () => {
+  const openApiSpec = { openapi: '3.0.3', paths: {} };
+
+  assert.equal(normalizeOpenApiSpec(openApiSpec), openApiSpec);
+  assert.deepEqual(normalizeOpenApiSpec({ openapi: '3.1.0', webhooks: {} }), { openapi: '3.1.0', webhooks: {}, paths: {} });
+});
+
+test('Swagger 2.0 documents move definitions, parameters and servers to their OpenAPI 3 places', () => {
+  const openApiSpec = normalizeOpenApiSpec(swaggerSpec);
+
+  assert.equal(openApiSpec.openapi, '3.0.3');
+  assert.equal(openApiSpec.swagger, undefined);
+  assert.deepEqual(openApiSpec.servers, [
+    { url: 'https://petstore.example.com/v2' },
+    { url: 'http://petstore.example.com/v2' }
+  ]);
+  assert.deepEqual(Object.keys(openApiSpec.components.schemas), ['Pet']);
+  assert.deepEqual(openApiSpec.components.requestBodies.PetBody.content['application/json'].schema, { $ref: '#/components/schemas/Pet' });
+  assert.deepEqual(openApiSpec.components.parameters.Limit, { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 100 } });
+  assert.equal(swaggerSpec.parameters.PetBody.schema.$ref, '#/definitions/Pet');
+});
+
+test('body parameters become request bodies and responses get content from produces', () => {
+  const operation = normalizeOpenApiSpec(swaggerSpec).paths['/pet/{petId}'].put;
+
+  assert.deepEqual(operation.parameters, [
+    { name: 'petId', in: 'path', schema: { type: 'integer', format: 'int64' }, required: true }
+  ]);
+  assert.deepEqual(operation.requestBody, { $ref: '#/components/requestBodies/PetBody' });
+  assert.deepEqual(operation.responses['200'].content, {
+    'application/json': { schema: { $ref: '#/components/schemas/Pet' }, example: { id: 1, name: 'rex' } }
+  });
+});
+
+test('form parameters with a file become a multipart request body', () => {
+  const operation = normalizeOpenApiSpec(swaggerSpec).paths['/pet/{petId}'].post;
+
+  assert.deepEqual(operation.requestBody, {
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: { name: { type: 'string' }, photo: { type: 'string', format: 'binary' } },
+          required: ['name']
+        }
+      }
+    }
+  });
+  assert.deepEqual(operation.responses['405'], { description: 'Invalid input' });
+});
+
+test('referenced parameters stay references and collectionFormat becomes style and explode', () => {
+  const operation = normalizeOpenApiSpec(swaggerSpec).paths['/pet'].get;
+
+  assert.deepEqual(operation.parameters, [
+    { $ref: '#/components/parameters/Limit' },
+    { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } }, style: 'form', explode: true }
+  ]);
+});
+
+test('basic and OAuth2 security definitions become OpenAPI 3 security schemes', () => {
+  const { securitySchemes } = normalizeOpenApiSpec(swaggerSpec).components;
+
+  assert.deepEqual(securitySchemes.basicAuth, { type: 'http', scheme: 'basic', description: undefined });
+  assert.deepEqual(securitySchemes.petstore_auth.flows, {
+    authorizationCode: {
+      scopes: { 'read:pets': 'read pets' },
+      authorizationUrl: 'https://auth.example.com/authorize',
+      tokenUrl: 'https://auth.example.com/token'
+    }
+  });
+});
+
+test('a missing host yields a server relative to the document', () => {
+  const { servers } = normalizeOpenApiSpec({ swagger: '2.0', basePath: '/api', paths: {} });
+
+  assert.deepEqual(servers, [{ url: '/api' }]);
+});
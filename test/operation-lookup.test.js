@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { indexBrunoCollection, lookupOperation, parseOperationReference } = require('../operation-lookup');
+const { createRequest } = require('./helpers');
+
+const index = indexBrunoCollection({
+  items: [
+    {
+      type: 'folder',
+      name: 'Petstore',
+      items: [
+        {
+          type: 'folder',
+          name: 'pet',
+          items: [
+            createRequest('Add a new pet', 'post', '/pet', { operationId: 'addPet', tags: ['pet'] }),
+            createRequest('Find pet by ID', 'get', '/pet/{petId}', { operationId: 'getPetById', tags: ['pet'], source: { file: 'oas/petstore.json' } })
+          ]
+        }
+      ]
+    },
+    {
+      type: 'folder',
+      name: 'Zoo',
+      items: [
+        createRequest('Find pet by ID', 'get', '/pet/{petId}', { operationId: 'getZooPetById', tags: ['zoo'], source: { file: 'oas/zoo.yaml' } })
+      ]
+    }
+  ]
+});
+
+/**
+ * Looks up a step and returns the name and folder of the matching request.
+ *
+ * @param {Object} requestSpec - The step.
+ * @returns {string} `<folder>: <name>`.
+ */
+function lookupName(requestSpec) {
+  const { match, error } = lookupOperation(requestSpec, index);
+
+  assert.equal(error, null);
+  return `${match.folder}: ${match.request.name}`;
+}
+
+test('operations are found by request name, operationId, or method and path', () => {
+  assert.equal(lookupName({ request_id: 'Add a new pet' }), 'Petstore/pet: Add a new pet');
+  assert.equal(lookupName({ operation_id: 'getZooPetById' }), 'Zoo: Find pet by ID');
+  assert.equal(lookupName({ operation: 'post /pet' }), 'Petstore/pet: Add a new pet');
+  assert.equal(lookupName({ operation: 'GET /pet/:petId', tag: 'zoo' }), 'Zoo: Find pet by ID');
+  assert.equal(lookupName({ request_id: 'Find pet by ID', file_path: 'Petstore/pet' }), 'Petstore/pet: Find pet by ID');
+});
+
+test('operation references are parsed into a method and an OpenAPI path', () => {
+  assert.deepEqual(parseOperationReference('DELETE /pet/:petId'), { method: 'delete', path: '/pet/{petId}' });
+  assert.equal(parseOperationReference('/pet'), null);
+});
+
+test('ambiguous references list every match with its spec file and how to narrow them', () => {
+  assert.deepEqual(lookupOperation({ request_id: 'Find pet by ID' }, index).error, {
+    key: 'request_id',
+    message: 'Ambiguous request "Find pet by ID" matches 2 operations: '
+      + 'GET /pet/{petId} "Find pet by ID" in "Petstore/pet" (oas/petstore.json), '
+      + 'GET /pet/{petId} "Find pet by ID" in "Zoo" (oas/zoo.yaml). '
+      + 'Add a "file_path" or "tag", or reference it by "operation_id" or "operation".'
+  });
+});
+
+test('unknown references, folders and tags are reported with suggestions', () => {
+  assert.deepEqual(lookupOperation({ operation_id: 'addPets' }, index).error,
+    { key: 'operation_id', message: 'Unknown operationId "addPets". Did you mean "addPet"?' });
+  assert.deepEqual(lookupOperation({ request_id: 'Add a new pet', file_path: 'Petstore/pets' }, index).error,
+    { key: 'file_path', message: 'Unknown folder "Petstore/pets". Did you mean "Petstore/pet" or "Petstore"?' });
+  assert.deepEqual(lookupOperation({ operation: 'GET /pet/{petId}', tag: 'zo' }, index).error,
+    { key: 'tag', message: 'No operation is tagged "zo". Did you mean "zoo"?' });
+  assert.deepEqual(lookupOperation({ operation: 'pet' }, index).error,
+    { key: 'operation', message: 'Invalid operation "pet"; use "METHOD /path", e.g. "GET /pet/{petId}".' });
+  assert.equal(lookupOperation({ seq: 1 }, index).error.key, 'request_id');
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { createRefContext } = require('../oas-refs');
+const { getBodyMode, createRequestBodies, selectRequestBody, writeFixtures } = require('../request-bodies');
+
+const openApiSpec = {
+  openapi: '3.0.3',
+  paths: {},
+  components: {
+    schemas: {
+      Pet: {
+        type: 'object',
+        xml: { name: 'pet' },
+        properties: {
+          id: { type: 'integer', xml: { attribute: true } },
+          name: { type: 'string', description: 'The pet name' },
+          tags: { type: 'array', xml: { wrapped: true }, items: { type: 'string', xml: { name: 'tag' } } }
+        }
+      }
+    }
+  }
+};
+const refContext = createRefContext(openApiSpec, 'openapi.json');
+
+/**
+ * Builds the Bruno bodies of an operation accepting one media type.
+ *
+ * @param {string} mediaType - The media type.
+ * @param {Object} media - The media type object.
+ * @returns {Object} The Bruno body of the media type.
+ */
+function createBody(mediaType, media) {
+  return createRequestBodies({ requestBody: { content: { [mediaType]: media } } }, refContext)[mediaType];
+}
+
+test('media types map onto Bruno body modes', () => {
+  assert.equal(getBodyMode('application/vnd.api+json'), 'json');
+  assert.equal(getBodyMode('text/xml; charset=utf-8'), 'xml');
+  assert.equal(getBodyMode('application/x-www-form-urlencoded'), 'formUrlEncoded');
+  assert.equal(getBodyMode('multipart/mixed'), 'multipartForm');
+  assert.equal(getBodyMode('text/plain'), 'text');
+  assert.equal(getBodyMode('image/png'), 'file');
+  assert.equal(createRequestBodies({}, refContext), null);
+});
+
+test('XML bodies follow the xml hints of the schema', () => {
+  const body = createBody('application/xml', {
+    schema: { $ref: '#/components/schemas/Pet' },
+    example: { id: 7, name: 'Rex & Co', tags: ['a', 'b'] }
+  });
+
+  assert.equal(body.mode, 'xml');
+  assert.equal(body.xml, '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<pet id="7">\n'
+    + '  <name>Rex &amp; Co</name>\n'
+    + '  <tags>\n'
+    + '    <tag>a</tag>\n'
+    + '    <tag>b</tag>\n'
+    + '  </tags>\n'
+    + '</pet>');
+});
+
+test('form-urlencoded bodies get one field per property, repeating arrays', () => {
+  const body = createBody('application/x-www-form-urlencoded', {
+    schema: { $ref: '#/components/schemas/Pet' },
+    example: { name: 'rex', tags: ['a', 'b'] }
+  });
+
+  assert.deepEqual(body.formUrlEncoded, [
+    { name: 'name', value: 'rex', description: 'The pet name', enabled: true },
+    { name: 'tags', value: 'a', description: '', enabled: true },
+    { name: 'tags', value: 'b', description: '', enabled: true }
+  ]);
+});
+
+test('multipart bodies send binary properties as fixture files', () => {
+  const body = createBody('multipart/form-data', {
+    schema: {
+      type: 'object',
+      properties: {
+        metadata: { type: 'object', properties: { name: { type: 'string' } } },
+        photo: { type: 'string', format: 'binary' }
+      }
+    },
+    encoding: { photo: { contentType: 'image/png, image/jpeg' } }
+  });
+
+  assert.deepEqual(body.multipartForm, [
+    { type: 'text', name: 'metadata', value: '{"name":"string"}', contentType: 'application/json', description: '', enabled: true },
+    { type: 'file', name: 'photo', value: ['fixtures/sample.png'], contentType: 'image/png', description: '', enabled: true }
+  ]);
+});
+
+test('binary media types send a fixture file and text media types the example', () => {
+  assert.deepEqual(createBody('application/octet-stream', { schema: { type: 'string', format: 'binary' } }), {
+    mode: 'file',
+    file: [{ filePath: 'fixtures/sample.bin', contentType: 'application/octet-stream', selected: true }]
+  });
+  assert.deepEqual(createBody('text/plain', { example: 'hello' }), { mode: 'text', text: 'hello' });
+});
+
+test('a step content type switches the body and sets the Content-Type header when needed', () => {
+  const item = {
+    name: 'Add pet',
+    request: { headers: [{ name: 'content-type', value: 'application/json', enabled: true }], body: { mode: 'json', json: '{}' } },
+    openapi: {
+      requestBody: { contentTypes: ['application/json', 'application/xml'] },
+      bodies: createRequestBodies({
+        requestBody: { content: { 'application/json': { example: {} }, 'application/xml': { example: { id: 1 } } } }
+      }, refContext)
+    }
+  };
+
+  const selected = selectRequestBody(item, 'application/xml');
+
+  assert.equal(selected.request.body.mode, 'xml');
+  assert.deepEqual(selected.request.headers, [{ name: 'Content-Type', value: 'application/xml', description: '', enabled: true }]);
+  assert.equal(selectRequestBody(item, undefined), item);
+  assert.throws(() => selectRequestBody(item, 'text/csv'),
+    /Content type "text\/csv" is not accepted by "Add pet"\. Accepted content types: application\/json, application\/xml\./);
+});
+
+test('placeholder fixtures are created once and never overwritten', async (t) => {
+  const collectionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-fixtures-'));
+  t.after(() => fs.rm(collectionDir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const testCollection = {
+    items: [{
+      type: 'folder',
+      items: [{ type: 'http-request', request: { body: { mode: 'file', file: [{ filePath: 'fixtures/sample.pdf' }] } } }]
+    }]
+  };
+
+  assert.deepEqual(await writeFixtures(testCollection, collectionDir), ['fixtures/sample.pdf']);
+  await fs.writeFile(path.join(collectionDir, 'fixtures/sample.pdf'), 'real fixture');
+  assert.deepEqual(await writeFixtures(testCollection, collectionDir), []);
+  assert.equal(await fs.readFile(path.join(collectionDir, 'fixtures/sample.pdf'), 'utf8'), 'real fixture');
+});
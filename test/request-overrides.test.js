@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyRequestPatches } = require('../request-overrides');
+const { applyResponseAssertions } = require('../response-assertions');
+
+const request = {
+  url: '{{swagger_petstore_base_url}}/pet',
+  method: 'POST',
+  headers: [
+    { name: 'api_key', value: 'secret', enabled: true },
+    { name: 'X-Trace-Id', value: 'trace-1', enabled: true }
+  ],
+  params: [],
+  body: { mode: 'json', json: '{\n  "id": {{petId}},\n  "name": "doggie",\n  "tags": ["a", "b"],\n  "category": { "name": "dogs" }\n}' }
+};
+
+/**
+ * Applies a JSON Patch to `request` and returns the patched body.
+ *
+ * @param {Array<Object>} operations - The JSON Patch operations.
+ * @returns {Object} The parsed JSON body, with the `{{petId}}` placeholder quoted.
+ */
+function patchBody(operations) {
+  const patched = applyRequestPatches(request, { json_patch: operations });
+  return JSON.parse(patched.body.json.replace('{{petId}}', '"{{petId}}"'));
+}
+
+test('merge patches change body fields and named entries, and null deletes them', () => {
+  const patched = applyRequestPatches(request, {
+    merge_patch: {
+      body: { json: { name: 'rex', category: null } },
+      headers: { api_key: 'other', 'X-Trace-Id': null, 'X-Debug': 'on' }
+    }
+  });
+
+  assert.equal(patched.body.json, '{\n  "id": {{petId}},\n  "name": "rex",\n  "tags": [\n    "a",\n    "b"\n  ]\n}');
+  assert.deepEqual(patched.headers, [
+    { name: 'api_key', value: 'other', enabled: true },
+    { name: 'X-Debug', value: 'on', enabled: true }
+  ]);
+  assert.equal(request.headers.length, 2);
+});
+
+test('merge patches reject keys the base request does not have', () => {
+  assert.throws(
+    () => applyRequestPatches(request, { merge_patch: { body: { json: { nmae: 'rex' } } } }),
+    /merge_patch path "\/body\/json\/nmae" does not exist in the base request/
+  );
+});
+
+test('JSON patches add, remove and replace values', () => {
+  assert.deepEqual(patchBody([
+    { op: 'add', path: '/body/json/status', value: 'sold' },
+    { op: 'add', path: '/body/json/tags/-', value: 'c' },
+    { op: 'add', path: '/body/json/tags/0', value: 'z' },
+    { op: 'remove', path: '/body/json/category' },
+    { op: 'replace', path: '/body/json/name', value: 'rex' }
+  ]), { id: '{{petId}}', name: 'rex', tags: ['z', 'a', 'b', 'c'], status: 'sold' });
+});
+
+test('JSON patches move, copy and test values', () => {
+  assert.deepEqual(patchBody([
+    { op: 'test', path: '/body/json/category/name', value: 'dogs' },
+    { op: 'copy', from: '/body/json/name', path: '/body/json/nickname' },
+    { op: 'move', from: '/body/json/category/name', path: '/body/json/kind' }
+  ]), { id: '{{petId}}', name: 'doggie', tags: ['a', 'b'], category: {}, nickname: 'doggie', kind: 'dogs' });
+
+  const patched = applyRequestPatches(request, { json_patch: [{ op: 'replace', path: '/headers/api_key/value', value: 'other' }] });
+  assert.deepEqual(patched.headers[0], { name: 'api_key', value: 'other', enabled: true });
+});
+
+test('JSON patches fail on missing paths, failed tests and unknown operations', () => {
+  assert.throws(
+    () => applyRequestPatches(request, { json_patch: [{ op: 'add', path: '/body/json/status', value: 'sold' }, { op: 'replace', path: '/body/json/owner/name', value: 'me' }] }),
+    /^Error: json_patch\[1\] \(replace \/body\/json\/owner\/name\): path "\/body\/json\/owner" does not exist in the base request/
+  );
+  assert.throws(
+    () => applyRequestPatches(request, { json_patch: [{ op: 'remove', path: '/headers/Authorization' }] }),
+    /path "\/headers\/Authorization" does not exist in the base request/
+  );
+  assert.throws(
+    () => applyRequestPatches(request, { json_patch: [{ op: 'add', path: '/body/json/tags/5', value: 'c' }] }),
+    /index out of bounds/
+  );
+  assert.throws(
+    () => applyRequestPatches(request, { json_patch: [{ op: 'test', path: '/body/json/name', value: 'rex' }] }),
+    /test failed: expected "rex", found "doggie"/
+  );
+  assert.throws(
+    () => applyRequestPatches(request, { json_patch: [{ op: 'merge', path: '/body/json/name', value: 'rex' }] }),
+    /unknown op "merge"/
+  );
+});
+
+test('primitive JSON bodies stay serialized after patching', () => {
+  const withBody = json => ({ ...request, body: { mode: 'json', json } });
+  const headerPatch = { merge_patch: { headers: { api_key: 'other' } } };
+
+  assert.equal(applyRequestPatches(withBody('"pending"'), { merge_patch: { body: { json: 'approved' } } }).body.json, '"approved"');
+  assert.equal(applyRequestPatches(withBody('42'), { json_patch: [{ op: 'replace', path: '/body/json', value: 7 }] }).body.json, '7');
+  assert.equal(applyRequestPatches(withBody('true'), headerPatch).body.json, 'true');
+  assert.equal(applyRequestPatches(withBody('null'), headerPatch).body.json, 'null');
+  assert.equal(applyRequestPatches(withBody('not json'), headerPatch).body.json, 'not json');
+});
+
+test('merge patches switching the auth mode set the settings of the new mode', () => {
+  const bearer = { mode: 'bearer', bearer: { token: '{{token}}' } };
+
+  assert.deepEqual(applyRequestPatches(request, { merge_patch: { auth: bearer } }).auth, bearer);
+  assert.deepEqual(applyRequestPatches({ ...request, auth: { mode: 'inherit' } }, { merge_patch: { auth: bearer } }).auth, bearer);
+  assert.deepEqual(applyRequestPatches(
+    { ...request, auth: { mode: 'bearer', bearer: { token: 'old' } } },
+    { merge_patch: { auth: { mode: 'basic', basic: { username: 'user', password: '{{password}}' } } } }
+  ).auth, { mode: 'basic', basic: { username: 'user', password: '{{password}}' } });
+  assert.throws(
+    () => applyRequestPatches(request, { merge_patch: { auth: { bearer: { token: '{{token}}' } } } }),
+    /merge_patch path "\/auth\/bearer" does not exist in the base request/
+  );
+  assert.throws(
+    () => applyRequestPatches(request, { merge_patch: { auth: { mode: 'bearer', basic: { username: 'user' } } } }),
+    /merge_patch path "\/auth\/basic" does not exist in the base request/
+  );
+});
+
+test('the README override example applies to the generated placeOrder request', () => {
+  const placeOrder = applyResponseAssertions({
+    url: '{{swagger_petstore_base_url}}/store/order',
+    method: 'POST',
+    auth: { mode: 'none' },
+    headers: [],
+    body: { mode: 'json', json: '{\n  "id": 0,\n  "petId": 0,\n  "quantity": 0,\n  "shipDate": "2024-01-01T00:00:00Z",\n  "status": "placed",\n  "complete": true\n}' }
+  }, {
+    operationId: 'placeOrder',
+    responses: {
+      200: { description: 'successful operation', contentTypes: [], schema: null },
+      400: { description: 'Invalid Order', contentTypes: [], schema: null }
+    }
+  });
+
+  const patched = applyRequestPatches(placeOrder, {
+    merge_patch: {
+      body: { json: { status: 'approved' } },
+      headers: { 'X-Trace-Id': '{{traceId}}' },
+      auth: { mode: 'bearer', bearer: { token: '{{token}}' } }
+    },
+    json_patch: [
+      { op: 'remove', path: '/body/json/shipDate' },
+      { op: 'replace', path: '/assertions/res.status', value: 'eq 201' }
+    ]
+  });
+
+  assert.deepEqual(JSON.parse(patched.body.json), { id: 0, petId: 0, quantity: 0, status: 'approved', complete: true });
+  assert.deepEqual(patched.headers, [{ name: 'X-Trace-Id', value: '{{traceId}}', enabled: true }]);
+  assert.deepEqual(patched.auth, { mode: 'bearer', bearer: { token: '{{token}}' } });
+  assert.deepEqual(patched.assertions, [{ name: 'res.status', value: 'eq 201', enabled: true }]);
+});
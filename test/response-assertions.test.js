@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { selectExpectedResponse, applyResponseAssertions } = require('../response-assertions');
+
+const request = { url: '{{swagger_petstore_base_url}}/pet', method: 'POST', assertions: [], tests: '' };
+
+test('selectExpectedResponse prefers the first 2xx, then 2XX, then default', () => {
+  assert.equal(selectExpectedResponse({ 404: {}, 201: {}, 200: {} }), '200');
+  assert.equal(selectExpectedResponse({ 400: {}, '2XX': {}, default: {} }), '2XX');
+  assert.equal(selectExpectedResponse({ 400: {}, default: {} }), 'default');
+});
+
+test('selectExpectedResponse has no default expectation when only error responses are documented', () => {
+  assert.equal(selectExpectedResponse({ 405: {} }), null);
+  assert.equal(selectExpectedResponse({ 400: {}, 404: {} }), null);
+  assert.equal(selectExpectedResponse({ 400: {}, 404: {} }, 404), '404');
+});
+
+test('applyResponseAssertions expects a 2xx status by default from an operation documenting only 4xx responses', () => {
+  const operation = {
+    operationId: 'deletePet',
+    responses: {
+      400: { description: 'Invalid ID supplied', contentTypes: [], schema: null },
+      404: { description: 'Pet not found', contentTypes: [], schema: null }
+    }
+  };
+
+  assert.deepEqual(applyResponseAssertions(request, operation), {
+    ...request,
+    assertions: [
+      { name: 'res.status', value: 'gte 200', enabled: true },
+      { name: 'res.status', value: 'lt 300', enabled: true }
+    ]
+  });
+  assert.deepEqual(applyResponseAssertions(request, operation, 404).assertions,
+    [{ name: 'res.status', value: 'eq 404', enabled: true }]);
+  assert.throws(() => applyResponseAssertions(request, operation, 500), /Response 500 is not documented for "deletePet"\./);
+});
+
+test('applyResponseAssertions expects a 2xx status from an operation documenting only a default response', () => {
+  const operation = {
+    operationId: 'createUser',
+    responses: { default: { description: 'successful operation', contentTypes: ['application/json'], schema: { type: 'object' } } }
+  };
+  const asserted = applyResponseAssertions(request, operation);
+
+  assert.deepEqual(asserted.assertions, [
+    { name: 'res.status', value: 'gte 200', enabled: true },
+    { name: 'res.status', value: 'lt 300', enabled: true }
+  ]);
+  assert.match(asserted.tests, /Response body matches the documented default schema/);
+});
+
+test('applyResponseAssertions asserts no status when a step explicitly expects the default response', () => {
+  const operation = {
+    operationId: 'getPetById',
+    responses: {
+      200: { description: 'OK', contentTypes: ['application/json'], schema: { type: 'object' } },
+      default: { description: 'Unexpected error', contentTypes: ['application/json'], schema: { type: 'object', required: ['code'] } }
+    }
+  };
+  const asserted = applyResponseAssertions(request, operation, 'default');
+
+  assert.deepEqual(asserted.assertions, []);
+  assert.match(asserted.tests, /Response body matches the documented default schema/);
+  assert.match(asserted.tests, /"required":\["code"\]/);
+});
+
+test('applyResponseAssertions asserts the documented 2xx response', () => {
+  const operation = {
+    responses: {
+      200: { description: 'OK', contentTypes: ['application/json'], schema: { type: 'object' } },
+      405: { description: 'Invalid input', contentTypes: [], schema: null }
+    }
+  };
+  const asserted = applyResponseAssertions(request, operation);
+
+  assert.deepEqual(asserted.assertions, [{ name: 'res.status', value: 'eq 200', enabled: true }]);
+  assert.match(asserted.tests, /Content-Type is one of application\/json/);
+  assert.match(asserted.tests, /Response body matches the documented 200 schema/);
+});
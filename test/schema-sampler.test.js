@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Ajv = require('ajv');
+
+const { sampleSchema } = require('../schema-sampler');
+const { createRefContext } = require('../oas-refs');
+
+const openApiSpec = {
+  openapi: '3.0.3',
+  components: {
+    schemas: {
+      Category: {
+        type: 'object',
+        properties: { id: { type: 'integer', minimum: 1 }, name: { type: 'string', example: 'Dogs' } }
+      },
+      Pet: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          id: { type: 'integer', readOnly: true },
+          name: { type: 'string', example: 'doggie' },
+          category: { $ref: '#/components/schemas/Category' },
+          status: { type: 'string', enum: ['available', 'sold'] }
+        }
+      },
+      TreeNode: {
+        type: 'object',
+        required: ['label', 'parent'],
+        properties: {
+          label: { type: 'string', example: 'root' },
+          parent: { $ref: '#/components/schemas/TreeNode' },
+          children: { type: 'array', items: { $ref: '#/components/schemas/TreeNode' } }
+        }
+      }
+    }
+  }
+};
+
+const context = createRefContext(openApiSpec, path.join('specs', 'api.json'));
+const ajv = new Ajv({ strict: false });
+
+/**
+ * Samples a schema and checks the sample is valid against it.
+ *
+ * @param {Object} schema - The schema.
+ * @returns {*} The sample.
+ */
+function sampleValid(schema) {
+  const sample = sampleSchema(schema, context);
+
+  assert.ok(ajv.validate(schema, sample), `${JSON.stringify(sample)} is not valid against ${JSON.stringify(schema)}: ${ajv.errorsText()}`);
+  return sample;
+}
+
+test('local references are followed into the components', () => {
+  assert.deepEqual(sampleSchema({ $ref: '#/components/schemas/Pet' }, context), {
+    name: 'doggie',
+    category: { id: 1, name: 'Dogs' },
+    status: 'available'
+  });
+});
+
+test('references to other files are resolved relative to the file they are written in', () => {
+  const documents = new Map([
+    [path.resolve('specs', 'schemas', 'order.json'), {
+      Order: {
+        type: 'object',
+        properties: { quantity: { type: 'integer', example: 2 }, shipping: { $ref: 'common/address.json#/Address' } }
+      }
+    }],
+    [path.resolve('specs', 'schemas', 'common', 'address.json'), {
+      Address: { type: 'object', properties: { city: { type: 'string', example: 'Lyon' } } }
+    }]
+  ]);
+  const crossFileContext = createRefContext(openApiSpec, path.join('specs', 'api.json'), documents);
+
+  assert.deepEqual(sampleSchema({ $ref: './schemas/order.json#/Order' }, crossFileContext), { quantity: 2, shipping: { city: 'Lyon' } });
+  assert.throws(() => sampleSchema({ $ref: './schemas/missing.json#/Order' }, crossFileContext), /Unresolvable reference "\.\/schemas\/missing\.json#\/Order"/);
+});
+
+test('circular references are cut off, keeping required properties as empty values', () => {
+  assert.deepEqual(sampleSchema({ $ref: '#/components/schemas/TreeNode' }, context), { label: 'root', parent: {}, children: [] });
+});
+
+test('allOf members are merged, with the properties of the schema itself', () => {
+  const schema = {
+    allOf: [{ $ref: '#/components/schemas/Pet' }, { type: 'object', properties: { status: { type: 'string', example: 'sold' } } }],
+    properties: { tag: { type: 'string', example: 'puppy' } }
+  };
+
+  assert.deepEqual(sampleSchema(schema, context), { name: 'doggie', category: { id: 1, name: 'Dogs' }, status: 'sold', tag: 'puppy' });
+});
+
+test('oneOf and anyOf take their first alternative that is not null', () => {
+  assert.deepEqual(sampleSchema({ oneOf: [{ type: 'null' }, { $ref: '#/components/schemas/Category' }] }, context), { id: 1, name: 'Dogs' });
+  assert.equal(sampleSchema({ anyOf: [{ type: 'string', format: 'uuid' }, { type: 'integer' }] }, context), '3fa85f64-5717-4562-b3fc-2c963f66afa6');
+  assert.deepEqual(sampleSchema({
+    type: 'object',
+    properties: { kind: { type: 'string', example: 'cat' } },
+    oneOf: [{ type: 'object', properties: { indoor: { type: 'boolean' } } }]
+  }, context), { indoor: true, kind: 'cat' });
+});
+
+test('integers below a fractional negative maximum are rounded down', () => {
+  assert.equal(sampleValid({ type: 'integer', maximum: -1.5 }), -2);
+  assert.equal(sampleValid({ type: 'integer', exclusiveMaximum: -1.5 }), -3);
+});
+
+test('integers above a fractional minimum are rounded up', () => {
+  assert.equal(sampleValid({ type: 'integer', minimum: 1.5 }), 2);
+  assert.equal(sampleValid({ type: 'integer', minimum: -1.5 }), -1);
+});
+
+test('numbers are multiples of multipleOf, within their bounds', () => {
+  assert.equal(sampleValid({ type: 'integer', minimum: 7, multipleOf: 5 }), 10);
+  assert.equal(sampleValid({ type: 'integer', maximum: -7, multipleOf: 5 }), -10);
+  assert.equal(sampleValid({ type: 'number', exclusiveMinimum: 10, multipleOf: 5 }), 15);
+  assert.equal(sampleValid({ type: 'number', minimum: 0.3, multipleOf: 0.25 }), 0.5);
+  assert.equal(sampleValid({ type: 'number', multipleOf: 3 }), 0);
+});
+
+test('decimal multiples are rounded without floating-point noise', () => {
+  assert.equal(sampleSchema({ type: 'number', minimum: 0.3, multipleOf: 0.1 }, context), 0.3);
+  assert.equal(sampleSchema({ type: 'number', minimum: 0.25, multipleOf: 0.1 }, context), 0.3);
+});
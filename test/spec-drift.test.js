@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareCollections, findAffectedSteps, formatDriftReport } = require('../spec-drift');
+
+/**
+ * Builds a master collection with a single `GET /pet/{petId}` operation.
+ *
+ * @param {string} operationId - The operationId of the operation.
+ * @returns {Object} The master collection.
+ */
+function createCollection(operationId) {
+  return {
+    name: 'Petstore',
+    items: [{
+      type: 'folder',
+      name: 'Swagger Petstore',
+      items: [{
+        type: 'folder',
+        name: 'pet',
+        items: [{
+          type: 'http-request',
+          name: 'Find pet by ID',
+          request: { url: '{{swagger_petstore_base_url}}/pet/:petId', method: 'GET' },
+          openapi: { operationId, method: 'get', path: '/pet/{petId}' }
+        }]
+      }]
+    }]
+  };
+}
+
+const testFlowSpec = {
+  test_flows: [{
+    flow_name: 'Read pet',
+    requests: [
+      { operation_id: 'getPetById' },
+      { request_id: 'Find pet by ID' },
+      { operation: 'GET /pet/{petId}' }
+    ]
+  }]
+};
+
+test('an operationId change on the same method and path is reported as a breaking rename', () => {
+  const comparison = compareCollections(createCollection('getPetById'), createCollection('findPet'));
+
+  assert.equal(comparison.renamed.length, 1);
+  assert.equal(comparison.renamed[0].from.operationId, 'getPetById');
+  assert.equal(comparison.renamed[0].to.operationId, 'findPet');
+  assert.equal(comparison.renamed[0].breaking, true);
+});
+
+test('an operationId change breaks only the steps referencing the operation by operation_id', () => {
+  const baselineCollection = createCollection('getPetById');
+  const comparison = compareCollections(baselineCollection, createCollection('findPet'));
+  const affectedSteps = findAffectedSteps(testFlowSpec, baselineCollection, comparison);
+
+  assert.deepEqual(affectedSteps.map(({ breaking, reasons }) => ({ breaking, reasons })), [
+    { breaking: true, reasons: ['operationId changed to "findPet"; update operation_id'] },
+    { breaking: false, reasons: ['operationId changed to "findPet"'] },
+    { breaking: false, reasons: ['operationId changed to "findPet"'] }
+  ]);
+});
+
+test('the drift report shows the operationId change', () => {
+  const comparison = compareCollections(createCollection('getPetById'), createCollection(undefined));
+  const report = {
+    specifications: 'oas',
+    baseline: 'collections',
+    operations: comparison,
+    affectedSteps: [],
+    summary: { added: 0, removed: 0, renamed: 1, changed: 0, breakingChanges: 1, affectedSteps: 0, brokenSteps: 0 }
+  };
+
+  assert.match(formatDriftReport(report), /GET \/pet\/{petId} "Find pet by ID" \(operationId getPetById → none\) \[breaking\]/);
+});
+
+test('an unchanged operation is not reported', () => {
+  assert.deepEqual(compareCollections(createCollection('getPetById'), createCollection('getPetById')),
+    { added: [], removed: [], renamed: [], changed: [] });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { convertOpenApiToBruno } = require('../testflow-generation');
+
+const specification = {
+  openapi: '3.0.3',
+  info: { title: 'Inventory', version: '1.0.0' },
+  servers: [{ url: 'https://inventory.example.com' }],
+  paths: {
+    '/items': {
+      get: { operationId: 'listItems', summary: 'List items', responses: { 200: { description: 'OK' } } }
+    }
+  }
+};
+
+/**
+ * Creates a temporary directory with an `oas` input directory holding the given specification files.
+ *
+ * @param {Object} t - The test context; the directory is removed after the test.
+ * @param {Object<string, string>} files - The file contents, by path relative to the input directory.
+ * @returns {Promise<{inputDir: string, outputDir: string}>} The input and output directories.
+ */
+async function createSpecDirectory(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-convert-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const inputDir = path.join(dir, 'oas');
+
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(inputDir, file)), { recursive: true });
+    await fs.writeFile(path.join(inputDir, file), content);
+  }
+
+  return { inputDir, outputDir: path.join(dir, 'collections') };
+}
+
+test('specifications are converted to collections mirroring the input directory', async (t) => {
+  const { inputDir, outputDir } = await createSpecDirectory(t, {
+    'inventory.yaml': JSON.stringify(specification),
+    'v2/inventory.json': JSON.stringify(specification)
+  });
+
+  await convertOpenApiToBruno(inputDir, outputDir);
+
+  assert.equal(JSON.parse(await fs.readFile(path.join(outputDir, 'inventory.json'), 'utf8')).name, 'Inventory');
+  assert.equal(JSON.parse(await fs.readFile(path.join(outputDir, 'v2', 'inventory.json'), 'utf8')).name, 'Inventory');
+});
+
+test('specifications converting to the same collection file fail, naming both', async (t) => {
+  const { inputDir, outputDir } = await createSpecDirectory(t, {
+    'inventory.json': JSON.stringify(specification),
+    'inventory.yaml': JSON.stringify({ ...specification, info: { ...specification.info, title: 'Inventory YAML' } })
+  });
+
+  const logError = t.mock.method(console, 'error', () => {});
+
+  await assert.rejects(convertOpenApiToBruno(inputDir, outputDir), /1 specification\(s\) could not be converted: inventory\.yaml/);
+  assert.match(logError.mock.calls[0].arguments.join(' '), /inventory\.json and inventory\.yaml would both be converted to .*inventory\.json; rename one of them/);
+  assert.equal(JSON.parse(await fs.readFile(path.join(outputDir, 'inventory.json'), 'utf8')).name, 'Inventory');
+});
+
+const multiFileSpecification = {
+  'api.yaml': [
+    'openapi: 3.0.3',
+    'info:',
+    '  title: Users',
+    '  version: 1.0.0',
+    'paths:',
+    '  /users/{id}:',
+    '    $ref: paths/user.yaml'
+  ].join('\n'),
+  'paths/user.yaml': [
+    'get:',
+    '  operationId: getUser',
+    '  summary: Get a user',
+    '  parameters:',
+    '    - name: id',
+    '      in: path',
+    '      required: true',
+    '      schema: { type: integer }',
+    '  responses:',
+    "    '200':",
+    '      description: OK',
+    '      content:',
+    '        application/json:',
+    '          schema:',
+    "            $ref: '../schemas/user.yaml#/User'"
+  ].join('\n'),
+  'schemas/user.yaml': [
+    'User:',
+    '  type: object',
+    '  properties:',
+    '    id: { type: integer }',
+    '    name: { type: string }'
+  ].join('\n')
+};
+
+test('YAML specifications split over several files are bundled into one collection', async (t) => {
+  const { inputDir, outputDir } = await createSpecDirectory(t, multiFileSpecification);
+  t.mock.method(console, 'log', () => {});
+
+  await convertOpenApiToBruno(inputDir, outputDir);
+
+  const collection = JSON.parse(await fs.readFile(path.join(outputDir, 'api.json'), 'utf8'));
+  const [request] = collection.items.flatMap(item => item.type === 'folder' ? item.items : [item]);
+
+  assert.equal(collection.name, 'Users');
+  assert.deepEqual(await fs.readdir(outputDir), ['api.json']);
+  assert.equal(request.openapi.operationId, 'getUser');
+  assert.deepEqual(request.openapi.responses[200].schema.definitions.User.properties, { id: { type: 'integer' }, name: { type: 'string' } });
+});
+
+test('unresolvable references are located in the file they are written in', async (t) => {
+  const { inputDir, outputDir } = await createSpecDirectory(t, {
+    ...multiFileSpecification,
+    'paths/user.yaml': multiFileSpecification['paths/user.yaml'].replace('#/User', '#/Account')
+  });
+  t.mock.method(console, 'log', () => {});
+  const logError = t.mock.method(console, 'error', () => {});
+
+  await assert.rejects(convertOpenApiToBruno(inputDir, outputDir), /1 specification\(s\) could not be converted: api\.yaml/);
+  assert.match(logError.mock.calls[0].arguments.join(' '),
+    /Reference "\.\.\/schemas\/user\.yaml#\/Account" points to a missing location in ".*schemas\/user\.yaml"\. Referenced at .*oas\/paths\/user\.yaml#\/get\/responses\/200\/content\/application~1json\/schema\.$/);
+});
+
+test('YAML syntax errors name the file, line and column', async (t) => {
+  const { inputDir, outputDir } = await createSpecDirectory(t, { 'api.yaml': 'openapi: 3.0.3\ninfo:\n  title: [Users\n' });
+  t.mock.method(console, 'log', () => {});
+  const logError = t.mock.method(console, 'error', () => {});
+
+  await assert.rejects(convertOpenApiToBruno(inputDir, outputDir), /could not be converted: api\.yaml/);
+  assert.match(logError.mock.calls[0].arguments.join(' '),
+    /^❌ Error processing api\.yaml: Invalid YAML in ".*api\.yaml": unexpected end of the stream within a flow collection \(4:1\)$/);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { validateTestFlowContent, loadFlowDatasets, formatDiagnostic } = require('../testflow-validation');
+
+const masterCollection = {
+  items: [
+    {
+      type: 'folder',
+      name: 'Petstore',
+      items: [
+        {
+          type: 'folder',
+          name: 'pet',
+          items: [
+            { type: 'http-request', name: 'Add a new pet', request: { url: '{{baseUrl}}/pet' } },
+            { type: 'http-request', name: 'Find pet by ID', request: { url: '{{baseUrl}}/pet/{{petId}}' } }
+          ]
+        },
+        {
+          type: 'folder',
+          name: 'store',
+          items: [{ type: 'http-request', name: 'Find pet by ID', request: { url: '{{baseUrl}}/store/pet/1' } }]
+        }
+      ]
+    }
+  ]
+};
+
+/**
+ * Validates test flows given as an object, and returns the diagnostics as formatted lines.
+ *
+ * @param {Object} testFlowSpec - The test flows.
+ * @returns {Array<string>} The formatted diagnostics.
+ */
+function validate(testFlowSpec) {
+  return validateTestFlowContent(JSON.stringify(testFlowSpec, null, 2), masterCollection).map(formatDiagnostic);
+}
+
+const environments = [{ name: 'local', variables: [{ name: 'baseUrl', value: 'http://localhost' }] }];
+
+test('valid test flows have no diagnostics', () => {
+  assert.deepEqual(validate({
+    name: 'Regression',
+    environments,
+    test_flows: [{
+      flow_name: 'Pets',
+      seq: 1,
+      requests: [
+        { request_id: 'Add a new pet', seq: 1, script: { res: "bru.setVar('petId', res.getBody().id);" } },
+        { request_id: 'Find pet by ID', file_path: 'Petstore/pet', seq: 2 }
+      ]
+    }]
+  }), []);
+});
+
+test('JSON syntax errors are located at their line and column', () => {
+  const diagnostics = validateTestFlowContent('{\n  "name": "Regression",\n  "test_flows": [,]\n}', masterCollection, 'flows.json');
+
+  assert.equal(diagnostics.length, 1);
+  assert.match(formatDiagnostic(diagnostics[0]), /^flows\.json:3:18 error: Invalid JSON: /);
+});
+
+test('schema violations name the offending property', () => {
+  assert.deepEqual(validate({ test_flows: [{ flow_name: 'Pets', requests: [{ request_id: 'Add a new pet', seqq: 1 }] }] }), [
+    'test-flows.json:1:1 error: Test flows must have required property "name"',
+    'test-flows.json:1:1 warning: No environments are defined; "bru run --env <name>" needs at least one.',
+    'test-flows.json:6:9 error: test_flows[0].requests[0] must NOT have additional properties "seqq"'
+  ]);
+});
+
+test('unknown, ambiguous and duplicate steps are all reported with their location', () => {
+  assert.deepEqual(validate({
+    name: 'Regression',
+    environments,
+    test_flows: [
+      {
+        flow_name: 'Pets',
+        seq: 1,
+        requests: [
+          { request_id: 'Add a new pett', seq: 1 },
+          { request_id: 'Find pet by ID', seq: 1 },
+          { request_id: 'Add a new pet', file_path: 'Petstore/pets', seq: 2 }
+        ]
+      },
+      { flow_name: 'Pets', seq: 1, requests: [] }
+    ]
+  }), [
+    'test-flows.json:20:11 error: Unknown request "Add a new pett". Did you mean "Add a new pet"?',
+    'test-flows.json:24:11 error: Ambiguous request "Find pet by ID" matches 2 operations: "Find pet by ID" in "Petstore/pet", '
+      + '"Find pet by ID" in "Petstore/store". Add a "file_path", or reference it by "operation_id" or "operation".',
+    'test-flows.json:25:11 error: Duplicate seq 1 in flow "Pets" (first used at line 21).',
+    'test-flows.json:29:11 error: Unknown folder "Petstore/pets". Did you mean "Petstore/pet" or "Petstore" or "Petstore/store"?',
+    'test-flows.json:35:7 error: Duplicate flow name "Pets" (first defined at line 16); both flows would be written to the same folder.',
+    'test-flows.json:36:7 error: Duplicate flow seq 1 (first used at line 17).'
+  ]);
+});
+
+test('variables used by the requests but defined in no environment are reported', () => {
+  assert.deepEqual(validate({
+    name: 'Regression',
+    environments,
+    test_flows: [{ flow_name: 'Pets', requests: [{ request_id: 'Find pet by ID', file_path: 'Petstore/pet' }] }]
+  }), ['test-flows.json:4:5 warning: Environment "local" does not define "petId", used by the request at line 18.']);
+});
+
+test('datasets that cannot be loaded, and row fields they do not have, are reported', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bruno-testgen-datasets-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  await fs.writeFile(path.join(dir, 'pets.csv'), 'name,status\nrex,available\n');
+  await fs.writeFile(path.join(dir, 'broken.json'), '[{ "name": "rex" ]');
+
+  const step = { request_id: 'Add a new pet', name: 'Add {{row.name}} ({{row.tag}})' };
+  const content = JSON.stringify({
+    name: 'Regression',
+    environments,
+    test_flows: [
+      { flow_name: 'Pets {{row.name}}', seq: 1, dataset: 'pets.csv', requests: [step] },
+      { flow_name: 'Missing', seq: 2, dataset: 'missing.csv', requests: [] },
+      { flow_name: 'Broken', seq: 3, dataset: 'broken.json', requests: [] },
+      { flow_name: 'Inline {{row.name}}', seq: 4, dataset: [{ name: 'rex', tag: 'dog' }, { name: 'tom' }], requests: [step] }
+    ]
+  }, null, 2);
+
+  const diagnostics = validateTestFlowContent(content, masterCollection, 'test-flows.json', await loadFlowDatasets(content, dir));
+  const lines = diagnostics.map(diagnostic => formatDiagnostic(diagnostic).replaceAll(dir, '<dir>'));
+
+  assert.equal(lines.length, 4);
+  assert.equal(lines[0], 'test-flows.json:18:7 error: Flow "Pets {{row.name}}" uses {{row.tag}}, a field missing from row 1 of its dataset. '
+    + 'Available fields: name, status.');
+  assert.match(lines[1], /^test-flows\.json:29:7 error: Could not read dataset <dir>\/missing\.csv: ENOENT/);
+  assert.match(lines[2], /^test-flows\.json:35:7 error: Invalid dataset <dir>\/broken\.json: /);
+  assert.equal(lines[3], 'test-flows.json:46:9 error: Flow "Inline {{row.name}}" uses {{row.tag}}, a field missing from row 2 of its dataset. '
+    + 'Available fields: name.');
+});
+
+test('flow names rendered from dataset rows that another flow also gets are reported', async () => {
+  const content = JSON.stringify({
+    name: 'Regression',
+    environments,
+    test_flows: [
+      { flow_name: 'Pets available', seq: 1, requests: [] },
+      { flow_name: 'Pets {{row.status}}', seq: 2, dataset: [{ status: 'sold' }, { status: 'available' }, { status: 'sold' }], requests: [] }
+    ]
+  }, null, 2);
+
+  const diagnostics = validateTestFlowContent(content, masterCollection, 'test-flows.json', await loadFlowDatasets(content, '.'));
+
+  assert.deepEqual(diagnostics.map(formatDiagnostic), [
+    'test-flows.json:21:7 error: Flow name "Pets available" of row 2 of the dataset of flow "Pets {{row.status}}" is not unique: '
+      + 'flow "Pets available" at line 16 has it too, and both would be written to the same folder. Use row fields in "flow_name" to tell the flows apart.',
+    'test-flows.json:21:7 error: Flow name "Pets sold" of row 3 of the dataset of flow "Pets {{row.status}}" is not unique: '
+      + 'row 1 of the dataset of flow "Pets {{row.status}}" at line 21 has it too, and both would be written to the same folder. '
+      + 'Use row fields in "flow_name" to tell the flows apart.'
+  ]);
+});
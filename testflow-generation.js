@@ -2,8 +2,31 @@ const { openApiToBruno } = require('@usebruno/converters');
 const {
   stringifyRequest,
   stringifyCollection,
+  stringifyFolder,
   stringifyEnvironment
 } = require('@usebruno/filestore');
+const { createRefContext, dereference, bundleSpec } = require('./oas-refs');
+const { findSpecFiles, readSpecFile, isRootSpec } = require('./oas-loader');
+const { createRequestBodies, getMediaExample, selectRequestBody, applyRequestBody, writeFixtures } = require('./request-bodies');
+const { normalizeOpenApiSpec } = require('./oas-normalizer');
+const { validateTestFlowContent, loadFlowDatasets, reportDiagnostics } = require('./testflow-validation');
+const { describeResponses, applyResponseAssertions } = require('./response-assertions');
+const { describeParameters, describeRequestBody } = require('./operation-metadata');
+const { applyExtractions, substituteFlowVariables, inferVariableLinks } = require('./flow-variables');
+const { applyRequestUpdates, applyRequestPatches } = require('./request-overrides');
+const { expandDataDrivenFlows } = require('./flow-datasets');
+const { expandFlowHooks } = require('./flow-hooks');
+const { expandFlowIncludes, flattenFlowSteps } = require('./flow-includes');
+const { createIncrementalWriter } = require('./incremental-writer');
+const { indexBrunoCollection, describeStep, lookupOperation } = require('./operation-lookup');
+const {
+  generateEnvironments,
+  applyServiceBaseUrl,
+  mergeEnvironments,
+  applyEnvironmentOverrides,
+  writeCollectionSecrets
+} = require('./environment-generation');
+const { applySecurityRequirements, createLoginSteps, applyAuthInheritance } = require('./auth-configuration');
 
 const fs = require('fs').promises;
 const path = require('path');
@@ -11,96 +34,155 @@ const path = require('path');
 /**
  * Converts OpenAPI specifications to Bruno collection format.
  * 
- * This function processes all JSON files in the specified input directory, 
+ * This function recursively processes all JSON and YAML files in the specified input directory, 
  * converts OpenAPI specifications to Bruno-compatible collections using 
  * `openApiToBruno` and `updateRequestBodies` helper functions, and writes 
- * the results to the output directory. It handles directory creation, 
- * file filtering, and error logging during conversion.
+ * the results to the output directory, mirroring the input directory structure. It handles
+ * directory creation, file filtering, and error logging during conversion.
+ * 
+ * Specifications split across several files are bundled into a single document with `bundleSpec`
+ * first; files without an `openapi`/`swagger` field are treated as such fragments and are not
+ * converted on their own.
+ * 
+ * Swagger 2.0, OpenAPI 3.0 and OpenAPI 3.1 documents are accepted: each spec is first
+ * normalized to OpenAPI 3 with `normalizeOpenApiSpec`, so body/formData parameters become
+ * request bodies and `host`/`basePath`/`schemes` become the servers the environments are generated from.
+ * 
+ * Collections are written as `.json` next to where their specification is in the input directory;
+ * a specification that would overwrite the collection of another one (`api.yaml` and `api.json`)
+ * is not converted.
  * 
- * @param {string} inputDir - Directory containing OpenAPI JSON files.
+ * @param {string} inputDir - Directory containing OpenAPI JSON/YAML files.
  * @param {string} outputDir - Directory where converted Bruno files will be saved.
+ * @throws {Error} If the input directory cannot be read or any specification fails to convert
+ *                 (after all the other specifications have been processed).
  */
 async function convertOpenApiToBruno(inputDir, outputDir) {
   try {
-    const files = await fs.readdir(inputDir, { withFileTypes: true });
-    const jsonFiles = files
-      .filter(file => file.isFile() && file.name.toLowerCase().endsWith('.json'))
-      .map(file => file.name);
+    const specFiles = await findSpecFiles(inputDir);
+    const failedFiles = [];
+    const sourcesByOutput = new Map();
 
     await fs.mkdir(outputDir, { recursive: true });
 
-    for (const filename of jsonFiles) {
-      const inputFilePath = path.join(inputDir, filename);
-      const outputFilePath = path.join(outputDir, filename);
+    for (const inputFilePath of specFiles) {
+      const filename = path.relative(inputDir, inputFilePath);
+      const outputFilePath = path.join(outputDir, filename.replace(/\.(json|ya?ml)$/i, '.json'));
 
       try {
-        const jsonContent = await fs.readFile(inputFilePath, 'utf8');
-        const openApiSpec = JSON.parse(jsonContent);
-        const brunoCollection = openApiToBruno(openApiSpec);
-        const updatedBrunoCollection = updateRequestBodies(openApiSpec, brunoCollection);
+        const apiSpec = await readSpecFile(inputFilePath);
+
+        if (!isRootSpec(apiSpec))
+          continue;
+
+        if (sourcesByOutput.has(outputFilePath))
+          throw new Error(`${sourcesByOutput.get(outputFilePath)} and ${filename} would both be converted to ${outputFilePath}; rename one of them.`);
+
+        sourcesByOutput.set(outputFilePath, filename);
+
+        const updatedBrunoCollection = await convertSpecToBruno(apiSpec, inputFilePath);
 
+        await fs.mkdir(path.dirname(outputFilePath), { recursive: true });
         await fs.writeFile(outputFilePath, JSON.stringify(updatedBrunoCollection, null, 2));
         console.log(`✅ Converted: ${filename}`);
       } catch (error) {
         console.error(`❌ Error processing ${filename}:`, error.message);
+        failedFiles.push(filename);
       }
     }
 
-    console.log('✅ All OpenAPI JSON conversions completed!');
+    if (failedFiles.length)
+      throw new Error(`${failedFiles.length} specification(s) could not be converted: ${failedFiles.join(', ')}`);
+
+    console.log('✅ All OpenAPI conversions completed!');
   } catch (error) {
-    console.error('❌ Error during directory processing:', error);
+    console.error('❌ Error during directory processing:', error.message);
+    throw error;
   }
 }
 
+/**
+ * Converts a single root OpenAPI specification into an annotated Bruno collection, without writing it.
+ *
+ * The specification is bundled, normalized to OpenAPI 3, converted with `openApiToBruno`, and its
+ * requests get example bodies (`updateRequestBodies`) and operation metadata (`annotateOperations`).
+ * Requests are pointed at the base URL variable of the service (`{{swagger_petstore_base_url}}`), get the auth
+ * of their `security` requirements (`applySecurityRequirements`), and the environments are generated from the
+ * servers and security schemes of the specification (`generateEnvironments`).
+ *
+ * @param {Object} apiSpec - The parsed specification.
+ * @param {string} specPath - Path or URL of the specification, used to resolve relative `$ref`s.
+ * @returns {Promise<Object>} The Bruno collection.
+ * @throws {Error} If the specification cannot be bundled, normalized or converted.
+ */
+async function convertSpecToBruno(apiSpec, specPath) {
+  const openApiSpec = normalizeOpenApiSpec(await bundleSpec(apiSpec, specPath));
+  const refContext = createRefContext(openApiSpec, specPath);
+  const brunoCollection = annotateOperations(openApiSpec,
+    updateRequestBodies(openApiSpec, openApiToBruno(openApiSpec), refContext), refContext);
+
+  applyServiceBaseUrl(brunoCollection, brunoCollection.name);
+  applySecurityRequirements(openApiSpec, brunoCollection);
+  brunoCollection.environments = generateEnvironments(openApiSpec, brunoCollection.name);
+
+  return brunoCollection;
+}
+
 /**
  * Converts OpenAPI specifications in a directory to Bruno collections and merges them into a single collection.
  *
- * This function iterates through OpenAPI specification files in a given input directory, converts each specification to a Bruno collection using `convertOpenApiToBruno`, and merges all generated collections into a single master collection. The resulting master collection is structured as follows: `{"name": "Backend", "version": "1", "items": []}`.
+ * This function recursively iterates through OpenAPI specification files in a given input directory, converts each specification to a Bruno collection using `convertOpenApiToBruno`, and merges all generated collections into a single master collection. The resulting master collection is structured as follows: `{"name": "Backend", "version": "1", "items": [], "environments": []}`, the environments of the services being merged by name (`mergeEnvironments`).
  *
  * @param {string} inputDir - The directory containing the OpenAPI specification files.
  * @param {string} outputDir - The directory where the generated Bruno collections will be written.
  * @returns {Promise<object>} A promise that resolves with the merged Bruno collection object.
- * @throws {Error} If any file operation fails or if the input directory is invalid.
+ * @throws {Error} If any file operation fails, if the input directory is invalid, or if any collection fails
+ *                 to load (after all the other collections have been processed, without writing a partial master collection).
  */
 async function mergeOpenApiCollections(collectionName, inputDir, outputDir) {
   try {
-    const files = await fs.readdir(inputDir, { withFileTypes: true });
-    const jsonFiles = files
-      .filter(file => file.isFile() && file.name.toLowerCase().endsWith('.json'))
-      .map(file => file.name);
+    const jsonFiles = (await findSpecFiles(inputDir))
+      .filter(file => file.toLowerCase().endsWith('.json'));
+    const failedFiles = [];
 
     let apiSpecs = [];
+    let environmentLists = [];
 
-    for (const filename of jsonFiles) {
-      const inputFilePath = path.join(inputDir, filename);
+    for (const inputFilePath of jsonFiles) {
+      const filename = path.relative(inputDir, inputFilePath);
 
       try {
-        const jsonContent = await fs.readFile(inputFilePath, 'utf8');
-        const openApiSpec = JSON.parse(jsonContent);
+        const openApiSpec = await readSpecFile(inputFilePath);
 
         const apiSpec = {
           type: "folder",
           name: openApiSpec.name,
           filename: openApiSpec.name,
-          seq: jsonFiles.indexOf(filename),
-          items: openApiSpec.items
+          seq: jsonFiles.indexOf(inputFilePath),
+          items: openApiSpec.items,
+          logins: openApiSpec.logins
         }
 
         apiSpecs.push(apiSpec)
+        environmentLists.push(openApiSpec.environments);
 
         console.log(`✅ Converted: ${filename}`);
       } catch (error) {
         console.error(`❌ Error processing ${filename}:`, error.message);
+        failedFiles.push(filename);
       }
     }
 
-    let mergedCollection = { name: collectionName, version: "1", items: apiSpecs };
+    if (failedFiles.length)
+      throw new Error(`${failedFiles.length} collection(s) could not be merged: ${failedFiles.join(', ')}`);
+
+    let mergedCollection = { name: collectionName, version: "1", items: apiSpecs, environments: mergeEnvironments(environmentLists) };
 
     await fs.writeFile(outputDir, JSON.stringify(mergedCollection, null, 2));
 
     return mergedCollection;
   } catch (error) {
-    console.error("Error merging OpenAPI collections:", error);
+    console.error("❌ Error merging OpenAPI collections:", error.message);
     throw error;
   }
 }
@@ -110,39 +192,134 @@ async function mergeOpenApiCollections(collectionName, inputDir, outputDir) {
  * 
  * This function reads a test specification file, processes the test flows 
  * defined within it, and creates a master collection in JSON format.
+ * The test flows are validated with `validateTestFlowContent` first; every
+ * problem found is reported before the generation is aborted.
+ * 
+ * Each request gets assertions and tests derived from the documented response
+ * of its operation (see `applyResponseAssertions`): the first 2xx response, or
+ * the one picked by the step's `expected_response` (e.g. `404`).
+ * 
+ * Values a step `extract`s from its response are stored with `bru.setVar`, and
+ * later steps of the flow reference them as `{{variable}}` in the path params,
+ * query params and JSON body fields of the same name (see `flow-variables.js`).
+ * Obvious links, like the `id` of a `POST /pet` feeding `GET /pet/{petId}`,
+ * are inferred unless the flow sets `infer_links` to false.
+ * 
+ * A step's `merge_patch` and `json_patch` are applied last, so they can change
+ * any part of the generated request (see `applyRequestPatches`).
+ * 
+ * The steps of the `setup` and `teardown` hooks of a flow are inlined before and after
+ * its own steps (see `expandFlowHooks`). Steps `include`-ing another flow are then replaced by
+ * its steps, hooks included, with their `{{param.<name>}}` placeholders substituted, and written
+ * to a subfolder of the flow (see `expandFlowIncludes`). Flows with a `dataset` (a CSV/JSON file relative
+ * to the test specification, or inline rows) are then expanded into one folder per row,
+ * with `{{row.<field>}}` placeholders substituted (see `expandDataDrivenFlows`).
+ * 
+ * Flows calling operations secured by an OAuth2 client credentials or password flow start with a
+ * login step storing the access token (`createLoginSteps`) and are renumbered after it; the auth
+ * shared by the requests is moved up to the collection and flow folders (`applyAuthInheritance`).
  * 
  * @param {string} testSpecDir - The directory containing the test specification file.
  * @param {string} brunoMasterDir - The directory containing Bruno request files.
  * @param {string} outputPath - The path where the master collection JSON file will be written.
+ * @returns {Promise<Object>} The test collection.
+ * @throws {Error} If the files cannot be read or a referenced request cannot be found.
  */
 async function createBrunoJson(testSpecDir, brunoMasterDir, outputPath) {
   try {
     const testFlowContent = await fs.readFile(testSpecDir, 'utf8');
-    const testFlowSpec = JSON.parse(testFlowContent);
 
     const masterBrunoCollectionString = await fs.readFile(brunoMasterDir, 'utf8');
     const masterBrunoCollection = JSON.parse(masterBrunoCollectionString);
 
+    const datasets = await loadFlowDatasets(testFlowContent, path.dirname(testSpecDir));
+    const diagnostics = validateTestFlowContent(testFlowContent, masterBrunoCollection, testSpecDir, datasets);
+    if (!reportDiagnostics(diagnostics))
+      throw new Error(`Test flows in ${testSpecDir} are invalid.`);
+
+    const testFlowSpec = await expandDataDrivenFlows(expandFlowIncludes(expandFlowHooks(JSON.parse(testFlowContent))), path.dirname(testSpecDir));
+
     let masterName = testFlowSpec.name;
     let testFlows = [];
+    const logins = Object.assign({}, ...(masterBrunoCollection.items || []).map(service => service.logins));
 
     for (const testFlow of testFlowSpec.test_flows) {
       let requests = [];
+      const includedFolders = new Map();
+
+      // Variables only flow forward in execution order, i.e. by seq, through the steps of included flows too.
+      const steps = flattenFlowSteps(testFlow.requests).map(({ requestSpec, folders }) => ({
+        requestSpec,
+        folders,
+        originalRequest: acquireBrunoRequest(requestSpec, masterBrunoCollection)
+      }));
+
+      const inferredExtractions = testFlow.infer_links === false
+        ? steps.map(() => ({}))
+        : inferVariableLinks(steps);
+      const flowVariables = new Set();
 
-      for (const requestSpec of testFlow.requests) {
-        const originalRequest = await acquireBrunoRequestByName(requestSpec.request_id, requestSpec.file_path, masterBrunoCollection);
+      steps.forEach(({ requestSpec, folders, originalRequest }, stepIndex) => {
+        const extract = { ...inferredExtractions[stepIndex], ...requestSpec.extract };
+        const chainedRequest = substituteFlowVariables(originalRequest, flowVariables);
 
         const requestItem = {
           type: "http",
-          name: requestSpec.request_id,
-          filename: requestSpec.request_id + ".bru",
+          name: requestSpec.name ?? originalRequest.name,
+          filename: (requestSpec.name ?? originalRequest.name) + ".bru",
           seq: requestSpec.seq,
           settings: {},
           tags: [],
-          request: applyRequestUpdates(originalRequest, requestSpec).request
+          openapi: originalRequest.openapi && {
+            operationId: originalRequest.openapi.operationId,
+            method: originalRequest.openapi.method,
+            path: originalRequest.openapi.path,
+            source: originalRequest.openapi.source
+          },
+          request: applyStepPatches(
+            applyExtractions(
+              applyResponseAssertions(
+                applyRequestUpdates(selectRequestBody(chainedRequest, requestSpec.content_type), requestSpec).request,
+                originalRequest.openapi,
+                requestSpec.expected_response
+              ),
+              extract
+            ),
+            requestSpec,
+            testFlow.flow_name
+          )
         }
 
-        requests.push(requestItem);
+        Object.keys(extract).forEach(variable => flowVariables.add(variable));
+
+        // Steps of included flows go to nested folders, created where their first step runs.
+        const parentItems = folders.reduce((items, includeStep) => {
+          if (!includedFolders.has(includeStep)) {
+            const includedFolder = {
+              type: "folder",
+              name: includeStep.name,
+              filename: includeStep.name,
+              seq: includeStep.seq,
+              root: createRootSettings(includeStep.root),
+              items: []
+            };
+
+            includedFolders.set(includeStep, includedFolder);
+            items.push(includedFolder);
+          }
+
+          return includedFolders.get(includeStep).items;
+        }, requests);
+
+        parentItems.push(requestItem);
+      });
+
+      const loginSteps = createLoginSteps(steps.map(({ originalRequest }) => originalRequest), logins);
+
+      // Login steps run first, and the flow is renumbered after them, as flows using hooks are.
+      if (loginSteps.length) {
+        requests.unshift(...loginSteps);
+        requests.forEach((item, index) => { item.seq = index + 1; });
       }
 
       const testFlowFolder = {
@@ -150,7 +327,7 @@ async function createBrunoJson(testSpecDir, brunoMasterDir, outputPath) {
         name: testFlow.flow_name,
         filename: testFlow.flow_name,
         seq: testFlow.seq,
-        root: testFlow.root,
+        root: createRootSettings(testFlow.root),
         items: requests,
       }
 
@@ -161,10 +338,12 @@ async function createBrunoJson(testSpecDir, brunoMasterDir, outputPath) {
       name: masterName,
       version: "1",
       items: testFlows,
-      environments: testFlowSpec.environments,
-      root: testFlowSpec.root
+      environments: applyEnvironmentOverrides(masterBrunoCollection.environments, testFlowSpec.environments),
+      root: createRootSettings(testFlowSpec.root)
     };
 
+    applyAuthInheritance(masterCollection);
+
     //Saving Bruno json in case it's needed for manual imports
     await fs.writeFile(outputPath, JSON.stringify(masterCollection, null, 2));
 
@@ -173,86 +352,67 @@ async function createBrunoJson(testSpecDir, brunoMasterDir, outputPath) {
     return masterCollection;
   } catch (error) {
     console.error('❌ Error creating master collection:', error.message);
+    throw error;
   }
 }
 
 /**
- * Applies updates to a cloned request object based on the provided spec.
- * @param {Object} originalRequest - The original request object to clone.
- * @param {Object} requestSpec - The spec containing fields to update.
- * @returns {Object} - A new request object with applied updates.
+ * Completes a collection or flow `root` from `test-flows.json`: its headers and vars are enabled unless they
+ * set `enabled` themselves, as in step overrides.
+ *
+ * @param {Object} [root] - The root, e.g. `{ request: { headers: [{ name: "X-Trace-Id", value: "{{traceId}}" }] } }`.
+ * @returns {Object|undefined} A completed copy of the root, or undefined if there is none.
  */
-function applyRequestUpdates(originalRequest, requestSpec) {
-  const updatedRequest = JSON.parse(JSON.stringify(originalRequest));
-  const updateFields = [
-    {
-      sourceKey: 'parameters',
-      targetKey: 'params',
-      validate: (value) => value !== undefined,
-    },
-    {
-      sourceKey: 'script',
-      targetKey: 'script',
-      validate: (value) => value !== undefined,
-    },
-    {
-      sourceKey: 'url',
-      targetKey: 'url',
-      validate: (value) => value !== undefined,
-    },
-    {
-      sourceKey: 'body',
-      targetKey: 'body',
-      validate: (value) => {
-        return (
-          value !== undefined &&
-          value !== null &&
-          !(typeof value === 'object' && Object.keys(value).length === 0)
-        );
-      },
-    },
-  ];
-
-  updateFields.forEach(({ sourceKey, targetKey, validate }) => {
-    const value = requestSpec[sourceKey];
-
-    if (validate(value))
-      updatedRequest.request[targetKey] = value;
+function createRootSettings(root) {
+  if (!root)
+    return root;
+
+  const enable = (entries) => entries && entries.map(entry => ({ enabled: true, ...entry }));
+  const request = root.request && {
+    ...root.request,
+    headers: enable(root.request.headers),
+    vars: root.request.vars && { ...root.request.vars, req: enable(root.request.vars.req), res: enable(root.request.vars.res) }
+  };
 
-  });
+  return JSON.parse(JSON.stringify({ ...root, request }));
+}
 
-  return updatedRequest;
+/**
+ * Applies the `merge_patch` and `json_patch` overrides of a step, naming the step in errors.
+ *
+ * @param {Object} request - The generated Bruno request (`item.request`).
+ * @param {Object} requestSpec - The step.
+ * @param {string} flowName - The name of the flow the step belongs to.
+ * @returns {Object} The patched request.
+ * @throws {Error} If a patch cannot be applied.
+ */
+function applyStepPatches(request, requestSpec, flowName) {
+  try {
+    return applyRequestPatches(request, requestSpec);
+  } catch (error) {
+    throw new Error(`Step "${describeStep(requestSpec)}" of flow "${flowName}": ${error.message}`);
+  }
 }
 
 /**
- * Acquires a Bruno request object by its name and the name of the folder it resides in.
+ * Acquires the Bruno request a test-flow step references.
  *
- * This function searches for a specific request within a given folder in a Bruno collection.
- * It first retrieves the folder by its name, then searches for the request within that folder's items.
- * If the request is not found, it throws an error.
+ * The step names its operation by `request_id` (the request name), `operation_id` or `operation`
+ * (`"METHOD /path"`), optionally narrowed by `file_path` and `tag`; see `lookupOperation`.
  *
- * @param {string} requestName - The name of the Bruno request to acquire.
- * @param {string} folderName - The name of the folder containing the request.
- * @param {object} brunoCollection - The Bruno collection object containing the folders and requests.
- * @returns {object} The Bruno request object if found.
- * @throws {Error} If the folder or request is not found.
+ * @param {Object} requestSpec - The step.
+ * @param {Object} brunoCollection - The Bruno collection object containing the folders and requests.
+ * @returns {Object} The Bruno request object.
+ * @throws {Error} If no request, or more than one, matches the reference.
  */
-async function acquireBrunoRequestByName(requestName, folderName, brunoCollection) {
+function acquireBrunoRequest(requestSpec, brunoCollection) {
   try {
-    let folder;
-    let request;
-    if (folderName) {
-      folder = await acquireBrunoFolderByName(folderName, brunoCollection);
-
-      request = folder.items.find(req => req.name === requestName);
-    }
-    else
-      request = findRequestByName(requestName, brunoCollection);
+    const { match, error } = lookupOperation(requestSpec, indexBrunoCollection(brunoCollection));
 
-    if (!request)
-      throw new Error(`Request "${requestName}" not found in folder "${folderName}".`);
+    if (error)
+      throw new Error(error.message);
 
-    return request;
+    return match.request;
   }
   catch (error) {
     console.error('❌ Error acquiring Bruno request:', error.message);
@@ -261,33 +421,17 @@ async function acquireBrunoRequestByName(requestName, folderName, brunoCollectio
 }
 
 /**
- * Recursively searches a Bruno collection structure for an HTTP request with the specified name.
- * 
- * @param {string} requestName - The exact name of the HTTP request to locate
- * @param {Object} brunoCollection - The current collection or folder node to search within
- * @returns {Object|null} Returns the matching HTTP request object if found, or null if no match exists
- * 
- * The function traverses the collection hierarchy by:
- * 1. Checking each item in the current collection
- * 2. Returning immediately if an HTTP request with the target name is found
- * 3. Recursively searching nested folders if they exist
- * 4. Returning null if the end of the hierarchy is reached without finding a match
+ * Acquires a Bruno request object by its name and the name of the folder it resides in.
+ * Shorthand for `acquireBrunoRequest` with a `request_id` and `file_path`.
+ *
+ * @param {string} requestName - The name of the Bruno request to acquire.
+ * @param {string} [folderName] - The folder path containing the request.
+ * @param {object} brunoCollection - The Bruno collection object containing the folders and requests.
+ * @returns {Promise<object>} The Bruno request object if found.
+ * @throws {Error} If the folder or request is not found, or the name is ambiguous.
  */
-function findRequestByName(requestName, brunoCollection) {
-  for (const item of brunoCollection.items) {
-
-    if (item.type === 'http-request' && item.name === requestName)
-      return item;
-
-    else if (item.type === 'folder') {
-      const found = findRequestByName(requestName, item);
-      if (found) {
-        return found;
-      }
-    }
-  }
-
-  return null;
+async function acquireBrunoRequestByName(requestName, folderName, brunoCollection) {
+  return acquireBrunoRequest({ request_id: requestName, file_path: folderName || undefined }, brunoCollection);
 }
 
 /**
@@ -349,82 +493,200 @@ async function acquireBrunoFolderByName(folderName, brunoMasterCollection) {
 /**
  * Updates JSON request bodies in a Bruno collection based on examples from an OpenAPI specification.
  * 
- * This function iterates through all requests in the provided Bruno collection. For each request with a "json" body mode,
- * it matches the request name to an `operationId` in the OpenAPI spec. If a matching operation is found and contains a JSON example,
- * the example is applied to the request's body. If no example is found, a warning is logged.
+ * This function iterates through all requests in the provided Bruno collection, including nested folders
+ * and requests that are not grouped under a tag. Each request is matched to its operation (by method and path,
+ * see `findOperationForRequest`), and gets the body of the first media type of the operation's `requestBody`,
+ * built by `createRequestBodies` from the documented example or synthesized from the schema: JSON, XML,
+ * form-urlencoded, multipart (file fields pointing at fixtures), text or binary file bodies. A `Content-Type`
+ * header is added when Bruno would not send the media type by itself. A warning is logged when no example can
+ * be found or synthesized.
  * 
  * @param {Object} openApiSpec - The parsed OpenAPI specification (JSON object) containing request examples.
  * @param {Object} brunoCollection - The Bruno collection structure (JSON object) to modify. Assumes the structure includes:
- *   - `items`: An array of folders, each with an `items` array of requests.
+ *   - `items`: An array of folders and requests, folders holding an `items` array of their own.
+ * @param {Object} [refContext] - Reference resolution context from `loadReferencedDocuments`, required
+ *                                to resolve `$ref`s pointing to other files.
  * @returns {Object} A deep-copied version of the modified Bruno collection with updated request bodies.
  * 
- * @throws {Error} None explicitly; however, missing `operationId` or example mismatches may result in silent warnings.
+ * @throws {Error} None explicitly; however, missing operations or example mismatches may result in silent warnings.
  * 
  * @example
- * // Input: OpenAPI spec with examples and a Bruno collection with "json" mode requests
- * // Output: Bruno collection with request bodies populated by JSON bodies from OAS examples.
- * const updatedCollection = setRequestBodies(openApiSpec, brunoCollection);
+ * // Input: OpenAPI spec with examples and a Bruno collection generated by `openApiToBruno`
+ * // Output: Bruno collection with request bodies populated from OAS examples.
+ * const updatedCollection = updateRequestBodies(openApiSpec, brunoCollection);
  * 
  * @note
- * 1. Assumes `request.name` in the Bruno collection matches `operationId` in the OpenAPI spec.
- * 2. Uses `getOASExampleValueFor()` to extract examples from the OpenAPI spec.
+ * 1. Operations are found by method and path, falling back to the request name (`summary` or `operationId`).
+ * 2. Uses `createRequestBodies()` to build the bodies from the OpenAPI spec.
  * 3. Modifies a deep-copied version of the Bruno collection to avoid mutating the original.
- * 4. If no example is found for a request, the body remains unchanged, and a warning is logged.
+ * 4. If no example is found for a request, its body is left empty, and a warning is logged.
  */
-function updateRequestBodies(openApiSpec, brunoCollection) {
+function updateRequestBodies(openApiSpec, brunoCollection, refContext = createRefContext(openApiSpec)) {
   const folders = JSON.parse(JSON.stringify(brunoCollection));
 
-  for (const folder of folders.items) {
+  const updateItems = (items) => {
+    for (const item of items) {
+
+      if (item.type === 'folder') {
+        updateItems(item.items || []);
+        continue;
+      }
+
+      const bodies = createRequestBodies(findOperationForRequest(openApiSpec, item)?.operation, refContext);
+
+      if (!bodies)
+        continue;
 
-    for (const request of folder.items) {
+      const [mediaType, body] = Object.entries(bodies)[0];
+      item.request = applyRequestBody(item.request, mediaType, body);
 
-      if (request.request.body.mode === "json") {
-        const exampleValue = getOASExampleValueFor(openApiSpec, request.name);
+      if (body[body.mode] === '')
+        console.warn("No example found for operation: " + item.name);
+    }
+  };
+
+  updateItems(folders.items);
+
+  return folders;
+}
 
-        if (exampleValue)
-          request.request.body.json = JSON.stringify(exampleValue, null, 2);
-        else
-          console.warn("No example found for operationId: " + request.name);
+/**
+ * Records, on each request of a Bruno collection, the OpenAPI operation it was generated from.
+ *
+ * The request is matched to its operation by HTTP method and path (falling back to the request name),
+ * and the operation metadata is stored under `item.openapi`:
+ * `{ operationId, method, path, summary, tags, source, parameters, requestBody, responses, bodies }`, where `source`
+ * maps the request back to the spec (`{ file, pointer }`, the file relative to the working directory and the
+ * JSON pointer of the operation), `responses` holds the documented media types and standalone JSON schemas
+ * used to generate response assertions, `parameters`/`requestBody` describe the request side for spec
+ * drift detection, and `bodies` holds the Bruno body of each media type of operations accepting several,
+ * which steps choose from with `content_type`.
+ *
+ * @param {Object} openApiSpec - The parsed OpenAPI 3 specification.
+ * @param {Object} brunoCollection - The Bruno collection generated from the specification.
+ * @param {Object} [refContext] - Reference resolution context used for `$ref`s.
+ * @returns {Object} A deep-copied version of the collection with the operation metadata.
+ */
+function annotateOperations(openApiSpec, brunoCollection, refContext = createRefContext(openApiSpec)) {
+  const collection = JSON.parse(JSON.stringify(brunoCollection));
+
+  const annotateItems = (items) => {
+    for (const item of items) {
+
+      if (item.type === 'folder') {
+        annotateItems(item.items || []);
+        continue;
       }
+
+      const match = findOperationForRequest(openApiSpec, item);
+
+      if (!match) {
+        console.warn("No operation found for request: " + item.name);
+        continue;
+      }
+
+      item.openapi = {
+        operationId: match.operation.operationId,
+        method: match.method,
+        path: match.path,
+        summary: match.operation.summary,
+        tags: match.operation.tags || [],
+        source: {
+          file: /^https?:/i.test(refContext.file) || !refContext.file ? refContext.file : path.relative(process.cwd(), refContext.file),
+          pointer: `#/paths/${match.path.replace(/~/g, '~0').replace(/\//g, '~1')}/${match.method}`
+        },
+        parameters: describeParameters(openApiSpec.paths?.[match.path], match.operation, refContext),
+        requestBody: describeRequestBody(match.operation, refContext),
+        responses: describeResponses(match.operation, refContext)
+      };
+
+      const bodies = createRequestBodies(match.operation, refContext);
+
+      if (bodies && Object.keys(bodies).length > 1)
+        item.openapi.bodies = bodies;
     }
+  };
+
+  annotateItems(collection.items);
+
+  return collection;
+}
+
+/**
+ * Finds the operation a Bruno request was generated from by `openApiToBruno`.
+ *
+ * The request URL (`{{baseUrl}}/pet/:petId`) and method are compared with each path of the specification;
+ * if no path matches, the operation is looked up by the request name with `getOpenAPIRequestSpec`.
+ *
+ * @param {Object} openApiSpec - The parsed OpenAPI 3 specification.
+ * @param {Object} brunoRequest - The Bruno request item.
+ * @returns {{operation: Object, method: string, path: string}|null} The operation with its method and path.
+ */
+function findOperationForRequest(openApiSpec, brunoRequest) {
+  const method = String(brunoRequest.request?.method || '').toLowerCase();
+  const requestPath = String(brunoRequest.request?.url || '').replace(/^{{[^}]+}}/, '').split('?')[0];
+  const paths = openApiSpec.paths || {};
+
+  for (const specPath in paths) {
+    if (specPath.replace(/{([^}]+)}/g, ':$1') === requestPath && paths[specPath]?.[method])
+      return { operation: paths[specPath][method], method, path: specPath };
   }
 
-  return folders;
+  const operation = getOpenAPIRequestSpec(openApiSpec, brunoRequest.name);
+
+  for (const specPath in paths) {
+    for (const specMethod in paths[specPath]) {
+      if (operation && paths[specPath][specMethod] === operation)
+        return { operation, method: specMethod, path: specPath };
+    }
+  }
+
+  return null;
 }
 
 /**
- * Extracts the `value` property from the first example in the `examples` object.
+ * Resolves the JSON request body example of an operation, synthesizing one from its schema if needed.
  *
- * @param {Object} content - The "application/json" content object from OpenAPI spec.
- *                           Example structure:
- *                           {
- *                             'application/json': {
- *                               examples: {
- *                                 'Booking request example': { value: {...} }
- *                               }
- *                             }
- *                           }
- * @returns {Object|null} - The `value` property of the first example, or `null` if not found.
+ * The lookup follows this order of precedence on the `application/json` media type of the
+ * operation's `requestBody` (itself possibly a `$ref` to `#/components/requestBodies/...`):
+ * 1. `example`
+ * 2. the first entry of `examples` (following `$ref`s to `#/components/examples/...`)
+ * 3. a value synthesized from `schema` via `sampleSchema()` (see `getMediaExample`), honoring `example`/`default`/`enum`
+ *    on the schema and its properties
+ *
+ * @param {Object} openApiSpec - Parsed OpenAPI specification.
+ * @param {string} targetOperationId - The operationId (or summary) of the operation.
+ * @param {Object} [refContext] - Reference resolution context used for `$ref`s.
+ * @returns {Object|null} - The example value, or `null` if the operation has no JSON request body.
  */
-function getOASExampleValueFor(openApiSpec, targetOperationId) {
+function getOASExampleValueFor(openApiSpec, targetOperationId, refContext = createRefContext(openApiSpec)) {
   const operation = getOpenAPIRequestSpec(openApiSpec, targetOperationId);
-  const examples = operation.requestBody.content['application/json'].examples;
-  const firstKey = Object.keys(examples)[0];
-  //TODO: enable object references
 
-  return examples[firstKey].value;
+  if (!operation?.requestBody)
+    return null;
+
+  const { value: requestBody, context } = dereference(operation.requestBody, refContext);
+  const content = requestBody?.content || {};
+  const mediaType = Object.keys(content).find(type => /^application\/([\w.-]+\+)?json/i.test(type));
+
+  if (!mediaType)
+    return null;
+
+  return getMediaExample(content[mediaType], context) ?? null;
 }
 
 /**
- * Retrieves the request body example for an operation in an OpenAPI v3 spec
- * by its operationId.
+ * Retrieves an operation in an OpenAPI spec by its operationId.
  *
- * @param {Object} openApiSpec - Parsed OpenAPI v3 JSON object.
- * @param {string} targetOperationId - The operationId of the endpoint to search for.
- * @returns {Object|null} - Returns the example object if found, or null otherwise.
+ * Since `openApiToBruno` titles requests with the operation `summary` (falling back to
+ * `operationId`, then `description`), an operation whose display name matches is returned as well.
+ *
+ * @param {Object} openApiSpec - Parsed OpenAPI JSON object.
+ * @param {string} targetOperationId - The operationId or display name of the endpoint to search for.
+ * @returns {Object|null} - Returns the operation object if found, or null otherwise.
  */
 function getOpenAPIRequestSpec(openApiSpec, targetOperationId) {
-  const paths = openApiSpec.paths;
+  const paths = openApiSpec.paths || {};
 
   for (const path in paths) {
     const pathItem = paths[path];
@@ -432,12 +694,17 @@ function getOpenAPIRequestSpec(openApiSpec, targetOperationId) {
     for (const method in pathItem) {
       const operation = pathItem[method];
 
-      if (operation.operationId === targetOperationId)
+      if (!operation || typeof operation !== 'object')
+        continue;
+
+      const displayName = operation.summary || operation.operationId || operation.description || `${method} ${path}`;
+
+      if (operation.operationId === targetOperationId || displayName === targetOperationId)
         return operation;
     }
   }
 
-  console.log("'operationId' not found!")
+  console.log(`'operationId' not found: ${targetOperationId}`)
   return null;
 }
 
@@ -445,18 +712,38 @@ function getOpenAPIRequestSpec(openApiSpec, targetOperationId) {
  * Creates test flow directories and generates individual test files in .bru format
  * @param {Object} testCollection - Collection of test flows to process
  * @param {string} masterDir - Base directory for test output
- * Creates a directory for each test flow and saves each request as a separate .bru file
+ * @param {{writeFile: Function}} [writer] - Writes the files; `fs.promises` by default
+ * Creates a directory for each test flow and saves each request as a separate .bru file, and the flow `root`
+ * (headers, auth, scripts, vars, tests and docs applied to its requests) as its folder.bru, named and ordered
+ * after the flow unless the root sets its own `meta`. Included flows are written to subdirectories the same way.
  */
-async function createTestFlows(testCollection, masterDir) {
-  for (const testFlow of testCollection.items) {
-    const flowDir = path.join(masterDir, testFlow.name);
-    await fs.mkdir(flowDir, { recursive: true });
-
-    for (const request of testFlow.items) {
-      const bruFilePath = path.join(flowDir, request.name + ".bru");
-      const bruRequest = stringifyRequest(request, options = { format: 'bru' });
-      await fs.writeFile(bruFilePath, bruRequest);
+async function createTestFlows(testCollection, masterDir, writer = fs) {
+  for (const testFlow of testCollection.items)
+    await createFolder(testFlow, masterDir, writer);
+}
+
+/**
+ * Writes a folder of the test collection (a flow, or a flow it includes) and its items.
+ * @param {Object} folder - The folder item
+ * @param {string} parentDir - Directory the folder is created in
+ * @param {{writeFile: Function}} writer - Writes the files
+ */
+async function createFolder(folder, parentDir, writer) {
+  const folderDir = path.join(parentDir, folder.name);
+  await fs.mkdir(folderDir, { recursive: true });
+
+  const folderRoot = { ...folder.root, meta: { name: folder.name, seq: folder.seq, ...folder.root?.meta } };
+  await writer.writeFile(path.join(folderDir, 'folder.bru'), stringifyFolder(folderRoot, { format: 'bru' }));
+
+  for (const item of folder.items) {
+    if (item.type === 'folder') {
+      await createFolder(item, folderDir, writer);
+      continue;
     }
+
+    const bruFilePath = path.join(folderDir, item.name + ".bru");
+    const bruRequest = stringifyRequest(item, options = { format: 'bru' });
+    await writer.writeFile(bruFilePath, bruRequest);
   }
 }
 
@@ -464,16 +751,17 @@ async function createTestFlows(testCollection, masterDir) {
  * Creates environment configuration files in .bru format
  * @param {Object} testCollection - Collection containing environment definitions
  * @param {string} masterDir - Base directory for test output
+ * @param {{writeFile: Function}} [writer] - Writes the files; `fs.promises` by default
  * Creates an 'environments' subdirectory and saves each environment configuration as a .bru file
  */
-async function createEnvironments(testCollection, masterDir) {
+async function createEnvironments(testCollection, masterDir, writer = fs) {
   if (testCollection.environments)
     for (const environment of testCollection.environments) {
       const environmentDir = path.join(masterDir, "environments");
       await fs.mkdir(environmentDir, { recursive: true });
 
       const bruFilePath = path.join(environmentDir, environment.name + ".bru");
-      await fs.writeFile(bruFilePath, stringifyEnvironment(environment, options = { format: 'bru' }));
+      await writer.writeFile(bruFilePath, stringifyEnvironment(environment, options = { format: 'bru' }));
     }
   else
     console.warn("Test collection has no environments.")
@@ -483,20 +771,23 @@ async function createEnvironments(testCollection, masterDir) {
  * Creates the main Bruno collection root file (collection.bru)
  * @param {Object} testCollection - Collection containing root metadata
  * @param {string} masterDir - Base directory for test output
- * Generates the 'collection.bru' file that serves as the entry point for the Bruno test collection
+ * @param {{writeFile: Function}} [writer] - Writes the file; `fs.promises` by default
+ * Generates the 'collection.bru' file that serves as the entry point for the Bruno test collection, with the
+ * headers, auth, scripts, vars, tests and docs of the `root` of the test flows applied to every request
  */
-async function createBrunoRoot(testCollection, masterDir) {
+async function createBrunoRoot(testCollection, masterDir, writer = fs) {
   const rootFilePath = path.join(masterDir, 'collection.bru');
-  await fs.writeFile(rootFilePath, stringifyCollection(testCollection.root));
+  await writer.writeFile(rootFilePath, stringifyCollection(testCollection.root));
 }
 
 /**
  * Creates metadata file for Bruno collection (bruno.json)
  * @param {Object} testCollection - Collection containing metadata information
  * @param {string} masterDir - Base directory for test output
+ * @param {{writeFile: Function}} [writer] - Writes the file; `fs.promises` by default
  * Generates the 'bruno.json' metadata file with collection version, name, and type information
  */
-async function createBrunoMetadata(testCollection, masterDir) {
+async function createBrunoMetadata(testCollection, masterDir, writer = fs) {
   const metadata = {
     version: testCollection.version,
     name: testCollection.name,
@@ -504,7 +795,7 @@ async function createBrunoMetadata(testCollection, masterDir) {
   };
 
   const metadataFilePath = path.join(masterDir, 'bruno.json');
-  await fs.writeFile(metadataFilePath, JSON.stringify(metadata, null, 2));
+  await writer.writeFile(metadataFilePath, JSON.stringify(metadata, null, 2));
 }
 
 /**
@@ -512,23 +803,64 @@ async function createBrunoMetadata(testCollection, masterDir) {
  *
  * This function reads a `test-flows.json` file to obtain test flow definitions, dynamic parameters, and scripting details. It then leverages pre-existing Bruno collections (automatically generated from an OpenAPI specification) to populate the requests with necessary specifications. Finally, it structures these combined details into a complete Bruno collection with appropriate directory structure, environment definitions, and metadata.
  *
- * @param {string} testFlowsJson - Path to the `test-flows.json` file containing test flow compositions.
- * @param {string} baseBrunoCollection - Path to a base Bruno collection generated from an OpenAPI spec.
- * @returns {Promise<void>} A promise that resolves when the Bruno collection is created.
+ * @param {string} testFlowsDir - Path to the `test-flows.json` file containing test flow compositions.
+ * @param {string} masterCollectionDir - Path to a base Bruno collection generated from an OpenAPI spec.
+ * @param {string} outputName - Path where the Bruno JSON of the test collection is written.
+ * @param {string} [collectionDir] - Directory the Bruno collection is written to. Defaults to the
+ *                                   test collection name, relative to the working directory.
+ * @param {{onConflict?: string, envFile?: string}} [options] - `onConflict`: how files edited by hand since the last
+ *                                   run are handled, `merge` (default), `keep` or `overwrite` (see `syncGeneratedFiles`).
+ *                                   `envFile`: the local `.env` file the secrets of the environments are copied from
+ *                                   to the `.env` file of the collection (see `writeCollectionSecrets`).
+ * @returns {Promise<Object>} A promise that resolves with the test collection once it is written.
  * @throws {Error} If any file operation fails or if the input files are invalid.
  */
-async function createBrunoCollection(testFlowsDir, masterCollectionDir, outputName) {
+async function createBrunoCollection(testFlowsDir, masterCollectionDir, outputName, collectionDir, options = {}) {
   let testCollection = await createBrunoJson(testFlowsDir, masterCollectionDir, outputName);
 
-  const testCollectionDir = testCollection.name;
+  const testCollectionDir = collectionDir || testCollection.name;
   await fs.mkdir(testCollectionDir, { recursive: true });
 
-  createTestFlows(testCollection, testCollectionDir);
-  createEnvironments(testCollection, testCollectionDir);
-  createBrunoRoot(testCollection, testCollectionDir);
-  createBrunoMetadata(testCollection, testCollectionDir);
+  const writer = createIncrementalWriter(testCollectionDir, { onConflict: options.onConflict });
+
+  await createTestFlows(testCollection, testCollectionDir, writer);
+  await createEnvironments(testCollection, testCollectionDir, writer);
+  await createBrunoRoot(testCollection, testCollectionDir, writer);
+  await createBrunoMetadata(testCollection, testCollectionDir, writer);
+  await writer.commit();
+  await writeFixtures(testCollection, testCollectionDir);
+
+  if (options.envFile)
+    await writeCollectionSecrets(testCollection.environments, options.envFile, testCollectionDir);
+
+  return testCollection;
 }
 
+/**
+ * Default locations used by `testGenerationPipeline` and the command line interface.
+ */
+const DEFAULT_PIPELINE_OPTIONS = {
+  oasDir: "oas",
+  collectionsDir: "collections",
+  collectionName: "Petstore",
+  masterCollection: "master-collection.json",
+  testFlows: "test-flows.json",
+  testCollection: "test-collection.json",
+  outputDir: undefined,
+  onConflict: "merge",
+  baseline: undefined,
+  driftReport: "spec-drift.json",
+  coverageDir: "coverage",
+  minCoverage: undefined,
+  generatedTestFlows: "generated-test-flows.json",
+  envFile: ".env",
+  mockHost: "127.0.0.1",
+  mockPort: 4010,
+  mockStateful: false,
+  exportFormats: "postman,opencollection,test-plan",
+  exportDir: "exports"
+};
+
 /**
  * Orchestrates the test generation pipeline by:
  * 1. Converting OpenAPI specifications into individual Bruno collections.
@@ -538,11 +870,54 @@ async function createBrunoCollection(testFlowsDir, masterCollectionDir, outputNa
  *
  * This pipeline automates the full lifecycle of test collection generation,
  * from specification to structured bruno collections, enabling a streamlined testing workflow.
+ *
+ * @param {Object} [options] - Paths and names overriding `DEFAULT_PIPELINE_OPTIONS`.
+ * @param {string} [options.oasDir] - Directory containing the OpenAPI specifications.
+ * @param {string} [options.collectionsDir] - Directory the converted Bruno collections are written to.
+ * @param {string} [options.collectionName] - Name of the merged master collection.
+ * @param {string} [options.masterCollection] - Path of the merged master collection file.
+ * @param {string} [options.testFlows] - Path of the `test-flows.json` file.
+ * @param {string} [options.testCollection] - Path of the generated test collection JSON file.
+ * @param {string} [options.outputDir] - Directory the Bruno test collection is written to.
+ * @param {string} [options.onConflict] - How files edited by hand are handled: `merge`, `keep` or `overwrite`.
+ * @param {string} [options.envFile] - The local `.env` file holding the secrets of the environments.
+ * @returns {Promise<Object>} The generated test collection.
+ * @throws {Error} If any stage of the pipeline fails.
  */
-async function testGenerationPipeline() {
-  await convertOpenApiToBruno("oas", "collections");
-  await mergeOpenApiCollections("Petstore", "collections", "master-collection.json");
-  await createBrunoCollection("test-flows.json", "master-collection.json", "test-collection.json");
+async function testGenerationPipeline(options = {}) {
+  const config = { ...DEFAULT_PIPELINE_OPTIONS, ...options };
+
+  await convertOpenApiToBruno(config.oasDir, config.collectionsDir);
+  await mergeOpenApiCollections(config.collectionName, config.collectionsDir, config.masterCollection);
+  return await createBrunoCollection(config.testFlows, config.masterCollection, config.testCollection, config.outputDir, {
+    onConflict: config.onConflict,
+    envFile: config.envFile
+  });
 }
 
-testGenerationPipeline();
\ No newline at end of file
+module.exports = {
+  DEFAULT_PIPELINE_OPTIONS,
+  convertOpenApiToBruno,
+  convertSpecToBruno,
+  mergeOpenApiCollections,
+  createBrunoJson,
+  createBrunoCollection,
+  testGenerationPipeline,
+  applyRequestUpdates,
+  applyRequestPatches,
+  acquireBrunoRequest,
+  acquireBrunoRequestByName,
+  acquireBrunoFolderByName,
+  updateRequestBodies,
+  getOASExampleValueFor,
+  getOpenAPIRequestSpec,
+  annotateOperations,
+  findOperationForRequest,
+  createTestFlows,
+  createEnvironments,
+  createBrunoRoot,
+  createBrunoMetadata
+};
+
+if (require.main === module)
+  testGenerationPipeline().catch(() => { process.exitCode = 1; });
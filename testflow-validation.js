@@ -0,0 +1,723 @@
+const Ajv = require('ajv');
+const jsonSourceMap = require('json-source-map');
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { selectExpectedResponse, isStatusRange, applyResponseAssertions } = require('./response-assertions');
+const { extractionToExpression } = require('./flow-variables');
+const { applyRequestUpdates, applyRequestPatches } = require('./request-overrides');
+const { ROW_PLACEHOLDER_PATTERN, loadDataset, renderFlowName } = require('./flow-datasets');
+const { applyEnvironmentOverrides } = require('./environment-generation');
+const { selectRequestBody } = require('./request-bodies');
+const { STEP_REFERENCE_KEYS, indexBrunoCollection, getStepReference, describeStep, lookupOperation, formatSuggestions, suggestClosest } = require('./operation-lookup');
+const { HOOK_KEYS, listFlowSteps } = require('./flow-hooks');
+const { isIncludeStep, collectFlowParams } = require('./flow-includes');
+const { escapePointerSegment } = require('./oas-refs');
+const testFlowsSchema = require('./test-flows.schema.json');
+
+const validateSchema = new Ajv({ allErrors: true, strict: false }).compile(testFlowsSchema);
+
+/**
+ * Validates the content of a `test-flows.json` file against the test flow JSON schema and the
+ * merged Bruno collection its steps reference.
+ *
+ * All problems are collected instead of stopping at the first one:
+ * - JSON syntax and schema violations
+ * - duplicate flow names, duplicate `seq` values and steps that would be written to the same file
+ * - unknown folders, tags and operations (with "did you mean" suggestions)
+ * - `expected_response` values the referenced operation does not document (status classes such as `4XX` are always allowed)
+ * - `content_type` values the referenced operation does not accept
+ * - `extract` sources that cannot be turned into a post-response script
+ * - `merge_patch` and `json_patch` overrides addressing paths the request does not have
+ * - `{{row.<field>}}` placeholders in flows without a `dataset`
+ * - datasets that cannot be loaded, `{{row.<field>}}` placeholders a row of the dataset does not have, and
+ *   flow names rendered from the rows that another flow or row also gets
+ * - unknown `setup`/`teardown` hooks, and hooks no flow uses
+ * - included flows that do not exist, have a dataset or include themselves, and `{{param.<name>}}` placeholders without a value
+ * - references matching several operations (e.g. a request name used in several folders)
+ * - missing environments, and `{{variables}}` used by the referenced requests or the root headers and auth that no environment defines
+ *
+ * @param {string} testFlowContent - The raw JSON content of the test flows file.
+ * @param {Object} masterBrunoCollection - The merged Bruno collection the steps reference.
+ * @param {string} [filePath] - Path of the test flows file, used in the diagnostics.
+ * @param {Map<number, Object>} [datasets] - The datasets of the flows, loaded by `loadFlowDatasets`; flows
+ *        without an entry have their `{{row.<field>}}` placeholders left unchecked.
+ * @returns {Array<{severity: string, message: string, file: string, pointer: string, line: number, column: number}>}
+ *          The diagnostics, ordered by their position in the file.
+ */
+function validateTestFlowContent(testFlowContent, masterBrunoCollection, filePath = 'test-flows.json', datasets = new Map()) {
+  let parsed;
+
+  try {
+    parsed = jsonSourceMap.parse(testFlowContent);
+  } catch (error) {
+    const position = Number(/position (\d+)/.exec(error.message)?.[1] || 0);
+    const lines = testFlowContent.slice(0, position).split('\n');
+
+    return [{
+      severity: 'error',
+      message: `Invalid JSON: ${error.message.replace(/ at position \d+$/, '')}`,
+      file: filePath,
+      pointer: '',
+      line: lines.length,
+      column: lines[lines.length - 1].length + 1
+    }];
+  }
+
+  const { data: testFlowSpec, pointers } = parsed;
+  const diagnostics = [];
+
+  const locate = (pointer) => `line ${getPointerLocation(pointers, pointer).line + 1}`;
+  const report = (severity, pointer, message) => {
+    const location = getPointerLocation(pointers, pointer);
+    diagnostics.push({ severity, message, file: filePath, pointer, line: location.line + 1, column: location.column + 1 });
+  };
+
+  if (!validateSchema(testFlowSpec)) {
+    for (const error of validateSchema.errors) {
+      // Failed "if"/"then" conditions are reported by the nested error already.
+      if (error.keyword === 'if')
+        continue;
+
+      // The alternatives of the step reference are summarized by the "oneOf" error.
+      const stepReferenceError = /\/requests\/\d+$/.test(error.instancePath) && /^#\/oneOf(\/|$)/.test(error.schemaPath);
+
+      if (stepReferenceError && error.keyword !== 'oneOf')
+        continue;
+
+      const property = error.params?.additionalProperty || error.params?.missingProperty;
+      const message = stepReferenceError
+        ? `must reference its operation with exactly one of ${STEP_REFERENCE_KEYS.map(key => `"${key}"`).join(', ')}, or "include" a flow`
+        : property ? `${error.message.replace(/ '.*'$/, '')} "${property}"` : error.message;
+
+      report('error', error.instancePath, `${describePointer(error.instancePath)} ${message}`);
+    }
+  }
+
+  if (Array.isArray(testFlowSpec?.test_flows))
+    validateFlows(testFlowSpec, masterBrunoCollection, report, locate, datasets);
+
+  return diagnostics.sort((first, second) => first.line - second.line || first.column - second.column);
+}
+
+/**
+ * Reads a `test-flows.json` file, the datasets of its flows and the merged collection, and validates them
+ * with `validateTestFlowContent`.
+ *
+ * @param {string} testFlowsPath - Path of the test flows file.
+ * @param {string} masterCollectionPath - Path of the merged Bruno collection.
+ * @returns {Promise<Array<Object>>} The diagnostics.
+ * @throws {Error} If one of the files cannot be read, or the merged collection is not valid JSON.
+ */
+async function validateTestFlows(testFlowsPath, masterCollectionPath) {
+  const testFlowContent = await fs.readFile(testFlowsPath, 'utf8');
+  const masterBrunoCollection = JSON.parse(await fs.readFile(masterCollectionPath, 'utf8'));
+  const datasets = await loadFlowDatasets(testFlowContent, path.dirname(testFlowsPath));
+
+  return validateTestFlowContent(testFlowContent, masterBrunoCollection, testFlowsPath, datasets);
+}
+
+/**
+ * Loads the dataset of every data-driven flow of a `test-flows.json` file, for `validateTestFlowContent` to check.
+ * A dataset that cannot be loaded is kept with the reason instead of its rows.
+ *
+ * @param {string} testFlowContent - The raw JSON content of the test flows file.
+ * @param {string} baseDir - The directory dataset paths are relative to (the test-flows.json directory).
+ * @returns {Promise<Map<number, {rows: Array<Object>}|{error: string}>>} The datasets, by flow index; empty if the
+ *          content is not valid JSON.
+ */
+async function loadFlowDatasets(testFlowContent, baseDir) {
+  const datasets = new Map();
+  let testFlowSpec;
+
+  try {
+    testFlowSpec = JSON.parse(testFlowContent);
+  } catch (error) {
+    return datasets;
+  }
+
+  const testFlows = Array.isArray(testFlowSpec?.test_flows) ? testFlowSpec.test_flows : [];
+
+  for (const [flowIndex, testFlow] of testFlows.entries()) {
+    // Datasets of the wrong type are reported by the schema.
+    if (typeof testFlow?.dataset !== 'string' && !Array.isArray(testFlow?.dataset))
+      continue;
+
+    try {
+      datasets.set(flowIndex, { rows: await loadDataset(testFlow.dataset, baseDir) });
+    } catch (error) {
+      datasets.set(flowIndex, { error: error.message });
+    }
+  }
+
+  return datasets;
+}
+
+/**
+ * Runs the semantic checks over the flows, their hooks and their steps. The steps of a hook are checked
+ * once, where the hook is defined; file name clashes are checked over the steps a flow runs with its hooks.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @param {Object} masterBrunoCollection - The merged Bruno collection.
+ * @param {Function} report - Callback receiving `(severity, pointer, message)`.
+ * @param {Function} locate - Describes the source location of a pointer, e.g. `line 12`.
+ * @param {Map<number, Object>} datasets - The datasets of the flows, by flow index (see `loadFlowDatasets`).
+ */
+function validateFlows(testFlowSpec, masterBrunoCollection, report, locate, datasets) {
+  const index = indexBrunoCollection(masterBrunoCollection);
+  const flowNames = new Map();
+  const flowSeqs = new Map();
+  const usedVariables = new Map();
+  const stepRequests = new Map();
+  const hooks = testFlowSpec.hooks && typeof testFlowSpec.hooks === 'object' ? testFlowSpec.hooks : {};
+  const usedHooks = new Set();
+  const flowsByName = new Map(testFlowSpec.test_flows.filter(testFlow => testFlow && typeof testFlow === 'object')
+    .map(testFlow => [testFlow.flow_name, testFlow]));
+  const includedFlows = new Set();
+
+  const validateSteps = (steps, pointer, describeOwner) => {
+    const stepSeqs = new Map();
+    const includeNames = new Map();
+
+    (Array.isArray(steps) ? steps : []).forEach((requestSpec, stepIndex) => {
+      const stepPointer = `${pointer}/requests/${stepIndex}`;
+
+      if (!isIncludeStep(requestSpec) && !getStepReference(requestSpec))
+        return;
+
+      checkDuplicate(stepSeqs, requestSpec.seq, `${stepPointer}/seq`, report, locate,
+        (first) => `Duplicate seq ${requestSpec.seq} in ${describeOwner()} (first used at ${first}).`);
+
+      if (isIncludeStep(requestSpec)) {
+        const folderName = requestSpec.name ?? requestSpec.include;
+
+        checkDuplicate(includeNames, folderName, `${stepPointer}/${requestSpec.name === undefined ? 'include' : 'name'}`, report, locate,
+          (first) => `Included flow "${folderName}" is used twice in ${describeOwner()} (first at ${first}); both would be written to the same folder. Give one of them a "name".`);
+
+        includedFlows.add(requestSpec.include);
+        validateInclude(requestSpec, stepPointer, flowsByName, report);
+        return;
+      }
+
+      stepRequests.set(stepPointer, validateStep(requestSpec, stepPointer, index, report, locate, usedVariables));
+    });
+  };
+
+  for (const [hookName, hook] of Object.entries(hooks))
+    validateSteps(hook?.requests, `/hooks/${escapePointerSegment(hookName)}`, () => `hook "${hookName}"`);
+
+  testFlowSpec.test_flows.forEach((testFlow, flowIndex) => {
+    const flowPointer = `/test_flows/${flowIndex}`;
+
+    if (!testFlow || typeof testFlow !== 'object')
+      return;
+
+    checkDuplicate(flowNames, testFlow.flow_name, `${flowPointer}/flow_name`, report, locate,
+      (first) => `Duplicate flow name "${testFlow.flow_name}" (first defined at ${first}); both flows would be written to the same folder.`);
+    checkDuplicate(flowSeqs, testFlow.seq, `${flowPointer}/seq`, report, locate,
+      (first) => `Duplicate flow seq ${testFlow.seq} (first used at ${first}).`);
+
+    for (const key of HOOK_KEYS) {
+      (Array.isArray(testFlow[key]) ? testFlow[key] : []).forEach((hookName, hookIndex) => {
+        if (Object.prototype.hasOwnProperty.call(hooks, hookName))
+          usedHooks.add(hookName);
+        else if (typeof hookName === 'string')
+          report('error', `${flowPointer}/${key}/${hookIndex}`,
+            `Unknown hook "${hookName}".${formatSuggestions(hookName, Object.keys(hooks))}`);
+      });
+    }
+
+    if (testFlow.standalone !== false) {
+      const defaults = testFlow.params && typeof testFlow.params === 'object' ? testFlow.params : {};
+      const missingParam = [...collectFlowParams(testFlow)].find(param => !Object.prototype.hasOwnProperty.call(defaults, param));
+
+      if (missingParam !== undefined)
+        report('error', flowPointer, `Flow "${testFlow.flow_name}" uses {{param.${missingParam}}} but its "params" give it no default; `
+          + 'set one, or make the flow "standalone": false if it is only meant to be included.');
+    }
+
+    const attachedHooks = HOOK_KEYS.flatMap(key => Array.isArray(testFlow[key]) ? testFlow[key] : []).map(hookName => hooks[hookName]);
+
+    if (testFlow.dataset === undefined && testFlow.standalone !== false) {
+      const rowPlaceholder = JSON.stringify([testFlow, attachedHooks]).match(ROW_PLACEHOLDER_PATTERN)?.[0];
+
+      if (rowPlaceholder)
+        report('error', flowPointer, `Flow "${testFlow.flow_name}" uses ${rowPlaceholder} but has no "dataset" to take it from.`);
+    }
+
+    if (datasets.has(flowIndex))
+      validateDataset(testFlow, attachedHooks, datasets.get(flowIndex), flowPointer, report);
+
+    validateSteps(testFlow.requests, flowPointer, () => `flow "${testFlow.flow_name}"`);
+
+    const stepNames = new Map();
+
+    for (const { requestSpec, pointer: stepPointer } of listFlowSteps(testFlowSpec, testFlow, flowIndex)) {
+      const reference = getStepReference(requestSpec);
+
+      if (!reference)
+        continue;
+
+      const stepName = requestSpec.name ?? stepRequests.get(stepPointer)?.name;
+
+      checkDuplicate(stepNames, stepName, `${stepPointer}/${requestSpec.name === undefined ? reference.key : 'name'}`, report, locate,
+        (first) => `Step "${stepName}" is used twice in flow "${testFlow.flow_name}" (first at ${first}); both steps would be written to the same file. Give one of them a "name".`);
+    }
+  });
+
+  const roots = [['/root', testFlowSpec.root], ...testFlowSpec.test_flows.map((testFlow, flowIndex) => [`/test_flows/${flowIndex}/root`, testFlow?.root])];
+
+  for (const [rootPointer, root] of roots)
+    for (const variable of collectVariables({ headers: root?.request?.headers, auth: root?.request?.auth }, {}))
+      if (!usedVariables.has(variable))
+        usedVariables.set(variable, `the root at ${locate(rootPointer)}`);
+
+  reportIncludeCycles(testFlowSpec, flowsByName, report);
+  reportRenderedFlowNameClashes(testFlowSpec, datasets, report, locate);
+
+  testFlowSpec.test_flows.forEach((testFlow, flowIndex) => {
+    if (testFlow?.standalone === false && !includedFlows.has(testFlow.flow_name))
+      report('warning', `/test_flows/${flowIndex}/standalone`, `Flow "${testFlow.flow_name}" is not standalone and no flow includes it, so it is never generated.`);
+  });
+
+  for (const hookName of Object.keys(hooks))
+    if (!usedHooks.has(hookName))
+      report('warning', `/hooks/${escapePointerSegment(hookName)}`, `Hook "${hookName}" is not used by any flow.`);
+
+  validateEnvironments(testFlowSpec, masterBrunoCollection, usedVariables, report);
+}
+
+/**
+ * Checks the dataset of a data-driven flow: it must have been loaded, and every row must have the fields the
+ * `{{row.<field>}}` placeholders of the flow and its hooks reference.
+ *
+ * @param {Object} testFlow - The flow.
+ * @param {Array<Object>} attachedHooks - The `setup` and `teardown` hooks of the flow.
+ * @param {{rows: Array<Object>}|{error: string}} dataset - The dataset, as loaded by `loadFlowDatasets`.
+ * @param {string} flowPointer - JSON pointer of the flow.
+ * @param {Function} report - Callback receiving `(severity, pointer, message)`.
+ */
+function validateDataset(testFlow, attachedHooks, dataset, flowPointer, report) {
+  if (dataset.error) {
+    report('error', `${flowPointer}/dataset`, dataset.error);
+    return;
+  }
+
+  const { dataset: source, ...flowTemplate } = testFlow;
+  const fields = new Set([...JSON.stringify([flowTemplate, attachedHooks]).matchAll(ROW_PLACEHOLDER_PATTERN)].map(match => match[1]));
+
+  for (const field of fields) {
+    const rowIndex = dataset.rows.findIndex(row => !Object.prototype.hasOwnProperty.call(row, field));
+
+    if (rowIndex === -1)
+      continue;
+
+    report('error', Array.isArray(source) ? `${flowPointer}/dataset/${rowIndex}` : `${flowPointer}/dataset`,
+      `Flow "${testFlow.flow_name}" uses {{row.${field}}}, a field missing from row ${rowIndex + 1} of its dataset. `
+      + `Available fields: ${Object.keys(dataset.rows[rowIndex]).join(', ') || 'none'}.`);
+  }
+}
+
+/**
+ * Reports the flow names rendered from dataset rows that another generated flow, static or data-driven, also
+ * gets: both would be written to the same folder. Duplicate static names are reported by `validateFlows`.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @param {Map<number, Object>} datasets - The datasets of the flows, by flow index (see `loadFlowDatasets`).
+ * @param {Function} report - Callback receiving `(severity, pointer, message)`.
+ * @param {Function} locate - Describes the source location of a pointer, e.g. `line 12`.
+ */
+function reportRenderedFlowNameClashes(testFlowSpec, datasets, report, locate) {
+  const names = new Map();
+  const generatedFlows = testFlowSpec.test_flows
+    .map((testFlow, flowIndex) => ({ testFlow, flowPointer: `/test_flows/${flowIndex}`, dataset: datasets.get(flowIndex) }))
+    .filter(({ testFlow }) => testFlow && typeof testFlow === 'object' && testFlow.standalone !== false);
+
+  for (const { testFlow, flowPointer } of generatedFlows)
+    if (testFlow.dataset === undefined && !names.has(testFlow.flow_name))
+      names.set(testFlow.flow_name, `flow "${testFlow.flow_name}" at ${locate(`${flowPointer}/flow_name`)}`);
+
+  for (const { testFlow, flowPointer, dataset } of generatedFlows) {
+    if (typeof testFlow.flow_name !== 'string')
+      continue;
+
+    (dataset?.rows || []).forEach((row, rowIndex) => {
+      let flowName;
+
+      try {
+        flowName = renderFlowName(testFlow.flow_name, row, rowIndex);
+      } catch (error) {
+        // Missing row fields are reported by `validateDataset`.
+        return;
+      }
+
+      const location = `row ${rowIndex + 1} of the dataset of flow "${testFlow.flow_name}"`;
+
+      if (names.has(flowName))
+        report('error', `${flowPointer}/flow_name`, `Flow name "${flowName}" of ${location} is not unique: ${names.get(flowName)} `
+          + 'has it too, and both would be written to the same folder. Use row fields in "flow_name" to tell the flows apart.');
+      else
+        names.set(flowName, `${location} at ${locate(`${flowPointer}/flow_name`)}`);
+    });
+  }
+}
+
+/**
+ * Checks a step including another flow: the flow must exist and have no dataset, and the `params` of the step
+ * must be placeholders of the flow and give a value to every placeholder the flow has no default for.
+ *
+ * @param {Object} requestSpec - The include step.
+ * @param {string} stepPointer - JSON pointer of the step.
+ * @param {Map<string, Object>} flowsByName - The flows by `flow_name`.
+ * @param {Function} report - Diagnostic callback.
+ */
+function validateInclude(requestSpec, stepPointer, flowsByName, report) {
+  const includedFlow = flowsByName.get(requestSpec.include);
+
+  if (!includedFlow) {
+    report('error', `${stepPointer}/include`,
+      `Unknown flow "${requestSpec.include}".${formatSuggestions(requestSpec.include, [...flowsByName.keys()].filter(name => typeof name === 'string'))}`);
+    return;
+  }
+
+  if (includedFlow.dataset !== undefined) {
+    report('error', `${stepPointer}/include`, `Flow "${requestSpec.include}" has a dataset; only flows without one can be included.`);
+    return;
+  }
+
+  const defaults = includedFlow.params && typeof includedFlow.params === 'object' ? includedFlow.params : {};
+  const params = requestSpec.params && typeof requestSpec.params === 'object' ? requestSpec.params : {};
+  const placeholders = collectFlowParams(includedFlow);
+  const known = [...new Set([...Object.keys(defaults), ...placeholders])];
+
+  for (const param of Object.keys(params))
+    if (!known.includes(param))
+      report('error', `${stepPointer}/params/${escapePointerSegment(param)}`,
+        `Flow "${requestSpec.include}" has no parameter "${param}".${formatSuggestions(param, known)}`);
+
+  for (const param of placeholders)
+    if (!Object.prototype.hasOwnProperty.call(defaults, param) && !Object.prototype.hasOwnProperty.call(params, param))
+      report('error', stepPointer, `Flow "${requestSpec.include}" has no default for {{param.${param}}}; pass it in "params".`);
+}
+
+/**
+ * Reports flows including themselves, directly or through other flows, on the include step closing the cycle.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @param {Map<string, Object>} flowsByName - The flows by `flow_name`.
+ * @param {Function} report - Diagnostic callback.
+ */
+function reportIncludeCycles(testFlowSpec, flowsByName, report) {
+  const flowIndexes = new Map(testFlowSpec.test_flows.map((testFlow, flowIndex) => [testFlow?.flow_name, flowIndex]));
+  const reported = new Set();
+  const visited = new Set();
+
+  const visit = (flowName, includeChain) => {
+    const testFlow = flowsByName.get(flowName);
+
+    if (!testFlow || visited.has(flowName))
+      return;
+
+    (Array.isArray(testFlow.requests) ? testFlow.requests : []).forEach((requestSpec, stepIndex) => {
+      if (!isIncludeStep(requestSpec) || !flowsByName.has(requestSpec.include))
+        return;
+
+      const stepPointer = `/test_flows/${flowIndexes.get(flowName)}/requests/${stepIndex}/include`;
+
+      if (includeChain.includes(requestSpec.include)) {
+        const cycle = [...includeChain.slice(includeChain.indexOf(requestSpec.include)), requestSpec.include];
+
+        if (!reported.has(stepPointer))
+          report('error', stepPointer, `Flow "${requestSpec.include}" includes itself: ${cycle.map(name => `"${name}"`).join(' → ')}.`);
+
+        reported.add(stepPointer);
+        return;
+      }
+
+      visit(requestSpec.include, [...includeChain, requestSpec.include]);
+    });
+
+    visited.add(flowName);
+  };
+
+  for (const flowName of flowsByName.keys())
+    visit(flowName, [flowName]);
+}
+
+/**
+ * Checks a step against the operation it references: its `expected_response`, `extract`, `content_type` and
+ * patches, and collects the `{{variables}}` it uses.
+ *
+ * @param {Object} requestSpec - The step.
+ * @param {string} stepPointer - JSON pointer of the step.
+ * @param {Object} index - The collection index from `indexBrunoCollection`.
+ * @param {Function} report - Diagnostic callback.
+ * @param {Function} locate - Describes the source location of a pointer.
+ * @param {Map<string, string>} usedVariables - Variables used so far, mapped to the first step using them (e.g. `the request at line 12`).
+ * @returns {Object|null} The referenced request item, or null if the lookup failed.
+ */
+function validateStep(requestSpec, stepPointer, index, report, locate, usedVariables) {
+  const request = resolveStepRequest(requestSpec, index, stepPointer, report);
+
+  if (request?.openapi?.responses && requestSpec.expected_response !== undefined && !isStatusRange(requestSpec.expected_response)
+    && !selectExpectedResponse(request.openapi.responses, requestSpec.expected_response)) {
+    const documented = Object.keys(request.openapi.responses);
+    report('error', `${stepPointer}/expected_response`,
+      `Response ${requestSpec.expected_response} is not documented for "${describeStep(requestSpec)}". Documented responses: ${documented.join(', ') || 'none'}.`);
+  }
+
+  for (const [variable, source] of Object.entries(requestSpec.extract || {})) {
+    try {
+      extractionToExpression(source);
+    } catch (error) {
+      report('error', `${stepPointer}/extract/${variable}`, error.message);
+    }
+  }
+
+  if (!request)
+    return null;
+
+  if (requestSpec.content_type !== undefined) {
+    try {
+      selectRequestBody(request, requestSpec.content_type);
+    } catch (error) {
+      report('error', `${stepPointer}/content_type`, error.message);
+    }
+  }
+
+  validatePatches(request, requestSpec, stepPointer, report);
+
+  // The access token of an OAuth2 login is stored by the login step generated before the flow.
+  for (const variable of collectVariables(request.request, requestSpec))
+    if (variable !== request.openapi?.login?.tokenVariable && !usedVariables.has(variable))
+      usedVariables.set(variable, `the request at ${locate(stepPointer)}`);
+
+  return request;
+}
+
+/**
+ * Applies the `merge_patch` and `json_patch` of a step to the request it references, reporting
+ * the first failing patch. The patches see the same request as during generation, including the
+ * body of the step's `content_type` and the generated response assertions.
+ *
+ * @param {Object} request - The referenced request item.
+ * @param {Object} requestSpec - The step.
+ * @param {string} stepPointer - JSON pointer of the step.
+ * @param {Function} report - Diagnostic callback.
+ */
+function validatePatches(request, requestSpec, stepPointer, report) {
+  if (requestSpec.merge_patch === undefined && requestSpec.json_patch === undefined)
+    return;
+
+  let generatedRequest;
+
+  try {
+    generatedRequest = applyResponseAssertions(applyRequestUpdates(selectRequestBody(request, requestSpec.content_type), requestSpec).request,
+      request.openapi, requestSpec.expected_response);
+  } catch (error) {
+    return;
+  }
+
+  try {
+    applyRequestPatches(generatedRequest, { merge_patch: requestSpec.merge_patch });
+  } catch (error) {
+    report('error', `${stepPointer}/merge_patch`, error.message);
+    return;
+  }
+
+  try {
+    applyRequestPatches(generatedRequest, requestSpec);
+  } catch (error) {
+    const operationIndex = /^json_patch\[(\d+)\]/.exec(error.message)?.[1];
+    report('error', `${stepPointer}/json_patch${operationIndex === undefined ? '' : `/${operationIndex}`}`, error.message);
+  }
+}
+
+/**
+ * Looks up the request a step references with `lookupOperation`, reporting why the lookup failed.
+ *
+ * @param {Object} requestSpec - The step.
+ * @param {Object} index - The collection index from `indexBrunoCollection`.
+ * @param {string} stepPointer - JSON pointer of the step.
+ * @param {Function} report - Diagnostic callback.
+ * @returns {Object|null} The referenced request, or null if it cannot be determined.
+ */
+function resolveStepRequest(requestSpec, index, stepPointer, report) {
+  const { match, error } = lookupOperation(requestSpec, index);
+
+  if (error)
+    report('error', `${stepPointer}/${error.key}`, error.message);
+
+  return match?.request || null;
+}
+
+/**
+ * Reports missing environments and variables that are used by the flows but defined in no environment.
+ * The environments checked are the generated ones with the hand-written ones applied over them
+ * (`applyEnvironmentOverrides`); problems are reported on the hand-written environment of the same name, if any.
+ * Variables assigned by the flows' own scripts (`bru.setVar`/`bru.setEnvVar`), `extract`ed by a step or defined in the
+ * `vars` of a root are not reported.
+ *
+ * @param {Object} testFlowSpec - The parsed test flows.
+ * @param {Object} masterBrunoCollection - The merged Bruno collection, with its generated environments.
+ * @param {Map<string, string>} usedVariables - Variables used by the steps and roots, mapped to the first one using them (e.g. `the request at line 12`).
+ * @param {Function} report - Diagnostic callback.
+ */
+function validateEnvironments(testFlowSpec, masterBrunoCollection, usedVariables, report) {
+  const handWritten = Array.isArray(testFlowSpec.environments) ? testFlowSpec.environments : [];
+  const environments = applyEnvironmentOverrides(masterBrunoCollection?.environments, handWritten) || [];
+
+  if (!environments.length) {
+    report('warning', '', 'No environments are defined; "bru run --env <name>" needs at least one.');
+    return;
+  }
+
+  const scriptedVariables = new Set();
+  const scripts = JSON.stringify(testFlowSpec);
+
+  for (const match of scripts.matchAll(/bru\.set(?:Env)?Var\(\s*\\?["'`]([^"'`\\]+)\\?["'`]/g))
+    scriptedVariables.add(match[1]);
+
+  const hooks = testFlowSpec.hooks && typeof testFlowSpec.hooks === 'object' ? Object.values(testFlowSpec.hooks) : [];
+
+  for (const stepOwner of [...(testFlowSpec.test_flows || []), ...hooks])
+    for (const requestSpec of stepOwner?.requests || [])
+      Object.keys(requestSpec?.extract || {}).forEach(variable => scriptedVariables.add(variable));
+
+  for (const root of [testFlowSpec.root, ...(testFlowSpec.test_flows || []).map(testFlow => testFlow?.root)])
+    for (const variable of [...(root?.request?.vars?.req || []), ...(root?.request?.vars?.res || [])])
+      scriptedVariables.add(variable?.name);
+
+  environments.forEach((environment) => {
+    const defined = new Set((environment?.variables || []).map(variable => variable?.name));
+    const handWrittenIndex = handWritten.indexOf(handWritten.find(candidate => candidate?.name === environment?.name));
+    const pointer = handWrittenIndex === -1 ? '' : `/environments/${handWrittenIndex}`;
+
+    for (const [variable, usage] of usedVariables) {
+      if (!defined.has(variable) && !scriptedVariables.has(variable))
+        report('warning', pointer,
+          `Environment "${environment?.name}" does not define "${variable}", used by ${usage}.`);
+    }
+  });
+}
+
+/**
+ * Collects the `{{variable}}` placeholders used by a request and the step overrides applied to it.
+ * Built-in placeholders such as `{{process.env.X}}` and `{{$randomInt}}`, dataset `{{row.X}}` and flow `{{param.X}}`
+ * placeholders are ignored.
+ *
+ * @param {Object} request - The Bruno request (`item.request`).
+ * @param {Object} requestSpec - The step, whose overrides may add placeholders.
+ * @returns {Set<string>} The variable names.
+ */
+function collectVariables(request, requestSpec) {
+  const { request_id, operation_id, operation, tag, file_path, name, seq, ...overrides } = requestSpec;
+  const content = JSON.stringify({ ...request, ...overrides });
+  const variables = new Set();
+
+  for (const match of content.matchAll(/{{\s*([^{}\s]+)\s*}}/g)) {
+    if (!match[1].startsWith('process.env.') && !match[1].startsWith('$') && !match[1].startsWith('row.')
+      && !match[1].startsWith('param.'))
+      variables.add(match[1]);
+  }
+
+  return variables;
+}
+
+/**
+ * Reports a value that was already seen at another location.
+ *
+ * @param {Map<*, string>} seen - Values seen so far, mapped to the location they were first seen at.
+ * @param {*} value - The value to check; `undefined` values are ignored.
+ * @param {string} pointer - JSON pointer of the value.
+ * @param {Function} report - Diagnostic callback.
+ * @param {Function} locate - Describes the source location of a pointer.
+ * @param {Function} getMessage - Builds the message from the location of the first occurrence.
+ */
+function checkDuplicate(seen, value, pointer, report, locate, getMessage) {
+  if (value === undefined)
+    return;
+
+  if (seen.has(value))
+    report('error', pointer, getMessage(seen.get(value)));
+  else
+    seen.set(value, locate(pointer));
+}
+
+/**
+ * Finds the source location of a JSON pointer, falling back to the closest existing parent.
+ *
+ * @param {Object} pointers - The pointer map produced by `json-source-map`.
+ * @param {string} pointer - The JSON pointer.
+ * @returns {{line: number, column: number}} The zero-based location.
+ */
+function getPointerLocation(pointers, pointer) {
+  let current = pointer;
+
+  while (current && !pointers[current])
+    current = current.slice(0, current.lastIndexOf('/'));
+
+  const entry = pointers[current] || pointers[''];
+  return entry?.key || entry?.value || { line: 0, column: 0 };
+}
+
+/**
+ * Describes a JSON pointer for messages, e.g. `test_flows[0].requests[1]`.
+ *
+ * @param {string} pointer - The JSON pointer.
+ * @returns {string} The readable path, or `Test flows` for the document root.
+ */
+function describePointer(pointer) {
+  if (!pointer)
+    return 'Test flows';
+
+  return pointer.slice(1).split('/')
+    .map(segment => /^\d+$/.test(segment) ? `[${segment}]` : `.${segment.replace(/~1/g, '/').replace(/~0/g, '~')}`)
+    .join('')
+    .replace(/^\./, '');
+}
+
+/**
+ * Formats a diagnostic as `file:line:column severity: message`.
+ *
+ * @param {Object} diagnostic - The diagnostic.
+ * @returns {string} The formatted diagnostic.
+ */
+function formatDiagnostic(diagnostic) {
+  return `${path.normalize(diagnostic.file)}:${diagnostic.line}:${diagnostic.column} ${diagnostic.severity}: ${diagnostic.message}`;
+}
+
+/**
+ * Prints diagnostics to the console and summarizes them.
+ *
+ * @param {Array<Object>} diagnostics - The diagnostics.
+ * @returns {boolean} True if no diagnostic is an error.
+ */
+function reportDiagnostics(diagnostics) {
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.severity === 'error')
+      console.error(`❌ ${formatDiagnostic(diagnostic)}`);
+    else
+      console.warn(`⚠️  ${formatDiagnostic(diagnostic)}`);
+  }
+
+  if (errors.length)
+    console.error(`❌ ${errors.length} error(s), ${diagnostics.length - errors.length} warning(s) in test flows.`);
+  else
+    console.log(`✅ Test flows are valid${diagnostics.length ? ` (${diagnostics.length} warning(s))` : ''}.`);
+
+  return errors.length === 0;
+}
+
+module.exports = {
+  validateTestFlowContent,
+  validateTestFlows,
+  loadFlowDatasets,
+  indexBrunoCollection,
+  suggestClosest,
+  formatDiagnostic,
+  reportDiagnostics
+};